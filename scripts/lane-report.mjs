@@ -0,0 +1,79 @@
+// Print the carrier and lane statistics for one or more SONAR exports,
+// using the same analytics module as the dashboard.
+//
+//   npm run report -- public/data/maritime_shipment_data.csv [more.csv ...]
+//     [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--include-declined]
+//     [--first-confirmed] [--by-alliance] [--json]
+//
+// The src/ modules are plain ES modules without a "type" field, so this
+// needs a Node version that detects ES module syntax (20.19+ or 22.12+).
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { analyzeShipments, getCarrierSummary, VERSION_MODES } from '../src/analytics/index.js';
+import { CARRIER_LEVELS, normalizeCarrierNames } from '../src/data/carriers.js';
+import { DEFAULT_LANE_SET } from '../src/data/laneSets.js';
+import { formatLaneName } from '../src/data/locations.js';
+import { createDataset, mergeDatasets, parseCsv } from '../src/data/loadCsv.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: 'string', default: '' },
+    to: { type: 'string', default: '' },
+    'include-declined': { type: 'boolean', default: false },
+    'first-confirmed': { type: 'boolean', default: false },
+    'by-alliance': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false }
+  }
+});
+
+if (positionals.length === 0) {
+  console.error('Usage: npm run report -- <export.csv> [more.csv ...] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--include-declined] [--first-confirmed] [--by-alliance] [--json]');
+  process.exit(1);
+}
+
+const datasets = await Promise.all(positionals.map(async (file) => {
+  const results = await parseCsv(fs.readFileSync(file, 'utf8'));
+  return createDataset(path.basename(file), results);
+}));
+
+const rows = normalizeCarrierNames(
+  mergeDatasets(datasets),
+  {},
+  values['by-alliance'] ? CARRIER_LEVELS.ALLIANCE : CARRIER_LEVELS.CARRIER
+);
+
+const analysis = analyzeShipments(rows, {
+  versionMode: values['first-confirmed'] ? VERSION_MODES.FIRST_CONFIRMED : VERSION_MODES.CURRENT,
+  includeDeclined: values['include-declined'],
+  dateRange: { from: values.from, to: values.to },
+  rankedPortPairs: DEFAULT_LANE_SET.lanes
+});
+const carrierSummary = getCarrierSummary(analysis.portStats);
+
+if (values.json) {
+  const { portStats, rankedPorts, qualityReport } = analysis;
+  console.log(JSON.stringify({ portStats, rankedPorts, carrierSummary, qualityReport }, null, 2));
+} else {
+  const { qualityReport } = analysis;
+  console.log(`${qualityReport.transactionCount} rows, ${qualityReport.bookingCount} bookings, ${qualityReport.analysedCount} shipments analysed\n`);
+  
+  console.log('Carrier summary (ranked lanes)');
+  console.table(carrierSummary.map(({ lanes, ...row }) => row));
+  
+  analysis.rankedPorts.forEach(port => {
+    const lane = analysis.portStats[port];
+    console.log(`\n${lane.rank}. ${formatLaneName(port)} (${port}) - ${lane.totalShipments} shipments, ${lane.averageTransitTime} days avg`);
+    console.table(Object.entries(lane.carriers).map(([carrier, stats]) => ({
+      carrier,
+      avgTransitDays: stats.avgTransitDays,
+      minTransitDays: stats.minTransitDays,
+      maxTransitDays: stats.maxTransitDays,
+      consistencyScore: stats.consistencyScore,
+      acceptanceRate: stats.acceptanceRate,
+      shipmentCount: stats.shipmentCount
+    })));
+  });
+}
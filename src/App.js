@@ -1,154 +1,189 @@
-import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart, Bar, Cell, ErrorBar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import _ from 'lodash';
+import {
+  buildCarrierScorecard,
+  buildCarrierTable,
+  buildLaneCarrierMatrix,
+  buildLaneComparison,
+  buildLaneComparisonTable,
+  buildScorecardTable,
+  CONSISTENCY_METHOD_LABELS,
+  CONSISTENCY_METHODS,
+  CONFIDENCE_LEVEL,
+  decodePeriod,
+  describePeriod,
+  DEFAULT_FILTERS,
+  DEFAULT_SAMPLE_THRESHOLDS,
+  DEFAULT_SCORE_WEIGHTS,
+  encodePeriod,
+  findExceptions,
+  getCarrierSummary,
+  getCarrierTargets,
+  getConsistencyStatus,
+  getFastestCarrierVerdict,
+  getFilterOptions,
+  getLaneTarget,
+  getMostConsistentVerdict,
+  getMostReliableVerdict,
+  getTransitStatus,
+  getWidestCoverageCarriers,
+  hasActiveFilters,
+  MIN_SLIP_DAYS,
+  ROLLUP_LEVELS,
+  SCORE_COMPONENT_LABELS,
+  TARGET_STATUS,
+  VERSION_MODES,
+  WEIGHTING_LABELS,
+  WEIGHTINGS
+} from './analytics';
+import {
+  CARRIER_LEVEL_LABELS,
+  CARRIER_LEVELS,
+  loadCarrierAliases,
+  saveCarrierAliases
+} from './data/carriers';
+import { formatDate, GRANULARITIES } from './data/dates';
+import { activateLinkedLaneSet, DEFAULT_LANE_SET, loadLaneSets, saveLaneSets } from './data/laneSets';
+import { loadLaneTargets, saveLaneTargets } from './data/laneTargets';
+import { findUnknownPorts, formatLaneName, loadLocationAliases, saveLocationAliases } from './data/locations';
+import { DEFAULT_DATA_FILE } from './data/loadCsv';
+import { loadScorePresets, saveScorePresets } from './data/scorecardPresets';
+import CarrierAliasPanel from './components/CarrierAliasPanel';
+import DataQualityPanel from './components/DataQualityPanel';
+import DataSourcePanel from './components/DataSourcePanel';
+import ExceptionsPanel from './components/ExceptionsPanel';
+import ExportPanel from './components/ExportPanel';
+import FilterBar from './components/FilterBar';
+import HeadToHeadPanel from './components/HeadToHeadPanel';
+import LaneCarrierHeatmap from './components/LaneCarrierHeatmap';
+import LaneManagerPanel from './components/LaneManagerPanel';
+import LaneMap from './components/LaneMap';
+import LaneTargetsPanel from './components/LaneTargetsPanel';
+import LeadTimePanel from './components/LeadTimePanel';
+import LocationAliasPanel from './components/LocationAliasPanel';
+import LowSampleBadge from './components/LowSampleBadge';
+import PeriodComparisonPanel from './components/PeriodComparisonPanel';
+import PrintReport from './components/PrintReport';
+import RollupPanel from './components/RollupPanel';
+import ScorecardPanel from './components/ScorecardPanel';
+import TransitBoxPlot from './components/TransitBoxPlot';
+import TransitEstimatorPanel from './components/TransitEstimatorPanel';
+import VolumePanel from './components/VolumePanel';
+import { decodeUrlState, readUrlState, writeUrlState } from './utils/urlState';
+import { createAnalysisClient } from './workers/analysisClient';
+
+// Line colors for per-carrier series in the trend charts
+const CARRIER_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+// The trend chart before there is a lane to draw
+const EMPTY_TRANSIT_TREND = { data: [], carriers: [] };
+
+// Green, amber and red for figures on target, near it and breaching it
+const TARGET_STATUS_COLORS = {
+  [TARGET_STATUS.MET]: '#22c55e',
+  [TARGET_STATUS.WARNING]: '#f59e0b',
+  [TARGET_STATUS.BREACH]: '#ef4444'
+};
+
+// View settings left out of shared links while at their defaults
+const URL_STATE_DEFAULTS = {
+  ...DEFAULT_SAMPLE_THRESHOLDS,
+  laneSet: DEFAULT_LANE_SET.id,
+  laneChartView: 'distribution',
+  heatmapMetric: 'avgTransitDays',
+  rollupLevel: ROLLUP_LEVELS.ORIGIN_COUNTRY,
+  versionMode: VERSION_MODES.CURRENT,
+  consistencyMethod: CONSISTENCY_METHODS.RANGE,
+  weighting: WEIGHTINGS.BOOKINGS,
+  carrierLevel: CARRIER_LEVELS.CARRIER
+};
+
+// Comparison periods are only restored when a link names both
+const readComparePeriods = (state) => (
+  state.periodA && state.periodB ? [decodePeriod(state.periodA), decodePeriod(state.periodB)] : null
+);
 
 const App = () => {
+  // Parsing and analysis run off the page; see workers/analysisClient.js
+  const [analysisClient] = useState(createAnalysisClient);
+  const [datasets, setDatasets] = useState([]);
+  const [transactionCount, setTransactionCount] = useState(0);
+  const [filterOptions, setFilterOptions] = useState(() => getFilterOptions([], []));
+  const [unknownCarriers, setUnknownCarriers] = useState([]);
+  // Filters and view settings start from the link the page was opened with
+  const [initialUrlState] = useState(readUrlState);
+  const [versionMode, setVersionMode] = useState(initialUrlState.versionMode || URL_STATE_DEFAULTS.versionMode);
+  const [includeDeclined, setIncludeDeclined] = useState(initialUrlState.includeDeclined || false);
+  const [consistencyMethod, setConsistencyMethod] = useState(initialUrlState.consistencyMethod || URL_STATE_DEFAULTS.consistencyMethod);
+  const [weighting, setWeighting] = useState(initialUrlState.weighting || URL_STATE_DEFAULTS.weighting);
+  const [carrierLevel, setCarrierLevel] = useState(initialUrlState.carrierLevel || URL_STATE_DEFAULTS.carrierLevel);
+  const [laneChartView, setLaneChartView] = useState(initialUrlState.laneChartView || URL_STATE_DEFAULTS.laneChartView);
+  const [heatmapMetric, setHeatmapMetric] = useState(initialUrlState.heatmapMetric || URL_STATE_DEFAULTS.heatmapMetric);
+  const [mapCarrier, setMapCarrier] = useState(initialUrlState.mapCarrier || '');
+  const [rollupLevel, setRollupLevel] = useState(initialUrlState.rollupLevel || URL_STATE_DEFAULTS.rollupLevel);
+  const [rollupGroup, setRollupGroup] = useState(initialUrlState.rollupGroup || '');
+  const [sampleThresholds, setSampleThresholds] = useState(() => ({
+    ...DEFAULT_SAMPLE_THRESHOLDS,
+    ..._.pick(initialUrlState, ['minLaneShipments', 'minCarrierShipments'])
+  }));
+  const [headToHeadCarriers, setHeadToHeadCarriers] = useState(initialUrlState.compareCarriers || []);
+  // Two periods to compare, or null when not comparing
+  const [comparePeriods, setComparePeriods] = useState(() => readComparePeriods(initialUrlState));
+  const [periodResults, setPeriodResults] = useState(null);
+  const [filters, setFilters] = useState(() => ({
+    ...DEFAULT_FILTERS,
+    ..._.pick(initialUrlState, Object.keys(DEFAULT_FILTERS))
+  }));
+  const [dateRange, setDateRange] = useState({ from: initialUrlState.from || '', to: initialUrlState.to || '' });
+  const [dataDates, setDataDates] = useState({ earliest: null, latest: null, lastUpdated: null });
+  const [transitTrends, setTransitTrends] = useState({});
+  const [leadTimePoints, setLeadTimePoints] = useState({});
+  const [sailings, setSailings] = useState({});
+  const [rowCountsByFile, setRowCountsByFile] = useState({});
+  const [qualityReport, setQualityReport] = useState(null);
+  const [laneSets, setLaneSets] = useState(() => (
+    activateLinkedLaneSet(loadLaneSets(), initialUrlState.laneSet, initialUrlState.laneSetLanes)
+  ));
+  const [laneTargets, setLaneTargets] = useState(loadLaneTargets);
+  const [locationAliases, setLocationAliases] = useState(loadLocationAliases);
+  const [carrierAliases, setCarrierAliases] = useState(loadCarrierAliases);
+  const [scoreWeights, setScoreWeights] = useState(DEFAULT_SCORE_WEIGHTS);
+  const [scorePresets, setScorePresets] = useState(loadScorePresets);
+  const [laneVolumes, setLaneVolumes] = useState({});
+  const [trendGranularity, setTrendGranularity] = useState(GRANULARITIES.WEEK);
+  const [bookingCount, setBookingCount] = useState(0);
   const [portStats, setPortStats] = useState({});
   const [rankedPorts, setRankedPorts] = useState([]);
-  const [selectedPort, setSelectedPort] = useState('');
+  const [rollups, setRollups] = useState({});
+  const [leadTimes, setLeadTimes] = useState({ lanes: {}, carriers: {} });
+  const [selectedPort, setSelectedPort] = useState(initialUrlState.selectedPort || '');
   const [transitTimeByPort, setTransitTimeByPort] = useState([]);
+  const [showReport, setShowReport] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [loadProgress, setLoadProgress] = useState({ fraction: 0, message: 'Downloading bookings...' });
   const [error, setError] = useState(null);
   
   useEffect(() => {
-    // Define ranked port pairs inside useEffect to avoid dependency warnings
-    const rankedPortPairs = [
-      "CNYTN--USSEA",
-      "CNSHA--USSEA",
-      "CNNGB--USSEA",
-      "BDCGP--USNYC",
-      "CNXMN--USSEA",
-      "THLCH--USSEA",
-      "VNSGN--USSEA",
-      "CNTAO--USSEA",
-      "VNHPH--USSEA",
-      "INNSA--USNYC",
-      "VNSGN--USLAX",
-      "CNYTN--USLAX",
-      "THLKR--USSEA",
-      "CNSHA--USLAX",
-      "CNTAO--USLAX",
-      "BDCGP--USLAX",
-      "PKBIN--USNYC",
-      "ZADUR--USNYC",
-      "INMUN--USNYC",
-      "IDSIN--USSEA"
-    ];
-    
     const fetchData = async () => {
       try {
         setIsLoading(true);
-        // Use fetch to get the CSV data
-        const response = await fetch('/data/maritime_shipment_data.csv');
+        // Use fetch to get the bundled CSV data; further exports can be
+        // added from the Data Sources panel
+        const response = await fetch(`${process.env.PUBLIC_URL}/data/${DEFAULT_DATA_FILE}`);
         const csvText = await response.text();
         
-        Papa.parse(csvText, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            // Filter out rows with missing transit times
-            const validData = results.data.filter(row => 
-              row.transit_time !== null && 
-              row.transit_time !== undefined && 
-              !isNaN(row.transit_time) &&
-              row.carrier_name && 
-              row.port_2_port_id
-            );
-            
-            // Create a lookup for port ranking
-            const portRankLookup = {};
-            rankedPortPairs.forEach((port, index) => {
-              portRankLookup[port] = index + 1;
-            });
-            
-            // Check which ranked port pairs exist in our data
-            const portsWithData = [];
-            const portPairsInData = {};
-            rankedPortPairs.forEach(port => {
-              const count = validData.filter(row => row.port_2_port_id === port).length;
-              if (count > 0) {
-                portsWithData.push(port);
-                portPairsInData[port] = count;
-              }
-            });
-            
-            // Calculate transit time statistics for ranked port pairs
-            const portStats = {};
-            portsWithData.forEach(port => {
-              const portData = validData.filter(row => row.port_2_port_id === port);
-              const carrierGroups = _.groupBy(portData, 'carrier_name');
-              
-              // Calculate average transit time for this lane across all carriers
-              const allTransitTimes = portData
-                .filter(row => row.transit_time !== null)
-                .map(row => row.transit_time / 24); // Convert hours to days
-              
-              const laneAvgTransitTime = allTransitTimes.length > 0 ? 
-                _.mean(allTransitTimes) : 0;
-              
-              portStats[port] = {
-                rank: portRankLookup[port],
-                totalShipments: portPairsInData[port],
-                averageTransitTime: parseFloat(laneAvgTransitTime.toFixed(2)),
-                carriers: {}
-              };
-              
-              Object.keys(carrierGroups).forEach(carrier => {
-                const carrierData = carrierGroups[carrier].filter(row => row.transit_time !== null);
-                if (carrierData.length > 0) {
-                  const transitTimes = carrierData.map(row => row.transit_time / 24); // Convert hours to days
-                  const avgTransit = _.mean(transitTimes);
-                  const minTransit = _.min(transitTimes);
-                  const maxTransit = _.max(transitTimes);
-                  const stdDev = calculateStandardDeviation(transitTimes);
-                  
-                  // Calculate absolute range (max - min)
-                  const absoluteRange = maxTransit - minTransit;
-                  
-                  // Calculate normalized range relative to average transit time
-                  // This measures consistency relative to the route length
-                  const normalizedRange = avgTransit > 0 ? 
-                    absoluteRange / avgTransit : 0;
-                  
-                  // Calculate coefficient of variation (std dev / mean)
-                  // This is a standardized measure of dispersion
-                  const coefficientOfVariation = avgTransit > 0 ? 
-                    stdDev / avgTransit : 0;
-                  
-                  // Calculate lane-specific consistency score (0-100, higher is better)
-                  // Base it on normalized range - lower range = better consistency
-                  const consistencyScore = Math.max(0, 100 - (normalizedRange * 100));
-                  
-                  portStats[port].carriers[carrier] = {
-                    avgTransitDays: parseFloat(avgTransit.toFixed(2)),
-                    minTransitDays: parseFloat(minTransit.toFixed(2)),
-                    maxTransitDays: parseFloat(maxTransit.toFixed(2)),
-                    shipmentCount: carrierData.length,
-                    standardDeviation: parseFloat(stdDev.toFixed(2)),
-                    absoluteRange: parseFloat(absoluteRange.toFixed(2)),
-                    normalizedRange: parseFloat(normalizedRange.toFixed(2)),
-                    coefficientOfVariation: parseFloat(coefficientOfVariation.toFixed(2)),
-                    consistencyScore: parseFloat(consistencyScore.toFixed(1))
-                  };
-                }
-              });
-            });
-            
-            // Sort port pairs according to the user's ranking
-            const sortedPorts = portsWithData.sort((a, b) => portRankLookup[a] - portRankLookup[b]);
-            
-            setPortStats(portStats);
-            setRankedPorts(sortedPorts);
-            setSelectedPort(sortedPorts.length > 0 ? sortedPorts[0] : '');
-            setIsLoading(false);
-          },
-          error: (error) => {
-            setError(`Error parsing CSV: ${error}`);
-            setIsLoading(false);
-          }
-        });
+        try {
+          const dataset = await analysisClient.loadDataset(DEFAULT_DATA_FILE, csvText, ({ fraction, rowCount }) => {
+            setLoadProgress({ fraction, message: `Reading bookings... ${rowCount.toLocaleString()} rows` });
+          });
+          // The loading screen stays up until the first analysis arrives
+          setLoadProgress({ fraction: 1, message: 'Analysing bookings...' });
+          setDatasets([dataset]);
+        } catch (error) {
+          setError(`Error parsing CSV: ${error}`);
+          setIsLoading(false);
+        }
       } catch (error) {
         setError(`Error fetching data: ${error}`);
         setIsLoading(false);
@@ -156,218 +191,324 @@ const App = () => {
     };
     
     fetchData();
-  }, []);
+  }, [analysisClient]);
+  
+  useEffect(() => {
+    // Remember lane set edits between visits
+    saveLaneSets(laneSets);
+  }, [laneSets]);
+  
+  useEffect(() => {
+    saveLaneTargets(laneTargets);
+  }, [laneTargets]);
+  
+  useEffect(() => {
+    saveLocationAliases(locationAliases);
+  }, [locationAliases]);
+  
+  useEffect(() => {
+    saveCarrierAliases(carrierAliases);
+  }, [carrierAliases]);
   
-  // Helper function to calculate standard deviation
-  const calculateStandardDeviation = (values) => {
-    if (!values || values.length === 0) return 0;
+  useEffect(() => {
+    saveScorePresets(scorePresets);
+  }, [scorePresets]);
+  
+  const activeLaneSet = laneSets.sets.find(set => set.id === laneSets.activeSetId);
+  const rankedPortPairs = activeLaneSet.lanes;
+  
+  useEffect(() => {
+    // Analyse all loaded exports as one dataset. Results arrive once the
+    // worker is done; a newer request supersedes any still running.
+    const request = {
+      datasetIds: datasets.map(dataset => dataset.id),
+      carrierAliases,
+      carrierLevel,
+      options: {
+        versionMode,
+        includeDeclined,
+        dateRange,
+        filters,
+        rankedPortPairs,
+        consistencyMethod,
+        minLaneShipments: sampleThresholds.minLaneShipments,
+        weighting
+      },
+      periods: comparePeriods
+    };
     
-    const avg = _.mean(values);
-    const squareDiffs = values.map(value => {
-      const diff = value - avg;
-      return diff * diff;
+    analysisClient.analyze(request, (analysis) => {
+      setTransactionCount(analysis.transactionCount);
+      setDataDates(analysis.dataDates);
+      setFilterOptions(analysis.filterOptions);
+      setUnknownCarriers(analysis.unknownCarriers);
+      setBookingCount(analysis.bookingCount);
+      setQualityReport(analysis.qualityReport);
+      setTransitTrends(analysis.transitTrends);
+      setLeadTimePoints(analysis.leadTimePoints);
+      setSailings(analysis.sailings);
+      setLaneVolumes(analysis.laneVolumes);
+      setRowCountsByFile(analysis.rowCountsByFile);
+      setPortStats(analysis.portStats);
+      setRankedPorts(analysis.rankedPorts);
+      setRollups(analysis.rollups);
+      setLeadTimes(analysis.leadTimes);
+      setPeriodResults(analysis.periods);
+      // Keep the current lane selected when recomputing, if it still has data.
+      // With nothing to analyse yet, hold on to a lane restored from the URL.
+      setSelectedPort(current => 
+        analysis.rankedPorts.includes(current) ? current : (analysis.rankedPorts[0] || current)
+      );
+      if (request.datasetIds.length > 0) setIsLoading(false);
+    }, (error) => {
+      setError(`Error analysing data: ${error.message || error}`);
+      setIsLoading(false);
     });
-    const avgSquareDiff = _.mean(squareDiffs);
-    return Math.sqrt(avgSquareDiff);
-  };
+  }, [analysisClient, datasets, carrierAliases, carrierLevel, versionMode, includeDeclined, dateRange, filters, rankedPortPairs, consistencyMethod, sampleThresholds.minLaneShipments, weighting, comparePeriods]);
   
   useEffect(() => {
-    if (selectedPort && portStats[selectedPort]) {
-      const portData = [];
-      
-      Object.keys(portStats[selectedPort].carriers).forEach(carrier => {
-        const carrierStats = portStats[selectedPort].carriers[carrier];
-        portData.push({
-          carrier,
-          avgTransitDays: carrierStats.avgTransitDays,
-          minTransitDays: carrierStats.minTransitDays,
-          maxTransitDays: carrierStats.maxTransitDays,
-          shipmentCount: carrierStats.shipmentCount,
-          absoluteRange: carrierStats.absoluteRange,
-          normalizedRange: carrierStats.normalizedRange,
-          consistencyScore: carrierStats.consistencyScore
-        });
-      });
-      
-      // Sort carriers by average transit time
-      portData.sort((a, b) => a.avgTransitDays - b.avgTransitDays);
-      setTransitTimeByPort(portData);
-    }
+    setTransitTimeByPort(buildLaneComparison(portStats, selectedPort));
   }, [selectedPort, portStats]);
   
+  // Built in the worker for every ranked lane and both granularities
+  const transitTrend = transitTrends[selectedPort]?.[trendGranularity] || EMPTY_TRANSIT_TREND;
+  
+  useEffect(() => {
+    // Mirror the view into the URL so it can be bookmarked or shared
+    writeUrlState({
+      ...filters,
+      ...dateRange,
+      ...sampleThresholds,
+      // The lanes travel with the set's id, which other browsers do not
+      // know, unless they are the default set's own
+      laneSet: activeLaneSet.id,
+      laneSetLanes: activeLaneSet.id === DEFAULT_LANE_SET.id && _.isEqual(rankedPortPairs, DEFAULT_LANE_SET.lanes) ? [] : rankedPortPairs,
+      selectedPort,
+      laneChartView,
+      heatmapMetric,
+      mapCarrier,
+      rollupLevel,
+      rollupGroup,
+      versionMode,
+      consistencyMethod,
+      weighting,
+      carrierLevel,
+      includeDeclined,
+      compareCarriers: headToHeadCarriers,
+      periodA: comparePeriods ? encodePeriod(comparePeriods[0]) : '',
+      periodB: comparePeriods ? encodePeriod(comparePeriods[1]) : ''
+    }, URL_STATE_DEFAULTS);
+  }, [filters, dateRange, sampleThresholds, activeLaneSet.id, rankedPortPairs, selectedPort, laneChartView, heatmapMetric, mapCarrier, rollupLevel, rollupGroup, versionMode, consistencyMethod, weighting, carrierLevel, includeDeclined, headToHeadCarriers, comparePeriods]);
+  
+  useEffect(() => {
+    // Follow links pasted into an already open dashboard
+    const handleHashChange = () => {
+      const state = decodeUrlState(window.location.hash);
+      setFilters({ ...DEFAULT_FILTERS, ..._.pick(state, Object.keys(DEFAULT_FILTERS)) });
+      setDateRange({ from: state.from || '', to: state.to || '' });
+      setSampleThresholds({
+        ...DEFAULT_SAMPLE_THRESHOLDS,
+        ..._.pick(state, ['minLaneShipments', 'minCarrierShipments'])
+      });
+      setVersionMode(state.versionMode || URL_STATE_DEFAULTS.versionMode);
+      setIncludeDeclined(state.includeDeclined || false);
+      setConsistencyMethod(state.consistencyMethod || URL_STATE_DEFAULTS.consistencyMethod);
+      setWeighting(state.weighting || URL_STATE_DEFAULTS.weighting);
+      setCarrierLevel(state.carrierLevel || URL_STATE_DEFAULTS.carrierLevel);
+      setLaneChartView(state.laneChartView || URL_STATE_DEFAULTS.laneChartView);
+      setHeatmapMetric(state.heatmapMetric || URL_STATE_DEFAULTS.heatmapMetric);
+      setMapCarrier(state.mapCarrier || '');
+      setRollupLevel(state.rollupLevel || URL_STATE_DEFAULTS.rollupLevel);
+      setRollupGroup(state.rollupGroup || '');
+      setHeadToHeadCarriers(state.compareCarriers || []);
+      setComparePeriods(readComparePeriods(state));
+      setLaneSets(current => activateLinkedLaneSet(current, state.laneSet, state.laneSetLanes));
+      if (state.selectedPort) setSelectedPort(state.selectedPort);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+  
+  const handleLoadFile = (file, onProgress) => analysisClient.loadDataset(file.name, file, onProgress);
+  
+  // The worker drops the rows in its own time; a failure there is reported
+  // like a failed analysis
+  const removeDatasetRows = (id) => {
+    analysisClient.removeDataset(id).catch(error => {
+      setError(`Error removing data: ${error.message || error}`);
+    });
+  };
+  
+  const handleAddDatasets = (loaded) => {
+    // A re-uploaded file replaces the earlier copy with the same name
+    const names = loaded.map(dataset => dataset.name);
+    datasets
+      .filter(dataset => names.includes(dataset.name))
+      .forEach(dataset => removeDatasetRows(dataset.id));
+    setDatasets(current => [
+      ...current.filter(dataset => !names.includes(dataset.name)),
+      ...loaded
+    ]);
+  };
+  
+  const handleRemoveDataset = (id) => {
+    removeDatasetRows(id);
+    setDatasets(current => current.filter(dataset => dataset.id !== id));
+  };
+  
+  const handleDateRangeChange = (e) => {
+    const { name, value } = e.target;
+    setDateRange(range => ({ ...range, [name]: value }));
+  };
+  
   const handlePortChange = (e) => {
     setSelectedPort(e.target.value);
   };
   
-  // Create a summary of carriers' average performance across all ranked lanes
-  const getCarrierSummary = () => {
-    const carrierStats = {};
-    
-    // Calculate total and count for each carrier
-    Object.values(portStats).forEach(portStat => {
-      Object.entries(portStat.carriers).forEach(([carrier, stats]) => {
-        if (!carrierStats[carrier]) {
-          carrierStats[carrier] = { 
-            totalDays: 0,
-            laneCount: 0,
-            shipmentCount: 0,
-            totalConsistencyScore: 0,
-            weightedConsistencyTotal: 0,
-            totalWeightingFactor: 0,
-            lanes: []
-          };
-        }
-        
-        carrierStats[carrier].totalDays += stats.avgTransitDays;
-        carrierStats[carrier].laneCount += 1;
-        carrierStats[carrier].shipmentCount += stats.shipmentCount;
-        carrierStats[carrier].totalConsistencyScore += stats.consistencyScore;
-        
-        // Weighted consistency based on shipment count for this lane
-        // This gives more importance to consistency on frequently used lanes
-        const weightingFactor = stats.shipmentCount;
-        carrierStats[carrier].weightedConsistencyTotal += (stats.consistencyScore * weightingFactor);
-        carrierStats[carrier].totalWeightingFactor += weightingFactor;
-        
-        // Add lane data for detailed analysis
-        carrierStats[carrier].lanes.push({
-          portId: portStat.rank,
-          avgTransitDays: stats.avgTransitDays,
-          consistencyScore: stats.consistencyScore,
-          shipmentCount: stats.shipmentCount
-        });
-      });
-    });
-    
-    // Calculate final metrics for each carrier
-    return Object.entries(carrierStats)
-      .map(([carrier, stats]) => {
-        // Average consistency score across all lanes (unweighted)
-        const avgConsistencyScore = stats.laneCount > 0 ? 
-          stats.totalConsistencyScore / stats.laneCount : 0;
-        
-        // Weighted average consistency score based on shipment volume by lane
-        const weightedConsistencyScore = stats.totalWeightingFactor > 0 ? 
-          stats.weightedConsistencyTotal / stats.totalWeightingFactor : 0;
-        
-        return {
-          carrier,
-          // Basic stats
-          avgDays: parseFloat((stats.totalDays / stats.laneCount).toFixed(2)),
-          laneCount: stats.laneCount,
-          shipmentCount: stats.shipmentCount,
-          
-          // Enhanced consistency metrics
-          avgConsistencyScore: parseFloat(avgConsistencyScore.toFixed(1)),
-          weightedConsistencyScore: parseFloat(weightedConsistencyScore.toFixed(1)),
-          
-          // Keep lane-specific data for detailed views
-          lanes: stats.lanes
-        };
-      })
-      .sort((a, b) => a.avgDays - b.avgDays);
+  // Drill into a lane from the overview grid
+  const handleSelectLane = (port) => {
+    setSelectedPort(port);
+    document.getElementById('lane-analysis')?.scrollIntoView?.({ behavior: 'smooth' });
   };
   
-  // Get carriers who serve the most routes/lanes
-  const getMostReliableCarriers = () => {
-    return getCarrierSummary().sort((a, b) => {
-      // Primary sort by lane count, secondary sort by shipment count
-      if (b.laneCount !== a.laneCount) {
-        return b.laneCount - a.laneCount;
-      }
-      return b.shipmentCount - a.shipmentCount;
-    }).slice(0, 3);
+  const handleRollupLevelChange = (level) => {
+    setRollupLevel(level);
+    setRollupGroup('');
   };
   
-  // Get carriers with the best consistency score
-  const getMostConsistentCarriers = () => {
-    return getCarrierSummary()
-      .filter(carrier => carrier.laneCount > 1) // At least 2 lanes to be meaningful
-      .sort((a, b) => b.weightedConsistencyScore - a.weightedConsistencyScore)
-      .slice(0, 3);
+  // Carrier picks name carriers or alliances, so they do not carry over
+  const handleCarrierLevelChange = (e) => {
+    setCarrierLevel(e.target.value);
+    setFilters(current => ({ ...current, carriers: [] }));
+    setHeadToHeadCarriers([]);
+    setMapCarrier('');
   };
   
-  const carrierSummary = getCarrierSummary();
-  const mostReliableCarriers = getMostReliableCarriers();
-  const mostConsistentCarriers = getMostConsistentCarriers();
+  const handleClearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setDateRange({ from: '', to: '' });
+  };
   
-  // Function to format port names for display
-  const formatPortName = (portId) => {
-    if (!portId) return '';
-    
-    const [origin, destination] = portId.split('--');
-    // Extract the country code and port code
-    let originCountry = origin.substr(0, 2);
-    let originPort = origin.substr(2);
-    let destCountry = destination.substr(0, 2);
-    let destPort = destination.substr(2);
-    
-    // Map country codes to names
-    const countryMap = {
-      'CN': 'China',
-      'US': 'USA',
-      'VN': 'Vietnam',
-      'TH': 'Thailand',
-      'IN': 'India',
-      'BD': 'Bangladesh',
-      'PK': 'Pakistan',
-      'ID': 'Indonesia',
-      'ZA': 'South Africa'
-    };
-    
-    // Map port codes to names
-    const portMap = {
-      'YTN': 'Yantian',
-      'SHA': 'Shanghai',
-      'SEA': 'Seattle',
-      'LAX': 'Los Angeles',
-      'NYC': 'New York',
-      'NGB': 'Ningbo',
-      'XMN': 'Xiamen',
-      'TAO': 'Qingdao',
-      'SGN': 'Ho Chi Minh',
-      'HPH': 'Haiphong',
-      'LCH': 'Laem Chabang',
-      'LKR': 'Laem Krabang',
-      'NSA': 'Nhava Sheva',
-      'MUN': 'Mumbai',
-      'CGP': 'Chittagong',
-      'BIN': 'Karachi',
-      'DUR': 'Durban',
-      'SIN': 'Singapore'
-    };
-    
-    // Format with the full names if available
-    const originName = `${countryMap[originCountry] || originCountry}-${portMap[originPort] || originPort}`;
-    const destName = `${countryMap[destCountry] || destCountry}-${portMap[destPort] || destPort}`;
-    
-    return `${originName} to ${destName}`;
+  const handleThresholdChange = (e) => {
+    const { name, value } = e.target;
+    // An emptied box means no minimum rather than a stale one
+    setSampleThresholds(thresholds => ({ ...thresholds, [name]: Math.max(0, parseInt(value, 10) || 0) }));
   };
   
-  // Function to map transit time to a color indicator
-  const getTimeColor = (days) => {
-    // Based on a scale: <20 days = green, 20-30 days = yellow, >30 days = red
-    if (days < 20) return '#22c55e'; // Green
-    if (days < 30) return '#f59e0b'; // Amber
+  // Summaries derived from the analysis, recomputed only when their inputs
+  // change rather than on every render
+  const carrierSummary = useMemo(
+    () => getCarrierSummary(portStats, { minCarrierShipments: sampleThresholds.minCarrierShipments, weighting }),
+    [portStats, sampleThresholds.minCarrierShipments, weighting]
+  );
+  // Carriers whose bookings were all declined have no transit to chart or
+  // compare
+  const sailedCarrierSummary = useMemo(() => carrierSummary.filter(row => row.laneCount > 0), [carrierSummary]);
+  const widestCoverageCarriers = useMemo(() => getWidestCoverageCarriers(carrierSummary, weighting), [carrierSummary, weighting]);
+  const consistentVerdict = useMemo(() => getMostConsistentVerdict(carrierSummary), [carrierSummary]);
+  const fastestVerdict = useMemo(
+    () => getFastestCarrierVerdict(carrierSummary, portStats, rankedPorts, { weighting }),
+    [carrierSummary, portStats, rankedPorts, weighting]
+  );
+  const reliableVerdict = useMemo(() => getMostReliableVerdict(carrierSummary), [carrierSummary]);
+  const scorecard = useMemo(
+    () => buildCarrierScorecard(carrierSummary, portStats, rankedPorts, scoreWeights, { weighting }),
+    [carrierSummary, portStats, rankedPorts, scoreWeights, weighting]
+  );
+  
+  // Function to format lane IDs for display, from the UN/LOCODE table and
+  // any custom port names. Also takes the roll-up group IDs.
+  const formatPortName = (portId) => formatLaneName(portId, locationAliases);
+  const unknownPorts = useMemo(
+    () => findUnknownPorts([...rankedPortPairs, ...Object.keys(laneVolumes)], locationAliases),
+    [rankedPortPairs, laneVolumes, locationAliases]
+  );
+  
+  // Targets for each carrier's figures across the ranked lanes, and every
+  // carrier-lane pair that misses its lane's targets
+  const carrierTargets = useMemo(
+    () => getCarrierTargets(portStats, rankedPorts, laneTargets, { weighting }),
+    [portStats, rankedPorts, laneTargets, weighting]
+  );
+  const exceptions = useMemo(() => findExceptions(portStats, rankedPorts, laneTargets), [portStats, rankedPorts, laneTargets]);
+  
+  // Function to map transit time to a color indicator, judged against a
+  // target transit time (see analytics/targets.js)
+  const getTimeColor = (days, target) => TARGET_STATUS_COLORS[getTransitStatus(days, target)];
+  
+  // Function to map consistency score to a color, judged against a
+  // consistency floor
+  const getConsistencyColor = (score, target) => TARGET_STATUS_COLORS[getConsistencyStatus(score, target)];
+  
+  // The same for a figure on one lane, against that lane's targets
+  const getLaneTimeColor = (days, lane) => getTimeColor(days, getLaneTarget(laneTargets, lane));
+  const getLaneConsistencyColor = (score, lane) => getConsistencyColor(score, getLaneTarget(laneTargets, lane));
+  
+  // Function to map the share of bookings whose sailing slipped to a color
+  const getSlipColor = (share) => {
+    // Based on a scale: <5% = green, 5-15% = yellow, >15% = red
+    if (share < 5) return '#22c55e'; // Green
+    if (share < 15) return '#f59e0b'; // Amber
     return '#ef4444'; // Red
   };
   
-  // Function to map consistency score to a color
-  const getConsistencyColor = (score) => {
-    // Based on a scale: >80 = green, 60-80 = yellow, <60 = red
-    if (score > 80) return '#22c55e'; // Green
-    if (score > 60) return '#f59e0b'; // Amber
+  // Function to map booking acceptance rate to a color
+  const getAcceptanceColor = (rate) => {
+    // Based on a scale: >95% = green, 85-95% = yellow, <85% = red
+    if (rate > 95) return '#22c55e'; // Green
+    if (rate > 85) return '#f59e0b'; // Amber
     return '#ef4444'; // Red
   };
 
+  // Everything that shapes the figures, for export files and the report
+  const activeFilters = [
+    ['Lane set', activeLaneSet.name],
+    ['Lanes', filters.lanes.length ? filters.lanes.map(formatPortName).join(', ') : 'All'],
+    ['Carriers', filters.carriers.length ? filters.carriers.join(', ') : 'All'],
+    ['Booking statuses', filters.bookingStatuses.length ? filters.bookingStatuses.join(', ') : 'All'],
+    ['Origin countries', filters.originCountries.length ? filters.originCountries.join(', ') : 'All'],
+    ['Destination ports', filters.destinationPorts.length ? filters.destinationPorts.join(', ') : 'All'],
+    ['Departures', dateRange.from || dateRange.to ? `${dateRange.from || 'earliest'} to ${dateRange.to || 'latest'}` : 'All dates'],
+    ['Booking version', versionMode === VERSION_MODES.CURRENT ? 'Current version' : 'First confirmed version'],
+    ['Declined bookings', includeDeclined ? 'Included in transit statistics' : 'Excluded from transit statistics'],
+    ['Consistency formula', CONSISTENCY_METHOD_LABELS[consistencyMethod]],
+    ['Weighted by', WEIGHTING_LABELS[weighting]],
+    ['Carriers grouped by', CARRIER_LEVEL_LABELS[carrierLevel]],
+    ['Scorecard weights', Object.entries(scoreWeights).map(([component, weight]) => `${SCORE_COMPONENT_LABELS[component]} ${weight}`).join(', ')],
+    ['Compared periods', comparePeriods ? comparePeriods.map(describePeriod).join(' against ') : 'Not comparing'],
+    ['Min shipments per carrier on a lane', sampleThresholds.minLaneShipments],
+    ['Min shipments per carrier overall', sampleThresholds.minCarrierShipments],
+    ['Source files', datasets.map(dataset => dataset.name).join(', ')]
+  ];
+  
+  const exportTables = useMemo(() => {
+    const formatName = (portId) => formatLaneName(portId, locationAliases);
+    return [
+      buildCarrierTable(carrierSummary),
+      buildScorecardTable(scorecard, scoreWeights),
+      buildLaneComparisonTable(portStats, rankedPorts, formatName),
+      buildLaneCarrierMatrix(portStats, rankedPorts, 'avgTransitDays', 'Avg Days', formatName),
+      buildLaneCarrierMatrix(portStats, rankedPorts, 'shipmentCount', 'Shipments', formatName),
+      buildLaneCarrierMatrix(portStats, rankedPorts, 'teuShare', 'TEU Share %', formatName)
+    ];
+  }, [carrierSummary, scorecard, scoreWeights, portStats, rankedPorts, locationAliases]);
+  
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-50">
         <div className="text-center p-8 max-w-md mx-auto bg-white rounded shadow">
           <h2 className="text-xl font-bold mb-4">Loading Maritime Data...</h2>
-          <div className="w-full bg-gray-200 rounded h-2.5 mb-4">
-            <div className="bg-blue-600 h-2.5 rounded animate-pulse" style={{ width: '75%' }}></div>
+          <div
+            role="progressbar"
+            aria-label="Loading progress"
+            aria-valuemin="0"
+            aria-valuemax="100"
+            aria-valuenow={Math.round(loadProgress.fraction * 100)}
+            className="w-full bg-gray-200 rounded h-2.5 mb-4"
+          >
+            <div className="bg-blue-600 h-2.5 rounded transition-all" style={{ width: `${loadProgress.fraction * 100}%` }}></div>
           </div>
+          <p className="text-sm text-gray-600">{loadProgress.message}</p>
         </div>
       </div>
     );
@@ -392,6 +533,20 @@ const App = () => {
     );
   }
   
+  if (showReport) {
+    return (
+      <PrintReport
+        title={`${activeLaneSet.name}: SONAR Market Carrier Analysis`}
+        filters={activeFilters}
+        carrierSummary={carrierSummary}
+        portStats={portStats}
+        rankedPorts={rankedPorts}
+        formatPortName={formatPortName}
+        onClose={() => setShowReport(false)}
+      />
+    );
+  }
+  
   return (
     <div className="min-h-screen bg-gray-100 p-4">
       <div className="max-w-7xl mx-auto">
@@ -418,14 +573,182 @@ const App = () => {
               </div>
             </div>
 
+            {/* Loaded exports */}
+            <DataSourcePanel
+              datasets={datasets}
+              rowCountsByFile={rowCountsByFile}
+              onLoadFile={handleLoadFile}
+              onAddDatasets={handleAddDatasets}
+              onRemoveDataset={handleRemoveDataset}
+            />
+
+            {/* Data quality */}
+            <DataQualityPanel report={qualityReport} datasets={datasets} />
+
+            {/* Booking version handling */}
+            <div className="flex flex-wrap items-center justify-between gap-4 bg-white rounded-lg border border-gray-200 p-4 mb-6">
+              <div>
+                <label htmlFor="version-mode" className="block text-sm font-medium text-gray-700 mb-1">
+                  Booking Version Used
+                </label>
+                <select
+                  id="version-mode"
+                  value={versionMode}
+                  onChange={(e) => setVersionMode(e.target.value)}
+                  className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value={VERSION_MODES.CURRENT}>Current version</option>
+                  <option value={VERSION_MODES.FIRST_CONFIRMED}>First confirmed version</option>
+                </select>
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={includeDeclined}
+                  onChange={(e) => setIncludeDeclined(e.target.checked)}
+                  className="mr-2"
+                />
+                Include declined bookings in transit statistics
+              </label>
+              <div>
+                <label htmlFor="consistency-method" className="block text-sm font-medium text-gray-700 mb-1">
+                  Consistency Formula
+                </label>
+                <select
+                  id="consistency-method"
+                  value={consistencyMethod}
+                  onChange={(e) => setConsistencyMethod(e.target.value)}
+                  className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  {Object.values(CONSISTENCY_METHODS).map(method => (
+                    <option key={method} value={method}>{CONSISTENCY_METHOD_LABELS[method]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="weighting" className="block text-sm font-medium text-gray-700 mb-1">
+                  Weight Averages By
+                </label>
+                <select
+                  id="weighting"
+                  value={weighting}
+                  onChange={(e) => setWeighting(e.target.value)}
+                  className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  {Object.values(WEIGHTINGS).map(option => (
+                    <option key={option} value={option}>{WEIGHTING_LABELS[option]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="carrier-level" className="block text-sm font-medium text-gray-700 mb-1">
+                  Group Carriers By
+                </label>
+                <select
+                  id="carrier-level"
+                  value={carrierLevel}
+                  onChange={handleCarrierLevelChange}
+                  className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  {Object.values(CARRIER_LEVELS).map(level => (
+                    <option key={level} value={level}>{CARRIER_LEVEL_LABELS[level]}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="text-sm text-gray-500">
+                {transactionCount.toLocaleString()} booking transactions collapsed into {bookingCount.toLocaleString()} unique bookings
+              </p>
+            </div>
+
+            {/* Dashboard filters */}
+            <FilterBar
+              options={filterOptions}
+              filters={filters}
+              dateRange={dateRange}
+              dataDates={dataDates}
+              sampleThresholds={sampleThresholds}
+              hasFilters={hasActiveFilters(filters) || Boolean(dateRange.from || dateRange.to)}
+              formatPortName={formatPortName}
+              onFiltersChange={setFilters}
+              onDateRangeChange={handleDateRangeChange}
+              onThresholdChange={handleThresholdChange}
+              onClearDates={() => setDateRange({ from: '', to: '' })}
+              onClearAll={handleClearFilters}
+            />
+
+            {/* Priority lane sets */}
+            <LaneManagerPanel
+              laneSets={laneSets}
+              laneVolumes={laneVolumes}
+              formatPortName={formatPortName}
+              onChange={setLaneSets}
+            />
+            
+            {/* Target transit times and consistency floors per lane */}
+            <LaneTargetsPanel
+              targets={laneTargets}
+              lanes={rankedPortPairs}
+              formatPortName={formatPortName}
+              onChange={setLaneTargets}
+            />
+            
+            {/* Names for ports outside the reference table */}
+            <LocationAliasPanel
+              aliases={locationAliases}
+              unknownPorts={unknownPorts}
+              onChange={setLocationAliases}
+            />
+            
+            {/* Carrier master list and spellings */}
+            <CarrierAliasPanel
+              carriers={carrierAliases}
+              unknownCarriers={unknownCarriers}
+              onChange={setCarrierAliases}
+            />
+
+            {/* Exports */}
+            <ExportPanel
+              tables={exportTables}
+              filters={activeFilters}
+              onOpenReport={() => setShowReport(true)}
+            />
+
             {/* Key metrics dashboard */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
-              <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-4 shadow">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+              <div role="group" aria-label="Fastest Carrier" className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-4 shadow">
                 <div className="flex justify-between items-start">
                   <div>
                     <h3 className="text-lg font-semibold text-blue-800 mb-2">Fastest Carrier</h3>
-                    <p className="text-2xl font-bold text-blue-900">{carrierSummary[0]?.carrier || 'N/A'}</p>
-                    <p className="text-sm text-blue-700">{carrierSummary[0]?.avgDays.toFixed(1) || 0} days avg. transit time</p>
+                    {!fastestVerdict.winner ? (
+                      <>
+                        <p className="text-2xl font-bold text-blue-900">N/A</p>
+                        <p className="text-sm text-blue-700">No carrier has {sampleThresholds.minCarrierShipments}+ shipments</p>
+                      </>
+                    ) : fastestVerdict.isClearWinner ? (
+                      <>
+                        <p className="text-2xl font-bold text-blue-900">{fastestVerdict.winner.carrier}</p>
+                        <p className="text-sm text-blue-700">
+                          {fastestVerdict.matchup ?
+                            `${Math.abs(fastestVerdict.matchup.transitDelta).toFixed(1)} days faster than ${fastestVerdict.runnerUp.carrier}` :
+                            `${fastestVerdict.winner.avgDays.toFixed(1)} days avg. transit time`}
+                          <span className="block text-xs mt-1">
+                            {fastestVerdict.matchup ?
+                              `Head-to-head on ${fastestVerdict.matchup.laneCount} shared lane${fastestVerdict.matchup.laneCount === 1 ? '' : 's'}` :
+                              'No rival with enough data on its lanes'}
+                          </span>
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-2xl font-bold text-blue-900">No clear winner</p>
+                        <p className="text-sm text-blue-700">
+                          {fastestVerdict.matchup ?
+                            `${fastestVerdict.winner.carrier} ${fastestVerdict.matchup.transitDelta > 0 ? 'trails' : 'leads'} ${fastestVerdict.runnerUp.carrier} by ${Math.abs(fastestVerdict.matchup.transitDelta).toFixed(1)} days on ${fastestVerdict.matchup.laneCount} shared lane${fastestVerdict.matchup.laneCount === 1 ? '' : 's'}` :
+                            `${fastestVerdict.winner.carrier} and ${fastestVerdict.runnerUp.carrier} share no adequately sampled lanes`}
+                          <span className="block text-xs mt-1">Not meaningfully faster than every rival head-to-head</span>
+                        </p>
+                      </>
+                    )}
                   </div>
                   <div className="bg-blue-200 text-blue-800 rounded-full p-2">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -435,12 +758,12 @@ const App = () => {
                 </div>
               </div>
               
-              <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 rounded-lg p-4 shadow">
+              <div role="group" aria-label="Widest Lane Coverage" className="bg-gradient-to-br from-indigo-50 to-indigo-100 rounded-lg p-4 shadow">
                 <div className="flex justify-between items-start">
                   <div>
-                    <h3 className="text-lg font-semibold text-indigo-800 mb-2">Most Reliable Carrier</h3>
-                    <p className="text-2xl font-bold text-indigo-900">{mostReliableCarriers[0]?.carrier || 'N/A'}</p>
-                    <p className="text-sm text-indigo-700">Serves {mostReliableCarriers[0]?.laneCount || 0} priority lanes</p>
+                    <h3 className="text-lg font-semibold text-indigo-800 mb-2">Widest Lane Coverage</h3>
+                    <p className="text-2xl font-bold text-indigo-900">{widestCoverageCarriers[0]?.carrier || 'N/A'}</p>
+                    <p className="text-sm text-indigo-700">Serves {widestCoverageCarriers[0]?.laneCount || 0} priority lanes</p>
                   </div>
                   <div className="bg-indigo-200 text-indigo-800 rounded-full p-2">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -450,15 +773,32 @@ const App = () => {
                 </div>
               </div>
               
-              <div className="bg-gradient-to-br from-violet-50 to-violet-100 rounded-lg p-4 shadow">
+              <div role="group" aria-label="Most Consistent Carrier" className="bg-gradient-to-br from-violet-50 to-violet-100 rounded-lg p-4 shadow">
                 <div className="flex justify-between items-start">
                   <div>
                     <h3 className="text-lg font-semibold text-violet-800 mb-2">Most Consistent Carrier</h3>
-                    <p className="text-2xl font-bold text-violet-900">{mostConsistentCarriers[0]?.carrier || 'N/A'}</p>
-                    <p className="text-sm text-violet-700">
-                      {mostConsistentCarriers[0]?.weightedConsistencyScore.toFixed(1) || 0}/100 consistency score
-                      <span className="block text-xs mt-1">Based on lane-specific performance</span>
-                    </p>
+                    {!consistentVerdict.winner ? (
+                      <>
+                        <p className="text-2xl font-bold text-violet-900">N/A</p>
+                        <p className="text-sm text-violet-700">No carrier has {sampleThresholds.minCarrierShipments}+ shipments on 2+ lanes</p>
+                      </>
+                    ) : consistentVerdict.isClearWinner ? (
+                      <>
+                        <p className="text-2xl font-bold text-violet-900">{consistentVerdict.winner.carrier}</p>
+                        <p className="text-sm text-violet-700">
+                          {consistentVerdict.winner.weightedConsistencyScore.toFixed(1)}/100 consistency score
+                          <span className="block text-xs mt-1">Based on lane-specific performance</span>
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-2xl font-bold text-violet-900">No clear winner</p>
+                        <p className="text-sm text-violet-700">
+                          {consistentVerdict.winner.carrier} ({consistentVerdict.winner.weightedConsistencyScore.toFixed(1)}) and {consistentVerdict.runnerUp.carrier} ({consistentVerdict.runnerUp.weightedConsistencyScore.toFixed(1)})
+                          <span className="block text-xs mt-1">are within the lane-to-lane spread of their scores</span>
+                        </p>
+                      </>
+                    )}
                   </div>
                   <div className="bg-violet-200 text-violet-800 rounded-full p-2">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -467,8 +807,64 @@ const App = () => {
                   </div>
                 </div>
               </div>
+              
+              <div role="group" aria-label="Most Reliable Carrier" className="bg-gradient-to-br from-emerald-50 to-emerald-100 rounded-lg p-4 shadow">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h3 className="text-lg font-semibold text-emerald-800 mb-2">Most Reliable Carrier</h3>
+                    {!reliableVerdict.winner ? (
+                      <>
+                        <p className="text-2xl font-bold text-emerald-900">N/A</p>
+                        <p className="text-sm text-emerald-700">No carrier has {sampleThresholds.minCarrierShipments}+ shipments</p>
+                      </>
+                    ) : reliableVerdict.isClearWinner ? (
+                      <>
+                        <p className="text-2xl font-bold text-emerald-900">{reliableVerdict.winner.carrier}</p>
+                        <p className="text-sm text-emerald-700">
+                          {reliableVerdict.winner.acceptanceRate.toFixed(1)}% of bookings accepted
+                          <span className="block text-xs mt-1">
+                            {reliableVerdict.winner.declinedCount} declined of {reliableVerdict.winner.confirmedCount + reliableVerdict.winner.declinedCount}
+                          </span>
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-2xl font-bold text-emerald-900">No clear winner</p>
+                        <p className="text-sm text-emerald-700">
+                          {reliableVerdict.winner.carrier} ({reliableVerdict.winner.acceptanceRate.toFixed(1)}%) and {reliableVerdict.runnerUp.carrier} ({reliableVerdict.runnerUp.acceptanceRate.toFixed(1)}%)
+                          <span className="block text-xs mt-1">are within the margin of error</span>
+                        </p>
+                      </>
+                    )}
+                  </div>
+                  <div className="bg-emerald-200 text-emerald-800 rounded-full p-2">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </div>
+                </div>
+              </div>
             </div>
 
+            {/* Carrier-lane pairs missing their targets */}
+            <ExceptionsPanel
+              exceptions={exceptions}
+              minLaneShipments={sampleThresholds.minLaneShipments}
+              formatPortName={formatPortName}
+              onSelectLane={handleSelectLane}
+            />
+            
+            {/* Composite carrier scorecard */}
+            <ScorecardPanel
+              scorecard={scorecard}
+              weights={scoreWeights}
+              presets={scorePresets}
+              weighting={weighting}
+              minCarrierShipments={sampleThresholds.minCarrierShipments}
+              onWeightsChange={setScoreWeights}
+              onPresetsChange={setScorePresets}
+            />
+            
             {/* Chart & Table section - Carrier overview */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
               <div className="bg-white rounded-lg shadow border border-gray-200">
@@ -476,13 +872,16 @@ const App = () => {
                   <h2 className="text-lg font-semibold text-gray-800">
                     Market Performance of Carriers on Meijer Lanes
                   </h2>
-                  <p className="text-sm text-gray-500">Average transit times in days by carrier</p>
+                  <p className="text-sm text-gray-500">
+                    Average transit times in days by carrier, with {CONFIDENCE_LEVEL}% error bars; faded bars are low samples
+                    {weighting !== WEIGHTINGS.BOOKINGS && `. Lane averages and consistency are weighted by ${WEIGHTING_LABELS[weighting]}.`}
+                  </p>
                 </div>
                 <div className="p-4">
                   <div style={{ width: '100%', height: 300 }}>
                     <ResponsiveContainer width="100%" height="100%">
                       <BarChart
-                        data={carrierSummary}
+                        data={sailedCarrierSummary}
                         margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
                       >
                         <CartesianGrid strokeDasharray="3 3" />
@@ -498,8 +897,17 @@ const App = () => {
                           }}
                         />
                         <Legend />
-                        <Bar dataKey="avgDays" name="Avg Transit Time (days)" fill="#3b82f6" radius={[4, 4, 0, 0]} />
-                        <Bar dataKey="weightedConsistencyScore" name="Consistency Score" fill="#8b5cf6" radius={[4, 4, 0, 0]} />
+                        <Bar dataKey="avgDays" name="Avg Transit Time (days)" fill="#3b82f6" radius={[4, 4, 0, 0]}>
+                          {sailedCarrierSummary.map(row => (
+                            <Cell key={row.carrier} fillOpacity={row.lowSample ? 0.35 : 1} />
+                          ))}
+                          <ErrorBar dataKey="avgDaysCiMargin" width={4} strokeWidth={1.5} stroke="#1e3a8a" />
+                        </Bar>
+                        <Bar dataKey="weightedConsistencyScore" name="Consistency Score" fill="#8b5cf6" radius={[4, 4, 0, 0]}>
+                          {sailedCarrierSummary.map(row => (
+                            <Cell key={row.carrier} fillOpacity={row.lowSample ? 0.35 : 1} />
+                          ))}
+                        </Bar>
                       </BarChart>
                     </ResponsiveContainer>
                   </div>
@@ -512,14 +920,14 @@ const App = () => {
                     Carrier Reliability Rankings
                   </h2>
                   <p className="text-sm text-gray-500">
-                    Based on lane-specific consistency and coverage
+                    Based on lane-specific consistency, coverage and booking acceptance
                     <span className="inline-block ml-2 text-xs italic">
                       Higher consistency score indicates more predictable service
                     </span>
                   </p>
                 </div>
                 <div className="overflow-y-auto" style={{ maxHeight: '350px' }}>
-                  <table className="min-w-full divide-y divide-gray-200">
+                  <table aria-label="Carrier reliability rankings" className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50 sticky top-0">
                       <tr>
                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
@@ -531,38 +939,81 @@ const App = () => {
                         <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Lanes
                         </th>
+                        <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          TEU
+                        </th>
                         <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Consistency
                         </th>
+                        <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          ETD Slipped
+                        </th>
+                        <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Acceptance
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                       {carrierSummary.map((row, index) => (
                         <tr key={index} className="hover:bg-gray-50">
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <div className="font-medium text-gray-900">{row.carrier}</div>
+                            <div className="font-medium text-gray-900">
+                              {row.carrier}
+                              {row.lowSample && (
+                                <LowSampleBadge shipmentCount={row.shipmentCount} minimum={sampleThresholds.minCarrierShipments} />
+                              )}
+                            </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right">
-                            <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full" 
-                              style={{ backgroundColor: `${getTimeColor(row.avgDays)}20`, color: getTimeColor(row.avgDays) }}>
-                              {row.avgDays}
-                            </span>
+                            {row.avgDays !== null ? (
+                              <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full" 
+                                style={{ backgroundColor: `${getTimeColor(row.avgDays, carrierTargets[row.carrier])}20`, color: getTimeColor(row.avgDays, carrierTargets[row.carrier]) }}>
+                                {row.avgDays}
+                              </span>
+                            ) : 'N/A'}
+                            {row.avgDaysCiMargin !== null && (
+                              <span className="block text-xs text-gray-500 mt-1">±{row.avgDaysCiMargin}</span>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
                             {row.laneCount}
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                            {row.teuCount}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right">
-                            <div className="flex items-center justify-end">
-                              <span className="text-gray-700 mr-2">{row.weightedConsistencyScore.toFixed(1)}</span>
-                              <div className="w-16 bg-gray-200 rounded-full h-2">
-                                <div className="bg-blue-600 h-2 rounded-full" 
-                                  style={{ 
-                                    width: `${Math.min(100, row.weightedConsistencyScore)}%`,
-                                    backgroundColor: getConsistencyColor(row.weightedConsistencyScore)
-                                  }}>
+                            {row.weightedConsistencyScore !== null ? (
+                              <div className="flex items-center justify-end">
+                                <span className="text-gray-700 mr-2">{row.weightedConsistencyScore.toFixed(1)}</span>
+                                <div className="w-16 bg-gray-200 rounded-full h-2">
+                                  <div className="bg-blue-600 h-2 rounded-full" 
+                                    style={{ 
+                                      width: `${Math.min(100, row.weightedConsistencyScore)}%`,
+                                      backgroundColor: getConsistencyColor(row.weightedConsistencyScore, carrierTargets[row.carrier])
+                                    }}>
+                                  </div>
                                 </div>
                               </div>
-                            </div>
+                            ) : 'N/A'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right">
+                            {row.slippedShare !== null ? (
+                              <>
+                                <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full"
+                                  style={{ backgroundColor: `${getSlipColor(row.slippedShare)}20`, color: getSlipColor(row.slippedShare) }}>
+                                  {row.slippedShare.toFixed(1)}%
+                                </span>
+                                <span className="block text-xs text-gray-500 mt-1">avg {row.avgSlipDays} d, worst {row.worstSlipDays} d</span>
+                              </>
+                            ) : 'N/A'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right">
+                            {row.acceptanceRate !== null ? (
+                              <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full"
+                                style={{ backgroundColor: `${getAcceptanceColor(row.acceptanceRate)}20`, color: getAcceptanceColor(row.acceptanceRate) }}>
+                                {row.acceptanceRate.toFixed(1)}%
+                              </span>
+                            ) : 'N/A'}
                           </td>
                         </tr>
                       ))}
@@ -572,10 +1023,83 @@ const App = () => {
               </div>
             </div>
             
+            {/* TEU volume by carrier and lane */}
+            <VolumePanel
+              portStats={portStats}
+              rankedPorts={rankedPorts}
+              carrierColors={CARRIER_COLORS}
+              formatPortName={formatPortName}
+              onSelectLane={handleSelectLane}
+            />
+            
+            {/* Carrier head-to-head */}
+            <HeadToHeadPanel
+              carriers={sailedCarrierSummary.map(row => row.carrier)}
+              selectedCarriers={headToHeadCarriers.filter(carrier => sailedCarrierSummary.some(row => row.carrier === carrier))}
+              portStats={portStats}
+              rankedPorts={rankedPorts}
+              minLaneShipments={sampleThresholds.minLaneShipments}
+              weighting={weighting}
+              formatPortName={formatPortName}
+              onChange={setHeadToHeadCarriers}
+            />
+            
+            {/* Period-over-period comparison */}
+            <PeriodComparisonPanel
+              periods={comparePeriods}
+              results={periodResults}
+              datasets={datasets}
+              dataDates={dataDates}
+              minLaneShipments={sampleThresholds.minLaneShipments}
+              minCarrierShipments={sampleThresholds.minCarrierShipments}
+              weighting={weighting}
+              formatPortName={formatPortName}
+              onChange={setComparePeriods}
+            />
+            
+            {/* All lanes at a glance */}
+            <LaneCarrierHeatmap
+              portStats={portStats}
+              rankedPorts={rankedPorts}
+              selectedPort={selectedPort}
+              metric={heatmapMetric}
+              formatPortName={formatPortName}
+              getTimeColor={getLaneTimeColor}
+              getConsistencyColor={getLaneConsistencyColor}
+              getSlipColor={getSlipColor}
+              onMetricChange={setHeatmapMetric}
+              onSelectLane={handleSelectLane}
+            />
+            
+            {/* Lanes on the world map */}
+            <LaneMap
+              portStats={portStats}
+              rankedPorts={rankedPorts}
+              selectedPort={selectedPort}
+              carrier={mapCarrier}
+              aliases={locationAliases}
+              formatPortName={formatPortName}
+              getTimeColor={getLaneTimeColor}
+              statusColors={TARGET_STATUS_COLORS}
+              onCarrierChange={setMapCarrier}
+              onSelectLane={handleSelectLane}
+            />
+            
+            {/* Country, port and gateway roll-ups */}
+            <RollupPanel
+              rollups={rollups}
+              level={rollupLevel}
+              selectedGroup={rollupGroup}
+              minLaneShipments={sampleThresholds.minLaneShipments}
+              formatPortName={formatPortName}
+              onLevelChange={handleRollupLevelChange}
+              onSelectGroup={setRollupGroup}
+            />
+            
             {/* Lane selector */}
-            <div className="bg-white rounded-lg shadow border border-gray-200 p-4 mb-6">
+            <div id="lane-analysis" className="bg-white rounded-lg shadow border border-gray-200 p-4 mb-6">
               <label htmlFor="lane-selector" className="block text-sm font-medium text-gray-700 mb-2">
-                Select Meijer Priority Shipping Lane
+                Select {activeLaneSet.name} Shipping Lane
               </label>
               <select 
                 id="lane-selector"
@@ -594,40 +1118,59 @@ const App = () => {
             {/* Lane-specific analysis */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
               <div className="bg-white rounded-lg shadow border border-gray-200">
-                <div className="p-4 border-b border-gray-200">
-                  <h2 className="text-lg font-semibold text-gray-800">
-                    Transit Time Analysis: {formatPortName(selectedPort)}
-                  </h2>
-                  <p className="text-sm text-gray-500">
-                    Compare market carrier performance on this lane
-                  </p>
+                <div className="p-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-800">
+                      Transit Time Analysis: {formatPortName(selectedPort)}
+                    </h2>
+                    <p className="text-sm text-gray-500">
+                      {laneChartView === 'distribution' ?
+                        'Box: P25-P75 with median line, whiskers: P10-P90' :
+                        `Compare market carrier performance on this lane; error bars show the ${CONFIDENCE_LEVEL}% confidence interval of the average`}
+                    </p>
+                  </div>
+                  <select
+                    aria-label="Lane chart view"
+                    value={laneChartView}
+                    onChange={(e) => setLaneChartView(e.target.value)}
+                    className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="distribution">Distribution</option>
+                    <option value="minmax">Min / Avg / Max</option>
+                  </select>
                 </div>
                 <div className="p-4">
                   <div style={{ width: '100%', height: 300 }}>
-                    <ResponsiveContainer width="100%" height="100%">
-                      <BarChart
-                        data={transitTimeByPort}
-                        margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-                      >
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis dataKey="carrier" />
-                        <YAxis 
-                          label={{ value: 'Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }} 
-                        />
-                        <Tooltip 
-                          formatter={(value, name) => {
-                            if (name === 'avgTransitDays') return [`${value} days`, 'Avg Transit Time'];
-                            if (name === 'minTransitDays') return [`${value} days`, 'Min Transit Time'];
-                            if (name === 'maxTransitDays') return [`${value} days`, 'Max Transit Time'];
-                            return [value, name];
-                          }}
-                        />
-                        <Legend />
-                        <Bar dataKey="minTransitDays" name="Min Transit Time" fill="#93c5fd" radius={[4, 4, 0, 0]} />
-                        <Bar dataKey="avgTransitDays" name="Avg Transit Time" fill="#3b82f6" radius={[4, 4, 0, 0]} />
-                        <Bar dataKey="maxTransitDays" name="Max Transit Time" fill="#1d4ed8" radius={[4, 4, 0, 0]} />
-                      </BarChart>
-                    </ResponsiveContainer>
+                    {laneChartView === 'distribution' ? (
+                      <TransitBoxPlot data={transitTimeByPort} />
+                    ) : (
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart
+                          data={transitTimeByPort}
+                          margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="carrier" />
+                          <YAxis 
+                            label={{ value: 'Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }} 
+                          />
+                          <Tooltip 
+                            formatter={(value, name) => {
+                              if (name === 'avgTransitDays') return [`${value} days`, 'Avg Transit Time'];
+                              if (name === 'minTransitDays') return [`${value} days`, 'Min Transit Time'];
+                              if (name === 'maxTransitDays') return [`${value} days`, 'Max Transit Time'];
+                              return [value, name];
+                            }}
+                          />
+                          <Legend />
+                          <Bar dataKey="minTransitDays" name="Min Transit Time" fill="#93c5fd" radius={[4, 4, 0, 0]} />
+                          <Bar dataKey="avgTransitDays" name="Avg Transit Time" fill="#3b82f6" radius={[4, 4, 0, 0]}>
+                            <ErrorBar dataKey="ciMarginDays" width={4} strokeWidth={1.5} stroke="#1e3a8a" />
+                          </Bar>
+                          <Bar dataKey="maxTransitDays" name="Max Transit Time" fill="#1d4ed8" radius={[4, 4, 0, 0]} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    )}
                   </div>
                 </div>
               </div>
@@ -646,7 +1189,12 @@ const App = () => {
                     {transitTimeByPort.map((carrier, index) => (
                       <div key={index} className="bg-gray-50 p-3 rounded-lg">
                         <div className="flex justify-between mb-1">
-                          <span className="font-medium text-gray-700">{carrier.carrier}</span>
+                          <span className="font-medium text-gray-700">
+                            {carrier.carrier}
+                            {carrier.lowSample && (
+                              <LowSampleBadge shipmentCount={carrier.shipmentCount} minimum={sampleThresholds.minLaneShipments} />
+                            )}
+                          </span>
                           <span className="text-sm text-gray-500">
                             {carrier.consistencyScore ? `${carrier.consistencyScore.toFixed(1)}/100` : 'N/A'}
                           </span>
@@ -656,12 +1204,12 @@ const App = () => {
                             className="h-2.5 rounded-full" 
                             style={{ 
                               width: `${Math.min(100, carrier.consistencyScore || 0)}%`,
-                              backgroundColor: getConsistencyColor(carrier.consistencyScore || 0)
+                              backgroundColor: getLaneConsistencyColor(carrier.consistencyScore || 0, selectedPort)
                             }}>
                           </div>
                         </div>
                         <div className="flex justify-between text-xs text-gray-500">
-                          <span>Range: {carrier.absoluteRange} days</span>
+                          <span>Range: {carrier.absoluteRange} days · IQR: {carrier.interquartileRange} days</span>
                           <span>{carrier.shipmentCount} shipments</span>
                         </div>
                       </div>
@@ -671,6 +1219,86 @@ const App = () => {
               </div>
             </div>
             
+            {/* Transit trends over time */}
+            <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+              <div className="p-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-800">
+                    Transit Time Trend: {formatPortName(selectedPort)}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    Average transit time and shipment volume by departure {trendGranularity}
+                  </p>
+                </div>
+                <select
+                  aria-label="Trend granularity"
+                  value={trendGranularity}
+                  onChange={(e) => setTrendGranularity(e.target.value)}
+                  className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value={GRANULARITIES.WEEK}>Weekly</option>
+                  <option value={GRANULARITIES.MONTH}>Monthly</option>
+                </select>
+              </div>
+              <div className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div style={{ width: '100%', height: 300 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={transitTrend.data}
+                      margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis
+                        label={{ value: 'Avg Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }}
+                      />
+                      <Tooltip formatter={(value, name) => [`${value} days`, name]} />
+                      <Legend />
+                      <Line type="monotone" dataKey="avgTransitDays" name="Lane Average" stroke="#111827" strokeWidth={3} dot={false} />
+                      {transitTrend.carriers.map((carrier, index) => (
+                        <Line
+                          key={carrier}
+                          type="monotone"
+                          dataKey={carrier}
+                          name={carrier}
+                          stroke={CARRIER_COLORS[index % CARRIER_COLORS.length]}
+                          dot={{ r: 2 }}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div style={{ width: '100%', height: 300 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={transitTrend.data}
+                      margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis
+                        allowDecimals={false}
+                        label={{ value: 'Shipments', angle: -90, position: 'insideLeft', offset: -5 }}
+                      />
+                      <Tooltip formatter={(value, name) => [`${value} shipments`, name]} />
+                      <Legend />
+                      <Line type="monotone" dataKey="shipmentCount" name="Lane Total" stroke="#111827" strokeWidth={3} dot={false} />
+                      {transitTrend.carriers.map((carrier, index) => (
+                        <Line
+                          key={carrier}
+                          type="monotone"
+                          dataKey={`${carrier} shipments`}
+                          name={carrier}
+                          stroke={CARRIER_COLORS[index % CARRIER_COLORS.length]}
+                          dot={{ r: 2 }}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+            
             {/* Data table */}
             <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
               <div className="p-4 border-b border-gray-200">
@@ -679,10 +1307,11 @@ const App = () => {
                 </h2>
                 <p className="text-sm text-gray-500">
                   Complete transit time statistics and consistency metrics
+                  {weighting !== WEIGHTINGS.BOOKINGS && `, weighted by ${WEIGHTING_LABELS[weighting]}`}
                 </p>
               </div>
               <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
+                <table aria-label="Detailed carrier comparison" className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
                       <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
@@ -691,45 +1320,107 @@ const App = () => {
                       <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Avg Transit
                       </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {CONFIDENCE_LEVEL}% CI
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Median
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        P90
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        P25-P75 (IQR)
+                      </th>
                       <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Min-Max
                       </th>
                       <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Consistency
                       </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        ETD Slip
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Acceptance
+                      </th>
                       <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Shipments
                       </th>
+                      <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        TEU (Lane Share)
+                      </th>
+                      {datasets.length > 1 && (
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Source Files
+                        </th>
+                      )}
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
                     {transitTimeByPort.map((row, index) => (
                       <tr key={index} className={index % 2 === 0 ? 'bg-white hover:bg-gray-50' : 'bg-gray-50 hover:bg-gray-100'}>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="font-medium text-gray-900">{row.carrier}</div>
+                          <div className="font-medium text-gray-900">
+                            {row.carrier}
+                            {row.lowSample && (
+                              <LowSampleBadge shipmentCount={row.shipmentCount} minimum={sampleThresholds.minLaneShipments} />
+                            )}
+                          </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right">
                           <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
                             {row.avgTransitDays} days
                           </span>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.ciLowerDays !== null ? `${row.ciLowerDays} - ${row.ciUpperDays}` : 'N/A'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.medianTransitDays} days
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right font-semibold text-gray-900">
+                          {row.p90TransitDays} days
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.p25TransitDays} - {row.p75TransitDays} ({row.interquartileRange})
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
                           {row.minTransitDays} - {row.maxTransitDays} days
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right">
                           <span className="px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full" 
                             style={{ 
-                              backgroundColor: `${getConsistencyColor(row.consistencyScore)}20`, 
-                              color: getConsistencyColor(row.consistencyScore)
+                              backgroundColor: `${getLaneConsistencyColor(row.consistencyScore, selectedPort)}20`, 
+                              color: getLaneConsistencyColor(row.consistencyScore, selectedPort)
                             }}>
                             {row.consistencyScore ? row.consistencyScore.toFixed(1) : 'N/A'}/100
                           </span>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.slippedShare !== null ? (
+                            <>
+                              {row.slippedShare.toFixed(1)}% slipped
+                              <span className="block text-xs text-gray-500">avg {row.avgSlipDays} d, worst {row.worstSlipDays} d</span>
+                            </>
+                          ) : 'N/A'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.acceptanceRate !== null ? `${row.acceptanceRate.toFixed(1)}%` : 'N/A'}
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right">
                           <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
                             {row.shipmentCount}
                           </span>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-gray-700">
+                          {row.teuCount} ({row.teuShare}%)
+                        </td>
+                        {datasets.length > 1 && (
+                          <td className="px-6 py-4 text-sm text-gray-500">
+                            {row.sourceFiles.join(', ')}
+                          </td>
+                        )}
                       </tr>
                     ))}
                   </tbody>
@@ -737,11 +1428,35 @@ const App = () => {
               </div>
             </div>
             
+            {/* Lead times and booking windows */}
+            <LeadTimePanel
+              leadTimes={leadTimes}
+              points={leadTimePoints[selectedPort] || []}
+              rankedPorts={rankedPorts}
+              selectedPort={selectedPort}
+              carrierColors={CARRIER_COLORS}
+              formatPortName={formatPortName}
+              onSelectLane={handleSelectLane}
+            />
+            
+            {/* Arrival estimates for planned bookings */}
+            <TransitEstimatorPanel
+              sailings={sailings}
+              portStats={portStats}
+              rankedPorts={rankedPorts}
+              selectedPort={selectedPort}
+              minLaneShipments={sampleThresholds.minLaneShipments}
+              formatPortName={formatPortName}
+              onSelectLane={handleSelectLane}
+            />
+            
             {/* Consistency explanation card */}
             <div className="bg-indigo-50 rounded-lg shadow border border-indigo-200 p-4 mb-6">
               <h3 className="text-lg font-semibold text-indigo-800 mb-2">About Consistency Scoring</h3>
               <p className="text-sm text-indigo-700 mb-2">
                 The consistency score measures how predictable a carrier's transit times are within each specific shipping lane.
+                It is 100 minus the carrier's relative spread of transit times, using the selected formula: the full range (max - min) against the average,
+                the interquartile range (P75 - P25) against the median, which a single outlier voyage cannot move, or the standard deviation against the average.
               </p>
               <div className="space-y-2 text-sm text-indigo-700">
                 <p>
@@ -757,12 +1472,29 @@ const App = () => {
               <p className="text-sm text-indigo-700 mt-2">
                 The weighted consistency score accounts for shipping volume, giving more importance to performance on frequently used lanes.
               </p>
+              <p className="text-sm text-indigo-700 mt-2">
+                Declined bookings never sailed as booked, so they are left out of transit statistics by default. They still count towards each carrier's acceptance rate - the share of its bookings it confirmed.
+              </p>
+              <p className="text-sm text-indigo-700 mt-2">
+                ETD slip compares the sailing a booking's first version was planned on with the one on its latest version. A booking has slipped when its departure moved
+                {` ${MIN_SLIP_DAYS}`} day or more later - the carrier rolled it to a later sailing. A carrier that keeps rolling cargo is unreliable however quick its voyages are.
+              </p>
+              <p className="text-sm text-indigo-700 mt-2">
+                Carrier names are matched to a master list, so different spellings of one carrier across exports count as one. Grouped by alliance, the carriers in each alliance are pooled and carriers outside one stay on their own.
+              </p>
+              <p className="text-sm text-indigo-700 mt-2">
+                Averages from a handful of sailings are unreliable, so carriers below the minimum shipment counts are flagged as low samples and left out of rankings.
+                The Fastest Carrier card compares carriers head-to-head on the lanes they share, so a carrier serving only short lanes gains no advantage,
+                and names a winner only when it is faster than every rival it shares adequately sampled lanes with by more than chance would explain at {CONFIDENCE_LEVEL}% confidence.
+                The Most Reliable card applies the same test to acceptance rates; otherwise the cards report no clear winner.
+                Consistency scores have no simple error estimate, so the Most Consistent card relies on the sample thresholds alone.
+              </p>
             </div>
           </div>
         </div>
         
         <div className="text-center text-sm text-gray-600">
-          <p>Meijer Shipping Lanes SONAR Market Analysis | Data Last Updated: February 2025</p>
+          <p>Meijer Shipping Lanes SONAR Market Analysis | Data Last Updated: {formatDate(dataDates.lastUpdated) || 'N/A'}</p>
         </div>
       </div>
     </div>
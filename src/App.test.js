@@ -1,8 +1,482 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import fs from 'fs';
+import path from 'path';
 import App from './App';
 
-test('renders learn react link', () => {
+const FIXTURE = fs.readFileSync(path.join(__dirname, '__fixtures__', 'sonar_sample.csv'), 'utf8');
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(FIXTURE) }));
+  // Recharts warns about zero-sized charts in jsdom
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const renderDashboard = async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/Data Last Updated: February 2, 2025/);
+};
+
+test('loads the bundled export', async () => {
+  await renderDashboard();
+  expect(global.fetch).toHaveBeenCalledWith('/data/maritime_shipment_data.csv');
+  expect(screen.getByText('10 booking transactions collapsed into 9 unique bookings')).toBeInTheDocument();
+});
+
+test('shows loading progress until the data is analysed', async () => {
+  render(<App />);
+  const progress = screen.getByRole('progressbar', { name: 'Loading progress' });
+  expect(progress).toHaveAttribute('aria-valuenow', '0');
+  expect(screen.getByText('Downloading bookings...')).toBeInTheDocument();
+
+  await screen.findByText(/Data Last Updated: February 2, 2025/);
+  expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+});
+
+test('renders the headline carriers computed from the data', async () => {
+  await renderDashboard();
+
+  const coverage = screen.getByRole('group', { name: 'Widest Lane Coverage' });
+  expect(within(coverage).getByText('MSC')).toBeInTheDocument();
+  expect(within(coverage).getByText('Serves 2 priority lanes')).toBeInTheDocument();
+});
+
+test('limits the analysis to the chosen departure dates', async () => {
+  await renderDashboard();
+  const coverage = screen.getByRole('group', { name: 'Widest Lane Coverage' });
+  // Shipments analysed, as the loaded file's row lists them
+  const analysedCount = () => {
+    const fileRow = screen.getAllByRole('row')
+      .find(row => within(row).queryByRole('button', { name: 'Remove maritime_shipment_data.csv' }));
+    return within(fileRow).getAllByRole('cell')[2].textContent;
+  };
+  expect(analysedCount()).toBe('7');
+
+  // Only the March sailings, all to Los Angeles, depart from the 1st
+  fireEvent.change(screen.getByLabelText('Departing From'), { target: { value: '2025-03-01' } });
+  expect(analysedCount()).toBe('3');
+  expect(within(coverage).getByText(/Serves 1 priority lane/)).toBeInTheDocument();
+  expect(window.location.hash).toContain('from=2025-03-01');
+
+  // Both bounds are inclusive: the two sailings of 4 February alone
+  fireEvent.change(screen.getByLabelText('Departing From'), { target: { value: '2025-02-04' } });
+  fireEvent.change(screen.getByLabelText('Departing To'), { target: { value: '2025-02-04' } });
+  expect(analysedCount()).toBe('2');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear Dates' }));
+  expect(analysedCount()).toBe('7');
+  expect(within(coverage).getByText(/Serves 2 priority lanes/)).toBeInTheDocument();
+});
+
+test('adds the files that parse and reports the ones that do not', async () => {
+  await renderDashboard();
+  const good = new File([FIXTURE.replace(/^MSC,/gm, 'ZIM,')], 'update.csv', { type: 'text/csv' });
+  const bad = new File(['unreadable'], 'broken.csv', { type: 'text/csv' });
+  bad.slice = () => {
+    throw new Error('The file could not be read');
+  };
+
+  fireEvent.change(screen.getByTestId('csv-file-input'), { target: { files: [good, bad] } });
+  expect(await screen.findByText('Error parsing CSV: broken.csv (The file could not be read)')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Remove update.csv' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Remove broken.csv' })).not.toBeInTheDocument();
+});
+
+test('declares no winner from small samples', async () => {
+  await renderDashboard();
+
+  // No carrier in the sample has the default 30 shipments
+  const fastest = screen.getByRole('group', { name: 'Fastest Carrier' });
+  expect(within(fastest).getByText('N/A')).toBeInTheDocument();
+  expect(within(fastest).getByText('No carrier has 30+ shipments')).toBeInTheDocument();
+  const consistent = screen.getByRole('group', { name: 'Most Consistent Carrier' });
+  expect(within(consistent).getByText('N/A')).toBeInTheDocument();
+
+  // With the bars lowered, single-shipment ZIM beats MSC on their shared
+  // lane but proves nothing
+  fireEvent.change(screen.getByLabelText('Min Shipments per Carrier Overall'), { target: { value: '1' } });
+  fireEvent.change(screen.getByLabelText('Min Shipments per Carrier on a Lane'), { target: { value: '1' } });
+  expect(within(fastest).getByText('No clear winner')).toBeInTheDocument();
+  expect(within(fastest).getByText(/ZIM leads MSC by 1\.5 days on 1 shared lane/)).toBeInTheDocument();
+  // MSC alone serves two lanes, so it has no rival for consistency
+  expect(within(consistent).getByText('MSC')).toBeInTheDocument();
+});
+
+test('says when the fastest carrier trails its runner-up head-to-head', async () => {
+  // A slow ONE sailing gives MSC a second win, so it ranks first on wins
+  // although ZIM beats it on their shared lane
+  const slowSailing = 'ONE,3001,2502010010030010011,Confirmed,CNYTN--USSEA,100,600,1,2,45692,45692,45690.5,,,45680.5';
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(`${FIXTURE.trim()}\n${slowSailing}\n`) }));
+  await renderDashboard();
+  fireEvent.change(screen.getByLabelText('Min Shipments per Carrier Overall'), { target: { value: '1' } });
+  fireEvent.change(screen.getByLabelText('Min Shipments per Carrier on a Lane'), { target: { value: '1' } });
+
+  const fastest = screen.getByRole('group', { name: 'Fastest Carrier' });
+  expect(within(fastest).getByText('No clear winner')).toBeInTheDocument();
+  expect(within(fastest).getByText(/MSC trails ZIM by 1\.5 days on 1 shared lane/)).toBeInTheDocument();
+});
+
+test('ranks carriers in the reliability table', async () => {
+  await renderDashboard();
+
+  const table = screen.getByRole('table', { name: 'Carrier reliability rankings' });
+  const rows = within(table).getAllByRole('row').slice(1);
+  expect(rows).toHaveLength(4);
+  expect(within(rows[0]).getByText('ZIM')).toBeInTheDocument();
+  expect(within(rows[1]).getByText('MSC')).toBeInTheDocument();
+  expect(within(rows[2]).getByText('MAERSK')).toBeInTheDocument();
+  expect(within(rows[1]).getByText('17.75')).toBeInTheDocument();
+  expect(within(rows[2]).getByText('50.0%')).toBeInTheDocument();
+  // CMA CGM's one booking has no transit time, but its acceptance counts
+  expect(within(rows[3]).getByText('CMA CGM')).toBeInTheDocument();
+  expect(within(rows[3]).getAllByText('N/A')).toHaveLength(2);
+  expect(within(rows[3]).getByText('100.0%')).toBeInTheDocument();
+});
+
+test('lists only ranked lanes with data and details the first one', async () => {
+  await renderDashboard();
+
+  const options = within(screen.getByLabelText(/Shipping Lane/)).getAllByRole('option');
+  expect(options.map(option => option.textContent)).toEqual([
+    '1. China-Yantian to USA-Seattle (4 shipments)',
+    '12. China-Yantian to USA-Los Angeles (3 shipments)'
+  ]);
+
+  const details = screen.getByRole('table', { name: 'Detailed carrier comparison' });
+  // MSC's average and median transit are both 21 days
+  expect(await within(details).findAllByText('21 days')).toHaveLength(2);
+  expect(within(details).getByText('20 - 22 days')).toBeInTheDocument();
+  expect(within(details).getByText('21.8 days')).toBeInTheDocument();
+});
+
+test('opens the printable report with the active filters', async () => {
+  await renderDashboard();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Printable Report' }));
+  expect(screen.getByText('Meijer Priority Lanes: SONAR Market Carrier Analysis')).toBeInTheDocument();
+  expect(screen.getByText('Excluded from transit statistics')).toBeInTheDocument();
+  expect(screen.getByRole('table', { name: 'Report lane CNYTN--USSEA' })).toBeInTheDocument();
+  expect(screen.getByRole('table', { name: 'Report lane CNYTN--USLAX' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Back to Dashboard' }));
+  expect(screen.getByRole('table', { name: 'Carrier reliability rankings' })).toBeInTheDocument();
+});
+
+test('compares picked carriers on the lanes they share', async () => {
+  await renderDashboard();
+
+  const picker = screen.getByRole('group', { name: 'Carriers to compare' });
+  fireEvent.click(within(picker).getByRole('button', { name: 'MSC' }));
+  expect(screen.getByText('Select at least two carriers to compare.')).toBeInTheDocument();
+
+  fireEvent.click(within(picker).getByRole('button', { name: 'MAERSK' }));
+  const table = screen.getByRole('table', { name: 'Head-to-head comparison' });
+  const rows = within(table).getAllByRole('row');
+  // Header, the one shared lane, and the weighted total
+  expect(rows).toHaveLength(3);
+  expect(within(rows[1]).getByText('1. China-Yantian to USA-Seattle')).toBeInTheDocument();
+  expect(within(rows[1]).getByText('+2 days')).toBeInTheDocument();
+  expect(within(rows[2]).getByText('Volume-weighted (1 shared lane)')).toBeInTheDocument();
+});
+
+test('drills into a lane from the heatmap', async () => {
+  await renderDashboard();
+
+  const heatmap = screen.getByRole('table', { name: 'Lane carrier heatmap' });
+  expect(within(heatmap).getByLabelText('ZIM has no shipments on China-Yantian to USA-Seattle')).toBeInTheDocument();
+
+  fireEvent.click(within(heatmap).getByRole('button', { name: 'ZIM on China-Yantian to USA-Los Angeles: 13.0 d, 1 shipments' }));
+  expect(screen.getByLabelText(/Shipping Lane/)).toHaveValue('CNYTN--USLAX');
+
+  fireEvent.change(screen.getByLabelText('Heatmap metric'), { target: { value: 'consistencyScore' } });
+  expect(within(heatmap).getByRole('button', { name: 'ZIM on China-Yantian to USA-Los Angeles: 100.0, 1 shipments' })).toBeInTheDocument();
+});
+
+test('narrows the dashboard with the filter bar and keeps it in the URL', async () => {
+  await renderDashboard();
+
+  fireEvent.click(within(screen.getByRole('group', { name: 'Carriers' })).getByLabelText('MSC'));
+  const options = within(screen.getByLabelText(/Shipping Lane/)).getAllByRole('option');
+  expect(options.map(option => option.textContent)).toEqual([
+    '1. China-Yantian to USA-Seattle (3 shipments)',
+    '12. China-Yantian to USA-Los Angeles (2 shipments)'
+  ]);
+  expect(window.location.hash).toBe('#carriers=MSC&lane=CNYTN--USSEA');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear Filters' }));
+  expect(window.location.hash).toBe('#lane=CNYTN--USSEA');
+});
+
+test('restores a shared view from the URL', async () => {
+  window.history.replaceState(null, '', '/#lane=CNYTN--USLAX&metric=consistencyScore&minCarrier=1&minLane=1');
+  await renderDashboard();
+
+  expect(screen.getByLabelText(/Shipping Lane/)).toHaveValue('CNYTN--USLAX');
+  expect(screen.getByLabelText('Heatmap metric')).toHaveValue('consistencyScore');
+  expect(screen.getByLabelText('Min Shipments per Carrier Overall')).toHaveValue(1);
+  const fastest = screen.getByRole('group', { name: 'Fastest Carrier' });
+  expect(within(fastest).getByText('No clear winner')).toBeInTheDocument();
+});
+
+test('keeps the active lane set in the URL and restores it from a link', async () => {
+  window.history.replaceState(null, '', '/#laneSet=set-shared&priority=CNYTN--USLAX&priority=CNYTN--USSEA');
+  await renderDashboard();
+
+  // The set is new to this browser, so it is added from the link's lanes
+  const options = within(screen.getByLabelText(/Shipping Lane/)).getAllByRole('option');
+  expect(options.map(option => option.textContent)).toEqual([
+    '1. China-Yantian to USA-Los Angeles (3 shipments)',
+    '2. China-Yantian to USA-Seattle (4 shipments)'
+  ]);
+  expect(window.location.hash).toMatch(/^#priority=CNYTN--USLAX&priority=CNYTN--USSEA&laneSet=set-[^&]+&lane=CNYTN--USLAX$/);
+});
+
+test('rolls lanes up to gateways and ranks carriers within one', async () => {
+  await renderDashboard();
+
+  fireEvent.change(screen.getByLabelText('Roll-up level'), { target: { value: 'gateway' } });
+  const groups = screen.getByRole('table', { name: 'Roll-up groups' });
+  const rows = within(groups).getAllByRole('row').slice(1);
+  expect(rows).toHaveLength(2);
+  expect(within(rows[0]).getByText('China to USA-Seattle')).toBeInTheDocument();
+  expect(within(rows[0]).getByText('+7.5 days')).toBeInTheDocument();
+  expect(within(rows[1]).getByText('Fastest')).toBeInTheDocument();
+
+  fireEvent.click(within(rows[1]).getByRole('button', { name: 'China to USA-Los Angeles' }));
+  const carriers = screen.getByRole('table', { name: 'Roll-up carriers' });
+  expect(within(carriers).getAllByRole('row').slice(1).map(row => within(row).getAllByRole('cell')[0].textContent))
+    .toEqual([expect.stringMatching(/^ZIM/), expect.stringMatching(/^MSC/)]);
+  expect(window.location.hash).toContain('rollup=gateway&group=CN--USLAX');
+});
+
+test('names ports missing from the reference table', async () => {
+  window.history.replaceState(null, '', '/#laneSet=set-shared&priority=PKGWD--USNYC&priority=IDSIN--USSEA&priority=CNYTN--USSEA');
+  await renderDashboard();
+
+  // The linked lane set includes two ports the table does not know
+  expect(screen.getByText('2 ports without a name')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Manage Port Names' }));
+  fireEvent.click(screen.getByRole('button', { name: 'PKGWD' }));
+  expect(screen.getByLabelText('Port code')).toHaveValue('PKGWD');
+
+  fireEvent.change(screen.getByLabelText('Port name'), { target: { value: 'Gwadar' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Port Name' }));
+  expect(screen.getByText('Pakistan-Gwadar')).toBeInTheDocument();
+  expect(screen.getByText('1 port without a name')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('go-sonar.locationAliases'))).toEqual({
+    PKGWD: { name: 'Gwadar', latitude: null, longitude: null }
+  });
+});
+
+test('selects a lane from the map and narrows it to one carrier', async () => {
+  await renderDashboard();
+
+  const map = screen.getByRole('group', { name: 'Lane map' });
+  fireEvent.click(within(map).getByRole('button', { name: 'China-Yantian to USA-Los Angeles: 3 shipments, 14 days average' }));
+  expect(screen.getByLabelText(/Shipping Lane/)).toHaveValue('CNYTN--USLAX');
+
+  fireEvent.change(screen.getByLabelText('Map carrier'), { target: { value: 'ZIM' } });
+  expect(within(map).getAllByRole('button').map(arc => arc.getAttribute('aria-label'))).toEqual([
+    'China-Yantian to USA-Los Angeles: 1 shipments, 13 days average'
+  ]);
+  expect(window.location.hash).toContain('mapCarrier=ZIM');
+});
+
+test('shows booking notice per carrier and decline rates by booking window', async () => {
+  await renderDashboard();
+
+  const carriers = screen.getByRole('table', { name: 'Booking notice by carrier' });
+  const maersk = within(carriers).getByRole('row', { name: /^MAERSK/ });
+  expect(within(maersk).getAllByText('10.5 days')).toHaveLength(1);
+  expect(within(maersk).getByText('Not enough bookings')).toBeInTheDocument();
+
+  const windows = screen.getByRole('table', { name: 'Decline rate by booking window' });
+  const laxRow = within(windows).getByRole('row', { name: /^China-Yantian to USA-Los Angeles/ });
+  expect(within(laxRow).getByText('42.5 days')).toBeInTheDocument();
+  fireEvent.click(within(laxRow).getByRole('button'));
+  expect(screen.getByLabelText(/Shipping Lane/)).toHaveValue('CNYTN--USLAX');
+  expect(screen.getByText('Lead Time vs Transit: China-Yantian to USA-Los Angeles')).toBeInTheDocument();
+});
+
+test('weights averages by TEU and shows carrier TEU shares per lane', async () => {
+  await renderDashboard();
+
+  const shares = screen.getByRole('table', { name: 'TEU share by lane' });
+  const seattle = within(shares).getByRole('row', { name: /^China-Yantian to USA-Seattle/ });
+  expect(within(seattle).getByText('60%')).toBeInTheDocument();
+  expect(within(seattle).getByText('40%')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Weight Averages By'), { target: { value: 'teu' } });
+  const map = screen.getByRole('group', { name: 'Lane map' });
+  expect(within(map).getByRole('button', { name: 'China-Yantian to USA-Los Angeles: 3 shipments, 14.2 days average' })).toBeInTheDocument();
+  expect(window.location.hash).toContain('weight=teu');
+});
+
+test('shows departure slip beside consistency and on the heatmap', async () => {
+  await renderDashboard();
+
+  const rankings = screen.getByRole('table', { name: 'Carrier reliability rankings' });
+  const msc = within(rankings).getByRole('row', { name: /^MSC/ });
+  expect(within(msc).getByText('20.0%')).toBeInTheDocument();
+  expect(within(msc).getByText('avg 1.4 d, worst 7 d')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Heatmap metric'), { target: { value: 'slippedShare' } });
+  const heatmap = screen.getByRole('table', { name: 'Lane carrier heatmap' });
+  expect(within(heatmap).getByRole('button', { name: 'MSC on China-Yantian to USA-Seattle: 33.3%, 3 shipments' })).toBeInTheDocument();
+});
+
+test('ranks carriers on a weighted scorecard and saves weight presets', async () => {
+  await renderDashboard();
+
+  const scorecard = screen.getByRole('table', { name: 'Carrier scorecard' });
+  const leader = () => within(scorecard).getAllByRole('row')[1];
+  expect(within(leader()).getByText('MSC')).toBeInTheDocument();
+  expect(within(leader()).getByText('94.6')).toBeInTheDocument();
+
+  // Speed and slip outweigh MSC's wider coverage
+  fireEvent.change(screen.getByLabelText('Preset'), { target: { value: 'time-critical' } });
+  expect(within(leader()).getByText('ZIM')).toBeInTheDocument();
+  expect(within(leader()).getByText('98.3')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Lane Coverage'), { target: { value: '10' } });
+  expect(screen.getByLabelText('Preset')).toHaveValue('');
+  jest.spyOn(window, 'prompt').mockReturnValue('Award review');
+  fireEvent.click(screen.getByRole('button', { name: 'Save as Preset' }));
+  expect(screen.getByRole('option', { name: 'Award review', selected: true })).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('go-sonar.scorecardPresets'))).toEqual([
+    expect.objectContaining({
+      name: 'Award review',
+      weights: { transit: 10, consistency: 7, coverage: 10, volume: 0, acceptance: 4, slip: 8 }
+    })
+  ]);
+});
+
+test('rolls carriers up to alliances', async () => {
+  await renderDashboard();
+
+  fireEvent.change(screen.getByLabelText('Group Carriers By'), { target: { value: 'alliance' } });
+  const rankings = screen.getByRole('table', { name: 'Carrier reliability rankings' });
+  expect(within(rankings).getByRole('row', { name: /^Gemini Cooperation/ })).toBeInTheDocument();
+  expect(within(rankings).getByRole('row', { name: /^MSC/ })).toBeInTheDocument();
+  expect(window.location.hash).toContain('by=alliance');
+});
+
+test('maps a new spelling of a carrier onto the master list', async () => {
+  const renamed = FIXTURE.replace(/^ZIM,/m, 'Zim Line Ltd.,');
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(renamed) }));
+  await renderDashboard();
+
+  const rankings = screen.getByRole('table', { name: 'Carrier reliability rankings' });
+  expect(within(rankings).getByRole('row', { name: /^Zim Line Ltd\./ })).toBeInTheDocument();
+  expect(screen.getByText('1 carrier name not on the master list')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Manage Carrier Names' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Edit ZIMU' }));
+  const unmatched = screen.getByRole('group', { name: 'Unmatched carrier names' });
+  fireEvent.click(within(unmatched).getByRole('button', { name: 'Zim Line Ltd.' }));
+  expect(screen.getByLabelText('Other spellings')).toHaveValue('Zim Line Ltd.');
+  fireEvent.click(screen.getByRole('button', { name: 'Save Carrier' }));
+
+  expect(within(rankings).getByRole('row', { name: /^ZIM/ })).toBeInTheDocument();
+  expect(screen.queryByText('1 carrier name not on the master list')).not.toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('go-sonar.carrierAliases'))).toEqual({
+    ZIMU: { shortName: 'ZIM', name: 'ZIM Integrated Shipping Services', alliance: null, aliases: ['Zim Line Ltd.'] }
+  });
+});
+
+test('compares two periods and lists the biggest movers', async () => {
+  // MSC's later Seattle sailing takes two days longer
+  const slower = FIXTURE.replace(',504,', ',552,');
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(slower) }));
+  await renderDashboard();
+  fireEvent.change(screen.getByLabelText('Min Shipments per Carrier on a Lane'), { target: { value: '1' } });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Compare Periods' }));
+  fireEvent.change(screen.getByLabelText('Period A from'), { target: { value: '2025-02-01' } });
+  fireEvent.change(screen.getByLabelText('Period A to'), { target: { value: '2025-02-09' } });
+  fireEvent.change(screen.getByLabelText('Period B from'), { target: { value: '2025-02-10' } });
+  fireEvent.change(screen.getByLabelText('Period B to'), { target: { value: '2025-03-31' } });
+  expect(window.location.hash).toContain('periodA=2025-02-01..2025-02-09');
+
+  const comparison = screen.getByRole('table', { name: 'Period comparison' });
+  // Across lanes MSC looks faster, as Period B adds its shorter Los Angeles lane
+  expect(within(comparison).getByRole('row', { name: /^MSC Low sample 21 18\.75 ▼ -2\.25 ▼ -10\.7%/ })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Compare'), { target: { value: 'CNYTN--USSEA' } });
+  expect(within(comparison).getByRole('row', { name: /^Whole lane/ })).toBeInTheDocument();
+  expect(within(comparison).getByRole('row', { name: /^MAERSK gone 23 - - -/ })).toBeInTheDocument();
+
+  const movers = screen.getByRole('table', { name: 'Biggest movers' });
+  const msc = within(movers).getByRole('row', { name: /^MSC/ });
+  expect(within(msc).getByText('▲ +2')).toHaveClass('text-red-700');
+  expect(within(msc).getByText('▲ +9.5%')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Stop Comparing' }));
+  expect(screen.queryByRole('table', { name: 'Biggest movers' })).not.toBeInTheDocument();
+  expect(window.location.hash).not.toContain('periodA');
+});
+
+test('lists carrier-lane pairs missing their lane targets and saves new targets', async () => {
+  window.history.replaceState(null, '', '/#minLane=1');
+  await renderDashboard();
+
+  // Worst first; both miss the default 20-day target
+  const rowsOf = () => within(screen.getByRole('table', { name: 'Exceptions' })).getAllByRole('row').slice(1);
+  expect(rowsOf().map(row => within(row).getAllByRole('cell')[1].textContent)).toEqual(['MAERSK', 'MSC']);
+  expect(within(rowsOf()[0]).getByText('15% off')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Manage Lane Targets' }));
+  fireEvent.change(screen.getByLabelText('China-Yantian to USA-Seattle target transit (days)'), { target: { value: '22' } });
+  expect(rowsOf().map(row => within(row).getAllByRole('cell')[1].textContent)).toEqual(['MAERSK']);
+  expect(within(rowsOf()[0]).getByText('23.0 d / 22 d')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('go-sonar.laneTargets'))).toEqual({
+    defaults: { transitDays: 20, consistencyFloor: 80 },
+    lanes: { 'CNYTN--USSEA': { transitDays: 22 } }
+  });
+
+  // A zero target, or a consistency floor no score can reach, is ignored rather than saved
+  fireEvent.change(screen.getByLabelText('China-Yantian to USA-Seattle target transit (days)'), { target: { value: '0' } });
+  fireEvent.change(screen.getByLabelText('China-Yantian to USA-Seattle consistency floor'), { target: { value: '120' } });
+  expect(JSON.parse(window.localStorage.getItem('go-sonar.laneTargets')).lanes).toEqual({ 'CNYTN--USSEA': { transitDays: 22 } });
+
+  // The lane's own target outranks the defaults until it is reset
+  fireEvent.change(screen.getByLabelText('Default target transit (days)'), { target: { value: '25' } });
+  expect(rowsOf()).toHaveLength(1);
+  fireEvent.click(screen.getByRole('button', { name: 'Reset China-Yantian to USA-Seattle to the defaults' }));
+  expect(screen.getByText('Every carrier is on target on every priority lane.')).toBeInTheDocument();
+});
+
+test('estimates arrival for a planned booking and back-tests the estimate', async () => {
+  // Four more MSC sailings on Yantian to Seattle, the last two leaving once
+  // five have arrived, enough to back-test on
+  const extraSailings = [[2001, 45706, 480], [2002, 45707, 504], [2003, 45730, 528], [2004, 45731, 600]]
+    .map(([id, etd, hours]) => `MSC,${id},25020100100${id}0011,Confirmed,CNYTN--USSEA,100,${hours},1,2,${etd},${etd},45700.5,,,45680.5`);
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(`${FIXTURE.trim()}\n${extraSailings.join('\n')}\n`) }));
+  render(<App />);
+  await screen.findByText(/Data Last Updated/);
+
+  fireEvent.change(screen.getByLabelText('Planned departure'), { target: { value: '2025-03-03' } });
+  const estimate = () => screen.getByRole('group', { name: 'Arrival estimate' });
+  expect(within(estimate()).getByText('March 24, 2025')).toBeInTheDocument();
+  expect(within(estimate()).getByText('March 27, 2025')).toBeInTheDocument();
+  expect(within(estimate()).getByText('23.5 days in transit')).toBeInTheDocument();
+  expect(within(estimate()).getByText(/Based on 7 sailings/)).toBeInTheDocument();
+
+  // The last two sailings are predicted from the five that had arrived
+  const backtest = screen.getByRole('table', { name: 'Estimate back-test' });
+  const pairRow = within(backtest).getByRole('row', { name: /^MSC on this lane/ });
+  expect(within(pairRow).getAllByRole('cell').map(cell => cell.textContent)).toEqual(['2', '2.5 days', '2.5 days late', '0.0%', '0.0%']);
+
+  // Without recency weighting the old sailings count in full
+  fireEvent.change(screen.getByLabelText('Favour recent sailings'), { target: { value: '0' } });
+  expect(within(estimate()).getByText('23.2 days in transit')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Carrier'), { target: { value: 'MAERSK' } });
+  expect(within(estimate()).getAllByText('March 26, 2025')).toHaveLength(2);
+  expect(within(estimate()).getByText(/Based on 1 sailing/)).toBeInTheDocument();
 });
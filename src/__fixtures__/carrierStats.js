@@ -0,0 +1,8 @@
+// One carrier's statistics on a lane, as laneStats.js builds them, with
+// just the fields the target and period comparisons read
+export const carrierStats = (avgTransitDays, consistencyScore, shipmentCount = 10, lowSample = false) => ({
+  avgTransitDays,
+  consistencyScore,
+  shipmentCount,
+  lowSample
+});
@@ -0,0 +1,10 @@
+// One confirmed booking row as the analytics see it after loading, with
+// extra overriding or adding fields
+export const shipment = (carrier, lane, transitDays, extra = {}) => ({
+  carrier_name: carrier,
+  port_2_port_id: lane,
+  transit_time: transitDays * 24,
+  booking_status: 'Confirmed',
+  source_file: 'export.csv',
+  ...extra
+});
@@ -0,0 +1,275 @@
+import _ from 'lodash';
+import { calculateAcceptanceRate } from '../data/bookingStatus.js';
+import {
+  calculateMeanConfidenceInterval,
+  DEFAULT_SAMPLE_THRESHOLDS,
+  isMeaningfulDifference,
+  isMeaningfulProportionDifference,
+  Z_CRITICAL
+} from './confidence.js';
+import { isClearHeadToHeadWinner, rankCarriersHeadToHead } from './headToHead.js';
+import { round } from './stats.js';
+import { getVolume, WEIGHTINGS } from './weighting.js';
+
+// Standard error of a carrier's average transit time, which is the plain
+// mean of its lane averages. Lanes with a single shipment have no spread of
+// their own, so they borrow the carrier's pooled within-lane variance; with
+// no lane of two or more shipments the error is unknown (null).
+const calculateCarrierStandardError = (lanes) => {
+  const measured = lanes.filter(lane => lane.standardError !== null);
+  if (measured.length === 0) return null;
+  
+  const pooledVariance = _.sumBy(measured, lane => (lane.standardError ** 2) * lane.shipmentCount * (lane.shipmentCount - 1)) /
+    _.sumBy(measured, lane => lane.shipmentCount - 1);
+  const varianceOfMean = _.sumBy(lanes, lane => (
+    lane.standardError !== null ? lane.standardError ** 2 : pooledVariance / lane.shipmentCount
+  )) / (lanes.length ** 2);
+  return Math.sqrt(varianceOfMean);
+};
+
+// Create a summary of carriers' average performance across all ranked lanes,
+// fastest first. Carriers with fewer than minCarrierShipments shipments are
+// marked lowSample and listed after the rest; acceptanceLowSample does the
+// same for decided bookings. Carriers with bookings but no shipments (all
+// declined, say) are listed with laneCount 0 and null transit and
+// consistency figures. The weighted consistency score weights lanes by the
+// carrier's volume on them under options.weighting (bookings by default,
+// see WEIGHTINGS).
+export const getCarrierSummary = (portStats, options = {}) => {
+  const {
+    minCarrierShipments = DEFAULT_SAMPLE_THRESHOLDS.minCarrierShipments,
+    weighting = WEIGHTINGS.BOOKINGS
+  } = options;
+  const carrierStats = {};
+  const getCarrierStats = (carrier) => {
+    if (!carrierStats[carrier]) {
+      carrierStats[carrier] = { 
+        totalDays: 0,
+        laneCount: 0,
+        shipmentCount: 0,
+        containerCount: 0,
+        teuCount: 0,
+        totalConsistencyScore: 0,
+        weightedConsistencyTotal: 0,
+        totalWeightingFactor: 0,
+        confirmedCount: 0,
+        declinedCount: 0,
+        slipBookingCount: 0,
+        slippedCount: 0,
+        totalSlipDays: 0,
+        worstSlipDays: null,
+        lanes: []
+      };
+    }
+    return carrierStats[carrier];
+  };
+  
+  Object.values(portStats).forEach(portStat => {
+    // Acceptance and departure slip count every booking on the lane, so
+    // carriers that never sailed it still answer for their declines
+    Object.entries(portStat.carrierStatuses).forEach(([carrier, stats]) => {
+      const totals = getCarrierStats(carrier);
+      totals.confirmedCount += stats.confirmedCount;
+      totals.declinedCount += stats.declinedCount;
+      
+      // Departure slip, pooled over the bookings on every lane
+      if (stats.slipBookingCount > 0) {
+        totals.slipBookingCount += stats.slipBookingCount;
+        totals.slippedCount += stats.slippedCount;
+        totals.totalSlipDays += stats.avgSlipDays * stats.slipBookingCount;
+        totals.worstSlipDays = Math.max(totals.worstSlipDays ?? -Infinity, stats.worstSlipDays);
+      }
+    });
+    
+    // Calculate total and count for each carrier
+    Object.entries(portStat.carriers).forEach(([carrier, stats]) => {
+      getCarrierStats(carrier);
+      carrierStats[carrier].totalDays += stats.avgTransitDays;
+      carrierStats[carrier].laneCount += 1;
+      carrierStats[carrier].shipmentCount += stats.shipmentCount;
+      carrierStats[carrier].containerCount += stats.containerCount;
+      carrierStats[carrier].teuCount += stats.teuCount;
+      carrierStats[carrier].totalConsistencyScore += stats.consistencyScore;
+      
+      // Weighted consistency based on the carrier's volume on this lane
+      // This gives more importance to consistency on frequently used lanes
+      const weightingFactor = getVolume(stats, weighting);
+      carrierStats[carrier].weightedConsistencyTotal += (stats.consistencyScore * weightingFactor);
+      carrierStats[carrier].totalWeightingFactor += weightingFactor;
+      
+      // Add lane data for detailed analysis
+      carrierStats[carrier].lanes.push({
+        portId: portStat.rank,
+        avgTransitDays: stats.avgTransitDays,
+        consistencyScore: stats.consistencyScore,
+        shipmentCount: stats.shipmentCount,
+        containerCount: stats.containerCount,
+        teuCount: stats.teuCount,
+        standardError: stats.standardError,
+        lowSample: stats.lowSample,
+        acceptanceRate: stats.acceptanceRate
+      });
+    });
+  });
+  
+  // Calculate final metrics for each carrier
+  return Object.entries(carrierStats)
+    .map(([carrier, stats]) => {
+      // Average consistency score across all lanes (unweighted)
+      const avgConsistencyScore = stats.laneCount > 0 ? 
+        stats.totalConsistencyScore / stats.laneCount : null;
+      
+      // Weighted average consistency score based on volume by lane
+      const weightedConsistencyScore = stats.laneCount === 0 ? null :
+        stats.totalWeightingFactor > 0 ? stats.weightedConsistencyTotal / stats.totalWeightingFactor : 0;
+      // How much that score varies from lane to lane, for the headline
+      // verdict; unknown with fewer than two lanes
+      const consistencyInterval = stats.totalWeightingFactor > 0 ? calculateMeanConfidenceInterval(
+        stats.lanes.map(lane => lane.consistencyScore),
+        stats.lanes.map(lane => getVolume(lane, weighting))
+      ) : null;
+      
+      // 95% interval on the average, from the combined lane errors
+      const avgDays = stats.laneCount > 0 ? stats.totalDays / stats.laneCount : null;
+      const standardError = calculateCarrierStandardError(stats.lanes);
+      const margin = standardError !== null ? Z_CRITICAL * standardError : null;
+      
+      return {
+        carrier,
+        // Basic stats
+        avgDays: avgDays !== null ? round(avgDays, 2) : null,
+        laneCount: stats.laneCount,
+        shipmentCount: stats.shipmentCount,
+        containerCount: round(stats.containerCount, 1),
+        teuCount: round(stats.teuCount, 1),
+        lowSample: stats.shipmentCount < minCarrierShipments,
+        
+        // Uncertainty of avgDays
+        avgDaysStandardError: standardError !== null ? round(standardError, 3) : null,
+        avgDaysCiLower: margin !== null ? round(avgDays - margin, 2) : null,
+        avgDaysCiUpper: margin !== null ? round(avgDays + margin, 2) : null,
+        avgDaysCiMargin: margin !== null ? round(margin, 2) : null,
+        
+        // Enhanced consistency metrics
+        avgConsistencyScore: avgConsistencyScore !== null ? round(avgConsistencyScore, 1) : null,
+        weightedConsistencyScore: weightedConsistencyScore !== null ? round(weightedConsistencyScore, 1) : null,
+        weightedConsistencyStandardError: consistencyInterval ? round(consistencyInterval.standardError, 2) : null,
+        
+        // Booking acceptance, pooled over all bookings on the ranked lanes
+        confirmedCount: stats.confirmedCount,
+        declinedCount: stats.declinedCount,
+        acceptanceRate: calculateAcceptanceRate(stats.confirmedCount, stats.declinedCount),
+        acceptanceLowSample: stats.confirmedCount + stats.declinedCount < minCarrierShipments,
+        
+        // Departure slip (see etdSlip.js), a reliability measure of its own
+        slipBookingCount: stats.slipBookingCount,
+        slippedCount: stats.slippedCount,
+        slippedShare: stats.slipBookingCount > 0 ? round((stats.slippedCount / stats.slipBookingCount) * 100, 1) : null,
+        avgSlipDays: stats.slipBookingCount > 0 ? round(stats.totalSlipDays / stats.slipBookingCount, 2) : null,
+        worstSlipDays: stats.worstSlipDays,
+        
+        // Keep lane-specific data for detailed views
+        lanes: stats.lanes
+      };
+    })
+    .sort((a, b) => (a.lowSample - b.lowSample) || ((a.avgDays ?? Infinity) - (b.avgDays ?? Infinity)));
+};
+
+// The ranking helpers below take the output of getCarrierSummary and return
+// the top three carriers. Low-sample carriers are never ranked, except for
+// lane coverage, which is a count rather than an estimate.
+
+// Get carriers who serve the most routes/lanes
+export const getWidestCoverageCarriers = (carrierSummary, weighting = WEIGHTINGS.BOOKINGS) => {
+  return [...carrierSummary].sort((a, b) => {
+    // Primary sort by lane count, secondary sort by volume
+    if (b.laneCount !== a.laneCount) {
+      return b.laneCount - a.laneCount;
+    }
+    return getVolume(b, weighting) - getVolume(a, weighting);
+  }).slice(0, 3);
+};
+
+// Get carriers that accept the highest share of their bookings. Acceptance
+// is always per booking, whatever the weighting: the significance test
+// behind the verdict counts bookings, not boxes, and so does the sample
+// check - a carrier that declined everything still ranks.
+export const getMostReliableCarriers = (carrierSummary) => {
+  return carrierSummary
+    .filter(carrier => !carrier.acceptanceLowSample && carrier.acceptanceRate !== null)
+    .sort((a, b) => {
+      // Primary sort by acceptance rate, secondary by booking volume
+      if (b.acceptanceRate !== a.acceptanceRate) {
+        return b.acceptanceRate - a.acceptanceRate;
+      }
+      return (b.confirmedCount + b.declinedCount) - (a.confirmedCount + a.declinedCount);
+    }).slice(0, 3);
+};
+
+// Get carriers with the best consistency score
+export const getMostConsistentCarriers = (carrierSummary) => {
+  return carrierSummary
+    .filter(carrier => !carrier.lowSample && carrier.laneCount > 1) // At least 2 lanes to be meaningful
+    .sort((a, b) => b.weightedConsistencyScore - a.weightedConsistencyScore)
+    .slice(0, 3);
+};
+
+// Headline verdicts: the leader of a ranking and whether its lead over the
+// runner-up is statistically meaningful. Returns { winner, runnerUp,
+// isClearWinner }; winner is undefined when no carrier has enough data, and
+// a lone eligible carrier wins outright.
+
+// Fastest carrier by head-to-head transit on shared lanes rather than raw
+// averages, so serving short lanes earns nothing (see headToHead.js). It is
+// a clear winner when meaningfully faster than every rival it shares lanes
+// with. matchup holds its comparison with the runner-up - { transitDelta,
+// standardError, laneCount } - or is undefined when they share no lanes.
+// options.weighting weights the shared lanes (see compareCarriers).
+export const getFastestCarrierVerdict = (carrierSummary, portStats, rankedPorts, options = {}) => {
+  const eligible = carrierSummary.filter(carrier => !carrier.lowSample);
+  const [first, second] = rankCarriersHeadToHead(portStats, rankedPorts, eligible.map(row => row.carrier), options);
+  const byCarrier = _.keyBy(eligible, 'carrier');
+  const winner = first && byCarrier[first.carrier];
+  const runnerUp = second && byCarrier[second.carrier];
+  if (!winner || !runnerUp) return { winner, runnerUp, matchup: undefined, isClearWinner: Boolean(winner) };
+  
+  return {
+    winner,
+    runnerUp,
+    matchup: first.matchups[second.carrier],
+    isClearWinner: isClearHeadToHeadWinner(first)
+  };
+};
+
+// Most consistent carrier, if its weighted consistency score is
+// meaningfully above the runner-up's given how much each one's score
+// varies from lane to lane
+export const getMostConsistentVerdict = (carrierSummary) => {
+  const [winner, runnerUp] = getMostConsistentCarriers(carrierSummary);
+  if (!winner || !runnerUp) return { winner, runnerUp, isClearWinner: Boolean(winner) };
+  
+  return {
+    winner,
+    runnerUp,
+    isClearWinner: isMeaningfulDifference(
+      winner.weightedConsistencyScore, winner.weightedConsistencyStandardError,
+      runnerUp.weightedConsistencyScore, runnerUp.weightedConsistencyStandardError
+    )
+  };
+};
+
+// Most reliable carrier, if its acceptance rate is meaningfully above the
+// runner-up's
+export const getMostReliableVerdict = (carrierSummary) => {
+  const [winner, runnerUp] = getMostReliableCarriers(carrierSummary);
+  if (!winner || !runnerUp) return { winner, runnerUp, isClearWinner: Boolean(winner) };
+  
+  return {
+    winner,
+    runnerUp,
+    isClearWinner: isMeaningfulProportionDifference(
+      winner.confirmedCount, winner.confirmedCount + winner.declinedCount,
+      runnerUp.confirmedCount, runnerUp.confirmedCount + runnerUp.declinedCount
+    )
+  };
+};
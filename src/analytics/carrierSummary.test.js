@@ -0,0 +1,293 @@
+import {
+  getCarrierSummary,
+  getFastestCarrierVerdict,
+  getMostConsistentCarriers,
+  getMostConsistentVerdict,
+  getMostReliableCarriers,
+  getMostReliableVerdict,
+  getWidestCoverageCarriers
+} from './carrierSummary';
+
+const carrierLaneStats = (avgTransitDays, consistencyScore, shipmentCount, confirmedCount = shipmentCount, declinedCount = 0, standardError = null) => ({
+  avgTransitDays,
+  consistencyScore,
+  shipmentCount,
+  standardError,
+  lowSample: false,
+  confirmedCount,
+  declinedCount,
+  acceptanceRate: confirmedCount + declinedCount > 0 ?
+    (confirmedCount / (confirmedCount + declinedCount)) * 100 : null
+});
+
+// LaneStats with the given carriers; every carrier with bookings on the
+// lane has shipments on it unless carrierStatuses says otherwise
+const lane = (rank, carriers, carrierStatuses = carriers) => ({ rank, carriers, carrierStatuses });
+
+const portStats = {
+  'CNYTN--USSEA': lane(1, {
+    MSC: carrierLaneStats(21, 90, 30),
+    MAERSK: carrierLaneStats(23, 100, 1, 1, 1)
+  }),
+  'CNYTN--USLAX': lane(2, {
+    MSC: carrierLaneStats(15, 60, 10),
+    ZIM: carrierLaneStats(13, 100, 1)
+  })
+};
+
+describe('getCarrierSummary', () => {
+  const summary = getCarrierSummary(portStats, { minCarrierShipments: 1 });
+  const byCarrier = Object.fromEntries(summary.map(row => [row.carrier, row]));
+
+  test('is empty without lane statistics', () => {
+    expect(getCarrierSummary({})).toEqual([]);
+  });
+
+  test('sorts carriers fastest first', () => {
+    expect(summary.map(row => row.carrier)).toEqual(['ZIM', 'MSC', 'MAERSK']);
+  });
+
+  test('averages lane averages for carriers on several lanes', () => {
+    expect(byCarrier.MSC).toMatchObject({
+      avgDays: 18,
+      laneCount: 2,
+      shipmentCount: 40,
+      avgConsistencyScore: 75,
+      weightedConsistencyScore: 82.5
+    });
+  });
+
+  test('reports a single-lane carrier as its lane figures', () => {
+    expect(byCarrier.ZIM).toMatchObject({
+      avgDays: 13,
+      laneCount: 1,
+      shipmentCount: 1,
+      avgConsistencyScore: 100,
+      weightedConsistencyScore: 100
+    });
+    expect(byCarrier.ZIM.lanes).toEqual([
+      {
+        portId: 2,
+        avgTransitDays: 13,
+        consistencyScore: 100,
+        shipmentCount: 1,
+        standardError: null,
+        lowSample: false,
+        acceptanceRate: 100
+      }
+    ]);
+  });
+
+  test('pools booking acceptance across lanes', () => {
+    expect(byCarrier.MAERSK).toMatchObject({ confirmedCount: 1, declinedCount: 1, acceptanceRate: 50 });
+  });
+
+  test('counts carriers whose bookings were all declined', () => {
+    const declinedOnly = carrierLaneStats(null, null, 0, 0, 40);
+    const withOne = getCarrierSummary({
+      ...portStats,
+      'CNYTN--USSEA': lane(1, portStats['CNYTN--USSEA'].carriers, { ...portStats['CNYTN--USSEA'].carriers, ONE: declinedOnly })
+    });
+    // With no transit of its own it is listed last
+    expect(withOne.map(row => row.carrier)).toEqual(['MSC', 'ZIM', 'MAERSK', 'ONE']);
+    expect(withOne[3]).toMatchObject({
+      carrier: 'ONE',
+      avgDays: null,
+      laneCount: 0,
+      shipmentCount: 0,
+      weightedConsistencyScore: null,
+      lowSample: true,
+      confirmedCount: 0,
+      declinedCount: 40,
+      acceptanceRate: 0,
+      acceptanceLowSample: false
+    });
+  });
+});
+
+describe('volume weighting', () => {
+  const volumeStats = {
+    'CNYTN--USSEA': lane(1, { MSC: { ...carrierLaneStats(21, 90, 30), containerCount: 30, teuCount: 30 } }),
+    'CNYTN--USLAX': lane(2, { MSC: { ...carrierLaneStats(15, 60, 10), containerCount: 10, teuCount: 90 } })
+  };
+
+  test('weights lane consistency by bookings unless told otherwise', () => {
+    const [msc] = getCarrierSummary(volumeStats);
+    expect(msc).toMatchObject({ shipmentCount: 40, containerCount: 40, teuCount: 120, weightedConsistencyScore: 82.5 });
+  });
+
+  test('weights lane consistency by TEU', () => {
+    const [msc] = getCarrierSummary(volumeStats, { weighting: 'teu' });
+    expect(msc.weightedConsistencyScore).toBe(67.5);
+    // The plain average of lane averages does not change
+    expect(msc.avgDays).toBe(18);
+  });
+});
+
+describe('carrier rankings', () => {
+  const summary = getCarrierSummary(portStats, { minCarrierShipments: 1 });
+
+  test('widest coverage ranks by lane count, then volume', () => {
+    expect(getWidestCoverageCarriers(summary).map(row => row.carrier)).toEqual(['MSC', 'ZIM', 'MAERSK']);
+  });
+
+  test('most reliable ranks by acceptance rate, then volume', () => {
+    expect(getMostReliableCarriers(summary).map(row => row.carrier)).toEqual(['MSC', 'ZIM', 'MAERSK']);
+  });
+
+  test('most consistent needs at least two lanes', () => {
+    expect(getMostConsistentCarriers(summary).map(row => row.carrier)).toEqual(['MSC']);
+  });
+
+  test('rankings do not reorder the summary', () => {
+    getWidestCoverageCarriers(summary);
+    expect(summary.map(row => row.carrier)).toEqual(['ZIM', 'MSC', 'MAERSK']);
+  });
+});
+
+describe('sample thresholds', () => {
+  const summary = getCarrierSummary(portStats);
+
+  test('flags carriers under the minimum and lists them last', () => {
+    expect(summary.map(row => [row.carrier, row.lowSample])).toEqual([
+      ['MSC', false],
+      ['ZIM', true],
+      ['MAERSK', true]
+    ]);
+  });
+
+  test('judge acceptance by decided bookings rather than shipments', () => {
+    const withOne = getCarrierSummary({
+      ...portStats,
+      'VNSGN--USSEA': lane(3, {}, { ONE: carrierLaneStats(null, null, 0, 0, 40) })
+    });
+    expect(getMostReliableCarriers(withOne).map(row => row.carrier)).toEqual(['MSC', 'ONE']);
+    expect(getMostConsistentCarriers(withOne).map(row => row.carrier)).toEqual(['MSC']);
+  });
+
+  test('keeps low-sample carriers out of rankings except coverage', () => {
+    expect(getMostReliableCarriers(summary).map(row => row.carrier)).toEqual(['MSC']);
+    expect(getWidestCoverageCarriers(summary).map(row => row.carrier)).toEqual(['MSC', 'ZIM', 'MAERSK']);
+  });
+});
+
+describe('confidence intervals', () => {
+  test('combine lane standard errors for the carrier average', () => {
+    const [msc] = getCarrierSummary({
+      'CNYTN--USSEA': lane(1, { MSC: carrierLaneStats(20, 90, 40, 40, 0, 0.3) }),
+      'CNYTN--USLAX': lane(2, { MSC: carrierLaneStats(16, 90, 40, 40, 0, 0.4) })
+    });
+    // sqrt(0.3^2 + 0.4^2) / 2 = 0.25
+    expect(msc).toMatchObject({
+      avgDays: 18,
+      avgDaysStandardError: 0.25,
+      avgDaysCiMargin: 0.49,
+      avgDaysCiLower: 17.51,
+      avgDaysCiUpper: 18.49
+    });
+  });
+
+  test('lend single-shipment lanes the pooled lane variance', () => {
+    const [msc] = getCarrierSummary({
+      'CNYTN--USSEA': lane(1, { MSC: carrierLaneStats(20, 90, 4, 4, 0, 1) }),
+      'CNYTN--USLAX': lane(2, { MSC: carrierLaneStats(16, 100, 1) })
+    }, { minCarrierShipments: 1 });
+    // Variance 4 from the measured lane: sqrt(1 + 4) / 2
+    expect(msc.avgDaysStandardError).toBe(1.118);
+  });
+
+  test('are unknown without any lane of two or more shipments', () => {
+    const [zim] = getCarrierSummary({
+      'CNYTN--USLAX': lane(1, { ZIM: carrierLaneStats(13, 100, 1) })
+    });
+    expect(zim).toMatchObject({ avgDaysStandardError: null, avgDaysCiMargin: null });
+  });
+});
+
+describe('headline verdicts', () => {
+  const laneWith = (carriers) => ({ 'CNYTN--USSEA': lane(1, carriers) });
+  const fastestOn = (lanes) => getFastestCarrierVerdict(getCarrierSummary(lanes), lanes, Object.keys(lanes));
+
+  test('name the fastest carrier when the gap is well outside the error', () => {
+    expect(fastestOn(laneWith({
+      MSC: carrierLaneStats(20, 90, 100, 100, 0, 0.2),
+      MAERSK: carrierLaneStats(23, 90, 100, 100, 0, 0.3)
+    }))).toMatchObject({
+      winner: { carrier: 'MSC' },
+      runnerUp: { carrier: 'MAERSK' },
+      matchup: { transitDelta: -3, laneCount: 1 },
+      isClearWinner: true
+    });
+  });
+
+  test('find no clear winner when the averages overlap', () => {
+    expect(fastestOn(laneWith({
+      MSC: carrierLaneStats(20, 90, 100, 100, 0, 1),
+      MAERSK: carrierLaneStats(21, 90, 100, 100, 0, 1)
+    }))).toMatchObject({ winner: { carrier: 'MSC' }, isClearWinner: false });
+  });
+
+  test('compare carriers on shared lanes rather than raw averages', () => {
+    // MSC's short lane flatters its overall average, but MAERSK is faster
+    // on the one lane both serve
+    const lanes = {
+      'CNYTN--USSEA': lane(1, {
+        MSC: carrierLaneStats(30, 90, 100, 100, 0, 0.2),
+        MAERSK: carrierLaneStats(28, 90, 100, 100, 0, 0.2)
+      }),
+      'KRPUS--USSEA': lane(2, { MSC: carrierLaneStats(12, 90, 100, 100, 0, 0.2) })
+    };
+    expect(getCarrierSummary(lanes)[0].carrier).toBe('MSC');
+    expect(fastestOn(lanes)).toMatchObject({ winner: { carrier: 'MAERSK' }, isClearWinner: true });
+  });
+
+  test('ignore a faster low-sample carrier', () => {
+    const lanes = laneWith({
+      MSC: carrierLaneStats(20, 90, 100, 100, 0, 0.2),
+      ZIM: carrierLaneStats(13, 100, 3, 3, 0, 0.5)
+    });
+    const summary = getCarrierSummary(lanes);
+    expect(fastestOn(lanes)).toEqual({ winner: summary[0], runnerUp: undefined, matchup: undefined, isClearWinner: true });
+    expect(summary[0].carrier).toBe('MSC');
+  });
+
+  test('have no winner when every carrier is a low sample', () => {
+    expect(fastestOn(laneWith({ ZIM: carrierLaneStats(13, 100, 3) }))).toEqual({
+      winner: undefined,
+      runnerUp: undefined,
+      matchup: undefined,
+      isClearWinner: false
+    });
+  });
+
+  test('weigh consistency scores against their lane-to-lane spread', () => {
+    const twoLanes = (msc, maersk) => getCarrierSummary({
+      'CNYTN--USSEA': lane(1, { MSC: carrierLaneStats(20, msc[0], 100), MAERSK: carrierLaneStats(22, maersk[0], 100) }),
+      'CNYTN--USLAX': lane(2, { MSC: carrierLaneStats(14, msc[1], 100), MAERSK: carrierLaneStats(15, maersk[1], 100) })
+    });
+
+    const clear = twoLanes([95, 96], [60, 62]);
+    expect(clear.find(row => row.carrier === 'MSC').weightedConsistencyStandardError).toBe(0.5);
+    expect(getMostConsistentVerdict(clear)).toMatchObject({ winner: { carrier: 'MSC' }, runnerUp: { carrier: 'MAERSK' }, isClearWinner: true });
+
+    // MSC's one steady lane does not outweigh its erratic one
+    const close = twoLanes([95, 70], [85, 75]);
+    expect(getMostConsistentVerdict(close)).toMatchObject({ winner: { carrier: 'MSC' }, isClearWinner: false });
+
+    expect(getMostConsistentVerdict([])).toEqual({ winner: undefined, runnerUp: undefined, isClearWinner: false });
+  });
+
+  test('compare acceptance rates with a two-proportion test', () => {
+    const clear = getCarrierSummary(laneWith({
+      MSC: carrierLaneStats(20, 90, 100, 95, 5),
+      MAERSK: carrierLaneStats(23, 90, 100, 75, 25)
+    }));
+    expect(getMostReliableVerdict(clear)).toMatchObject({ winner: { carrier: 'MSC' }, isClearWinner: true });
+
+    const close = getCarrierSummary(laneWith({
+      MSC: carrierLaneStats(20, 90, 100, 95, 5),
+      MAERSK: carrierLaneStats(23, 90, 100, 93, 7)
+    }));
+    expect(getMostReliableVerdict(close)).toMatchObject({ winner: { carrier: 'MSC' }, isClearWinner: false });
+  });
+});
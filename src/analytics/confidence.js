@@ -0,0 +1,104 @@
+import _ from 'lodash';
+
+// Sample-size rules and significance tests that keep small samples from
+// winning rankings. All intervals and tests are two-sided at 95%.
+
+// Below these shipment counts a lane cell or a carrier is flagged as a low
+// sample and left out of rankings
+export const DEFAULT_SAMPLE_THRESHOLDS = {
+  minLaneShipments: 10,
+  minCarrierShipments: 30
+};
+
+export const CONFIDENCE_LEVEL = 95;
+
+// Normal critical value, for intervals built from combined standard errors
+// where no single degrees-of-freedom figure applies
+export const Z_CRITICAL = 1.96;
+
+// Student's t critical values by degrees of freedom (1-30)
+const T_CRITICAL = [
+  null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Past 30 degrees of freedom, round down to the nearest tabulated value so
+// the interval errs on the wide side
+export const getTCritical = (degreesOfFreedom) => {
+  if (degreesOfFreedom < 1) return null;
+  if (degreesOfFreedom < T_CRITICAL.length) return T_CRITICAL[degreesOfFreedom];
+  if (degreesOfFreedom < 40) return 2.042;
+  if (degreesOfFreedom < 60) return 2.021;
+  if (degreesOfFreedom < 120) return 2.000;
+  return 1.980;
+};
+
+// Sample (n - 1) variance; null with fewer than two values
+export const calculateSampleVariance = (values) => {
+  if (!values || values.length < 2) return null;
+
+  const avg = _.mean(values);
+  return _.sumBy(values, value => (value - avg) * (value - avg)) / (values.length - 1);
+};
+
+// t-based confidence interval for the mean. Returns null with fewer than
+// two values, where the spread cannot be estimated.
+//
+// With weights (positive, one per value) it is the interval on the weighted
+// mean: the variance uses the reliability-weights correction and the sample
+// size is the effective n, (sum w)^2 / sum w^2, which is n when the weights
+// are equal and shrinks as a few heavy values dominate.
+export const calculateMeanConfidenceInterval = (values, weights = null) => {
+  if (weights) return calculateWeightedMeanConfidenceInterval(values, weights);
+
+  const variance = calculateSampleVariance(values);
+  if (variance === null) return null;
+
+  const mean = _.mean(values);
+  const standardError = Math.sqrt(variance / values.length);
+  const margin = getTCritical(values.length - 1) * standardError;
+  return { mean, standardError, margin, lower: mean - margin, upper: mean + margin };
+};
+
+const calculateWeightedMeanConfidenceInterval = (values, weights) => {
+  if (!values || values.length < 2) return null;
+
+  const totalWeight = _.sum(weights);
+  const sumOfSquaredWeights = _.sumBy(weights, weight => weight * weight);
+  const mean = _.sum(values.map((value, index) => value * weights[index])) / totalWeight;
+  const variance = _.sum(values.map((value, index) => weights[index] * (value - mean) * (value - mean))) /
+    (totalWeight - sumOfSquaredWeights / totalWeight);
+  const effectiveCount = (totalWeight * totalWeight) / sumOfSquaredWeights;
+
+  const standardError = Math.sqrt(variance / effectiveCount);
+  const margin = getTCritical(Math.max(1, Math.round(effectiveCount) - 1)) * standardError;
+  return { mean, standardError, margin, lower: mean - margin, upper: mean + margin };
+};
+
+// Whether an estimated difference is larger than chance would explain,
+// given its standard error (a z-test). An unknown error never counts as a
+// meaningful difference.
+export const isMeaningfulDelta = (delta, standardError) => {
+  if (standardError === null) return false;
+  if (standardError === 0) return delta !== 0;
+  return Math.abs(delta) / standardError > Z_CRITICAL;
+};
+
+// Whether two means differ by more than chance would explain, given their
+// standard errors
+export const isMeaningfulDifference = (meanA, standardErrorA, meanB, standardErrorB) => {
+  if (standardErrorA === null || standardErrorB === null) return false;
+  return isMeaningfulDelta(meanA - meanB, Math.sqrt(standardErrorA ** 2 + standardErrorB ** 2));
+};
+
+// Two-proportion z-test, e.g. for acceptance rates: successes out of
+// trials for each group
+export const isMeaningfulProportionDifference = (successesA, trialsA, successesB, trialsB) => {
+  if (trialsA === 0 || trialsB === 0) return false;
+
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (standardError === 0) return false;
+  return Math.abs(successesA / trialsA - successesB / trialsB) / standardError > Z_CRITICAL;
+};
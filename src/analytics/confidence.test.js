@@ -0,0 +1,70 @@
+import {
+  calculateMeanConfidenceInterval,
+  calculateSampleVariance,
+  getTCritical,
+  isMeaningfulDifference,
+  isMeaningfulProportionDifference
+} from './confidence';
+
+describe('getTCritical', () => {
+  test('looks up small degrees of freedom', () => {
+    expect(getTCritical(1)).toBe(12.706);
+    expect(getTCritical(10)).toBe(2.228);
+  });
+
+  test('rounds large degrees of freedom down to a tabulated value', () => {
+    expect(getTCritical(45)).toBe(2.021);
+    expect(getTCritical(5000)).toBe(1.98);
+  });
+});
+
+describe('calculateMeanConfidenceInterval', () => {
+  test('needs at least two values', () => {
+    expect(calculateSampleVariance([21])).toBeNull();
+    expect(calculateMeanConfidenceInterval([21])).toBeNull();
+    expect(calculateMeanConfidenceInterval([])).toBeNull();
+  });
+
+  test('builds a t interval around the mean', () => {
+    // Sample variance 1, standard error 1/sqrt(3), t(2) = 4.303
+    const interval = calculateMeanConfidenceInterval([20, 21, 22]);
+    expect(interval.mean).toBe(21);
+    expect(interval.standardError).toBeCloseTo(0.577, 3);
+    expect(interval.margin).toBeCloseTo(2.484, 3);
+    expect(interval.lower).toBeCloseTo(18.516, 3);
+    expect(interval.upper).toBeCloseTo(23.484, 3);
+  });
+
+  test('weights values, shrinking the sample to its effective size', () => {
+    expect(calculateMeanConfidenceInterval([20, 21, 22], [5, 5, 5])).toEqual(calculateMeanConfidenceInterval([20, 21, 22]));
+    // Weighted variance 75 / (4 - 10/4) = 50, effective n = 16/10 = 1.6
+    const interval = calculateMeanConfidenceInterval([20, 30], [1, 3]);
+    expect(interval.mean).toBe(27.5);
+    expect(interval.standardError).toBeCloseTo(5.590, 3);
+    expect(interval.margin).toBeCloseTo(12.706 * 5.590, 1);
+    expect(calculateMeanConfidenceInterval([21], [4])).toBeNull();
+  });
+});
+
+describe('isMeaningfulDifference', () => {
+  test('compares the gap with the combined standard error', () => {
+    expect(isMeaningfulDifference(20, 0.3, 21, 0.4)).toBe(true);
+    expect(isMeaningfulDifference(20, 0.3, 20.9, 0.4)).toBe(false);
+  });
+
+  test('is never meaningful with an unknown error', () => {
+    expect(isMeaningfulDifference(13, null, 21, 0.1)).toBe(false);
+  });
+});
+
+describe('isMeaningfulProportionDifference', () => {
+  test('runs a two-proportion z-test', () => {
+    expect(isMeaningfulProportionDifference(95, 100, 75, 100)).toBe(true);
+    expect(isMeaningfulProportionDifference(95, 100, 93, 100)).toBe(false);
+  });
+
+  test('is not meaningful for identical or empty groups', () => {
+    expect(isMeaningfulProportionDifference(10, 10, 5, 5)).toBe(false);
+    expect(isMeaningfulProportionDifference(10, 10, 0, 0)).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+import _ from 'lodash';
+import { isDeclined } from '../data/bookingStatus.js';
+import { MS_PER_DAY } from '../data/dates.js';
+import { round } from './stats.js';
+
+// Departure slip: how far a booking's planned sailing moved between its
+// first version and its current one (originalEtdDate and latestEtdDate, see
+// dedupeBookings). A carrier that keeps rolling cargo to later sailings is
+// unreliable however quick the voyage itself turns out to be.
+
+// Moves smaller than this are the same sailing re-timed, not a roll to a
+// later one, and do not count as slipped
+export const MIN_SLIP_DAYS = 1;
+
+// Days the planned departure moved, later positive; null without both ETDs
+export const getEtdSlipDays = (row) => (
+  row.originalEtdDate && row.latestEtdDate ?
+    (row.latestEtdDate.getTime() - row.originalEtdDate.getTime()) / MS_PER_DAY : null
+);
+
+// Slip over a set of bookings. Declined bookings never sail and are left
+// out. avgSlipDays nets sailings pulled forward against those pushed back.
+// The averages and worst slip are null with no bookings to measure.
+export const summarizeEtdSlips = (rows) => {
+  const slips = rows.filter(row => !isDeclined(row)).map(getEtdSlipDays).filter(days => days !== null);
+  const slippedCount = slips.filter(days => days >= MIN_SLIP_DAYS).length;
+  const hasSlips = slips.length > 0;
+
+  return {
+    slipBookingCount: slips.length,
+    slippedCount,
+    slippedShare: hasSlips ? round((slippedCount / slips.length) * 100, 1) : null,
+    avgSlipDays: hasSlips ? round(_.mean(slips), 2) : null,
+    worstSlipDays: hasSlips ? round(_.max(slips), 1) : null
+  };
+};
@@ -0,0 +1,68 @@
+import { dedupeBookings } from '../data/bookingVersions';
+import { getEtdSlipDays, summarizeEtdSlips } from './etdSlip';
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const booking = (firstEtd, latestEtd, status = 'Confirmed') => ({
+  booking_status: status,
+  originalEtdDate: firstEtd && day(firstEtd),
+  latestEtdDate: latestEtd && day(latestEtd)
+});
+
+test('measures how far the planned departure moved', () => {
+  expect(getEtdSlipDays(booking('2025-02-01', '2025-02-08'))).toBe(7);
+  expect(getEtdSlipDays(booking('2025-02-08', '2025-02-06'))).toBe(-2);
+  expect(getEtdSlipDays(booking('2025-02-01', null))).toBeNull();
+});
+
+test('takes the ETDs from both ends of the version history whichever version is analysed', () => {
+  // Each version restates its own ETD as the first transaction's
+  const version = (id, versionDate, dateReplaced, etd) => ({
+    bk_original_id: '1',
+    bk_transaction_id: id,
+    version_date: versionDate,
+    date_replaced: dateReplaced,
+    booking_status: 'Confirmed',
+    etdDate: day(etd),
+    firstEtdDate: day(etd)
+  });
+  const versions = [
+    version('11', 1, 2, '2025-02-01'),
+    version('12', 2, 3, '2025-02-08'),
+    version('13', 3, null, '2025-02-15')
+  ];
+  const [current] = dedupeBookings(versions);
+  expect(getEtdSlipDays(current)).toBe(14);
+  expect(dedupeBookings(versions, 'firstConfirmed')[0]).toMatchObject({
+    bk_transaction_id: '11',
+    originalEtdDate: day('2025-02-01'),
+    latestEtdDate: day('2025-02-15')
+  });
+});
+
+test('summarizes slip over sailing bookings', () => {
+  const rows = [
+    booking('2025-02-01', '2025-02-01'),
+    booking('2025-02-01', '2025-02-15'),
+    booking('2025-02-01', '2025-01-30'),
+    // Same sailing re-timed by a few hours
+    { ...booking('2025-02-01', '2025-02-01'), latestEtdDate: new Date('2025-02-01T12:00:00Z') },
+    // Never sailed, and nothing to compare
+    booking('2025-02-01', '2025-03-01', 'Declined'),
+    booking(null, '2025-02-01')
+  ];
+  expect(summarizeEtdSlips(rows)).toEqual({
+    slipBookingCount: 4,
+    slippedCount: 1,
+    slippedShare: 25,
+    avgSlipDays: 3.13,
+    worstSlipDays: 14
+  });
+  expect(summarizeEtdSlips([])).toEqual({
+    slipBookingCount: 0,
+    slippedCount: 0,
+    slippedShare: null,
+    avgSlipDays: null,
+    worstSlipDays: null
+  });
+});
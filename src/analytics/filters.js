@@ -0,0 +1,50 @@
+import _ from 'lodash';
+import { getDestinationPort, getOriginCountry } from '../data/lanes.js';
+
+// Dashboard filters on booking rows. Each is a list of allowed values; an
+// empty list lets everything through.
+export const DEFAULT_FILTERS = {
+  lanes: [],
+  carriers: [],
+  bookingStatuses: [],
+  originCountries: [],
+  destinationPorts: []
+};
+
+const FILTER_FIELDS = {
+  lanes: row => row.port_2_port_id,
+  carriers: row => row.carrier_name,
+  bookingStatuses: row => row.booking_status,
+  originCountries: row => getOriginCountry(row.port_2_port_id),
+  destinationPorts: row => getDestinationPort(row.port_2_port_id)
+};
+
+export const hasActiveFilters = (filters) => Object.values({ ...DEFAULT_FILTERS, ...filters }).some(values => values.length > 0);
+
+// A test for whether every active filter allows a row, for checking rows one
+// at a time
+export const createFilterTest = (filters = DEFAULT_FILTERS) => {
+  const active = Object.entries({ ...DEFAULT_FILTERS, ...filters })
+    .filter(([, values]) => values.length > 0)
+    .map(([name, values]) => [FILTER_FIELDS[name], new Set(values)]);
+
+  return row => active.every(([valueOf, allowed]) => allowed.has(valueOf(row)));
+};
+
+// Keep the rows every active filter allows
+export const applyFilters = (rows, filters = DEFAULT_FILTERS) => (
+  hasActiveFilters(filters) ? rows.filter(createFilterTest(filters)) : rows
+);
+
+// The values each filter can choose from, sorted, taken from the loaded
+// rows. Lanes are limited to the ranked lanes, in rank order.
+export const getFilterOptions = (rows, rankedPortPairs) => {
+  const valuesOf = (name) => _.sortBy(_.uniq(rows.map(FILTER_FIELDS[name]).filter(Boolean)));
+  return {
+    lanes: rankedPortPairs,
+    carriers: valuesOf('carriers'),
+    bookingStatuses: valuesOf('bookingStatuses'),
+    originCountries: valuesOf('originCountries'),
+    destinationPorts: valuesOf('destinationPorts')
+  };
+};
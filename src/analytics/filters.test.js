@@ -0,0 +1,44 @@
+import { applyFilters, DEFAULT_FILTERS, getFilterOptions, hasActiveFilters } from './filters';
+
+const rows = [
+  { carrier_name: 'MSC', booking_status: 'Confirmed', port_2_port_id: 'CNYTN--USSEA' },
+  { carrier_name: 'MSC', booking_status: 'Declined', port_2_port_id: 'VNSGN--USLAX' },
+  { carrier_name: 'ZIM', booking_status: 'Confirmed', port_2_port_id: 'CNYTN--USLAX' }
+];
+
+describe('applyFilters', () => {
+  test('lets everything through with no filters set', () => {
+    expect(applyFilters(rows, DEFAULT_FILTERS)).toBe(rows);
+    expect(applyFilters(rows)).toBe(rows);
+  });
+
+  test('keeps rows allowed by every active filter', () => {
+    expect(applyFilters(rows, { ...DEFAULT_FILTERS, carriers: ['MSC'] })).toEqual(rows.slice(0, 2));
+    expect(applyFilters(rows, { ...DEFAULT_FILTERS, carriers: ['MSC'], bookingStatuses: ['Confirmed'] }))
+      .toEqual([rows[0]]);
+  });
+
+  test('filters on the countries and ports in the lane ID', () => {
+    expect(applyFilters(rows, { ...DEFAULT_FILTERS, originCountries: ['CN'] })).toEqual([rows[0], rows[2]]);
+    expect(applyFilters(rows, { ...DEFAULT_FILTERS, destinationPorts: ['USLAX'] })).toEqual(rows.slice(1));
+  });
+
+  test('accepts partial filter objects', () => {
+    expect(applyFilters(rows, { lanes: ['CNYTN--USLAX'] })).toEqual([rows[2]]);
+  });
+});
+
+test('hasActiveFilters spots any non-empty list', () => {
+  expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+  expect(hasActiveFilters({ carriers: ['ZIM'] })).toBe(true);
+});
+
+test('getFilterOptions lists the values found in the data', () => {
+  expect(getFilterOptions(rows, ['CNYTN--USLAX', 'CNYTN--USSEA'])).toEqual({
+    lanes: ['CNYTN--USLAX', 'CNYTN--USSEA'],
+    carriers: ['MSC', 'ZIM'],
+    bookingStatuses: ['Confirmed', 'Declined'],
+    originCountries: ['CN', 'VN'],
+    destinationPorts: ['USLAX', 'USSEA']
+  });
+});
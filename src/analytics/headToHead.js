@@ -0,0 +1,127 @@
+import _ from 'lodash';
+import { isMeaningfulDelta, Z_CRITICAL } from './confidence.js';
+import { round } from './stats.js';
+import { getVolume, WEIGHTINGS } from './weighting.js';
+
+// Head-to-head comparison of carriers on the lanes they all serve. Carrier
+// averages in getCarrierSummary mix different lane lengths, so a carrier
+// working only short lanes looks fast; comparing lane by lane removes that.
+
+// Ranked lanes (in rank order) served by every one of the carriers. With
+// excludeLowSample, a lane only counts when no carrier is a low sample on it.
+export const findSharedLanes = (portStats, rankedPorts, carriers, options = {}) => {
+  const { excludeLowSample = false } = options;
+
+  return rankedPorts.filter(port => carriers.every(carrier => {
+    const stats = portStats[port]?.carriers[carrier];
+    return stats && !(excludeLowSample && stats.lowSample);
+  }));
+};
+
+// Compare carriers against the first of them (the baseline) on their shared
+// lanes. Deltas are carrier minus baseline, so a negative transit delta
+// means faster than the baseline and a positive consistency delta means
+// steadier. Totals weight each lane by the selected carriers' combined
+// volume on it: shipments, or containers or TEU with options.weighting.
+//
+// Returns {
+//   baseline, carriers,
+//   lanes: [{ port, rank, weight, carriers: { [carrier]: CarrierLaneStats },
+//             transitDelta: { [carrier]: days }, consistencyDelta: { ... } }],
+//   totals: { [carrier]: { shipmentCount, avgTransitDays, consistencyScore,
+//                          transitDelta, transitDeltaStandardError,
+//                          transitDeltaCiMargin, consistencyDelta } }
+// }
+// Totals are null when there are no shared lanes; a standard error is null
+// when any lane's error is unknown.
+export const compareCarriers = (portStats, rankedPorts, carriers, options = {}) => {
+  const { weighting = WEIGHTINGS.BOOKINGS } = options;
+  const [baseline] = carriers;
+  const sharedLanes = findSharedLanes(portStats, rankedPorts, carriers, options);
+
+  const lanes = sharedLanes.map(port => {
+    const laneCarriers = _.pick(portStats[port].carriers, carriers);
+    const base = laneCarriers[baseline];
+    return {
+      port,
+      rank: portStats[port].rank,
+      weight: _.sumBy(Object.values(laneCarriers), stats => getVolume(stats, weighting)),
+      carriers: laneCarriers,
+      transitDelta: _.mapValues(laneCarriers, stats => round(stats.avgTransitDays - base.avgTransitDays, 2)),
+      consistencyDelta: _.mapValues(laneCarriers, stats => round(stats.consistencyScore - base.consistencyScore, 1))
+    };
+  });
+
+  const totalWeight = _.sumBy(lanes, 'weight');
+  const weightedMean = (valueOf) => _.sumBy(lanes, lane => lane.weight * valueOf(lane)) / totalWeight;
+
+  const totals = Object.fromEntries(carriers.map(carrier => {
+    if (lanes.length === 0) return [carrier, null];
+
+    const laneErrors = lanes.map(lane => {
+      const own = lane.carriers[carrier].standardError;
+      const base = lane.carriers[baseline].standardError;
+      if (carrier === baseline) return 0;
+      return own === null || base === null ? null : Math.sqrt(own ** 2 + base ** 2);
+    });
+    const standardError = laneErrors.includes(null) ? null :
+      Math.sqrt(_.sum(lanes.map((lane, index) => (lane.weight * laneErrors[index]) ** 2))) / totalWeight;
+
+    return [carrier, {
+      shipmentCount: _.sumBy(lanes, lane => lane.carriers[carrier].shipmentCount),
+      avgTransitDays: round(weightedMean(lane => lane.carriers[carrier].avgTransitDays), 2),
+      consistencyScore: round(weightedMean(lane => lane.carriers[carrier].consistencyScore), 1),
+      transitDelta: round(weightedMean(lane => lane.carriers[carrier].avgTransitDays - lane.carriers[baseline].avgTransitDays), 2),
+      transitDeltaStandardError: standardError !== null ? round(standardError, 3) : null,
+      transitDeltaCiMargin: standardError !== null ? round(Z_CRITICAL * standardError, 2) : null,
+      consistencyDelta: round(weightedMean(lane => lane.carriers[carrier].consistencyScore - lane.carriers[baseline].consistencyScore), 1)
+    }];
+  }));
+
+  return { baseline, carriers, lanes, totals };
+};
+
+// Rank carriers by head-to-head transit on their shared, adequately sampled
+// lanes: most rivals beaten first, then carriers with any comparison at all
+// ahead of those without, then the lowest average delta against the rivals
+// they share lanes with. Each entry is { carrier, wins,
+// meanDelta, matchups: { [rival]: { transitDelta, standardError, laneCount } } }.
+// options.weighting is passed on to compareCarriers.
+export const rankCarriersHeadToHead = (portStats, rankedPorts, carriers, options = {}) => {
+  const { weighting } = options;
+  const entries = carriers.map(carrier => {
+    const matchups = {};
+    carriers.filter(rival => rival !== carrier).forEach(rival => {
+      const comparison = compareCarriers(portStats, rankedPorts, [rival, carrier], { excludeLowSample: true, weighting });
+      if (comparison.lanes.length === 0) return;
+      matchups[rival] = {
+        transitDelta: comparison.totals[carrier].transitDelta,
+        standardError: comparison.totals[carrier].transitDeltaStandardError,
+        laneCount: comparison.lanes.length
+      };
+    });
+
+    const deltas = Object.values(matchups).map(matchup => matchup.transitDelta);
+    return {
+      carrier,
+      wins: deltas.filter(delta => delta < 0).length,
+      meanDelta: deltas.length > 0 ? round(_.mean(deltas), 2) : 0,
+      matchups
+    };
+  });
+
+  return _.orderBy(
+    entries,
+    ['wins', entry => _.isEmpty(entry.matchups), 'meanDelta'],
+    ['desc', 'asc', 'asc']
+  );
+};
+
+// Whether a head-to-head leader is meaningfully faster than every rival it
+// shares lanes with, and shares lanes with at least one
+export const isClearHeadToHeadWinner = (entry) => {
+  const matchups = Object.values(entry.matchups);
+  return matchups.length > 0 && matchups.every(matchup => (
+    matchup.transitDelta < 0 && isMeaningfulDelta(matchup.transitDelta, matchup.standardError)
+  ));
+};
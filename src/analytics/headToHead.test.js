@@ -0,0 +1,72 @@
+import { compareCarriers, findSharedLanes, isClearHeadToHeadWinner, rankCarriersHeadToHead } from './headToHead';
+
+const stats = (avgTransitDays, shipmentCount, consistencyScore = 90, standardError = 0.5, lowSample = false) => ({
+  avgTransitDays,
+  shipmentCount,
+  consistencyScore,
+  standardError,
+  lowSample
+});
+
+const portStats = {
+  'CNYTN--USSEA': { rank: 1, carriers: { MSC: stats(21, 30, 90, 0.3), MAERSK: stats(24, 10, 70, 0.4) } },
+  'CNYTN--USLAX': { rank: 2, carriers: { MSC: stats(15, 10, 80, 0.3), MAERSK: stats(16, 10, 85, 0.4), ZIM: stats(13, 2, 100, null, true) } },
+  'KRPUS--USSEA': { rank: 3, carriers: { MSC: stats(12, 50) } }
+};
+const rankedPorts = ['CNYTN--USSEA', 'CNYTN--USLAX', 'KRPUS--USSEA'];
+
+describe('findSharedLanes', () => {
+  test('keeps lanes every carrier serves, in rank order', () => {
+    expect(findSharedLanes(portStats, rankedPorts, ['MSC', 'MAERSK'])).toEqual(['CNYTN--USSEA', 'CNYTN--USLAX']);
+    expect(findSharedLanes(portStats, rankedPorts, ['MSC', 'MAERSK', 'ZIM'])).toEqual(['CNYTN--USLAX']);
+  });
+
+  test('can skip lanes where a carrier is a low sample', () => {
+    expect(findSharedLanes(portStats, rankedPorts, ['MSC', 'ZIM'], { excludeLowSample: true })).toEqual([]);
+  });
+});
+
+describe('compareCarriers', () => {
+  const comparison = compareCarriers(portStats, rankedPorts, ['MSC', 'MAERSK']);
+
+  test('reports per-lane deltas against the first carrier', () => {
+    expect(comparison.baseline).toBe('MSC');
+    expect(comparison.lanes.map(lane => [lane.port, lane.weight, lane.transitDelta.MAERSK, lane.consistencyDelta.MAERSK])).toEqual([
+      ['CNYTN--USSEA', 40, 3, -20],
+      ['CNYTN--USLAX', 20, 1, 5]
+    ]);
+  });
+
+  test('weights the combined deltas by lane volume', () => {
+    // (40 * 3 + 20 * 1) / 60 and (40 * -20 + 20 * 5) / 60
+    expect(comparison.totals.MAERSK).toMatchObject({
+      shipmentCount: 20,
+      transitDelta: 2.33,
+      consistencyDelta: -11.7,
+      // sqrt((40 * 0.5)^2 + (20 * 0.5)^2) / 60
+      transitDeltaStandardError: 0.373
+    });
+    expect(comparison.totals.MSC).toMatchObject({ shipmentCount: 40, transitDelta: 0, avgTransitDays: 19 });
+  });
+
+  test('has no totals without shared lanes', () => {
+    const none = compareCarriers(portStats, ['KRPUS--USSEA'], ['MSC', 'MAERSK']);
+    expect(none.lanes).toEqual([]);
+    expect(none.totals).toEqual({ MSC: null, MAERSK: null });
+  });
+
+  test('leaves the error unknown when a lane error is', () => {
+    const withZim = compareCarriers(portStats, rankedPorts, ['MSC', 'ZIM']);
+    expect(withZim.totals.ZIM).toMatchObject({ transitDelta: -2, transitDeltaStandardError: null, transitDeltaCiMargin: null });
+  });
+});
+
+describe('rankCarriersHeadToHead', () => {
+  test('orders carriers by rivals beaten on adequately sampled lanes', () => {
+    const ranking = rankCarriersHeadToHead(portStats, rankedPorts, ['MAERSK', 'MSC', 'ZIM']);
+    expect(ranking.map(entry => [entry.carrier, entry.wins])).toEqual([['MSC', 1], ['MAERSK', 0], ['ZIM', 0]]);
+    expect(ranking[0].matchups).toEqual({ MAERSK: { transitDelta: -2.33, standardError: 0.373, laneCount: 2 } });
+    expect(isClearHeadToHeadWinner(ranking[0])).toBe(true);
+    expect(isClearHeadToHeadWinner(ranking[2])).toBe(false);
+  });
+});
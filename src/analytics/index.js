@@ -0,0 +1,223 @@
+// Statistics engine for SONAR booking exports. Nothing in here depends on
+// React or the browser, so the same code backs the dashboard, other tools
+// and Node scripts (see scripts/lane-report.mjs). Relative imports carry
+// explicit .js extensions for that reason.
+//
+// Input: booking rows as produced by data/loadCsv.js - one object per CSV
+// row with numeric fields typed, ID fields kept as strings, and the Date
+// fields from data/dates.js (versionDate, etdDate, ...) added - with
+// carrier names matched to the master list by normalizeCarrierNames in
+// data/carriers.js, as everything here groups on carrier_name.
+// Deduplication adds originalEtdDate and latestEtdDate, for departure slip.
+//
+// analyzeShipments(rows, options) is the entry point. It sorts the rows
+// through every stage in one pass and groups the survivors by lane once
+// (indexByLane), for the lane, roll-up and lead-time statistics to share.
+// Options:
+//   versionMode      VERSION_MODES.CURRENT (default) or FIRST_CONFIRMED
+//   includeDeclined  count declined bookings in transit stats (default false)
+//   dateRange        { from, to } as YYYY-MM-DD strings, either may be ''
+//   filters          { lanes, carriers, bookingStatuses, originCountries,
+//                    destinationPorts } - lists of allowed values, empty
+//                    for all (see DEFAULT_FILTERS)
+//   rankedPortPairs  lane IDs in priority order
+//   consistencyMethod  CONSISTENCY_METHODS.RANGE (default), IQR or CV
+//   minLaneShipments   carriers with fewer shipments on a lane are flagged
+//                      lowSample (see DEFAULT_SAMPLE_THRESHOLDS)
+//   weighting        WEIGHTINGS.BOOKINGS (default), CONTAINERS or TEU - what
+//                    each shipment counts for in averages, percentiles and
+//                    consistency scores (see weighting.js)
+//
+// It returns:
+//   bookings         one row per booking after version deduplication
+//   shipments        bookings that feed the transit statistics
+//   portStats        { [laneId]: LaneStats } for ranked lanes with data
+//   rankedPorts      lane IDs in portStats, in rank order
+//   rollups          { [ROLLUP_LEVELS value]: { groupStats, groups } } - every
+//                    lane in the data grouped by origin country, origin
+//                    port, destination port or country to gateway; see
+//                    rollups.js
+//   leadTimes        lead times, booking windows and decline rates by
+//                    booking window for the ranked lanes, per lane and per
+//                    carrier; see leadTime.js
+//   laneVolumes      { [laneId]: shipment count } for every lane in the data
+//   rowCountsByFile  { [source file]: shipment count }
+//   qualityReport    validation tallies, see data/validation.js
+//
+// LaneStats:
+//   rank, totalShipments, totalContainers, totalTeu, averageTransitTime (days,
+//   null on a lane with bookings but no shipments),
+//   confirmedCount, declinedCount, acceptanceRate (% or null),
+//   slipBookingCount, slippedCount, slippedShare (%), avgSlipDays,
+//   worstSlipDays (departure slip, null with no bookings to measure; see
+//   etdSlip.js),
+//   carrierStatuses: { [carrier]: the acceptance and slip fields above, for
+//   every carrier with a booking on the lane, shipments or not },
+//   carriers: { [carrier]: CarrierLaneStats } (carriers with shipments)
+//
+// CarrierLaneStats (all durations in days):
+//   avgTransitDays, minTransitDays, maxTransitDays, medianTransitDays,
+//   p10TransitDays, p25TransitDays, p75TransitDays, p90TransitDays,
+//   p95TransitDays, interquartileRange, shipmentCount, containerCount,
+//   teuCount, teuShare (% of the lane's TEU), standardDeviation,
+//   standardError, ciLowerDays, ciUpperDays, ciMarginDays (95% t-interval
+//   on the average, null for a single shipment),
+//   absoluteRange, normalizedRange, coefficientOfVariation,
+//   rangeConsistencyScore, iqrConsistencyScore, cvConsistencyScore,
+//   consistencyScore (0-100, whichever method was chosen),
+//   confirmedCount, declinedCount, acceptanceRate, the departure slip
+//   fields as for LaneStats, lowSample, sourceFiles
+//
+// getCarrierSummary(portStats, { minCarrierShipments, weighting }) rolls
+// LaneStats up to one entry per carrier, with a 95% interval on its average
+// and its own lowSample flag; the get*Carriers helpers rank that summary and
+// the get*Verdict helpers decide whether a headline card has a clear winner.
+//
+// buildCarrierScorecard(carrierSummary, portStats, rankedPorts, weights,
+// { weighting }) blends transit speed, consistency, lane coverage, volume
+// share, acceptance and departure slip into one weighted score per carrier,
+// transit and volume scored against the other carriers on the same lane;
+// see scorecard.js for the components and the built-in weight presets.
+//
+// buildTeuShares(portStats, rankedPorts) totals TEU per carrier and gives
+// each carrier's share of every ranked lane's TEU.
+//
+// compareCarriers(portStats, rankedPorts, carriers) sets carriers against
+// each other on the lanes they all serve; the Fastest Carrier verdict ranks
+// carriers by those head-to-head results rather than raw averages.
+//
+// buildLaneArcs(portStats, rankedPorts, { carrier, aliases }) places ranked
+// lanes on the map using the port coordinates in data/locations.js.
+//
+// For period-over-period comparison the analysis engine runs the same
+// statistics for two periods; periodComparison.js sets them side by side
+// (compareCarrierSummaries, compareLane) with deltas and whether each moved
+// for the better, and findBiggestMovers ranks the carrier-lane pairs that
+// changed the most.
+//
+// targets.js judges figures against per-lane targets - a target transit
+// time and a consistency floor, with defaults - for the dashboard's colours,
+// and findExceptions lists the carrier-lane pairs that miss them, worst
+// first.
+//
+// transitEstimate.js estimates the transit a new booking on a lane and
+// carrier can expect (P50 and P90, weighted towards recent sailings) and
+// back-tests the estimate by predicting each past sailing from the ones
+// that had arrived before it left. It takes sailings from toSailings or
+// groupSailings rather than booking rows.
+//
+// reportTables.js flattens the summary and LaneStats into plain tables for
+// CSV and workbook exports.
+
+export { analyzeShipments, DEFAULT_OPTIONS } from './pipeline.js';
+export { buildPortStats, buildLaneComparison, indexByLane, summarizeShipmentGroup } from './laneStats.js';
+export { buildLaneArcs } from './laneMap.js';
+export { getEtdSlipDays, MIN_SLIP_DAYS, summarizeEtdSlips } from './etdSlip.js';
+export {
+  BOOKING_WINDOW_BANDS,
+  buildLeadTimeStats,
+  getBookingWindowDays,
+  getLeadTimeDays,
+  getLeadTimeTransitPoints,
+  SHORT_NOTICE_DAYS
+} from './leadTime.js';
+export { buildRollupStats, getRollupGroup, ROLLUP_LEVEL_LABELS, ROLLUP_LEVELS } from './rollups.js';
+export {
+  getCarrierSummary,
+  getWidestCoverageCarriers,
+  getMostReliableCarriers,
+  getMostConsistentCarriers,
+  getFastestCarrierVerdict,
+  getMostConsistentVerdict,
+  getMostReliableVerdict
+} from './carrierSummary.js';
+export {
+  buildCarrierScorecard,
+  DEFAULT_SCORE_WEIGHTS,
+  MAX_SCORE_WEIGHT,
+  normalizeScoreWeights,
+  SCORE_COMPONENT_DESCRIPTIONS,
+  SCORE_COMPONENT_LABELS,
+  SCORE_COMPONENTS,
+  SCORE_PRESETS
+} from './scorecard.js';
+export {
+  compareCarriers,
+  findSharedLanes,
+  isClearHeadToHeadWinner,
+  rankCarriersHeadToHead
+} from './headToHead.js';
+export {
+  CONFIDENCE_LEVEL,
+  DEFAULT_SAMPLE_THRESHOLDS,
+  calculateMeanConfidenceInterval,
+  isMeaningfulDelta,
+  isMeaningfulDifference,
+  isMeaningfulProportionDifference
+} from './confidence.js';
+export {
+  calculatePercentile,
+  calculateStandardDeviation,
+  CONSISTENCY_METHOD_LABELS,
+  CONSISTENCY_METHODS,
+  summarizeTransitTimes
+} from './stats.js';
+export {
+  buildTeuShares,
+  getRowWeights,
+  VOLUME_FIELDS,
+  WEIGHTING_LABELS,
+  WEIGHTINGS
+} from './weighting.js';
+export {
+  CARRIER_LANE_METRICS,
+  CARRIER_SUMMARY_METRICS,
+  compareCarrierSummaries,
+  compareLane,
+  compareValues,
+  decodePeriod,
+  describePeriod,
+  encodePeriod,
+  findBiggestMovers,
+  METRIC_DIRECTIONS,
+  MOVER_METRICS,
+  PERIOD_TYPE_LABELS,
+  PERIOD_TYPES,
+  TRENDS
+} from './periodComparison.js';
+export {
+  CONSISTENCY_WARNING_POINTS,
+  DEFAULT_LANE_TARGET,
+  DEFAULT_TARGETS,
+  findExceptions,
+  getCarrierTargets,
+  getConsistencyStatus,
+  getLaneTarget,
+  getTransitStatus,
+  TARGET_STATUS,
+  TARGET_STATUS_LABELS,
+  TRANSIT_WARNING_FACTOR,
+  worstStatus
+} from './targets.js';
+export {
+  backtestAllTransitEstimates,
+  backtestTransitEstimate,
+  DEFAULT_HALF_LIFE_DAYS,
+  estimateTransit,
+  groupSailings,
+  MIN_BACKTEST_HISTORY,
+  predictArrival,
+  summarizeBacktest,
+  toSailings
+} from './transitEstimate.js';
+export { buildTransitTrend } from './trends.js';
+export { applyFilters, createFilterTest, DEFAULT_FILTERS, getFilterOptions, hasActiveFilters } from './filters.js';
+export {
+  buildCarrierTable,
+  buildLaneCarrierMatrix,
+  buildLaneComparisonTable,
+  buildScorecardTable,
+  getCarriersByVolume,
+  tableToRows
+} from './reportTables.js';
+export { VERSION_MODES } from '../data/bookingVersions.js';
@@ -0,0 +1,46 @@
+import { getPort } from '../data/locations.js';
+
+const hasCoordinates = (port) => Boolean(port) && port.latitude !== null && port.longitude !== null;
+
+const toMapPoint = ({ code, name, latitude, longitude }) => ({ code, name, latitude, longitude });
+
+// Ranked lanes as origin -> destination arcs for the lane map. Each arc
+// carries the figures it is drawn from: the lane's total shipments and
+// average transit, or one carrier's when a carrier is given (lanes it does
+// not serve are left out). Lanes with a port that has no coordinates, in
+// the reference table or in the aliases, are listed in unplotted instead.
+//
+// Returns { arcs: [{ port, rank, origin, destination, shipmentCount,
+// avgTransitDays }], unplotted: [laneId] }, arcs in rank order. origin and
+// destination are { code, name, latitude, longitude }.
+export const buildLaneArcs = (portStats, rankedPorts, options = {}) => {
+  const { carrier = null, aliases = {} } = options;
+  const arcs = [];
+  const unplotted = [];
+
+  rankedPorts.forEach(port => {
+    const lane = portStats[port];
+    const stats = carrier ? lane.carriers[carrier] : {
+      shipmentCount: lane.totalShipments,
+      avgTransitDays: lane.averageTransitTime
+    };
+    if (!stats) return;
+
+    const [origin, destination] = port.split('--').map(code => getPort(code, aliases));
+    if (!hasCoordinates(origin) || !hasCoordinates(destination)) {
+      unplotted.push(port);
+      return;
+    }
+
+    arcs.push({
+      port,
+      rank: lane.rank,
+      origin: toMapPoint(origin),
+      destination: toMapPoint(destination),
+      shipmentCount: stats.shipmentCount,
+      avgTransitDays: stats.avgTransitDays
+    });
+  });
+
+  return { arcs, unplotted };
+};
@@ -0,0 +1,54 @@
+import { buildLaneArcs } from './laneMap';
+
+const portStats = {
+  'CNYTN--USSEA': {
+    rank: 1,
+    totalShipments: 4,
+    averageTransitTime: 21.5,
+    carriers: {
+      MSC: { shipmentCount: 3, avgTransitDays: 21 },
+      MAERSK: { shipmentCount: 1, avgTransitDays: 23 }
+    }
+  },
+  'PKBIN--USNYC': {
+    rank: 2,
+    totalShipments: 2,
+    averageTransitTime: 30,
+    carriers: { MSC: { shipmentCount: 2, avgTransitDays: 30 } }
+  },
+  'CNYTN--USLAX': {
+    rank: 3,
+    totalShipments: 1,
+    averageTransitTime: 13,
+    carriers: { ZIM: { shipmentCount: 1, avgTransitDays: 13 } }
+  }
+};
+const rankedPorts = ['CNYTN--USSEA', 'PKBIN--USNYC', 'CNYTN--USLAX'];
+
+test('places each ranked lane between its ports', () => {
+  const { arcs, unplotted } = buildLaneArcs(portStats, rankedPorts);
+  expect(arcs.map(arc => arc.port)).toEqual(['CNYTN--USSEA', 'CNYTN--USLAX']);
+  expect(arcs[0]).toEqual({
+    port: 'CNYTN--USSEA',
+    rank: 1,
+    origin: { code: 'CNYTN', name: 'Yantian', latitude: 22.58, longitude: 114.27 },
+    destination: { code: 'USSEA', name: 'Seattle', latitude: 47.6, longitude: -122.34 },
+    shipmentCount: 4,
+    avgTransitDays: 21.5
+  });
+  // Port Qasim's unofficial code has no coordinates
+  expect(unplotted).toEqual(['PKBIN--USNYC']);
+});
+
+test('uses alias coordinates for ports outside the table', () => {
+  const aliases = { PKBIN: { name: 'Bin Qasim', latitude: 24.78, longitude: 67.35 } };
+  const { arcs, unplotted } = buildLaneArcs(portStats, rankedPorts, { aliases });
+  expect(arcs).toHaveLength(3);
+  expect(arcs[1].origin.name).toBe('Bin Qasim');
+  expect(unplotted).toEqual([]);
+});
+
+test("shows one carrier's network with its own figures", () => {
+  const { arcs } = buildLaneArcs(portStats, rankedPorts, { carrier: 'MSC' });
+  expect(arcs.map(arc => [arc.port, arc.shipmentCount, arc.avgTransitDays])).toEqual([['CNYTN--USSEA', 3, 21]]);
+});
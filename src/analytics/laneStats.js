@@ -0,0 +1,112 @@
+import _ from 'lodash';
+import { summarizeStatuses } from '../data/bookingStatus.js';
+import { DEFAULT_SAMPLE_THRESHOLDS } from './confidence.js';
+import { summarizeEtdSlips } from './etdSlip.js';
+import { calculateWeightedMean, CONSISTENCY_METHODS, round, summarizeTransitTimes, toTransitDays } from './stats.js';
+import { getRowWeights, summarizeVolumes, WEIGHTINGS } from './weighting.js';
+
+// Shipments and status rows grouped by lane ID: { shipmentsByLane,
+// statusRowsByLane }. The lane, roll-up and lead-time statistics all start
+// from this grouping; analyzeShipments builds it once while classifying
+// rows and passes it to each as options.laneIndex.
+export const indexByLane = (shipments, statusRows) => ({
+  shipmentsByLane: _.groupBy(shipments, 'port_2_port_id'),
+  statusRowsByLane: _.groupBy(statusRows, 'port_2_port_id')
+});
+
+// Build per-lane, per-carrier statistics for the ranked lanes.
+//
+//   shipments        rows that passed validation and status filtering; these
+//                    feed the transit statistics
+//   statusRows       every booking with a carrier and lane, declined or not;
+//                    these feed acceptance rates
+//   rankedPortPairs  lane IDs in priority order
+//   options          { consistencyMethod, minLaneShipments, weighting,
+//                    laneIndex } - see CONSISTENCY_METHODS,
+//                    DEFAULT_SAMPLE_THRESHOLDS, WEIGHTINGS and indexByLane;
+//                    without laneIndex the rows are grouped here
+//
+// Returns { portStats, rankedPorts }. rankedPorts lists the ranked lanes
+// that have at least one shipment, in rank order. portStats also holds
+// ranked lanes with bookings but no shipments (every one declined, say), so
+// their acceptance still counts; lanes with neither are left out of both.
+// Carriers with fewer than minLaneShipments shipments on a lane are marked
+// lowSample.
+export const buildPortStats = (shipments, statusRows, rankedPortPairs, options = {}) => {
+  const {
+    consistencyMethod = CONSISTENCY_METHODS.RANGE,
+    minLaneShipments = DEFAULT_SAMPLE_THRESHOLDS.minLaneShipments,
+    weighting = WEIGHTINGS.BOOKINGS,
+    laneIndex = indexByLane(shipments, statusRows)
+  } = options;
+  const { shipmentsByLane, statusRowsByLane } = laneIndex;
+  
+  const portStats = {};
+  const rankedPorts = [];
+  
+  rankedPortPairs.forEach((port, index) => {
+    const portData = shipmentsByLane[port] || [];
+    const statusData = statusRowsByLane[port] || [];
+    if (portData.length === 0 && statusData.length === 0) return;
+    
+    if (portData.length > 0) rankedPorts.push(port);
+    portStats[port] = {
+      rank: index + 1,
+      ...summarizeShipmentGroup(portData, statusData, { consistencyMethod, minLaneShipments, weighting })
+    };
+  });
+  
+  return { portStats, rankedPorts };
+};
+
+// Totals, acceptance and per-carrier statistics for one group of shipments -
+// a lane, or a roll-up of lanes (see rollups.js). Options as for
+// buildPortStats, all required. Each carrier's teuShare is its percentage
+// of the group's TEU. Departure slip, like acceptance, is measured over
+// statusRows (see etdSlip.js). carriers only holds carriers with shipments
+// in the group; carrierStatuses holds the acceptance and slip of every
+// carrier with a booking in it, including those whose bookings were all
+// declined. averageTransitTime is null with no shipments.
+export const summarizeShipmentGroup = (shipments, statusRows, { consistencyMethod, minLaneShipments, weighting }) => {
+  const carrierStatuses = _.mapValues(_.groupBy(statusRows, 'carrier_name'), rows => ({
+    ...summarizeStatuses(rows),
+    ...summarizeEtdSlips(rows)
+  }));
+  const weights = getRowWeights(shipments, weighting);
+  const transitDays = shipments.map(toTransitDays);
+  const { containerCount, teuCount } = summarizeVolumes(shipments);
+  
+  return {
+    totalShipments: shipments.length,
+    totalContainers: containerCount,
+    totalTeu: teuCount,
+    averageTransitTime: shipments.length > 0 ?
+      round(weights ? calculateWeightedMean(transitDays, weights) : _.mean(transitDays), 2) : null,
+    ...summarizeStatuses(statusRows),
+    ...summarizeEtdSlips(statusRows),
+    carrierStatuses,
+    carriers: _.mapValues(_.groupBy(shipments, 'carrier_name'), (carrierData, carrier) => {
+      const volumes = summarizeVolumes(carrierData);
+      return {
+        ...summarizeTransitTimes(carrierData.map(toTransitDays), consistencyMethod, getRowWeights(carrierData, weighting)),
+        ...volumes,
+        teuShare: round((volumes.teuCount / teuCount) * 100, 1),
+        ...(carrierStatuses[carrier] || { ...summarizeStatuses([]), ...summarizeEtdSlips([]) }),
+        lowSample: carrierData.length < minLaneShipments,
+        sourceFiles: _.uniq(carrierData.map(row => row.source_file))
+      };
+    })
+  };
+};
+
+// One row per carrier on a lane, fastest first - the shape the lane charts
+// and tables are drawn from. Low-sample carriers follow the rest, so a
+// handful of lucky sailings cannot top the lane.
+export const buildLaneComparison = (portStats, port) => {
+  if (!port || !portStats[port]) return [];
+  
+  return _.sortBy(
+    Object.entries(portStats[port].carriers).map(([carrier, stats]) => ({ carrier, ...stats })),
+    ['lowSample', 'avgTransitDays']
+  );
+};
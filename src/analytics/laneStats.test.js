@@ -0,0 +1,136 @@
+import { shipment } from '../__fixtures__/shipments';
+import { buildLaneComparison, buildPortStats } from './laneStats';
+
+describe('buildPortStats', () => {
+  const shipments = [
+    shipment('MSC', 'CNYTN--USSEA', 20),
+    shipment('MSC', 'CNYTN--USSEA', 22),
+    shipment('ZIM', 'CNYTN--USLAX', 13)
+  ];
+  const declined = shipment('ZIM', 'CNYTN--USLAX', 15, { booking_status: 'Declined' });
+
+  test('keeps only ranked lanes with data, in rank order', () => {
+    const { portStats, rankedPorts } = buildPortStats(
+      shipments,
+      shipments,
+      ['CNSHA--USSEA', 'CNYTN--USLAX', 'CNYTN--USSEA']
+    );
+    expect(rankedPorts).toEqual(['CNYTN--USLAX', 'CNYTN--USSEA']);
+    expect(Object.keys(portStats).sort()).toEqual(['CNYTN--USLAX', 'CNYTN--USSEA']);
+    expect(portStats['CNYTN--USLAX'].rank).toBe(2);
+    expect(portStats['CNYTN--USSEA'].rank).toBe(3);
+  });
+
+  test('ignores lanes that are not ranked', () => {
+    const { rankedPorts } = buildPortStats(shipments, shipments, ['CNYTN--USSEA']);
+    expect(rankedPorts).toEqual(['CNYTN--USSEA']);
+  });
+
+  test('returns nothing when there are no shipments or no ranked lanes', () => {
+    expect(buildPortStats([], [], ['CNYTN--USSEA'])).toEqual({ portStats: {}, rankedPorts: [] });
+    expect(buildPortStats(shipments, shipments, [])).toEqual({ portStats: {}, rankedPorts: [] });
+  });
+
+  test('computes lane and carrier statistics', () => {
+    const { portStats } = buildPortStats(shipments, shipments, ['CNYTN--USSEA']);
+    const lane = portStats['CNYTN--USSEA'];
+    expect(lane.totalShipments).toBe(2);
+    expect(lane.averageTransitTime).toBe(21);
+    expect(lane.carriers.MSC).toMatchObject({
+      avgTransitDays: 21,
+      shipmentCount: 2,
+      sourceFiles: ['export.csv']
+    });
+  });
+
+  test('counts acceptance over status rows, not just sailed shipments', () => {
+    const { portStats } = buildPortStats(shipments, [...shipments, declined], ['CNYTN--USLAX']);
+    expect(portStats['CNYTN--USLAX'].carriers.ZIM).toMatchObject({
+      shipmentCount: 1,
+      confirmedCount: 1,
+      declinedCount: 1,
+      acceptanceRate: 50
+    });
+    expect(portStats['CNYTN--USLAX'].acceptanceRate).toBe(50);
+  });
+
+  test('keeps the acceptance of a carrier whose bookings on a lane were all declined', () => {
+    const statusRows = [
+      ...shipments,
+      shipment('ONE', 'CNYTN--USSEA', 0, { booking_status: 'Declined' }),
+      shipment('ONE', 'CNYTN--USSEA', 0, { booking_status: 'Declined' }),
+      shipment('ONE', 'VNSGN--USSEA', 0, { booking_status: 'Declined' })
+    ];
+    const { portStats, rankedPorts } = buildPortStats(shipments, statusRows, ['CNYTN--USSEA', 'VNSGN--USSEA']);
+
+    const lane = portStats['CNYTN--USSEA'];
+    expect(lane.carriers.ONE).toBeUndefined();
+    expect(lane.carrierStatuses.ONE).toMatchObject({ confirmedCount: 0, declinedCount: 2, acceptanceRate: 0 });
+    expect(lane.carrierStatuses.MSC).toMatchObject({ confirmedCount: 2, declinedCount: 0 });
+    expect(lane.acceptanceRate).toBe(50);
+
+    // A lane with bookings but no shipments keeps its acceptance, but is
+    // not ranked for transit
+    expect(rankedPorts).toEqual(['CNYTN--USSEA']);
+    expect(portStats['VNSGN--USSEA']).toMatchObject({
+      rank: 2,
+      totalShipments: 0,
+      averageTransitTime: null,
+      carriers: {},
+      carrierStatuses: { ONE: { declinedCount: 1 } }
+    });
+  });
+
+  test('totals containers and TEU and weights averages by the chosen volume', () => {
+    const laneShipments = [
+      shipment('MSC', 'CNYTN--USSEA', 20, { allocated_container_count: 1, allocated_teu_count: 2 }),
+      shipment('MSC', 'CNYTN--USSEA', 30, { allocated_container_count: 3, allocated_teu_count: 6 }),
+      shipment('ZIM', 'CNYTN--USSEA', 25, { allocated_container_count: 1, allocated_teu_count: 1 })
+    ];
+    const byBooking = buildPortStats(laneShipments, laneShipments, ['CNYTN--USSEA']).portStats['CNYTN--USSEA'];
+    expect(byBooking).toMatchObject({ totalShipments: 3, totalContainers: 5, totalTeu: 9, averageTransitTime: 25 });
+    expect(byBooking.carriers.MSC).toMatchObject({ avgTransitDays: 25, containerCount: 4, teuCount: 8, teuShare: 88.9 });
+    expect(byBooking.carriers.ZIM.teuShare).toBe(11.1);
+
+    const byTeu = buildPortStats(laneShipments, laneShipments, ['CNYTN--USSEA'], { weighting: 'teu' }).portStats['CNYTN--USSEA'];
+    expect(byTeu.averageTransitTime).toBe(27.22);
+    expect(byTeu.carriers.MSC).toMatchObject({ avgTransitDays: 27.5, shipmentCount: 2 });
+  });
+
+  test('flags carriers below the lane sample minimum', () => {
+    const { portStats } = buildPortStats(shipments, shipments, ['CNYTN--USSEA', 'CNYTN--USLAX'], { minLaneShipments: 2 });
+    expect(portStats['CNYTN--USSEA'].carriers.MSC.lowSample).toBe(false);
+    expect(portStats['CNYTN--USLAX'].carriers.ZIM.lowSample).toBe(true);
+  });
+});
+
+describe('buildLaneComparison', () => {
+  const { portStats } = buildPortStats(
+    [shipment('MSC', 'CNYTN--USLAX', 15), shipment('ZIM', 'CNYTN--USLAX', 13)],
+    [],
+    ['CNYTN--USLAX']
+  );
+
+  test('lists carriers fastest first', () => {
+    expect(buildLaneComparison(portStats, 'CNYTN--USLAX').map(row => row.carrier)).toEqual(['ZIM', 'MSC']);
+  });
+
+  test('lists low-sample carriers after the rest', () => {
+    const { portStats: sampled } = buildPortStats(
+      [
+        shipment('MSC', 'CNYTN--USLAX', 15),
+        shipment('MSC', 'CNYTN--USLAX', 16),
+        shipment('ZIM', 'CNYTN--USLAX', 13)
+      ],
+      [],
+      ['CNYTN--USLAX'],
+      { minLaneShipments: 2 }
+    );
+    expect(buildLaneComparison(sampled, 'CNYTN--USLAX').map(row => row.carrier)).toEqual(['MSC', 'ZIM']);
+  });
+
+  test('is empty for an unknown or unselected lane', () => {
+    expect(buildLaneComparison(portStats, 'CNSHA--USSEA')).toEqual([]);
+    expect(buildLaneComparison(portStats, '')).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+import _ from 'lodash';
+import { isDeclined } from '../data/bookingStatus.js';
+import { MS_PER_DAY } from '../data/dates.js';
+import { isMeaningfulProportionDifference } from './confidence.js';
+import { calculatePercentile, HOURS_PER_DAY, round, toTransitDays } from './stats.js';
+
+// How far ahead of departure bookings are made, and what that does to
+// acceptance and transit. Two measures, both in days:
+//
+//   lead time       the lead_time column: hours from the booking version's
+//                   transaction (version_date) to its planned departure
+//                   (pol_etd), so it describes the version being analysed.
+//                   Negative when the version was issued after departure.
+//   booking window  from when the booking was first placed
+//                   (original_version_date) to the departure first asked for
+//                   (pol_etd_for_first_transaction) - how much notice the
+//                   carrier was given, whichever version is analysed.
+
+// Bookings with less notice than this count as short notice
+export const SHORT_NOTICE_DAYS = 7;
+
+// Booking window bands, by upper bound in days. Bookings placed after their
+// requested departure fall in the first band.
+export const BOOKING_WINDOW_BANDS = [
+  { key: 'under1w', label: 'Under 1 week', maxDays: SHORT_NOTICE_DAYS },
+  { key: '1to2w', label: '1-2 weeks', maxDays: 14 },
+  { key: '2to4w', label: '2-4 weeks', maxDays: 28 },
+  { key: '4wPlus', label: '4+ weeks', maxDays: Infinity }
+];
+
+export const getLeadTimeDays = (row) => (
+  typeof row.lead_time === 'number' && Number.isFinite(row.lead_time) ? row.lead_time / HOURS_PER_DAY : null
+);
+
+export const getBookingWindowDays = (row) => (
+  row.firstEtdDate && row.originalVersionDate ?
+    (row.firstEtdDate.getTime() - row.originalVersionDate.getTime()) / MS_PER_DAY : null
+);
+
+export const getBookingWindowBand = (days) => BOOKING_WINDOW_BANDS.find(band => days < band.maxDays);
+
+// Distribution of a list of day counts, ignoring missing values. Fields are
+// null when there are no values.
+export const summarizeDays = (values) => {
+  const sorted = _.sortBy(values.filter(value => value !== null));
+  const stat = (value) => (sorted.length > 0 ? round(value, 1) : null);
+  return {
+    count: sorted.length,
+    avgDays: stat(_.mean(sorted)),
+    medianDays: stat(calculatePercentile(sorted, 50)),
+    p10Days: stat(calculatePercentile(sorted, 10)),
+    p90Days: stat(calculatePercentile(sorted, 90)),
+    afterDepartureCount: sorted.filter(value => value < 0).length
+  };
+};
+
+// Decline rates per booking window band, plus short-notice bookings against
+// the rest: whether the gap in decline rate is more than chance would
+// explain (see isMeaningfulProportionDifference)
+const summarizeWindowDeclines = (rows) => {
+  const withWindow = rows.map(row => ({ row, days: getBookingWindowDays(row) })).filter(({ days }) => days !== null);
+  const declinedCount = (entries) => entries.filter(({ row }) => isDeclined(row)).length;
+  const declineRate = (entries) => (entries.length > 0 ? round((declinedCount(entries) / entries.length) * 100, 1) : null);
+  const [shortNotice, otherNotice] = _.partition(withWindow, ({ days }) => days < SHORT_NOTICE_DAYS);
+
+  return {
+    windowBands: BOOKING_WINDOW_BANDS.map(band => {
+      const entries = withWindow.filter(({ days }) => getBookingWindowBand(days) === band);
+      return {
+        key: band.key,
+        label: band.label,
+        bookingCount: entries.length,
+        declinedCount: declinedCount(entries),
+        declineRate: declineRate(entries)
+      };
+    }),
+    shortNotice: {
+      bookingCount: shortNotice.length,
+      declineRate: declineRate(shortNotice),
+      otherBookingCount: otherNotice.length,
+      otherDeclineRate: declineRate(otherNotice),
+      isMeaningful: isMeaningfulProportionDifference(
+        declinedCount(shortNotice), shortNotice.length,
+        declinedCount(otherNotice), otherNotice.length
+      )
+    }
+  };
+};
+
+const summarizeGroup = (rows) => ({
+  leadTime: summarizeDays(rows.map(getLeadTimeDays)),
+  bookingWindow: summarizeDays(rows.map(getBookingWindowDays)),
+  ...summarizeWindowDeclines(rows)
+});
+
+// Lead times and booking windows on the ranked lanes, per lane and per
+// carrier across those lanes. statusRows are every booking with a carrier
+// and lane, declined or not, as for buildPortStats; options.laneIndex, from
+// indexByLane, saves grouping them again.
+//
+// Returns {
+//   lanes:    { [laneId]: LeadTimeStats & { carriers: { [carrier]: LeadTimeStats } } },
+//   carriers: { [carrier]: LeadTimeStats }
+// }
+// LeadTimeStats: { leadTime, bookingWindow } as from summarizeDays,
+//   windowBands: [{ key, label, bookingCount, declinedCount, declineRate }],
+//   shortNotice: { bookingCount, declineRate, otherBookingCount,
+//                  otherDeclineRate, isMeaningful }
+// Decline rates are percentages, null with no bookings to measure.
+export const buildLeadTimeStats = (statusRows, rankedPorts, { laneIndex } = {}) => {
+  const rowsByLane = laneIndex ? laneIndex.statusRowsByLane : _.groupBy(statusRows, 'port_2_port_id');
+  const lanes = rankedPorts.filter(port => rowsByLane[port]);
+  const rankedRows = lanes.flatMap(port => rowsByLane[port]);
+
+  return {
+    lanes: Object.fromEntries(lanes.map(port => [port, {
+      ...summarizeGroup(rowsByLane[port]),
+      carriers: _.mapValues(_.groupBy(rowsByLane[port], 'carrier_name'), summarizeGroup)
+    }])),
+    carriers: _.mapValues(_.groupBy(rankedRows, 'carrier_name'), summarizeGroup)
+  };
+};
+
+// One point per shipment on a lane with a known lead time, for plotting
+// lead time against transit: { carrier, leadTimeDays, transitDays }
+export const getLeadTimeTransitPoints = (shipments, port) => shipments
+  .filter(row => row.port_2_port_id === port && getLeadTimeDays(row) !== null)
+  .map(row => ({
+    carrier: row.carrier_name,
+    leadTimeDays: round(getLeadTimeDays(row), 1),
+    transitDays: round(toTransitDays(row), 1)
+  }));
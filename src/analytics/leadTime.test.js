@@ -0,0 +1,101 @@
+import {
+  buildLeadTimeStats,
+  getBookingWindowBand,
+  getBookingWindowDays,
+  getLeadTimeDays,
+  getLeadTimeTransitPoints,
+  summarizeDays
+} from './leadTime';
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const booking = (carrier, port, placed, firstEtd, status = 'Confirmed', leadTime = 120) => ({
+  carrier_name: carrier,
+  port_2_port_id: port,
+  booking_status: status,
+  lead_time: leadTime,
+  originalVersionDate: day(placed),
+  firstEtdDate: day(firstEtd)
+});
+
+test('converts lead time hours and booking windows to days', () => {
+  const row = booking('MSC', 'CNYTN--USSEA', '2025-01-01', '2025-01-11', 'Confirmed', 36);
+  expect(getLeadTimeDays(row)).toBe(1.5);
+  expect(getBookingWindowDays(row)).toBe(10);
+  expect(getLeadTimeDays({ lead_time: null })).toBeNull();
+  expect(getLeadTimeDays({ lead_time: '' })).toBeNull();
+  expect(getBookingWindowDays({ firstEtdDate: null, originalVersionDate: day('2025-01-01') })).toBeNull();
+});
+
+test('bands booking windows, putting bookings placed after departure first', () => {
+  expect(getBookingWindowBand(-2).key).toBe('under1w');
+  expect(getBookingWindowBand(6.9).key).toBe('under1w');
+  expect(getBookingWindowBand(7).key).toBe('1to2w');
+  expect(getBookingWindowBand(27).key).toBe('2to4w');
+  expect(getBookingWindowBand(90).key).toBe('4wPlus');
+});
+
+test('summarizes day counts, skipping missing values', () => {
+  expect(summarizeDays([4, null, -1, 10, 2])).toEqual({
+    count: 4,
+    avgDays: 3.8,
+    medianDays: 3,
+    p10Days: -0.1,
+    p90Days: 8.2,
+    afterDepartureCount: 1
+  });
+  expect(summarizeDays([null])).toEqual({
+    count: 0,
+    avgDays: null,
+    medianDays: null,
+    p10Days: null,
+    p90Days: null,
+    afterDepartureCount: 0
+  });
+});
+
+test('compares decline rates of short-notice bookings with the rest', () => {
+  const rows = [
+    ...Array.from({ length: 20 }, (_, i) => booking('MSC', 'CNYTN--USSEA', '2025-01-08', '2025-01-11', i < 15 ? 'Declined' : 'Confirmed')),
+    ...Array.from({ length: 20 }, (_, i) => booking('MSC', 'CNYTN--USSEA', '2025-01-01', '2025-01-21', i < 2 ? 'Declined' : 'Confirmed')),
+    booking('ZIM', 'CNYTN--USSEA', '2025-01-01', '2025-03-01'),
+    booking('ZIM', 'VNSGN--USLAX', '2025-01-01', '2025-01-05', 'Declined')
+  ];
+  const stats = buildLeadTimeStats(rows, ['CNYTN--USSEA']);
+
+  // Bookings on lanes outside the ranking are left out
+  expect(Object.keys(stats.lanes)).toEqual(['CNYTN--USSEA']);
+  expect(stats.carriers.ZIM.bookingWindow.count).toBe(1);
+
+  expect(stats.carriers.MSC.shortNotice).toEqual({
+    bookingCount: 20,
+    declineRate: 75,
+    otherBookingCount: 20,
+    otherDeclineRate: 10,
+    isMeaningful: true
+  });
+  expect(stats.carriers.MSC.windowBands.map(band => [band.key, band.bookingCount, band.declinedCount])).toEqual([
+    ['under1w', 20, 15],
+    ['1to2w', 0, 0],
+    ['2to4w', 20, 2],
+    ['4wPlus', 0, 0]
+  ]);
+  expect(stats.carriers.MSC.windowBands[1].declineRate).toBeNull();
+
+  const lane = stats.lanes['CNYTN--USSEA'];
+  expect(lane.bookingWindow.count).toBe(41);
+  expect(lane.carriers.ZIM.windowBands[3].bookingCount).toBe(1);
+  expect(lane.carriers.ZIM.shortNotice.declineRate).toBeNull();
+  expect(lane.carriers.ZIM.shortNotice.isMeaningful).toBe(false);
+});
+
+test('pairs lead time with transit for a lane', () => {
+  const shipments = [
+    { carrier_name: 'MSC', port_2_port_id: 'CNYTN--USSEA', lead_time: 100, transit_time: 480 },
+    { carrier_name: 'ZIM', port_2_port_id: 'CNYTN--USSEA', lead_time: null, transit_time: 500 },
+    { carrier_name: 'ZIM', port_2_port_id: 'CNYTN--USLAX', lead_time: 50, transit_time: 300 }
+  ];
+  expect(getLeadTimeTransitPoints(shipments, 'CNYTN--USSEA')).toEqual([
+    { carrier: 'MSC', leadTimeDays: 4.2, transitDays: 20 }
+  ]);
+});
@@ -0,0 +1,187 @@
+import _ from 'lodash';
+import { round } from './stats.js';
+
+// Period-over-period comparison: the same statistics computed for two
+// periods (see the analysis engine's periods option) and set side by side.
+// A period is a departure date range or one loaded export:
+//
+//   { type: PERIOD_TYPES.DATES, from, to }  YYYY-MM-DD, either may be ''
+//   { type: PERIOD_TYPES.FILE, file }       the export's file name
+//
+// The first period is the baseline; deltas are the second minus the first.
+
+export const PERIOD_TYPES = {
+  DATES: 'dates',
+  FILE: 'file'
+};
+
+export const PERIOD_TYPE_LABELS = {
+  [PERIOD_TYPES.DATES]: 'Date range',
+  [PERIOD_TYPES.FILE]: 'Loaded file'
+};
+
+// Which way a statistic should move. Volumes have no better direction.
+export const METRIC_DIRECTIONS = {
+  LOWER: 'lower',
+  HIGHER: 'higher',
+  NONE: 'none'
+};
+
+export const TRENDS = {
+  IMPROVED: 'improved',
+  WORSENED: 'worsened',
+  UNCHANGED: 'unchanged'
+};
+
+const { LOWER, HIGHER, NONE } = METRIC_DIRECTIONS;
+
+// getCarrierSummary fields, for carriers across all ranked lanes
+export const CARRIER_SUMMARY_METRICS = [
+  { key: 'avgDays', label: 'Avg transit (days)', direction: LOWER },
+  { key: 'avgDaysCiMargin', label: '95% interval +/- (days)', direction: LOWER },
+  { key: 'weightedConsistencyScore', label: 'Weighted consistency', direction: HIGHER },
+  { key: 'avgConsistencyScore', label: 'Avg consistency', direction: HIGHER },
+  { key: 'acceptanceRate', label: 'Acceptance rate (%)', direction: HIGHER },
+  { key: 'slippedShare', label: 'Sailings slipped (%)', direction: LOWER },
+  { key: 'avgSlipDays', label: 'Avg slip (days)', direction: LOWER },
+  { key: 'worstSlipDays', label: 'Worst slip (days)', direction: LOWER },
+  { key: 'laneCount', label: 'Lanes served', direction: NONE },
+  { key: 'shipmentCount', label: 'Shipments', direction: NONE },
+  { key: 'containerCount', label: 'Containers', direction: NONE },
+  { key: 'teuCount', label: 'TEU', direction: NONE },
+  { key: 'confirmedCount', label: 'Confirmed bookings', direction: NONE },
+  { key: 'declinedCount', label: 'Declined bookings', direction: LOWER }
+];
+
+// CarrierLaneStats fields, for carriers on one lane. laneKey names the
+// matching LaneStats field, for the lane's own totals; metrics without one
+// have no lane-level figure.
+export const CARRIER_LANE_METRICS = [
+  { key: 'avgTransitDays', laneKey: 'averageTransitTime', label: 'Avg transit (days)', direction: LOWER },
+  { key: 'medianTransitDays', label: 'Median transit (days)', direction: LOWER },
+  { key: 'minTransitDays', label: 'Fastest transit (days)', direction: LOWER },
+  { key: 'maxTransitDays', label: 'Slowest transit (days)', direction: LOWER },
+  { key: 'p10TransitDays', label: '10th percentile (days)', direction: LOWER },
+  { key: 'p25TransitDays', label: '25th percentile (days)', direction: LOWER },
+  { key: 'p75TransitDays', label: '75th percentile (days)', direction: LOWER },
+  { key: 'p90TransitDays', label: '90th percentile (days)', direction: LOWER },
+  { key: 'p95TransitDays', label: '95th percentile (days)', direction: LOWER },
+  { key: 'interquartileRange', label: 'Interquartile range (days)', direction: LOWER },
+  { key: 'standardDeviation', label: 'Standard deviation (days)', direction: LOWER },
+  { key: 'ciMarginDays', label: '95% interval +/- (days)', direction: LOWER },
+  { key: 'consistencyScore', label: 'Consistency', direction: HIGHER },
+  { key: 'acceptanceRate', laneKey: 'acceptanceRate', label: 'Acceptance rate (%)', direction: HIGHER },
+  { key: 'slippedShare', laneKey: 'slippedShare', label: 'Sailings slipped (%)', direction: LOWER },
+  { key: 'avgSlipDays', laneKey: 'avgSlipDays', label: 'Avg slip (days)', direction: LOWER },
+  { key: 'worstSlipDays', laneKey: 'worstSlipDays', label: 'Worst slip (days)', direction: LOWER },
+  { key: 'shipmentCount', laneKey: 'totalShipments', label: 'Shipments', direction: NONE },
+  { key: 'containerCount', laneKey: 'totalContainers', label: 'Containers', direction: NONE },
+  { key: 'teuCount', laneKey: 'totalTeu', label: 'TEU', direction: NONE },
+  { key: 'teuShare', label: 'TEU share (%)', direction: NONE },
+  { key: 'confirmedCount', laneKey: 'confirmedCount', label: 'Confirmed bookings', direction: NONE },
+  { key: 'declinedCount', laneKey: 'declinedCount', label: 'Declined bookings', direction: LOWER }
+];
+
+// Carrier-lane statistics the biggest movers can be ranked by
+export const MOVER_METRICS = CARRIER_LANE_METRICS.filter(metric => ['avgTransitDays', 'consistencyScore'].includes(metric.key));
+
+const isMissing = value => value === null || value === undefined;
+
+// One statistic in both periods: { before, after, delta, deltaPercent,
+// trend }. delta and deltaPercent (of the baseline's magnitude) are null
+// when either value is missing, deltaPercent also when the baseline is
+// zero. trend says whether the move was for the better given the metric's
+// direction; null when there is no delta or no better direction.
+export const compareValues = (before, after, direction = NONE) => {
+  if (isMissing(before) || isMissing(after)) {
+    return { before: before ?? null, after: after ?? null, delta: null, deltaPercent: null, trend: null };
+  }
+  const delta = round(after - before, 2);
+  return {
+    before,
+    after,
+    delta,
+    deltaPercent: before !== 0 ? round((delta / Math.abs(before)) * 100, 1) : null,
+    trend: direction === NONE ? null :
+      delta === 0 ? TRENDS.UNCHANGED :
+        (delta < 0) === (direction === LOWER) ? TRENDS.IMPROVED : TRENDS.WORSENED
+  };
+};
+
+const compareStats = (before, after, metrics, keyOf = metric => metric.key) => Object.fromEntries(metrics.map(metric => [
+  metric.key,
+  compareValues(before?.[keyOf(metric)], after?.[keyOf(metric)], metric.direction)
+]));
+
+// getCarrierSummary output for both periods, one row per carrier in either:
+// { carrier, inBefore, inAfter, lowSample, metrics: { [key]: comparison } }.
+// lowSample is set when either period's sample is low. Carriers keep the
+// second period's order, followed by those that only appear in the first.
+export const compareCarrierSummaries = (summaryBefore, summaryAfter, metrics = CARRIER_SUMMARY_METRICS) => {
+  const before = _.keyBy(summaryBefore, 'carrier');
+  const after = _.keyBy(summaryAfter, 'carrier');
+  const carriers = _.uniq([...summaryAfter.map(row => row.carrier), ...summaryBefore.map(row => row.carrier)]);
+
+  return carriers.map(carrier => ({
+    carrier,
+    inBefore: Boolean(before[carrier]),
+    inAfter: Boolean(after[carrier]),
+    lowSample: Boolean(before[carrier]?.lowSample || after[carrier]?.lowSample),
+    metrics: compareStats(before[carrier], after[carrier], metrics)
+  }));
+};
+
+// One lane's LaneStats in both periods: { lane: { [key]: comparison } for
+// the metrics with a laneKey, carriers: rows as for compareCarrierSummaries
+// }. Either period's portStats may lack the lane.
+export const compareLane = (portStatsBefore, portStatsAfter, port, metrics = CARRIER_LANE_METRICS) => {
+  const before = portStatsBefore[port];
+  const after = portStatsAfter[port];
+  const carriers = _.uniq([...Object.keys(after?.carriers || {}), ...Object.keys(before?.carriers || {})]);
+
+  return {
+    lane: compareStats(before, after, metrics.filter(metric => metric.laneKey), metric => metric.laneKey),
+    carriers: _.sortBy(carriers, carrier => after?.carriers[carrier]?.avgTransitDays ?? Infinity).map(carrier => {
+      const carrierBefore = before?.carriers[carrier];
+      const carrierAfter = after?.carriers[carrier];
+      return {
+        carrier,
+        inBefore: Boolean(carrierBefore),
+        inAfter: Boolean(carrierAfter),
+        lowSample: Boolean(carrierBefore?.lowSample || carrierAfter?.lowSample),
+        metrics: compareStats(carrierBefore, carrierAfter, metrics)
+      };
+    })
+  };
+};
+
+// The carrier-lane pairs whose metric (a CARRIER_LANE_METRICS key) moved
+// the most between the periods, largest absolute change first: [{ port,
+// carrier, ...comparison }]. Only pairs with enough shipments in both
+// periods count - on a handful of sailings any change is noise.
+export const findBiggestMovers = (portStatsBefore, portStatsAfter, { metric = 'avgTransitDays', limit = 10 } = {}) => {
+  const { direction } = CARRIER_LANE_METRICS.find(candidate => candidate.key === metric);
+  const movers = Object.keys(portStatsAfter).flatMap(port => Object.entries(portStatsAfter[port].carriers).map(([carrier, after]) => {
+    const before = portStatsBefore[port]?.carriers[carrier];
+    if (!before || before.lowSample || after.lowSample) return null;
+    return { port, carrier, ...compareValues(before[metric], after[metric], direction) };
+  })).filter(mover => mover && mover.delta);
+
+  return _.orderBy(movers, [mover => Math.abs(mover.delta), 'port', 'carrier'], ['desc', 'asc', 'asc']).slice(0, limit);
+};
+
+export const describePeriod = (period) => (
+  period.type === PERIOD_TYPES.FILE ? period.file : `${period.from || 'earliest'} to ${period.to || 'latest'}`
+);
+
+// Periods in the URL: 'from..to' for date ranges, 'file:name' for files
+export const encodePeriod = (period) => (
+  period.type === PERIOD_TYPES.FILE ? `file:${period.file}` : `${period.from || ''}..${period.to || ''}`
+);
+
+export const decodePeriod = (text) => {
+  if (!text) return null;
+  if (text.startsWith('file:')) return { type: PERIOD_TYPES.FILE, file: text.slice('file:'.length) };
+  const [from = '', to = ''] = text.split('..');
+  return { type: PERIOD_TYPES.DATES, from, to };
+};
@@ -0,0 +1,77 @@
+import { carrierStats } from '../__fixtures__/carrierStats';
+import {
+  compareCarrierSummaries,
+  compareLane,
+  compareValues,
+  decodePeriod,
+  encodePeriod,
+  findBiggestMovers,
+  PERIOD_TYPES,
+  TRENDS
+} from './periodComparison';
+
+const before = {
+  'CNYTN--USSEA': { averageTransitTime: 22, totalShipments: 40, carriers: { MSC: carrierStats(21, 90, 30), MAERSK: carrierStats(24, 70) } },
+  'CNYTN--USLAX': { averageTransitTime: 15, totalShipments: 12, carriers: { MSC: carrierStats(15, 80), ZIM: carrierStats(13, 100, 2, true) } }
+};
+const after = {
+  'CNYTN--USSEA': { averageTransitTime: 23, totalShipments: 36, carriers: { MSC: carrierStats(21.5, 85, 26), MAERSK: carrierStats(27, 58) } },
+  'CNYTN--USLAX': { averageTransitTime: 14, totalShipments: 15, carriers: { MSC: carrierStats(13, 90), ZIM: carrierStats(12, 100, 5) } },
+  'VNSGN--USLAX': { averageTransitTime: 18, totalShipments: 10, carriers: { CMA: carrierStats(18, 95) } }
+};
+
+test('compareValues judges a change by the direction that is better', () => {
+  expect(compareValues(20, 18, 'lower')).toEqual({ before: 20, after: 18, delta: -2, deltaPercent: -10, trend: TRENDS.IMPROVED });
+  expect(compareValues(80, 72, 'higher')).toMatchObject({ delta: -8, trend: TRENDS.WORSENED });
+  expect(compareValues(5, 5, 'lower').trend).toBe(TRENDS.UNCHANGED);
+  expect(compareValues(10, 12).trend).toBeNull();
+  expect(compareValues(0, 3, 'lower')).toMatchObject({ delta: 3, deltaPercent: null });
+  expect(compareValues(null, 3, 'lower')).toEqual({ before: null, after: 3, delta: null, deltaPercent: null, trend: null });
+});
+
+test('compareCarrierSummaries lines up carriers from either period', () => {
+  const rows = compareCarrierSummaries(
+    [{ carrier: 'MSC', avgDays: 20, lowSample: false }, { carrier: 'ZIM', avgDays: 14, lowSample: true }],
+    [{ carrier: 'MSC', avgDays: 19, lowSample: false }, { carrier: 'ONE', avgDays: 25, lowSample: false }]
+  );
+  expect(rows.map(row => [row.carrier, row.inBefore, row.inAfter, row.lowSample])).toEqual([
+    ['MSC', true, true, false],
+    ['ONE', false, true, false],
+    ['ZIM', true, false, true]
+  ]);
+  expect(rows[0].metrics.avgDays).toMatchObject({ delta: -1, trend: TRENDS.IMPROVED });
+  expect(rows[1].metrics.avgDays.delta).toBeNull();
+});
+
+test('compareLane compares the lane totals and each carrier on it', () => {
+  const lane = compareLane(before, after, 'CNYTN--USSEA');
+  expect(lane.lane.avgTransitDays).toMatchObject({ before: 22, after: 23, trend: TRENDS.WORSENED });
+  expect(lane.lane.shipmentCount).toMatchObject({ delta: -4, trend: null });
+  expect(lane.lane).not.toHaveProperty('consistencyScore');
+  expect(lane.carriers.map(row => row.carrier)).toEqual(['MSC', 'MAERSK']);
+  expect(lane.carriers[1].metrics.consistencyScore).toMatchObject({ delta: -12, trend: TRENDS.WORSENED });
+
+  const added = compareLane(before, after, 'VNSGN--USLAX');
+  expect(added.lane.avgTransitDays).toMatchObject({ before: null, after: 18 });
+  expect(added.carriers[0]).toMatchObject({ carrier: 'CMA', inBefore: false, inAfter: true });
+});
+
+test('findBiggestMovers ranks carrier-lane pairs by the size of the change', () => {
+  expect(findBiggestMovers(before, after).map(mover => [mover.carrier, mover.port, mover.delta])).toEqual([
+    ['MAERSK', 'CNYTN--USSEA', 3],
+    ['MSC', 'CNYTN--USLAX', -2],
+    ['MSC', 'CNYTN--USSEA', 0.5]
+  ]);
+  expect(findBiggestMovers(before, after, { metric: 'consistencyScore', limit: 1 })).toEqual([
+    { port: 'CNYTN--USSEA', carrier: 'MAERSK', before: 70, after: 58, delta: -12, deltaPercent: -17.1, trend: TRENDS.WORSENED }
+  ]);
+});
+
+test('periods round-trip through their URL form', () => {
+  const dates = { type: PERIOD_TYPES.DATES, from: '2025-01-01', to: '' };
+  const file = { type: PERIOD_TYPES.FILE, file: 'sonar_2025-02.csv' };
+  expect(encodePeriod(dates)).toBe('2025-01-01..');
+  expect(decodePeriod(encodePeriod(dates))).toEqual(dates);
+  expect(decodePeriod(encodePeriod(file))).toEqual(file);
+  expect(decodePeriod('')).toBeNull();
+});
@@ -0,0 +1,119 @@
+import _ from 'lodash';
+import { isDeclined } from '../data/bookingStatus.js';
+import { dedupeBookings, VERSION_MODES } from '../data/bookingVersions.js';
+import { getShipmentDate, isWithinDateRange } from '../data/dates.js';
+import { buildQualityReport, isValidShipment } from '../data/validation.js';
+import { DEFAULT_SAMPLE_THRESHOLDS } from './confidence.js';
+import { createFilterTest, DEFAULT_FILTERS } from './filters.js';
+import { buildPortStats } from './laneStats.js';
+import { buildLeadTimeStats } from './leadTime.js';
+import { buildRollupStats, ROLLUP_LEVELS } from './rollups.js';
+import { CONSISTENCY_METHODS } from './stats.js';
+import { WEIGHTINGS } from './weighting.js';
+
+export const DEFAULT_OPTIONS = {
+  versionMode: VERSION_MODES.CURRENT,
+  includeDeclined: false,
+  dateRange: { from: '', to: '' },
+  filters: DEFAULT_FILTERS,
+  rankedPortPairs: [],
+  consistencyMethod: CONSISTENCY_METHODS.RANGE,
+  minLaneShipments: DEFAULT_SAMPLE_THRESHOLDS.minLaneShipments,
+  weighting: WEIGHTINGS.BOOKINGS
+};
+
+const addToLane = (rowsByLane, row) => {
+  const lane = row.port_2_port_id;
+  if (!rowsByLane[lane]) rowsByLane[lane] = [];
+  rowsByLane[lane].push(row);
+};
+
+// Run loaded booking rows through every stage of the analysis: version
+// deduplication, date and dashboard filters, validation, status filtering
+// and the lane statistics. See index.js for the shape of the result.
+export const analyzeShipments = (rows, options = {}) => {
+  const {
+    versionMode,
+    includeDeclined,
+    dateRange,
+    filters,
+    rankedPortPairs,
+    consistencyMethod,
+    minLaneShipments,
+    weighting
+  } = { ...DEFAULT_OPTIONS, ...options };
+  
+  // Collapse superseded booking versions so each booking counts once
+  const bookings = dedupeBookings(rows, versionMode);
+  
+  const passesFilters = createFilterTest(filters);
+  const bookingsInScope = [];
+  const statusRows = [];
+  const shipments = [];
+  const laneIndex = { shipmentsByLane: {}, statusRowsByLane: {} };
+  let outsideDateRangeCount = 0;
+  let filteredOutCount = 0;
+  let declinedExcludedCount = 0;
+  
+  // Sort every booking into the stage it drops out at in one pass, indexing
+  // the survivors by lane as we go - exports run to hundreds of thousands of
+  // rows
+  bookings.forEach(row => {
+    // Only bookings departing within the selected date range are analysed...
+    if (!isWithinDateRange(getShipmentDate(row), dateRange)) {
+      outsideDateRangeCount += 1;
+      return;
+    }
+    // ...and that pass the lane, carrier, status and geography filters
+    if (!passesFilters(row)) {
+      filteredOutCount += 1;
+      return;
+    }
+    bookingsInScope.push(row);
+    
+    // Every booking with a carrier and lane counts towards acceptance
+    // rates, whether or not it ever sailed
+    if (!row.carrier_name || !row.port_2_port_id) return;
+    statusRows.push(row);
+    addToLane(laneIndex.statusRowsByLane, row);
+    
+    // Rows failing validation (missing or implausible transit times,
+    // malformed lanes) are left out of transit statistics, as are declined
+    // bookings unless explicitly included - they never sailed as booked
+    if (!isValidShipment(row)) return;
+    if (!includeDeclined && isDeclined(row)) {
+      declinedExcludedCount += 1;
+      return;
+    }
+    shipments.push(row);
+    addToLane(laneIndex.shipmentsByLane, row);
+  });
+  
+  const statsOptions = { consistencyMethod, minLaneShipments, weighting, laneIndex };
+  const { portStats, rankedPorts } = buildPortStats(shipments, statusRows, rankedPortPairs, statsOptions);
+  
+  const rollups = Object.fromEntries(Object.values(ROLLUP_LEVELS).map(level => [
+    level,
+    buildRollupStats(shipments, statusRows, level, statsOptions)
+  ]));
+  
+  return {
+    bookings,
+    shipments,
+    portStats,
+    rankedPorts,
+    rollups,
+    leadTimes: buildLeadTimeStats(statusRows, rankedPorts, { laneIndex }),
+    laneVolumes: _.mapValues(laneIndex.shipmentsByLane, 'length'),
+    rowCountsByFile: _.countBy(shipments, 'source_file'),
+    qualityReport: {
+      ...buildQualityReport(bookingsInScope),
+      transactionCount: rows.length,
+      bookingCount: bookings.length,
+      outsideDateRangeCount,
+      filteredOutCount,
+      declinedExcludedCount,
+      analysedCount: shipments.length
+    }
+  };
+};
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { analyzeShipments, DEFAULT_FILTERS, ROLLUP_LEVELS, VERSION_MODES } from '.';
+import { createDataset, parseCsv } from '../data/loadCsv';
+
+const FIXTURE = path.join(__dirname, '..', '__fixtures__', 'sonar_sample.csv');
+const RANKED_LANES = ['CNYTN--USSEA', 'VNSGN--USLAX', 'CNYTN--USLAX'];
+
+let rows;
+
+beforeAll(async () => {
+  const results = await parseCsv(fs.readFileSync(FIXTURE, 'utf8'));
+  rows = createDataset('sonar_sample.csv', results).rows;
+});
+
+describe('analyzeShipments', () => {
+  test('counts each booking once, using its current version', () => {
+    const analysis = analyzeShipments(rows, { rankedPortPairs: RANKED_LANES });
+    expect(rows).toHaveLength(10);
+    expect(analysis.bookings).toHaveLength(9);
+    expect(analysis.portStats['CNYTN--USSEA'].carriers.MSC).toMatchObject({
+      shipmentCount: 3,
+      avgTransitDays: 21,
+      minTransitDays: 20,
+      maxTransitDays: 22
+    });
+  });
+
+  test('can use the first confirmed version instead', () => {
+    const analysis = analyzeShipments(rows, {
+      versionMode: VERSION_MODES.FIRST_CONFIRMED,
+      rankedPortPairs: RANKED_LANES
+    });
+    expect(analysis.portStats['CNYTN--USSEA'].carriers.MSC.maxTransitDays).toBe(25);
+  });
+
+  test('measures departure slip per carrier and lane', () => {
+    const analysis = analyzeShipments(rows, { rankedPortPairs: RANKED_LANES });
+    // Booking 1003 was moved from the 2 February sailing to the 9th
+    expect(analysis.portStats['CNYTN--USSEA'].carriers.MSC).toMatchObject({
+      slipBookingCount: 3,
+      slippedCount: 1,
+      slippedShare: 33.3,
+      avgSlipDays: 2.33,
+      worstSlipDays: 7
+    });
+    expect(analysis.portStats['CNYTN--USLAX'].slippedShare).toBe(0);
+  });
+
+  test('leaves ranked lanes without valid shipments out', () => {
+    const analysis = analyzeShipments(rows, { rankedPortPairs: RANKED_LANES });
+    expect(analysis.rankedPorts).toEqual(['CNYTN--USSEA', 'CNYTN--USLAX']);
+    expect(analysis.portStats['CNYTN--USLAX'].rank).toBe(3);
+  });
+
+  test('excludes declined bookings from transit stats but not acceptance', () => {
+    const maersk = analyzeShipments(rows, { rankedPortPairs: RANKED_LANES })
+      .portStats['CNYTN--USSEA'].carriers.MAERSK;
+    expect(maersk).toMatchObject({ shipmentCount: 1, avgTransitDays: 23, acceptanceRate: 50 });
+
+    const withDeclined = analyzeShipments(rows, { includeDeclined: true, rankedPortPairs: RANKED_LANES })
+      .portStats['CNYTN--USSEA'].carriers.MAERSK;
+    expect(withDeclined.shipmentCount).toBe(2);
+  });
+
+  test('filters by departure date', () => {
+    const analysis = analyzeShipments(rows, {
+      dateRange: { from: '2025-03-01', to: '' },
+      rankedPortPairs: RANKED_LANES
+    });
+    expect(analysis.rankedPorts).toEqual(['CNYTN--USLAX']);
+    expect(analysis.qualityReport.outsideDateRangeCount).toBe(6);
+  });
+
+  test('applies the dashboard filters before any statistics', () => {
+    const analysis = analyzeShipments(rows, {
+      filters: { ...DEFAULT_FILTERS, carriers: ['MSC'], destinationPorts: ['USSEA'] },
+      rankedPortPairs: RANKED_LANES
+    });
+    expect(analysis.rankedPorts).toEqual(['CNYTN--USSEA']);
+    expect(Object.keys(analysis.portStats['CNYTN--USSEA'].carriers)).toEqual(['MSC']);
+    expect(analysis.qualityReport).toMatchObject({ filteredOutCount: 6, analysedCount: 3 });
+  });
+
+  test('rolls every lane up by origin and destination', () => {
+    const { rollups } = analyzeShipments(rows, { rankedPortPairs: ['CNYTN--USLAX'] });
+    expect(rollups[ROLLUP_LEVELS.DESTINATION_PORT].groups).toEqual(['USSEA', 'USLAX']);
+    expect(rollups[ROLLUP_LEVELS.ORIGIN_COUNTRY].groupStats.CN).toMatchObject({
+      totalShipments: 7,
+      lanes: ['CNYTN--USSEA', 'CNYTN--USLAX']
+    });
+  });
+
+  test('accounts for every loaded row in the quality report', () => {
+    const { qualityReport, laneVolumes, rowCountsByFile } = analyzeShipments(rows, { rankedPortPairs: RANKED_LANES });
+    expect(qualityReport).toMatchObject({
+      transactionCount: 10,
+      bookingCount: 9,
+      droppedCount: 1,
+      declinedExcludedCount: 1,
+      analysedCount: 7
+    });
+    expect(qualityReport.issues.map(issue => issue.code)).toEqual(['missingTransitTime']);
+    expect(laneVolumes).toEqual({ 'CNYTN--USSEA': 4, 'CNYTN--USLAX': 3 });
+    expect(rowCountsByFile).toEqual({ 'sonar_sample.csv': 7 });
+  });
+
+  test('handles an empty dataset', () => {
+    const analysis = analyzeShipments([], { rankedPortPairs: RANKED_LANES });
+    expect(analysis.portStats).toEqual({});
+    expect(analysis.rankedPorts).toEqual([]);
+    expect(analysis.qualityReport.analysedCount).toBe(0);
+  });
+});
@@ -0,0 +1,146 @@
+import _ from 'lodash';
+import { buildLaneComparison } from './laneStats.js';
+import { SCORE_COMPONENT_LABELS, SCORE_COMPONENTS } from './scorecard.js';
+
+// Flat tables for exports and the printed report. Each table is
+// { name, columns: [{ key, label }], rows: [{ [key]: value }] } so the same
+// data can be written as CSV, as a workbook sheet or as an HTML table.
+// Missing values are left null for the writer to render.
+
+const yesNo = (flag) => (flag ? 'Yes' : 'No');
+
+// One row per carrier across the ranked lanes, in summary order
+export const buildCarrierTable = (carrierSummary) => ({
+  name: 'Carrier Summary',
+  columns: [
+    { key: 'carrier', label: 'Carrier' },
+    { key: 'avgDays', label: 'Avg Transit (days)' },
+    { key: 'avgDaysCiLower', label: '95% CI Low (days)' },
+    { key: 'avgDaysCiUpper', label: '95% CI High (days)' },
+    { key: 'laneCount', label: 'Lanes' },
+    { key: 'shipmentCount', label: 'Shipments' },
+    { key: 'containerCount', label: 'Containers' },
+    { key: 'teuCount', label: 'TEU' },
+    { key: 'weightedConsistencyScore', label: 'Weighted Consistency' },
+    { key: 'acceptanceRate', label: 'Acceptance (%)' },
+    { key: 'confirmedCount', label: 'Confirmed' },
+    { key: 'declinedCount', label: 'Declined' },
+    { key: 'slippedShare', label: 'ETD Slipped (%)' },
+    { key: 'avgSlipDays', label: 'Avg ETD Slip (days)' },
+    { key: 'worstSlipDays', label: 'Worst ETD Slip (days)' },
+    { key: 'lowSample', label: 'Low Sample' }
+  ],
+  rows: carrierSummary.map(row => ({ ...row, lowSample: yesNo(row.lowSample) }))
+});
+
+// The composite scorecard in rank order, each component's score and the
+// points it contributed side by side, and the weights that produced it
+export const buildScorecardTable = (scorecard, weights) => {
+  const components = Object.values(SCORE_COMPONENTS);
+
+  return {
+    name: 'Carrier Scorecard',
+    columns: [
+      { key: 'rank', label: 'Rank' },
+      { key: 'carrier', label: 'Carrier' },
+      { key: 'score', label: 'Score' },
+      ...components.flatMap(component => [
+        { key: `${component}Score`, label: `${SCORE_COMPONENT_LABELS[component]} Score (weight ${weights[component]})` },
+        { key: `${component}Points`, label: `${SCORE_COMPONENT_LABELS[component]} Points` }
+      ]),
+      { key: 'lowSample', label: 'Low Sample' }
+    ],
+    rows: scorecard.map(row => ({
+      rank: row.rank,
+      carrier: row.carrier,
+      score: row.score,
+      ...Object.fromEntries(components.flatMap(component => [
+        [`${component}Score`, row.components[component].score],
+        [`${component}Points`, row.components[component].points]
+      ])),
+      lowSample: yesNo(row.lowSample)
+    }))
+  };
+};
+
+// Every carrier on every ranked lane, lanes in rank order and carriers as
+// in the lane comparison
+export const buildLaneComparisonTable = (portStats, rankedPorts, formatLane = _.identity) => ({
+  name: 'Lane Comparison',
+  columns: [
+    { key: 'rank', label: 'Lane Rank' },
+    { key: 'lane', label: 'Lane' },
+    { key: 'laneName', label: 'Lane Name' },
+    { key: 'carrier', label: 'Carrier' },
+    { key: 'shipmentCount', label: 'Shipments' },
+    { key: 'containerCount', label: 'Containers' },
+    { key: 'teuCount', label: 'TEU' },
+    { key: 'teuShare', label: 'Lane TEU Share (%)' },
+    { key: 'avgTransitDays', label: 'Avg Transit (days)' },
+    { key: 'ciLowerDays', label: '95% CI Low (days)' },
+    { key: 'ciUpperDays', label: '95% CI High (days)' },
+    { key: 'medianTransitDays', label: 'Median (days)' },
+    { key: 'p10TransitDays', label: 'P10 (days)' },
+    { key: 'p25TransitDays', label: 'P25 (days)' },
+    { key: 'p75TransitDays', label: 'P75 (days)' },
+    { key: 'p90TransitDays', label: 'P90 (days)' },
+    { key: 'p95TransitDays', label: 'P95 (days)' },
+    { key: 'minTransitDays', label: 'Min (days)' },
+    { key: 'maxTransitDays', label: 'Max (days)' },
+    { key: 'standardDeviation', label: 'Std Dev (days)' },
+    { key: 'consistencyScore', label: 'Consistency' },
+    { key: 'acceptanceRate', label: 'Acceptance (%)' },
+    { key: 'slippedShare', label: 'ETD Slipped (%)' },
+    { key: 'avgSlipDays', label: 'Avg ETD Slip (days)' },
+    { key: 'worstSlipDays', label: 'Worst ETD Slip (days)' },
+    { key: 'lowSample', label: 'Low Sample' }
+  ],
+  rows: rankedPorts.flatMap(port => buildLaneComparison(portStats, port).map(row => ({
+    ...row,
+    rank: portStats[port].rank,
+    lane: port,
+    laneName: formatLane(port),
+    lowSample: yesNo(row.lowSample)
+  })))
+});
+
+// Carriers on the ranked lanes, busiest first (ties by name) - the column
+// order of lane x carrier grids
+export const getCarriersByVolume = (portStats, rankedPorts) => {
+  const carrierVolumes = {};
+  rankedPorts.forEach(port => {
+    _.forEach(portStats[port].carriers, (stats, carrier) => {
+      carrierVolumes[carrier] = (carrierVolumes[carrier] || 0) + stats.shipmentCount;
+    });
+  });
+  return _.orderBy(Object.keys(carrierVolumes), [carrier => carrierVolumes[carrier], _.identity], ['desc', 'asc']);
+};
+
+// Ranked lanes down the side, carriers across the top (busiest first) and
+// one carrier statistic in each cell; blank where a carrier does not serve
+// the lane
+export const buildLaneCarrierMatrix = (portStats, rankedPorts, field, label, formatLane = _.identity) => {
+  const carriers = getCarriersByVolume(portStats, rankedPorts);
+
+  return {
+    name: `Lane x Carrier (${label})`,
+    columns: [
+      { key: 'rank', label: 'Lane Rank' },
+      { key: 'lane', label: 'Lane' },
+      { key: 'laneName', label: 'Lane Name' },
+      ...carriers.map(carrier => ({ key: carrier, label: carrier }))
+    ],
+    rows: rankedPorts.map(port => ({
+      rank: portStats[port].rank,
+      lane: port,
+      laneName: formatLane(port),
+      ...Object.fromEntries(carriers.map(carrier => [carrier, portStats[port].carriers[carrier]?.[field] ?? null]))
+    }))
+  };
+};
+
+// Rows as arrays of cell values in column order, headers first
+export const tableToRows = (table) => [
+  table.columns.map(column => column.label),
+  ...table.rows.map(row => table.columns.map(column => row[column.key] ?? null))
+];
@@ -0,0 +1,72 @@
+import { shipment } from '../__fixtures__/shipments';
+import { buildPortStats } from './laneStats';
+import { getCarrierSummary } from './carrierSummary';
+import {
+  buildCarrierTable,
+  buildLaneCarrierMatrix,
+  buildLaneComparisonTable,
+  buildScorecardTable,
+  tableToRows
+} from './reportTables';
+import { buildCarrierScorecard } from './scorecard';
+
+const shipments = [
+  shipment('MSC', 'CNYTN--USSEA', 20),
+  shipment('MSC', 'CNYTN--USSEA', 22),
+  shipment('MSC', 'CNYTN--USLAX', 15),
+  shipment('ZIM', 'CNYTN--USLAX', 13)
+];
+const rankedPorts = ['CNYTN--USSEA', 'CNYTN--USLAX'];
+const { portStats } = buildPortStats(shipments, shipments, rankedPorts, { minLaneShipments: 2 });
+
+describe('buildCarrierTable', () => {
+  test('has one row per carrier with readable flags', () => {
+    const table = buildCarrierTable(getCarrierSummary(portStats, { minCarrierShipments: 2 }));
+    expect(table.rows.map(row => [row.carrier, row.shipmentCount, row.lowSample])).toEqual([
+      ['MSC', 3, 'No'],
+      ['ZIM', 1, 'Yes']
+    ]);
+  });
+});
+
+describe('buildScorecardTable', () => {
+  test('lists each component score and its points beside the weights used', () => {
+    const weights = { transit: 1, consistency: 0, coverage: 1, volume: 0, acceptance: 0, slip: 0 };
+    const scorecard = buildCarrierScorecard(getCarrierSummary(portStats), portStats, rankedPorts, weights);
+    const [header, first] = tableToRows(buildScorecardTable(scorecard, weights));
+    expect(header.slice(0, 7)).toEqual([
+      'Rank',
+      'Carrier',
+      'Score',
+      'Transit Speed Score (weight 1)',
+      'Transit Speed Points',
+      'Consistency Score (weight 0)',
+      'Consistency Points'
+    ]);
+    expect(first.slice(0, 5)).toEqual([1, 'MSC', 93.3, 86.7, 43.3]);
+  });
+});
+
+describe('buildLaneComparisonTable', () => {
+  test('lists every carrier on every lane in rank order', () => {
+    const table = buildLaneComparisonTable(portStats, rankedPorts, lane => `Lane ${lane}`);
+    expect(table.rows.map(row => [row.rank, row.laneName, row.carrier, row.avgTransitDays])).toEqual([
+      [1, 'Lane CNYTN--USSEA', 'MSC', 21],
+      [2, 'Lane CNYTN--USLAX', 'ZIM', 13],
+      [2, 'Lane CNYTN--USLAX', 'MSC', 15]
+    ]);
+  });
+});
+
+describe('buildLaneCarrierMatrix', () => {
+  const matrix = buildLaneCarrierMatrix(portStats, rankedPorts, 'avgTransitDays', 'Avg Days');
+
+  test('puts the busiest carriers first and leaves unserved cells empty', () => {
+    expect(matrix.name).toBe('Lane x Carrier (Avg Days)');
+    expect(tableToRows(matrix)).toEqual([
+      ['Lane Rank', 'Lane', 'Lane Name', 'MSC', 'ZIM'],
+      [1, 'CNYTN--USSEA', 'CNYTN--USSEA', 21, null],
+      [2, 'CNYTN--USLAX', 'CNYTN--USLAX', 15, 13]
+    ]);
+  });
+});
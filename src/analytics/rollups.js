@@ -0,0 +1,81 @@
+import _ from 'lodash';
+import { parseLaneId, LANE_SEPARATOR } from '../data/lanes.js';
+import { getCountryRegion } from '../data/locations.js';
+import { DEFAULT_SAMPLE_THRESHOLDS } from './confidence.js';
+import { indexByLane, summarizeShipmentGroup } from './laneStats.js';
+import { CONSISTENCY_METHODS } from './stats.js';
+import { WEIGHTINGS } from './weighting.js';
+
+// Lanes rolled up by origin and destination, for questions a single lane
+// cannot answer: all India origins, or Seattle against Los Angeles for the
+// same origin country. Group IDs reuse lane ID notation so they can be
+// displayed the same way: 'CN', 'CNYTN', 'USSEA' or 'CN--USSEA'; regions are
+// named as in data/locations.js.
+export const ROLLUP_LEVELS = {
+  ORIGIN_REGION: 'originRegion',
+  ORIGIN_COUNTRY: 'originCountry',
+  ORIGIN_PORT: 'originPort',
+  DESTINATION_PORT: 'destinationPort',
+  GATEWAY: 'gateway'
+};
+
+export const ROLLUP_LEVEL_LABELS = {
+  [ROLLUP_LEVELS.ORIGIN_REGION]: 'Origin region',
+  [ROLLUP_LEVELS.ORIGIN_COUNTRY]: 'Origin country',
+  [ROLLUP_LEVELS.ORIGIN_PORT]: 'Origin port',
+  [ROLLUP_LEVELS.DESTINATION_PORT]: 'Destination port',
+  [ROLLUP_LEVELS.GATEWAY]: 'Origin country to destination gateway'
+};
+
+const GROUP_KEYS = {
+  [ROLLUP_LEVELS.ORIGIN_REGION]: lane => getCountryRegion(lane.originCountry),
+  [ROLLUP_LEVELS.ORIGIN_COUNTRY]: lane => lane.originCountry,
+  [ROLLUP_LEVELS.ORIGIN_PORT]: lane => lane.origin,
+  [ROLLUP_LEVELS.DESTINATION_PORT]: lane => lane.destination,
+  [ROLLUP_LEVELS.GATEWAY]: lane => `${lane.originCountry}${LANE_SEPARATOR}${lane.destination}`
+};
+
+// The roll-up group a lane belongs to at a level
+export const getRollupGroup = (laneId, level) => GROUP_KEYS[level](parseLaneId(laneId));
+
+// Group statistics at one roll-up level, over every lane in the shipments
+// rather than only the ranked ones - narrow them with the dashboard filters.
+// Arguments and options as for buildPortStats.
+//
+// Returns { groupStats, groups }. groupStats[groupId] has the LaneStats
+// fields except rank, plus lanes (the lane IDs in the group, busiest first);
+// each carrier also gets laneCount, the number of those lanes it served.
+// groups lists the group IDs, busiest first.
+//
+// A group's carrier averages mix its lanes, so a carrier working only the
+// shorter lanes in a group looks faster - laneCount shows where that is so.
+export const buildRollupStats = (shipments, statusRows, level, options = {}) => {
+  const {
+    consistencyMethod = CONSISTENCY_METHODS.RANGE,
+    minLaneShipments = DEFAULT_SAMPLE_THRESHOLDS.minLaneShipments,
+    weighting = WEIGHTINGS.BOOKINGS,
+    laneIndex = indexByLane(shipments, statusRows)
+  } = options;
+  const { shipmentsByLane, statusRowsByLane } = laneIndex;
+  // Group lanes rather than rows, so each lane ID is only parsed once
+  const lanesByGroup = _.groupBy(Object.keys(shipmentsByLane), lane => getRollupGroup(lane, level));
+
+  const groupStats = _.mapValues(lanesByGroup, lanes => {
+    const groupData = lanes.flatMap(lane => shipmentsByLane[lane]);
+    const groupStatusRows = lanes.flatMap(lane => statusRowsByLane[lane] || []);
+    const summary = summarizeShipmentGroup(groupData, groupStatusRows, { consistencyMethod, minLaneShipments, weighting });
+    const laneVolumes = _.countBy(groupData, 'port_2_port_id');
+    const carrierLanes = _.mapValues(_.groupBy(groupData, 'carrier_name'), rows => _.uniq(rows.map(row => row.port_2_port_id)));
+
+    return {
+      ...summary,
+      lanes: _.orderBy(Object.keys(laneVolumes), [lane => laneVolumes[lane], _.identity], ['desc', 'asc']),
+      carriers: _.mapValues(summary.carriers, (stats, carrier) => ({ ...stats, laneCount: carrierLanes[carrier].length }))
+    };
+  });
+
+  return {
+    groupStats,
+    groups: _.orderBy(Object.keys(groupStats), [group => groupStats[group].totalShipments, _.identity], ['desc', 'asc'])
+  };
+};
@@ -0,0 +1,51 @@
+import { shipment } from '../__fixtures__/shipments';
+import { buildRollupStats, getRollupGroup, ROLLUP_LEVELS } from './rollups';
+
+const shipments = [
+  shipment('MSC', 'CNYTN--USSEA', 20),
+  shipment('MSC', 'CNYTN--USSEA', 22),
+  shipment('MSC', 'CNSHA--USLAX', 18),
+  shipment('ZIM', 'CNSHA--USLAX', 14),
+  shipment('ZIM', 'INNSA--USLAX', 30)
+];
+const declined = shipment('ZIM', 'CNSHA--USLAX', 16, { booking_status: 'Declined' });
+
+test('getRollupGroup names the group a lane belongs to', () => {
+  expect(getRollupGroup('CNYTN--USSEA', ROLLUP_LEVELS.ORIGIN_REGION)).toBe('East Asia');
+  expect(getRollupGroup('CNYTN--USSEA', ROLLUP_LEVELS.ORIGIN_COUNTRY)).toBe('CN');
+  expect(getRollupGroup('CNYTN--USSEA', ROLLUP_LEVELS.ORIGIN_PORT)).toBe('CNYTN');
+  expect(getRollupGroup('CNYTN--USSEA', ROLLUP_LEVELS.DESTINATION_PORT)).toBe('USSEA');
+  expect(getRollupGroup('CNYTN--USSEA', ROLLUP_LEVELS.GATEWAY)).toBe('CN--USSEA');
+});
+
+describe('buildRollupStats', () => {
+  test('groups lanes by origin country, busiest first', () => {
+    const { groupStats, groups } = buildRollupStats(shipments, [...shipments, declined], ROLLUP_LEVELS.ORIGIN_COUNTRY);
+    expect(groups).toEqual(['CN', 'IN']);
+    expect(groupStats.CN).toMatchObject({
+      totalShipments: 4,
+      averageTransitTime: 18.5,
+      lanes: ['CNSHA--USLAX', 'CNYTN--USSEA'],
+      confirmedCount: 4,
+      declinedCount: 1,
+      acceptanceRate: 80
+    });
+  });
+
+  test('ranks carriers within a group and counts the lanes each served', () => {
+    const { groupStats } = buildRollupStats(shipments, shipments, ROLLUP_LEVELS.ORIGIN_COUNTRY, { minLaneShipments: 2 });
+    expect(groupStats.CN.carriers.MSC).toMatchObject({ shipmentCount: 3, avgTransitDays: 20, laneCount: 2, lowSample: false });
+    expect(groupStats.CN.carriers.ZIM).toMatchObject({ shipmentCount: 1, laneCount: 1, lowSample: true });
+  });
+
+  test('compares gateways for the same origin country', () => {
+    const { groupStats, groups } = buildRollupStats(shipments, shipments, ROLLUP_LEVELS.GATEWAY);
+    expect(groups).toEqual(['CN--USLAX', 'CN--USSEA', 'IN--USLAX']);
+    expect(groupStats['CN--USLAX'].averageTransitTime).toBe(16);
+    expect(groupStats['CN--USSEA'].averageTransitTime).toBe(21);
+  });
+
+  test('handles no shipments', () => {
+    expect(buildRollupStats([], [], ROLLUP_LEVELS.DESTINATION_PORT)).toEqual({ groupStats: {}, groups: [] });
+  });
+});
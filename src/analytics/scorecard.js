@@ -0,0 +1,179 @@
+import _ from 'lodash';
+import { round } from './stats.js';
+import { getVolume, WEIGHTINGS } from './weighting.js';
+
+// Composite carrier scorecard: one 0-100 score per carrier blending the
+// measures the headline cards look at one by one. Every component is scored
+// 0-100, higher better, on each lane the carrier serves and then averaged
+// over its lanes by its volume on them, so a carrier is judged against the
+// carriers it actually competes with rather than against other lanes'
+// sailing times. Decline rate and schedule slip are pooled over the
+// carrier's bookings on every ranked lane instead, including lanes where
+// it declined everything, so they match the carrier summary. Lane coverage
+// is the one network-wide component.
+
+export const SCORE_COMPONENTS = {
+  TRANSIT: 'transit',
+  CONSISTENCY: 'consistency',
+  COVERAGE: 'coverage',
+  VOLUME: 'volume',
+  ACCEPTANCE: 'acceptance',
+  SLIP: 'slip'
+};
+
+export const SCORE_COMPONENT_LABELS = {
+  [SCORE_COMPONENTS.TRANSIT]: 'Transit Speed',
+  [SCORE_COMPONENTS.CONSISTENCY]: 'Consistency',
+  [SCORE_COMPONENTS.COVERAGE]: 'Lane Coverage',
+  [SCORE_COMPONENTS.VOLUME]: 'Volume Share',
+  [SCORE_COMPONENTS.ACCEPTANCE]: 'Decline Rate',
+  [SCORE_COMPONENTS.SLIP]: 'Schedule Slip'
+};
+
+// How each component is scored, for the dashboard's explanation
+export const SCORE_COMPONENT_DESCRIPTIONS = {
+  [SCORE_COMPONENTS.TRANSIT]: "Lane's fastest average divided by the carrier's, on lanes with a rival",
+  [SCORE_COMPONENTS.CONSISTENCY]: 'Consistency score on each lane',
+  [SCORE_COMPONENTS.COVERAGE]: 'Share of the ranked lanes served',
+  [SCORE_COMPONENTS.VOLUME]: "Volume on each lane as a share of the lane leader's",
+  [SCORE_COMPONENTS.ACCEPTANCE]: 'Share of decided bookings accepted, on every lane the carrier was offered',
+  [SCORE_COMPONENTS.SLIP]: 'Share of bookings whose sailing did not slip, on every lane the carrier was offered'
+};
+
+// Slider range for component weights
+export const MAX_SCORE_WEIGHT = 10;
+
+// Built-in weight presets. The exports carry no freight rates, so
+// cost-sensitive favours what gives buying leverage - carriers already
+// moving volume across many lanes that accept the bookings offered -
+// over speed.
+export const SCORE_PRESETS = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    weights: { transit: 5, consistency: 5, coverage: 5, volume: 5, acceptance: 5, slip: 5 }
+  },
+  {
+    id: 'time-critical',
+    name: 'Time-critical',
+    weights: { transit: 10, consistency: 7, coverage: 1, volume: 0, acceptance: 4, slip: 8 }
+  },
+  {
+    id: 'cost-sensitive',
+    name: 'Cost-sensitive',
+    weights: { transit: 2, consistency: 3, coverage: 7, volume: 10, acceptance: 6, slip: 2 }
+  }
+];
+
+export const DEFAULT_SCORE_WEIGHTS = SCORE_PRESETS[0].weights;
+
+// A weight for every component, whole numbers within the slider range;
+// anything missing or unreadable counts as zero
+export const normalizeScoreWeights = (weights = {}) => Object.fromEntries(
+  Object.values(SCORE_COMPONENTS).map(component => [
+    component,
+    _.clamp(Math.round(Number(weights[component]) || 0), 0, MAX_SCORE_WEIGHT)
+  ])
+);
+
+// Per-lane scorers: (carrier's CarrierLaneStats, the lane's LaneStats,
+// weighting) => 0-100 or null when the lane says nothing about it
+const scoreTransit = (stats, lane) => {
+  const rivals = Object.values(lane.carriers);
+  if (rivals.length < 2) return null;
+  // A low-sample carrier's lucky sailing does not set the bar unless no one
+  // else on the lane has enough shipments
+  const reference = rivals.filter(rival => !rival.lowSample);
+  const fastest = _.min((reference.length > 0 ? reference : rivals).map(rival => rival.avgTransitDays));
+  return Math.min(100, (fastest / stats.avgTransitDays) * 100);
+};
+
+const scoreVolume = (stats, lane, weighting) => {
+  const leader = _.max(Object.values(lane.carriers).map(rival => getVolume(rival, weighting)));
+  return leader > 0 ? (getVolume(stats, weighting) / leader) * 100 : null;
+};
+
+const LANE_SCORERS = {
+  [SCORE_COMPONENTS.TRANSIT]: scoreTransit,
+  [SCORE_COMPONENTS.CONSISTENCY]: (stats) => stats.consistencyScore,
+  [SCORE_COMPONENTS.VOLUME]: scoreVolume
+};
+
+// Booking counters: a carrier's acceptance and slip on a lane (its entry in
+// the lane's carrierStatuses) => { good, total } bookings. The component
+// scores the share of good bookings over every lane, 0-100.
+const BOOKING_COUNTERS = {
+  [SCORE_COMPONENTS.ACCEPTANCE]: (statuses) => ({
+    good: statuses.confirmedCount,
+    total: statuses.confirmedCount + statuses.declinedCount
+  }),
+  [SCORE_COMPONENTS.SLIP]: (statuses) => ({
+    good: statuses.slipBookingCount - statuses.slippedCount,
+    total: statuses.slipBookingCount
+  })
+};
+
+// Score every carrier in carrierSummary (see getCarrierSummary) under the
+// given component weights. options.weighting sets both the volume that
+// weights each lane in a carrier's average and the volume the Volume Share
+// component compares (bookings by default, see WEIGHTINGS).
+//
+// Returns one row per carrier, best first with low-sample carriers after
+// the rest: { carrier, rank, score, lowSample, laneCount, shipmentCount,
+// components: { [component]: { score, points } } }. points is the
+// component's contribution to score, so the points add up to it (give or
+// take rounding).
+// Components a carrier has no data for are left out of its score and the
+// remaining weights rescaled; score is null when none is left.
+export const buildCarrierScorecard = (carrierSummary, portStats, rankedPorts, weights, options = {}) => {
+  const { weighting = WEIGHTINGS.BOOKINGS } = options;
+  const componentWeights = normalizeScoreWeights(weights);
+
+  const rows = carrierSummary.map(summary => {
+    const lanes = rankedPorts
+      .filter(port => portStats[port].carriers[summary.carrier])
+      .map(port => ({ lane: portStats[port], stats: portStats[port].carriers[summary.carrier] }));
+    // Every ranked lane with a booking, shipped or not (see buildPortStats)
+    const laneStatuses = Object.values(portStats)
+      .map(lane => lane.carrierStatuses[summary.carrier])
+      .filter(Boolean);
+
+    const componentScores = _.mapValues(componentWeights, (weight, component) => {
+      if (component === SCORE_COMPONENTS.COVERAGE) {
+        return rankedPorts.length > 0 ? (lanes.length / rankedPorts.length) * 100 : null;
+      }
+      if (BOOKING_COUNTERS[component]) {
+        const counts = laneStatuses.map(BOOKING_COUNTERS[component]);
+        const total = _.sumBy(counts, 'total');
+        return total > 0 ? (_.sumBy(counts, 'good') / total) * 100 : null;
+      }
+      const scored = lanes
+        .map(({ lane, stats }) => ({ score: LANE_SCORERS[component](stats, lane, weighting), volume: getVolume(stats, weighting) }))
+        .filter(({ score }) => score !== null && score !== undefined);
+      const totalVolume = _.sumBy(scored, 'volume');
+      return totalVolume > 0 ? _.sumBy(scored, ({ score, volume }) => score * volume) / totalVolume : null;
+    });
+
+    const totalWeight = _.sum(Object.keys(componentWeights)
+      .filter(component => componentScores[component] !== null)
+      .map(component => componentWeights[component]));
+    const points = _.mapValues(componentScores, (score, component) => (
+      score !== null && totalWeight > 0 ? (score * componentWeights[component]) / totalWeight : null
+    ));
+
+    return {
+      carrier: summary.carrier,
+      score: totalWeight > 0 ? round(_.sum(Object.values(points).filter(value => value !== null)), 1) : null,
+      components: _.mapValues(componentScores, (score, component) => ({
+        score: score !== null ? round(score, 1) : null,
+        points: points[component] !== null ? round(points[component], 1) : null
+      })),
+      lowSample: summary.lowSample,
+      laneCount: summary.laneCount,
+      shipmentCount: summary.shipmentCount
+    };
+  });
+
+  return _.orderBy(rows, ['lowSample', row => row.score ?? -1, 'carrier'], ['asc', 'desc', 'asc'])
+    .map((row, index) => ({ ...row, rank: index + 1 }));
+};
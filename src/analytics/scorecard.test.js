@@ -0,0 +1,96 @@
+import { shipment } from '../__fixtures__/shipments';
+import { getCarrierSummary } from './carrierSummary';
+import { buildPortStats } from './laneStats';
+import { buildCarrierScorecard, normalizeScoreWeights, SCORE_PRESETS } from './scorecard';
+import { WEIGHTINGS } from './weighting';
+
+const shipments = [
+  shipment('MSC', 'CNYTN--USSEA', 20, { allocated_teu_count: 2 }),
+  shipment('MSC', 'CNYTN--USSEA', 22, { allocated_teu_count: 2 }),
+  shipment('MSC', 'CNYTN--USLAX', 15),
+  shipment('ZIM', 'CNYTN--USSEA', 14),
+  shipment('ZIM', 'CNYTN--USSEA', 16)
+];
+const rankedPorts = ['CNYTN--USSEA', 'CNYTN--USLAX'];
+const { portStats } = buildPortStats(shipments, shipments, rankedPorts, { minLaneShipments: 2 });
+const carrierSummary = getCarrierSummary(portStats, { minCarrierShipments: 2 });
+
+const score = (weights, options) => buildCarrierScorecard(carrierSummary, portStats, rankedPorts, weights, options);
+
+test('blends components by their weights', () => {
+  const [msc, zim] = score({ transit: 1, coverage: 1 });
+  // MSC averages 21 days against ZIM's 15 on the one lane they share, and
+  // serves both ranked lanes to ZIM's one
+  expect(msc).toMatchObject({ rank: 1, carrier: 'MSC', score: 85.7 });
+  expect(msc.components.transit).toEqual({ score: 71.4, points: 35.7 });
+  expect(msc.components.coverage).toEqual({ score: 100, points: 50 });
+  expect(zim).toMatchObject({ rank: 2, carrier: 'ZIM', score: 75 });
+
+  expect(score({ transit: 3, coverage: 1 }).map(row => [row.carrier, row.score])).toEqual([
+    ['ZIM', 87.5],
+    ['MSC', 78.6]
+  ]);
+});
+
+test('scores transit only on lanes where the carrier has a rival', () => {
+  const { portStats: soloStats } = buildPortStats(shipments, shipments, ['CNYTN--USLAX'], { minLaneShipments: 1 });
+  const [msc] = buildCarrierScorecard(getCarrierSummary(soloStats), soloStats, ['CNYTN--USLAX'], { transit: 1 });
+  expect(msc.score).toBeNull();
+  expect(msc.components.transit).toEqual({ score: null, points: null });
+});
+
+test('leaves out components without data and rescales the rest', () => {
+  // No ETDs in these rows, so there is no departure slip to score
+  const [first] = score({ transit: 5, slip: 5 });
+  expect(first).toMatchObject({ carrier: 'ZIM', score: 100 });
+  expect(first.components.slip).toEqual({ score: null, points: null });
+});
+
+test('scores acceptance over every booking, on lanes the carrier never sailed too', () => {
+  const declined = (carrier, lane) => shipment(carrier, lane, 20, { booking_status: 'Declined' });
+  const statusRows = [
+    ...shipments,
+    declined('ZIM', 'CNYTN--USLAX'),
+    declined('ZIM', 'CNYTN--USLAX'),
+    declined('ONE', 'CNYTN--USSEA'),
+    declined('ONE', 'CNYTN--USLAX')
+  ];
+  const { portStats: withDeclines } = buildPortStats(shipments, statusRows, rankedPorts, { minLaneShipments: 2 });
+  const summary = getCarrierSummary(withDeclines, { minCarrierShipments: 2 });
+  const rows = buildCarrierScorecard(summary, withDeclines, rankedPorts, { acceptance: 1 });
+
+  // ZIM's declines on the lane it only ever declined count against it, and
+  // ONE, which declined everything, scores nothing - as in the summary
+  const acceptance = Object.fromEntries(rows.map(row => [row.carrier, row.components.acceptance.score]));
+  expect(acceptance).toEqual({ MSC: 100, ZIM: 50, ONE: 0 });
+  summary.forEach(row => expect(acceptance[row.carrier]).toBe(row.acceptanceRate));
+  expect(rows.find(row => row.carrier === 'ONE')).toMatchObject({ score: 0, laneCount: 0, lowSample: true });
+});
+
+test('compares volume with the lane leader under the chosen weighting', () => {
+  const byCarrier = (rows) => Object.fromEntries(rows.map(row => [row.carrier, row.components.volume.score]));
+  expect(byCarrier(score({ volume: 1 }))).toEqual({ MSC: 100, ZIM: 100 });
+  expect(byCarrier(score({ volume: 1 }, { weighting: WEIGHTINGS.TEU }))).toEqual({ MSC: 100, ZIM: 50 });
+});
+
+test('lists low-sample carriers after the rest', () => {
+  const summary = getCarrierSummary(portStats, { minCarrierShipments: 3 });
+  expect(buildCarrierScorecard(summary, portStats, rankedPorts, { transit: 1 }).map(row => [row.carrier, row.lowSample])).toEqual([
+    ['MSC', false],
+    ['ZIM', true]
+  ]);
+});
+
+test('normalizes weights to whole numbers in range for every component', () => {
+  expect(normalizeScoreWeights({ transit: 12, consistency: '3', coverage: -1, volume: 2.6, unknown: 4 })).toEqual({
+    transit: 10,
+    consistency: 3,
+    coverage: 0,
+    volume: 3,
+    acceptance: 0,
+    slip: 0
+  });
+  SCORE_PRESETS.forEach(preset => {
+    expect(normalizeScoreWeights(preset.weights)).toEqual(preset.weights);
+  });
+});
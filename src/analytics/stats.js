@@ -0,0 +1,175 @@
+import _ from 'lodash';
+import { calculateMeanConfidenceInterval } from './confidence.js';
+
+// Transit times arrive in hours; all statistics are reported in days
+export const HOURS_PER_DAY = 24;
+
+export const toTransitDays = (row) => row.transit_time / HOURS_PER_DAY;
+
+// Round for display without turning numbers into strings
+export const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+// Population standard deviation
+export const calculateStandardDeviation = (values) => {
+  if (!values || values.length === 0) return 0;
+  
+  const avg = _.mean(values);
+  const squareDiffs = values.map(value => {
+    const diff = value - avg;
+    return diff * diff;
+  });
+  const avgSquareDiff = _.mean(squareDiffs);
+  return Math.sqrt(avgSquareDiff);
+};
+
+// Percentile of an ascending list, interpolating linearly between the two
+// nearest values (the same method as Excel's PERCENTILE.INC)
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (!sortedValues || sortedValues.length === 0) return 0;
+  
+  const position = (sortedValues.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const fraction = position - lower;
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * fraction;
+};
+
+// Weighted versions of the above, for containers or TEU (see weighting.js).
+// weights are positive and line up with values.
+export const calculateWeightedMean = (values, weights) => (
+  _.sum(values.map((value, index) => value * weights[index])) / _.sum(weights)
+);
+
+export const calculateWeightedStandardDeviation = (values, weights) => {
+  if (!values || values.length === 0) return 0;
+  
+  const avg = calculateWeightedMean(values, weights);
+  return Math.sqrt(calculateWeightedMean(values.map(value => (value - avg) * (value - avg)), weights));
+};
+
+// Each value sits at the midpoint of its slice of the cumulative weight,
+// scaled so the first and last values land on 0 and 100; in between,
+// interpolate linearly. With equal weights this is calculatePercentile.
+export const calculateWeightedPercentile = (sortedValues, sortedWeights, percentile) => {
+  if (!sortedValues || sortedValues.length === 0) return 0;
+  
+  const last = sortedValues.length - 1;
+  const span = _.sum(sortedWeights) - (sortedWeights[0] + sortedWeights[last]) / 2;
+  if (span <= 0) return sortedValues[last];
+  
+  const target = span * (percentile / 100);
+  let position = 0;
+  for (let index = 0; index < last; index += 1) {
+    const next = position + (sortedWeights[index] + sortedWeights[index + 1]) / 2;
+    if (target <= next) {
+      const fraction = next > position ? (target - position) / (next - position) : 0;
+      return sortedValues[index] + (sortedValues[index + 1] - sortedValues[index]) * fraction;
+    }
+    position = next;
+  }
+  return sortedValues[last];
+};
+
+// Ways of turning the spread of transit times into a 0-100 consistency score
+export const CONSISTENCY_METHODS = {
+  // Full range relative to the mean - one outlier voyage moves it a lot
+  RANGE: 'range',
+  // Interquartile range relative to the median - ignores the outer quarters
+  IQR: 'iqr',
+  // Standard deviation relative to the mean
+  CV: 'cv'
+};
+
+export const CONSISTENCY_METHOD_LABELS = {
+  [CONSISTENCY_METHODS.RANGE]: 'Range-based (max - min vs. average)',
+  [CONSISTENCY_METHODS.IQR]: 'IQR-based (P75 - P25 vs. median)',
+  [CONSISTENCY_METHODS.CV]: 'CV-based (std. dev. vs. average)'
+};
+
+const toConsistencyScore = (relativeSpread) => Math.max(0, 100 - (relativeSpread * 100));
+
+// Summarise a non-empty list of transit times (in days). Measures of spread
+// are taken relative to the mean (or median), so they compare fairly between
+// short and long lanes; with a zero centre they are reported as 0.
+// consistencyScore uses the chosen method; the scores for every method are
+// returned as well. The confidence interval fields are null for a single
+// shipment.
+//
+// weights (one per transit time, see weighting.js) turn the averages,
+// percentiles, spread and interval into weighted ones; shipmentCount is
+// still the number of shipments.
+export const summarizeTransitTimes = (transitTimes, consistencyMethod = CONSISTENCY_METHODS.RANGE, weights = null) => {
+  const order = _.sortBy(transitTimes.map((value, index) => index), index => transitTimes[index]);
+  const sorted = order.map(index => transitTimes[index]);
+  const sortedWeights = weights && order.map(index => weights[index]);
+  const percentileOf = (percentile) => (
+    weights ? calculateWeightedPercentile(sorted, sortedWeights, percentile) : calculatePercentile(sorted, percentile)
+  );
+  const avgTransit = weights ? calculateWeightedMean(transitTimes, weights) : _.mean(transitTimes);
+  const minTransit = sorted[0];
+  const maxTransit = sorted[sorted.length - 1];
+  const stdDev = weights ? calculateWeightedStandardDeviation(transitTimes, weights) : calculateStandardDeviation(transitTimes);
+  
+  const percentiles = {
+    p10: percentileOf(10),
+    p25: percentileOf(25),
+    median: percentileOf(50),
+    p75: percentileOf(75),
+    p90: percentileOf(90),
+    p95: percentileOf(95)
+  };
+  const interquartileRange = percentiles.p75 - percentiles.p25;
+  const interval = calculateMeanConfidenceInterval(transitTimes, weights);
+  
+  // Calculate absolute range (max - min)
+  const absoluteRange = maxTransit - minTransit;
+  
+  // Calculate normalized range relative to average transit time
+  // This measures consistency relative to the route length
+  const normalizedRange = avgTransit > 0 ? 
+    absoluteRange / avgTransit : 0;
+  
+  // Calculate coefficient of variation (std dev / mean)
+  // This is a standardized measure of dispersion
+  const coefficientOfVariation = avgTransit > 0 ? 
+    stdDev / avgTransit : 0;
+  
+  // Interquartile range relative to the median - a spread measure that
+  // outliers in the top and bottom quarters cannot move
+  const normalizedIqr = percentiles.median > 0 ? 
+    interquartileRange / percentiles.median : 0;
+  
+  // Calculate lane-specific consistency scores (0-100, higher is better)
+  // Each is 100 minus the relative spread as a percentage
+  const consistencyScores = {
+    [CONSISTENCY_METHODS.RANGE]: toConsistencyScore(normalizedRange),
+    [CONSISTENCY_METHODS.IQR]: toConsistencyScore(normalizedIqr),
+    [CONSISTENCY_METHODS.CV]: toConsistencyScore(coefficientOfVariation)
+  };
+  
+  return {
+    avgTransitDays: round(avgTransit, 2),
+    minTransitDays: round(minTransit, 2),
+    maxTransitDays: round(maxTransit, 2),
+    medianTransitDays: round(percentiles.median, 2),
+    p10TransitDays: round(percentiles.p10, 2),
+    p25TransitDays: round(percentiles.p25, 2),
+    p75TransitDays: round(percentiles.p75, 2),
+    p90TransitDays: round(percentiles.p90, 2),
+    p95TransitDays: round(percentiles.p95, 2),
+    interquartileRange: round(interquartileRange, 2),
+    shipmentCount: transitTimes.length,
+    standardDeviation: round(stdDev, 2),
+    standardError: interval ? round(interval.standardError, 3) : null,
+    ciLowerDays: interval ? round(interval.lower, 2) : null,
+    ciUpperDays: interval ? round(interval.upper, 2) : null,
+    ciMarginDays: interval ? round(interval.margin, 2) : null,
+    absoluteRange: round(absoluteRange, 2),
+    normalizedRange: round(normalizedRange, 2),
+    coefficientOfVariation: round(coefficientOfVariation, 2),
+    rangeConsistencyScore: round(consistencyScores[CONSISTENCY_METHODS.RANGE], 1),
+    iqrConsistencyScore: round(consistencyScores[CONSISTENCY_METHODS.IQR], 1),
+    cvConsistencyScore: round(consistencyScores[CONSISTENCY_METHODS.CV], 1),
+    consistencyScore: round(consistencyScores[consistencyMethod], 1)
+  };
+};
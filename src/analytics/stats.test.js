@@ -0,0 +1,143 @@
+import {
+  CONSISTENCY_METHODS,
+  calculatePercentile,
+  calculateStandardDeviation,
+  calculateWeightedPercentile,
+  calculateWeightedStandardDeviation,
+  summarizeTransitTimes
+} from './stats';
+
+describe('calculateStandardDeviation', () => {
+  test('is 0 for no values', () => {
+    expect(calculateStandardDeviation([])).toBe(0);
+    expect(calculateStandardDeviation(undefined)).toBe(0);
+  });
+
+  test('is 0 for a single value', () => {
+    expect(calculateStandardDeviation([21])).toBe(0);
+  });
+
+  test('uses the population formula', () => {
+    expect(calculateStandardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+  });
+});
+
+describe('calculatePercentile', () => {
+  test('is 0 for no values', () => {
+    expect(calculatePercentile([], 50)).toBe(0);
+  });
+
+  test('returns the end points at P0 and P100', () => {
+    expect(calculatePercentile([10, 20, 30], 0)).toBe(10);
+    expect(calculatePercentile([10, 20, 30], 100)).toBe(30);
+  });
+
+  test('interpolates between the two nearest values', () => {
+    expect(calculatePercentile([10, 20, 30, 40], 50)).toBe(25);
+    expect(calculatePercentile([10, 20, 30, 40, 50], 90)).toBe(46);
+  });
+});
+
+describe('weighted statistics', () => {
+  test('match the plain ones when every weight is equal', () => {
+    expect(calculateWeightedPercentile([10, 20, 30, 40, 50], [2, 2, 2, 2, 2], 90)).toBe(46);
+    expect(calculateWeightedStandardDeviation([2, 4, 4, 4, 5, 5, 7, 9], [3, 3, 3, 3, 3, 3, 3, 3])).toBe(2);
+  });
+
+  test('pull percentiles towards heavier values', () => {
+    expect(calculatePercentile([10, 20, 30], 50)).toBe(20);
+    expect(calculateWeightedPercentile([10, 20, 30], [1, 1, 4], 50)).toBeCloseTo(23, 10);
+    expect(calculateWeightedPercentile([10, 20, 30], [1, 1, 4], 0)).toBe(10);
+    expect(calculateWeightedPercentile([10, 20, 30], [1, 1, 4], 100)).toBe(30);
+  });
+
+  test('handle a single value', () => {
+    expect(calculateWeightedPercentile([13], [2], 90)).toBe(13);
+    expect(calculateWeightedPercentile([], [], 90)).toBe(0);
+  });
+});
+
+describe('summarizeTransitTimes', () => {
+  test('summarises a spread of transit times', () => {
+    const stats = summarizeTransitTimes([20, 21, 22]);
+    expect(stats).toMatchObject({
+      avgTransitDays: 21,
+      minTransitDays: 20,
+      maxTransitDays: 22,
+      shipmentCount: 3,
+      absoluteRange: 2,
+      normalizedRange: 0.1,
+      standardDeviation: 0.82,
+      coefficientOfVariation: 0.04,
+      consistencyScore: 90.5
+    });
+  });
+
+  test('treats a single shipment as perfectly consistent', () => {
+    const stats = summarizeTransitTimes([13]);
+    expect(stats).toMatchObject({
+      avgTransitDays: 13,
+      minTransitDays: 13,
+      maxTransitDays: 13,
+      shipmentCount: 1,
+      standardDeviation: 0,
+      absoluteRange: 0,
+      coefficientOfVariation: 0,
+      consistencyScore: 100
+    });
+  });
+
+  test('reports relative spread as 0 when the mean is 0', () => {
+    const stats = summarizeTransitTimes([0, 0]);
+    expect(stats.normalizedRange).toBe(0);
+    expect(stats.coefficientOfVariation).toBe(0);
+    expect(stats.consistencyScore).toBe(100);
+  });
+
+  test('never scores consistency below 0', () => {
+    expect(summarizeTransitTimes([5, 40]).consistencyScore).toBe(0);
+  });
+
+  test('reports percentiles and the interquartile range', () => {
+    const stats = summarizeTransitTimes([18, 20, 21, 22, 30]);
+    expect(stats).toMatchObject({
+      medianTransitDays: 21,
+      p10TransitDays: 18.8,
+      p25TransitDays: 20,
+      p75TransitDays: 22,
+      p90TransitDays: 26.8,
+      p95TransitDays: 28.4,
+      interquartileRange: 2
+    });
+  });
+
+  test('scores consistency with the chosen formula', () => {
+    const transitTimes = [18, 20, 21, 22, 30];
+    const byMethod = method => summarizeTransitTimes(transitTimes, method).consistencyScore;
+
+    // Range 12 against an average of 22.2
+    expect(byMethod(CONSISTENCY_METHODS.RANGE)).toBe(45.9);
+    // IQR 2 against a median of 21 - the 30-day outlier barely matters
+    expect(byMethod(CONSISTENCY_METHODS.IQR)).toBe(90.5);
+    // Standard deviation 4.12 against an average of 22.2
+    expect(byMethod(CONSISTENCY_METHODS.CV)).toBe(81.4);
+    expect(summarizeTransitTimes(transitTimes)).toMatchObject({
+      rangeConsistencyScore: 45.9,
+      iqrConsistencyScore: 90.5,
+      cvConsistencyScore: 81.4
+    });
+  });
+
+  test('weights shipments by volume when given weights', () => {
+    const stats = summarizeTransitTimes([20, 30], CONSISTENCY_METHODS.CV, [1, 3]);
+    expect(stats).toMatchObject({
+      avgTransitDays: 27.5,
+      shipmentCount: 2,
+      standardDeviation: 4.33,
+      minTransitDays: 20,
+      maxTransitDays: 30,
+      consistencyScore: 84.3
+    });
+    expect(summarizeTransitTimes([20, 21, 22], CONSISTENCY_METHODS.RANGE, [2, 2, 2])).toEqual(summarizeTransitTimes([20, 21, 22]));
+  });
+});
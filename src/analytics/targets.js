@@ -0,0 +1,148 @@
+import _ from 'lodash';
+import { round } from './stats.js';
+import { getVolume, WEIGHTINGS } from './weighting.js';
+
+// Per-lane performance targets: a target transit time and a consistency
+// floor for each lane, with defaults for lanes that have none of their own.
+// Targets are { defaults: LaneTarget, lanes: { [laneId]: LaneTarget } },
+// where a lane's entry may set either field and inherits the other.
+//
+// LaneTarget: { transitDays, consistencyFloor }
+//
+// A figure meets its target, is within the warning band past it, or
+// breaches it. The defaults and bands come from the dashboard's original
+// fixed colour scale: 20 days green, up to 30 amber, and a consistency
+// of 80 green, down to 60 amber. Unlike that scale, a figure exactly on a
+// boundary counts on the better side: 20 days meets a 20-day target, and
+// 30 days or a consistency of 60 still only warns.
+
+export const TARGET_STATUS = {
+  MET: 'met',
+  WARNING: 'warning',
+  BREACH: 'breach'
+};
+
+export const TARGET_STATUS_LABELS = {
+  [TARGET_STATUS.MET]: 'On target',
+  [TARGET_STATUS.WARNING]: 'Near target',
+  [TARGET_STATUS.BREACH]: 'Breach'
+};
+
+export const DEFAULT_LANE_TARGET = {
+  transitDays: 20,
+  consistencyFloor: 80
+};
+
+export const DEFAULT_TARGETS = {
+  defaults: DEFAULT_LANE_TARGET,
+  lanes: {}
+};
+
+// How far past a target still only warns: transit up to half as long
+// again, consistency up to 20 points under the floor
+export const TRANSIT_WARNING_FACTOR = 1.5;
+export const CONSISTENCY_WARNING_POINTS = 20;
+
+const STATUS_ORDER = [TARGET_STATUS.MET, TARGET_STATUS.WARNING, TARGET_STATUS.BREACH];
+
+export const getLaneTarget = (targets, lane) => ({
+  ...DEFAULT_LANE_TARGET,
+  ...targets.defaults,
+  ...targets.lanes[lane]
+});
+
+export const getTransitStatus = (days, target) => {
+  if (days <= target.transitDays) return TARGET_STATUS.MET;
+  if (days <= target.transitDays * TRANSIT_WARNING_FACTOR) return TARGET_STATUS.WARNING;
+  return TARGET_STATUS.BREACH;
+};
+
+export const getConsistencyStatus = (score, target) => {
+  if (score >= target.consistencyFloor) return TARGET_STATUS.MET;
+  if (score >= target.consistencyFloor - CONSISTENCY_WARNING_POINTS) return TARGET_STATUS.WARNING;
+  return TARGET_STATUS.BREACH;
+};
+
+// The worse of several statuses
+export const worstStatus = (...statuses) => _.maxBy(statuses, status => STATUS_ORDER.indexOf(status));
+
+// A target for each carrier's figures across the ranked lanes, matching how
+// getCarrierSummary averages them: the transit target is the plain mean of
+// the targets on the carrier's lanes (avgDays is the plain mean of its lane
+// averages), the consistency floor is weighted by the carrier's volume on
+// each lane as weightedConsistencyScore is. Returns { [carrier]: LaneTarget }.
+export const getCarrierTargets = (portStats, rankedPorts, targets, { weighting = WEIGHTINGS.BOOKINGS } = {}) => {
+  const lanesByCarrier = {};
+  rankedPorts.forEach(port => {
+    const target = getLaneTarget(targets, port);
+    Object.entries(portStats[port]?.carriers || {}).forEach(([carrier, stats]) => {
+      (lanesByCarrier[carrier] = lanesByCarrier[carrier] || []).push({ target, volume: getVolume(stats, weighting) });
+    });
+  });
+
+  return _.mapValues(lanesByCarrier, lanes => {
+    const totalVolume = _.sumBy(lanes, 'volume');
+    return {
+      transitDays: round(_.meanBy(lanes, lane => lane.target.transitDays), 2),
+      consistencyFloor: totalVolume > 0 ?
+        round(_.sumBy(lanes, lane => lane.target.consistencyFloor * lane.volume) / totalVolume, 1) :
+        round(_.meanBy(lanes, lane => lane.target.consistencyFloor), 1)
+    };
+  });
+};
+
+// How far a figure misses its target, as a percentage of the target; zero
+// when it meets it
+const transitShortfall = (days, target) => Math.max(0, (days - target.transitDays) / target.transitDays * 100);
+const consistencyShortfall = (score, target) => (
+  target.consistencyFloor > 0 ? Math.max(0, (target.consistencyFloor - score) / target.consistencyFloor * 100) : 0
+);
+
+// Every carrier-lane pair on the ranked lanes that misses a target, worst
+// first: [{ port, rank, carrier, shipmentCount, status, severity, transit,
+// consistency }]. transit and consistency are { value, target, status,
+// shortfall }; severity is the larger shortfall, in percent of the target,
+// and status the worse of the two. Low-sample pairs are left out - a
+// handful of sailings is no reason to chase a carrier.
+export const findExceptions = (portStats, rankedPorts, targets) => {
+  const exceptions = rankedPorts.flatMap(port => {
+    const lane = portStats[port];
+    if (!lane) return [];
+    const target = getLaneTarget(targets, port);
+
+    return Object.entries(lane.carriers).map(([carrier, stats]) => {
+      if (stats.lowSample) return null;
+      const transit = {
+        value: stats.avgTransitDays,
+        target: target.transitDays,
+        status: getTransitStatus(stats.avgTransitDays, target),
+        shortfall: round(transitShortfall(stats.avgTransitDays, target), 1)
+      };
+      const consistency = {
+        value: stats.consistencyScore,
+        target: target.consistencyFloor,
+        status: getConsistencyStatus(stats.consistencyScore, target),
+        shortfall: round(consistencyShortfall(stats.consistencyScore, target), 1)
+      };
+      const status = worstStatus(transit.status, consistency.status);
+      if (status === TARGET_STATUS.MET) return null;
+
+      return {
+        port,
+        rank: lane.rank,
+        carrier,
+        shipmentCount: stats.shipmentCount,
+        status,
+        severity: Math.max(transit.shortfall, consistency.shortfall),
+        transit,
+        consistency
+      };
+    }).filter(Boolean);
+  });
+
+  return _.orderBy(
+    exceptions,
+    [exception => STATUS_ORDER.indexOf(exception.status), 'severity', 'rank', 'carrier'],
+    ['desc', 'desc', 'asc', 'asc']
+  );
+};
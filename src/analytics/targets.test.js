@@ -0,0 +1,77 @@
+import { carrierStats } from '../__fixtures__/carrierStats';
+import {
+  DEFAULT_TARGETS,
+  findExceptions,
+  getCarrierTargets,
+  getConsistencyStatus,
+  getLaneTarget,
+  getTransitStatus,
+  TARGET_STATUS,
+  worstStatus
+} from './targets';
+
+const portStats = {
+  'CNYTN--USSEA': { rank: 1, carriers: { MSC: carrierStats(21, 90, 30), MAERSK: carrierStats(31, 50), ZIM: carrierStats(40, 10, 2, true) } },
+  'INMUN--USNYC': { rank: 2, carriers: { MSC: carrierStats(34, 85), MAERSK: carrierStats(29, 70) } }
+};
+const rankedPorts = ['CNYTN--USSEA', 'INMUN--USNYC'];
+const targets = {
+  defaults: { transitDays: 20, consistencyFloor: 80 },
+  lanes: { 'INMUN--USNYC': { transitDays: 35 } }
+};
+
+test('takes a lane target from the lane and the rest from the defaults', () => {
+  expect(getLaneTarget(targets, 'INMUN--USNYC')).toEqual({ transitDays: 35, consistencyFloor: 80 });
+  expect(getLaneTarget(targets, 'CNYTN--USSEA')).toEqual({ transitDays: 20, consistencyFloor: 80 });
+  expect(getLaneTarget({ defaults: {}, lanes: {} }, 'CNYTN--USSEA')).toEqual(DEFAULT_TARGETS.defaults);
+});
+
+test('judges figures against a target with a warning band', () => {
+  const target = { transitDays: 20, consistencyFloor: 80 };
+  expect(getTransitStatus(20, target)).toBe(TARGET_STATUS.MET);
+  expect(getTransitStatus(25, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getTransitStatus(30.5, target)).toBe(TARGET_STATUS.BREACH);
+  expect(getConsistencyStatus(80, target)).toBe(TARGET_STATUS.MET);
+  expect(getConsistencyStatus(65, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getConsistencyStatus(59, target)).toBe(TARGET_STATUS.BREACH);
+  expect(worstStatus(TARGET_STATUS.WARNING, TARGET_STATUS.MET)).toBe(TARGET_STATUS.WARNING);
+});
+
+test('counts a figure on a boundary on the better side', () => {
+  const target = { transitDays: 20, consistencyFloor: 80 };
+  expect(getTransitStatus(20.1, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getTransitStatus(30, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getConsistencyStatus(79.9, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getConsistencyStatus(60, target)).toBe(TARGET_STATUS.WARNING);
+  expect(getConsistencyStatus(59.9, target)).toBe(TARGET_STATUS.BREACH);
+});
+
+test('averages lane targets over each carrier the way its summary averages its figures', () => {
+  expect(getCarrierTargets(portStats, rankedPorts, {
+    ...targets,
+    lanes: { 'INMUN--USNYC': { transitDays: 35, consistencyFloor: 60 } }
+  })).toEqual({
+    // MSC ships 30 on the first lane and 10 on the second
+    MSC: { transitDays: 27.5, consistencyFloor: 75 },
+    MAERSK: { transitDays: 27.5, consistencyFloor: 70 },
+    ZIM: { transitDays: 20, consistencyFloor: 80 }
+  });
+});
+
+test('lists carrier-lane pairs off target, breaches first and worst first', () => {
+  const exceptions = findExceptions(portStats, rankedPorts, targets);
+
+  // MSC meets the longer Mundra target; ZIM's sample is too small to count
+  expect(exceptions.map(({ port, carrier, status, severity }) => [port, carrier, status, severity])).toEqual([
+    ['CNYTN--USSEA', 'MAERSK', TARGET_STATUS.BREACH, 55],
+    ['INMUN--USNYC', 'MAERSK', TARGET_STATUS.WARNING, 12.5],
+    ['CNYTN--USSEA', 'MSC', TARGET_STATUS.WARNING, 5]
+  ]);
+  expect(exceptions[0]).toMatchObject({
+    rank: 1,
+    shipmentCount: 10,
+    transit: { value: 31, target: 20, status: TARGET_STATUS.BREACH, shortfall: 55 },
+    consistency: { value: 50, target: 80, status: TARGET_STATUS.BREACH, shortfall: 37.5 }
+  });
+  expect(findExceptions(portStats, rankedPorts, { ...targets, defaults: { transitDays: 40, consistencyFloor: 0 } })).toEqual([]);
+});
@@ -0,0 +1,149 @@
+import _ from 'lodash';
+import { getShipmentDate, MS_PER_DAY } from '../data/dates.js';
+import { calculateWeightedMean, calculateWeightedPercentile, round, toTransitDays } from './stats.js';
+
+// Transit estimates for planning: given a lane and carrier's past sailings,
+// the transit time a new booking can expect - the median (P50) and the
+// 90th percentile (P90) of the historical distribution - and so the range
+// of arrival dates for a planned departure.
+//
+// Everything here works on sailings - { time (departure, ms), days
+// (transit) } in departure order - rather than booking rows, so the
+// analysis worker can hand the page just those (see toSailings and
+// groupSailings).
+//
+// Recent sailings count for more: each sailing's weight halves every
+// halfLifeDays back from the latest one (null weights them all equally).
+// Only the ratio between weights matters to a percentile, so the reference
+// date does not move the estimate.
+//
+// backtestTransitEstimate checks the method against the same data: every
+// sailing is predicted from the sailings that had already arrived when it
+// departed - a sailing still at sea has no transit time to learn from yet -
+// and compared with what it took.
+
+export const DEFAULT_HALF_LIFE_DAYS = 90;
+
+// Sailings needed before a back-test prediction is made
+export const MIN_BACKTEST_HISTORY = 5;
+
+// Rows with a date and a transit time, oldest first, as { time, days }
+export const toSailings = (rows) => _.sortBy(
+  rows
+    .map(row => ({ date: getShipmentDate(row), days: toTransitDays(row) }))
+    .filter(sailing => sailing.date && Number.isFinite(sailing.days))
+    .map(({ date, days }) => ({ time: date.getTime(), days })),
+  'time'
+);
+
+// The sailings of every lane and carrier in the rows:
+// { [laneId]: { [carrier]: sailings } }
+export const groupSailings = (rows) => _.mapValues(
+  _.groupBy(rows, 'port_2_port_id'),
+  laneRows => _.mapValues(_.groupBy(laneRows, 'carrier_name'), toSailings)
+);
+
+const recencyWeight = (time, referenceTime, halfLifeDays) => (
+  halfLifeDays ? 0.5 ** ((referenceTime - time) / MS_PER_DAY / halfLifeDays) : 1
+);
+
+// Percentiles of sailings already sorted by transit days
+const summarizeSorted = (days, weights) => ({
+  p50Days: round(calculateWeightedPercentile(days, weights, 50), 1),
+  p90Days: round(calculateWeightedPercentile(days, weights, 90), 1)
+});
+
+// Expected transit for one lane and carrier's sailings, or null with none: { sailingCount, effectiveSailingCount, latestSailing,
+// meanDays, p50Days, p90Days }. effectiveSailingCount is how many equally
+// weighted sailings the recency weights are worth (Kish's effective sample
+// size) - a short half-life leans on few sailings.
+export const estimateTransit = (sailings, { halfLifeDays = DEFAULT_HALF_LIFE_DAYS } = {}) => {
+  if (sailings.length === 0) return null;
+
+  const latest = _.last(sailings).time;
+  const weighted = _.sortBy(sailings.map(sailing => ({
+    days: sailing.days,
+    weight: recencyWeight(sailing.time, latest, halfLifeDays)
+  })), 'days');
+  const days = weighted.map(sailing => sailing.days);
+  const weights = weighted.map(sailing => sailing.weight);
+
+  return {
+    sailingCount: sailings.length,
+    effectiveSailingCount: round(_.sum(weights) ** 2 / _.sum(weights.map(weight => weight * weight)), 1),
+    latestSailing: new Date(latest),
+    meanDays: round(calculateWeightedMean(days, weights), 1),
+    ...summarizeSorted(days, weights)
+  };
+};
+
+// Arrival dates for a planned departure (a Date), each transit estimate
+// rounded to whole days: { p50Date, p90Date }
+export const predictArrival = (estimate, departure) => ({
+  p50Date: new Date(departure.getTime() + Math.round(estimate.p50Days) * MS_PER_DAY),
+  p90Date: new Date(departure.getTime() + Math.round(estimate.p90Days) * MS_PER_DAY)
+});
+
+// Walk-forward back-test for one lane and carrier. Sailings are predicted
+// in departure order from every sailing that arrived (departure plus
+// transit) on or before their departure, once at least minHistory have.
+// Returns [{ date, actualDays, p50Days, p90Days }].
+export const backtestTransitEstimate = (sailings, options = {}) => {
+  const { halfLifeDays = DEFAULT_HALF_LIFE_DAYS, minHistory = MIN_BACKTEST_HISTORY } = options;
+  if (sailings.length === 0) return [];
+
+  // Weighting against one fixed date keeps every weight valid as history
+  // grows; the history stays sorted by transit days as sailings join it
+  const latest = _.last(sailings).time;
+  const byArrival = _.sortBy(sailings, sailing => sailing.time + sailing.days * MS_PER_DAY);
+  let arrived = 0;
+  const days = [];
+  const weights = [];
+  const predictions = [];
+
+  sailings.forEach(sailing => {
+    while (arrived < byArrival.length && byArrival[arrived].time + byArrival[arrived].days * MS_PER_DAY <= sailing.time) {
+      const { time, days: transitDays } = byArrival[arrived];
+      const index = _.sortedIndex(days, transitDays);
+      days.splice(index, 0, transitDays);
+      weights.splice(index, 0, recencyWeight(time, latest, halfLifeDays));
+      arrived += 1;
+    }
+    if (days.length >= minHistory) {
+      predictions.push({
+        date: new Date(sailing.time),
+        actualDays: round(sailing.days, 1),
+        ...summarizeSorted(days, weights)
+      });
+    }
+  });
+
+  return predictions;
+};
+
+// How well a set of back-test predictions did: { predictionCount,
+// meanAbsoluteErrorDays (P50 against the actual transit), biasDays
+// (positive when sailings took longer than the P50), withinP50Share and
+// withinP90Share (% of sailings that arrived by each estimate - ideally
+// about 50 and 90) }. The figures are null with no predictions.
+export const summarizeBacktest = (predictions) => {
+  if (predictions.length === 0) {
+    return { predictionCount: 0, meanAbsoluteErrorDays: null, biasDays: null, withinP50Share: null, withinP90Share: null };
+  }
+  const share = (test) => round(predictions.filter(test).length / predictions.length * 100, 1);
+  return {
+    predictionCount: predictions.length,
+    meanAbsoluteErrorDays: round(_.meanBy(predictions, p => Math.abs(p.actualDays - p.p50Days)), 1),
+    biasDays: round(_.meanBy(predictions, p => p.actualDays - p.p50Days), 1),
+    withinP50Share: share(p => p.actualDays <= p.p50Days),
+    withinP90Share: share(p => p.actualDays <= p.p90Days)
+  };
+};
+
+// The back-test pooled over every lane and carrier in groupSailings
+// output, each pair predicted from its own history
+export const backtestAllTransitEstimates = (sailingsByLane, options = {}) => summarizeBacktest(
+  Object.values(sailingsByLane)
+    .flatMap(carriers => Object.values(carriers))
+    .flatMap(sailings => backtestTransitEstimate(sailings, options))
+);
@@ -0,0 +1,88 @@
+import { formatDate } from '../data/dates';
+import {
+  backtestAllTransitEstimates,
+  backtestTransitEstimate,
+  estimateTransit,
+  groupSailings,
+  predictArrival,
+  summarizeBacktest,
+  toSailings
+} from './transitEstimate';
+
+const sailing = (day, transitDays, port = 'CNYTN--USSEA', carrier = 'MSC') => ({
+  port_2_port_id: port,
+  carrier_name: carrier,
+  transit_time: transitDays * 24,
+  etdDate: new Date(Date.UTC(2025, 0, day))
+});
+
+test('estimates transit percentiles from past sailings', () => {
+  const rows = [sailing(1, 30), sailing(8, 21), sailing(15, 20), sailing(22, 23), sailing(29, 22), { ...sailing(30, 40), etdDate: null }];
+  const sailings = toSailings(rows);
+  const equal = estimateTransit(sailings, { halfLifeDays: null });
+
+  // The undated sailing cannot be placed in time and is left out
+  expect(equal).toMatchObject({ sailingCount: 5, effectiveSailingCount: 5, meanDays: 23.2, p50Days: 22, p90Days: 27.2 });
+  expect(formatDate(equal.latestSailing)).toBe('January 29, 2025');
+
+  // Weighted towards recent sailings, the old 30-day voyage counts for less
+  const recent = estimateTransit(sailings, { halfLifeDays: 7 });
+  expect(recent.p90Days).toBeLessThan(equal.p90Days);
+  expect(recent.effectiveSailingCount).toBeLessThan(5);
+  expect(estimateTransit([])).toBeNull();
+});
+
+test('turns an estimate into arrival dates for a planned departure', () => {
+  const arrival = predictArrival({ p50Days: 22, p90Days: 27.2 }, new Date(Date.UTC(2025, 2, 3)));
+  expect(formatDate(arrival.p50Date)).toBe('March 25, 2025');
+  expect(formatDate(arrival.p90Date)).toBe('March 30, 2025');
+});
+
+test('back-tests each sailing against the ones that had arrived before it left', () => {
+  const rows = [
+    ...[1, 2, 3, 4, 5].map(day => sailing(day, 1)),
+    sailing(6, 25),
+    sailing(6, 18),
+    sailing(7, 30)
+  ];
+  const predictions = backtestTransitEstimate(toSailings(rows), { halfLifeDays: null });
+
+  // The day-6 sailings are still at sea when the day-7 one leaves
+  expect(predictions.map(({ actualDays, p50Days, p90Days }) => [actualDays, p50Days, p90Days])).toEqual([
+    [25, 1, 1],
+    [18, 1, 1],
+    [30, 1, 1]
+  ]);
+  expect(summarizeBacktest(predictions)).toEqual({
+    predictionCount: 3,
+    meanAbsoluteErrorDays: 23.3,
+    biasDays: 23.3,
+    withinP50Share: 0,
+    withinP90Share: 0
+  });
+  expect(summarizeBacktest([])).toMatchObject({ predictionCount: 0, meanAbsoluteErrorDays: null });
+
+  // Pooled over pairs, each predicted from its own history
+  const sailingsByLane = groupSailings([...rows, ...[1, 2, 3, 4, 5, 6].map(day => sailing(day, 1, 'CNYTN--USLAX'))]);
+  expect(sailingsByLane['CNYTN--USLAX'].MSC).toHaveLength(6);
+  const pooled = backtestAllTransitEstimates(sailingsByLane, { halfLifeDays: null });
+  expect(pooled).toMatchObject({ predictionCount: 4, withinP50Share: 25 });
+});
+
+test('leaves a long transit out of the history until it has arrived', () => {
+  const rows = [
+    ...[1, 2, 3, 4, 5].map(day => sailing(day, 2)),
+    sailing(8, 40),
+    sailing(10, 2),
+    sailing(48, 2)
+  ];
+  const predictions = backtestTransitEstimate(toSailings(rows), { halfLifeDays: null });
+
+  // The 40-day voyage leaving on day 8 lands on day 48: the day-10 sailing
+  // cannot know how long it took, the day-48 one can
+  expect(predictions.map(({ actualDays, p90Days }) => [actualDays, p90Days])).toEqual([
+    [40, 2],
+    [2, 2],
+    [2, 17.2]
+  ]);
+});
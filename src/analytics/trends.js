@@ -0,0 +1,44 @@
+import _ from 'lodash';
+import { formatPeriod, getPeriodStart, getShipmentDate, toDayKey } from '../data/dates.js';
+import { calculateWeightedMean, round, toTransitDays } from './stats.js';
+import { getRowWeights, WEIGHTINGS } from './weighting.js';
+
+// Average transit for a set of rows under a weighting
+const averageTransitDays = (rows, weighting) => {
+  const weights = getRowWeights(rows, weighting);
+  const days = rows.map(toTransitDays);
+  return round(weights ? calculateWeightedMean(days, weights) : _.mean(days), 2);
+};
+
+// Average transit time and shipment volume per week or month for a set of
+// shipments, overall and broken down by carrier; averages are weighted as
+// chosen (see WEIGHTINGS). Each point looks like:
+//   { period, label, avgTransitDays, shipmentCount,
+//     [`${carrier}`]: avg days, [`${carrier} shipments`]: count, ... }
+// Carriers missing from a period have no keys for it, which Recharts draws
+// as a gap.
+export const buildTransitTrend = (rows, granularity, weighting = WEIGHTINGS.BOOKINGS) => {
+  const dated = rows.filter(row => getShipmentDate(row));
+  const carriers = _.uniq(dated.map(row => row.carrier_name)).sort();
+
+  const byPeriod = _.groupBy(dated, row => toDayKey(getPeriodStart(getShipmentDate(row), granularity)));
+
+  const data = Object.keys(byPeriod).sort().map(period => {
+    const periodRows = byPeriod[period];
+    const point = {
+      period,
+      label: formatPeriod(new Date(`${period}T00:00:00Z`), granularity),
+      avgTransitDays: averageTransitDays(periodRows, weighting),
+      shipmentCount: periodRows.length
+    };
+
+    _.forEach(_.groupBy(periodRows, 'carrier_name'), (carrierRows, carrier) => {
+      point[carrier] = averageTransitDays(carrierRows, weighting);
+      point[`${carrier} shipments`] = carrierRows.length;
+    });
+
+    return point;
+  });
+
+  return { data, carriers };
+};
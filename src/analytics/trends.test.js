@@ -0,0 +1,68 @@
+import { shipment } from '../__fixtures__/shipments';
+import { GRANULARITIES } from '../data/dates';
+import { buildTransitTrend } from './trends';
+import { WEIGHTINGS } from './weighting';
+
+// A shipment departing on the given day of February 2025 (the 3rd, 10th
+// and 17th are Mondays)
+const departing = (carrier, day, transitDays, extra = {}) => (
+  shipment(carrier, 'CNYTN--USSEA', transitDays, { etdDate: new Date(Date.UTC(2025, 1, day)), ...extra })
+);
+
+const rows = [
+  departing('MSC', 3, 20, { allocated_teu_count: 4 }),
+  departing('ZIM', 5, 14),
+  departing('MSC', 9, 22),
+  departing('MSC', 10, 24),
+  departing('ZIM', 12, 16),
+  departing('MSC', 17, 30),
+  departing('ZIM', 18, 40, { etdDate: null })
+];
+
+test('averages transit per week, overall and per carrier', () => {
+  const { data, carriers } = buildTransitTrend(rows, GRANULARITIES.WEEK);
+
+  expect(carriers).toEqual(['MSC', 'ZIM']);
+  // Sunday the 9th still belongs to the week of the 3rd; the undated row is
+  // left out
+  expect(data).toEqual([
+    {
+      period: '2025-02-03',
+      label: 'Wk of Feb 3, 25',
+      avgTransitDays: 18.67,
+      shipmentCount: 3,
+      MSC: 21,
+      'MSC shipments': 2,
+      ZIM: 14,
+      'ZIM shipments': 1
+    },
+    {
+      period: '2025-02-10',
+      label: 'Wk of Feb 10, 25',
+      avgTransitDays: 20,
+      shipmentCount: 2,
+      MSC: 24,
+      'MSC shipments': 1,
+      ZIM: 16,
+      'ZIM shipments': 1
+    },
+    // A carrier without shipments in a period has no keys for it
+    { period: '2025-02-17', label: 'Wk of Feb 17, 25', avgTransitDays: 30, shipmentCount: 1, MSC: 30, 'MSC shipments': 1 }
+  ]);
+});
+
+test('groups by month', () => {
+  const { data } = buildTransitTrend(rows, GRANULARITIES.MONTH);
+  expect(data).toHaveLength(1);
+  expect(data[0]).toMatchObject({ period: '2025-02-01', label: 'Feb 2025', shipmentCount: 6, avgTransitDays: 21, MSC: 24, ZIM: 15 });
+});
+
+test('weights the averages as chosen, but not the shipment counts', () => {
+  const [first] = buildTransitTrend(rows, GRANULARITIES.WEEK, WEIGHTINGS.TEU).data;
+  // The 4-TEU booking counts four times; rows without a count count once
+  expect(first).toMatchObject({ avgTransitDays: 19.33, shipmentCount: 3, MSC: 20.4, 'MSC shipments': 2, ZIM: 14 });
+});
+
+test('draws nothing without dated shipments', () => {
+  expect(buildTransitTrend([], GRANULARITIES.WEEK)).toEqual({ data: [], carriers: [] });
+});
@@ -0,0 +1,78 @@
+import _ from 'lodash';
+import { round } from './stats.js';
+
+// What each shipment counts for in averages, consistency scores and
+// rankings: one per booking, or its allocated containers or TEU, so a
+// 20-container booking outweighs a single box. Sample sizes (shipmentCount,
+// lowSample, confidence interval degrees of freedom) always count bookings.
+export const WEIGHTINGS = {
+  BOOKINGS: 'bookings',
+  CONTAINERS: 'containers',
+  TEU: 'teu'
+};
+
+export const WEIGHTING_LABELS = {
+  [WEIGHTINGS.BOOKINGS]: 'Bookings',
+  [WEIGHTINGS.CONTAINERS]: 'Containers',
+  [WEIGHTINGS.TEU]: 'TEU'
+};
+
+// The CarrierLaneStats and carrier summary field holding each weighting's
+// volume
+export const VOLUME_FIELDS = {
+  [WEIGHTINGS.BOOKINGS]: 'shipmentCount',
+  [WEIGHTINGS.CONTAINERS]: 'containerCount',
+  [WEIGHTINGS.TEU]: 'teuCount'
+};
+
+// Bookings without a usable count (flagged invalidVolume by validation)
+// count as a single unit rather than dropping out of the figures
+const toVolume = (value) => (typeof value === 'number' && value > 0 ? value : 1);
+
+export const getContainerCount = (row) => toVolume(row.allocated_container_count);
+export const getTeuCount = (row) => toVolume(row.allocated_teu_count);
+
+// Weight of each row, in order, or null when weighting by bookings so the
+// plain (unweighted) statistics are used
+export const getRowWeights = (rows, weighting) => {
+  if (weighting === WEIGHTINGS.CONTAINERS) return rows.map(getContainerCount);
+  if (weighting === WEIGHTINGS.TEU) return rows.map(getTeuCount);
+  return null;
+};
+
+// Container and TEU totals for a set of rows, to one decimal - exports
+// carry fractional allocations such as 0.9999
+export const summarizeVolumes = (rows) => ({
+  containerCount: round(_.sumBy(rows, getContainerCount), 1),
+  teuCount: round(_.sumBy(rows, getTeuCount), 1)
+});
+
+export const getVolume = (stats, weighting) => stats[VOLUME_FIELDS[weighting]];
+
+// Each carrier's TEU on the ranked lanes, busiest first, and its share of
+// every lane's TEU: { carriers: [{ carrier, teuCount }], lanes: [{ port,
+// totalTeu, [carrier]: share % }] }. Carriers absent from a lane have no key
+// for it.
+export const buildTeuShares = (portStats, rankedPorts) => {
+  const carrierTotals = {};
+  const lanes = rankedPorts.map(port => {
+    const lane = portStats[port];
+    _.forEach(lane.carriers, (stats, carrier) => {
+      carrierTotals[carrier] = (carrierTotals[carrier] || 0) + stats.teuCount;
+    });
+    return {
+      port,
+      totalTeu: lane.totalTeu,
+      ..._.mapValues(lane.carriers, 'teuShare')
+    };
+  });
+
+  return {
+    carriers: _.orderBy(
+      Object.entries(carrierTotals).map(([carrier, teuCount]) => ({ carrier, teuCount: round(teuCount, 1) })),
+      ['teuCount', 'carrier'],
+      ['desc', 'asc']
+    ),
+    lanes
+  };
+};
@@ -0,0 +1,50 @@
+import { buildTeuShares, getRowWeights, summarizeVolumes, WEIGHTINGS } from './weighting';
+
+const rows = [
+  { allocated_container_count: 2, allocated_teu_count: 4 },
+  { allocated_container_count: 0.9999, allocated_teu_count: 1.9999 },
+  { allocated_container_count: null, allocated_teu_count: 'n/a' }
+];
+
+test('weights rows by containers or TEU, and not at all by bookings', () => {
+  expect(getRowWeights(rows, WEIGHTINGS.BOOKINGS)).toBeNull();
+  expect(getRowWeights(rows, WEIGHTINGS.CONTAINERS)).toEqual([2, 0.9999, 1]);
+  // Unusable counts weigh as a single unit
+  expect(getRowWeights(rows, WEIGHTINGS.TEU)).toEqual([4, 1.9999, 1]);
+});
+
+test('totals container and TEU volumes to one decimal', () => {
+  expect(summarizeVolumes(rows)).toEqual({ containerCount: 4, teuCount: 7 });
+  expect(summarizeVolumes([])).toEqual({ containerCount: 0, teuCount: 0 });
+});
+
+test('totals TEU per carrier and shares it out per lane', () => {
+  const portStats = {
+    'CNYTN--USSEA': {
+      totalTeu: 10,
+      carriers: {
+        MSC: { teuCount: 6, teuShare: 60 },
+        MAERSK: { teuCount: 4, teuShare: 40 }
+      }
+    },
+    'CNYTN--USLAX': {
+      totalTeu: 5,
+      carriers: {
+        MSC: { teuCount: 4, teuShare: 80 },
+        ZIM: { teuCount: 1, teuShare: 20 }
+      }
+    }
+  };
+
+  expect(buildTeuShares(portStats, ['CNYTN--USSEA', 'CNYTN--USLAX'])).toEqual({
+    carriers: [
+      { carrier: 'MSC', teuCount: 10 },
+      { carrier: 'MAERSK', teuCount: 4 },
+      { carrier: 'ZIM', teuCount: 1 }
+    ],
+    lanes: [
+      { port: 'CNYTN--USSEA', totalTeu: 10, MSC: 60, MAERSK: 40 },
+      { port: 'CNYTN--USLAX', totalTeu: 5, MSC: 80, ZIM: 20 }
+    ]
+  });
+});
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { ALLIANCES, getCarriers, normalizeScac, SCAC_PATTERN } from '../data/carriers';
+
+const EMPTY_FORM = { scac: '', shortName: '', name: '', alliance: '', aliases: '' };
+
+const splitAliases = (text) => _.uniq(text.split(',').map(alias => alias.trim()).filter(Boolean));
+
+// The carrier master list: short names, full names, SCACs, alliances and
+// the spellings each carrier answers to in the exports. Custom entries are
+// handed back through onChange as a new { [scac]: carrier } object.
+const CarrierAliasPanel = ({ carriers, unknownCarriers, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+
+  const allCarriers = getCarriers(carriers);
+  const scacs = _.sortBy(Object.keys(allCarriers), scac => allCarriers[scac].shortName);
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleEdit = (scac) => {
+    const carrier = allCarriers[scac];
+    setForm({
+      scac,
+      shortName: carrier.shortName,
+      name: carrier.name,
+      alliance: carrier.alliance || '',
+      aliases: (carrier.aliases || []).join(', ')
+    });
+    setMessage(null);
+  };
+
+  // Add a spelling from the data to the carrier being edited
+  const handleAddAlias = (alias) => {
+    setForm(current => ({ ...current, aliases: splitAliases(`${current.aliases},${alias}`).join(', ') }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const scac = normalizeScac(form.scac);
+    const shortName = form.shortName.trim();
+
+    if (!SCAC_PATTERN.test(scac)) {
+      setMessage(`"${form.scac}" is not a SCAC - use the carrier's 2-4 letter code, e.g. MSCU`);
+      return;
+    }
+    if (!shortName) {
+      setMessage('Enter a short name to show on charts');
+      return;
+    }
+    const clash = scacs.find(other => other !== scac && allCarriers[other].shortName.toUpperCase() === shortName.toUpperCase());
+    if (clash) {
+      setMessage(`${shortName} is already the short name of ${clash}`);
+      return;
+    }
+
+    onChange({
+      ...carriers,
+      [scac]: {
+        shortName,
+        name: form.name.trim() || shortName,
+        alliance: form.alliance || null,
+        aliases: splitAliases(form.aliases)
+      }
+    });
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-medium text-gray-700">Carrier Names</h2>
+          {unknownCarriers.length > 0 && (
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+              {unknownCarriers.length} carrier name{unknownCarriers.length === 1 ? '' : 's'} not on the master list
+            </span>
+          )}
+          {!_.isEmpty(carriers) && (
+            <span className="text-xs text-gray-500">{_.size(carriers)} custom</span>
+          )}
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+        >
+          {isOpen ? 'Close Carrier Names' : 'Manage Carrier Names'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm text-gray-500 mb-2">
+              Carrier names in the exports are matched to this list, ignoring case, punctuation and forms such as Ltd. or Pte., and
+              shown by their short name. Add a carrier or extra spellings here; saving a bundled carrier's SCAC replaces its entry.
+            </p>
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-2">
+              <input name="scac" value={form.scac} onChange={handleFieldChange} placeholder="SCAC, e.g. ONEY" aria-label="SCAC" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <input name="shortName" value={form.shortName} onChange={handleFieldChange} placeholder="Short name" aria-label="Short name" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <input name="name" value={form.name} onChange={handleFieldChange} placeholder="Full name (optional)" aria-label="Full name" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <select name="alliance" value={form.alliance} onChange={handleFieldChange} aria-label="Alliance" className="px-3 py-1 border border-gray-300 rounded-md text-sm">
+                <option value="">No alliance</option>
+                {Object.values(ALLIANCES).map(alliance => (
+                  <option key={alliance} value={alliance}>{alliance}</option>
+                ))}
+              </select>
+              <input name="aliases" value={form.aliases} onChange={handleFieldChange} placeholder="Other spellings, comma-separated" aria-label="Other spellings" className="col-span-2 px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <button type="submit" className="col-span-2 py-1 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded">Save Carrier</button>
+            </form>
+            {message && <p className="text-sm text-gray-700 mt-2">{message}</p>}
+
+            {unknownCarriers.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-gray-800 mb-2">Carrier Names Not on the List</h3>
+                <p className="text-xs text-gray-500 mb-2">Click a name to add it as a spelling of the carrier being edited.</p>
+                <div className="flex flex-wrap gap-2" role="group" aria-label="Unmatched carrier names">
+                  {unknownCarriers.map(name => (
+                    <button
+                      key={name}
+                      onClick={() => handleAddAlias(name)}
+                      className="py-1 px-3 text-sm rounded-full border border-yellow-300 bg-yellow-50 text-yellow-800 hover:bg-yellow-100"
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table aria-label="Carrier master list" className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Carrier</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SCAC</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Alliance</th>
+                  <th scope="col" className="px-3 py-2"><span className="sr-only">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {scacs.map(scac => {
+                  const carrier = allCarriers[scac];
+                  return (
+                    <tr key={scac}>
+                      <td className="px-3 py-2">
+                        <span className="font-medium text-gray-900">{carrier.shortName}</span>
+                        {carriers[scac] && <span className="ml-2 text-xs text-gray-500">custom</span>}
+                        <span className="block text-xs text-gray-500">
+                          {carrier.name}{carrier.aliases?.length > 0 && ` - also ${carrier.aliases.join(', ')}`}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{scac}</td>
+                      <td className="px-3 py-2 text-gray-700">{carrier.alliance || '-'}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-right">
+                        <button onClick={() => handleEdit(scac)} aria-label={`Edit ${scac}`} className="px-1 text-indigo-700">
+                          Edit
+                        </button>
+                        {carriers[scac] && (
+                          <button onClick={() => onChange(_.omit(carriers, scac))} aria-label={`Remove ${scac}`} className="px-1 text-red-600">
+                            ✕
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CarrierAliasPanel;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { SEVERITY } from '../data/validation';
+
+// Columns shown for example rows under each issue
+const EXAMPLE_COLUMNS = ['source_file', 'bk_transaction_id', 'carrier_name', 'port_2_port_id', 'booking_status', 'transit_time'];
+
+const SummaryStat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded p-3">
+    <p className="text-xs text-gray-500 uppercase tracking-wider">{label}</p>
+    <p className="text-lg font-semibold text-gray-900">{value.toLocaleString()}</p>
+  </div>
+);
+
+// Breakdown of an issue's rows by carrier or by lane
+const BreakdownList = ({ title, entries }) => (
+  <div>
+    <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">{title}</h4>
+    <ul className="text-sm text-gray-700">
+      {entries.map(([name, count]) => (
+        <li key={name} className="flex justify-between">
+          <span>{name}</span>
+          <span className="font-medium">{count.toLocaleString()}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Explains which loaded rows reach the statistics and why the rest do not
+const DataQualityPanel = ({ report, datasets }) => {
+  if (!report) return null;
+
+  const fileProblems = datasets.filter(dataset =>
+    dataset.missingColumns.length > 0 || dataset.parseErrors.length > 0
+  );
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-1">Data Quality</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        How loaded booking rows map to the shipments behind every average on this page
+      </p>
+      
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-7 gap-3 mb-4">
+        <SummaryStat label="Rows Loaded" value={report.transactionCount} />
+        <SummaryStat label="Unique Bookings" value={report.bookingCount} />
+        <SummaryStat label="Outside Date Range" value={report.outsideDateRangeCount} />
+        <SummaryStat label="Filtered Out" value={report.filteredOutCount} />
+        <SummaryStat label="Failed Validation" value={report.droppedCount} />
+        <SummaryStat label="Declined (Excluded)" value={report.declinedExcludedCount} />
+        <SummaryStat label="Shipments Analysed" value={report.analysedCount} />
+      </div>
+      
+      {fileProblems.map(dataset => (
+        <div key={dataset.id} className="bg-red-50 border-l-4 border-red-500 p-3 mb-3 text-sm text-red-700">
+          <span className="font-medium">{dataset.name}</span>
+          {dataset.missingColumns.length > 0 && (
+            <span>: missing required columns {dataset.missingColumns.join(', ')}</span>
+          )}
+          {dataset.parseErrors.length > 0 && (
+            <span>
+              : {dataset.parseErrors.length} malformed CSV rows
+              {` (first at row ${dataset.parseErrors[0].row + 2}: ${dataset.parseErrors[0].message})`}
+            </span>
+          )}
+        </div>
+      ))}
+      
+      {report.issues.length === 0 ? (
+        <p className="text-sm text-green-700">All bookings passed validation.</p>
+      ) : (
+        <div className="space-y-2">
+          {report.issues.map(issue => (
+            <details key={issue.code} className="bg-gray-50 rounded-lg p-3">
+              <summary className="flex justify-between cursor-pointer">
+                <span className="font-medium text-gray-700">
+                  {issue.label}
+                  <span className={`ml-2 px-2 text-xs leading-5 font-semibold rounded-full ${issue.severity === SEVERITY.ERROR ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                    {issue.severity === SEVERITY.ERROR ? 'dropped' : 'kept'}
+                  </span>
+                </span>
+                <span className="text-sm text-gray-700">{issue.count.toLocaleString()} bookings</span>
+              </summary>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                <BreakdownList title="By Carrier" entries={issue.byCarrier} />
+                <BreakdownList title="By Lane" entries={issue.byLane} />
+              </div>
+              <div className="overflow-x-auto mt-3">
+                <table className="min-w-full divide-y divide-gray-200 text-xs">
+                  <thead>
+                    <tr>
+                      {EXAMPLE_COLUMNS.map(column => (
+                        <th key={column} className="px-2 py-1 text-left font-medium text-gray-500">{column}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {issue.examples.map((row, index) => (
+                      <tr key={index}>
+                        {EXAMPLE_COLUMNS.map(column => (
+                          <td key={column} className="px-2 py-1 text-gray-700">{String(row[column] ?? '')}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,137 @@
+import React, { useState, useRef } from 'react';
+import _ from 'lodash';
+
+// Lists the loaded SONAR exports and accepts new ones via a file picker or
+// drag and drop. Parsing happens entirely in the browser: onLoadFile(file,
+// onProgress) parses one file and resolves with its dataset summary. Of
+// several files, those that parse are added and the rest reported.
+const DataSourcePanel = ({ datasets, rowCountsByFile, onLoadFile, onAddDatasets, onRemoveDataset }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isParsing, setIsParsing] = useState(false);
+  // Share of each file read so far, by file name
+  const [progress, setProgress] = useState({});
+  const [uploadError, setUploadError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList).filter(file => /\.csv$/i.test(file.name));
+    if (files.length === 0) {
+      setUploadError('Please choose one or more .csv files exported from SONAR.');
+      return;
+    }
+
+    setIsParsing(true);
+    setUploadError(null);
+    setProgress(_.fromPairs(files.map(file => [file.name, 0])));
+    try {
+      const results = await Promise.allSettled(files.map(file => onLoadFile(file, ({ fraction }) => {
+        setProgress(current => ({ ...current, [file.name]: fraction }));
+      })));
+      // The files that parsed are loaded whatever became of the rest, so
+      // none is left loaded but unlisted
+      const loaded = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      if (loaded.length > 0) onAddDatasets(loaded);
+      const failures = results
+        .map((result, index) => (result.status === 'rejected' ? `${files[index].name} (${result.reason?.message || result.reason})` : null))
+        .filter(Boolean);
+      if (failures.length > 0) setUploadError(`Error parsing CSV: ${failures.join(', ')}`);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleInputChange = (e) => {
+    handleFiles(e.target.files);
+    // Allow the same file to be picked again after removing it
+    e.target.value = '';
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-2">Data Sources</h2>
+      
+      <div
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-lg p-4 mb-4 text-center ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+      >
+        <p className="text-sm text-gray-600 mb-2">
+          {isParsing
+            ? `Reading files... ${Math.round(_.mean(Object.values(progress)) * 100)}%`
+            : 'Drop SONAR CSV exports here, or'}
+        </p>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={isParsing}
+          className="py-2 px-4 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded"
+        >
+          Choose Files
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          onChange={handleInputChange}
+          className="hidden"
+          data-testid="csv-file-input"
+        />
+        <p className="text-xs text-gray-500 mt-2">Files are processed in your browser and never uploaded.</p>
+      </div>
+      
+      {uploadError && (
+        <p className="text-sm text-red-600 mb-4">{uploadError}</p>
+      )}
+      
+      {datasets.length === 0 ? (
+        <p className="text-sm text-gray-500">No data loaded. Add a SONAR export to begin.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                File
+              </th>
+              <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Rows
+              </th>
+              <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Shipments Analysed
+              </th>
+              <th scope="col" className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {datasets.map(dataset => (
+              <tr key={dataset.id}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{dataset.name}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-700">{dataset.rowCount.toLocaleString()}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-700">
+                  {(rowCountsByFile[dataset.name] || 0).toLocaleString()}
+                </td>
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => onRemoveDataset(dataset.id)}
+                    className="text-sm text-red-600 hover:text-red-800"
+                    aria-label={`Remove ${dataset.name}`}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DataSourcePanel;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { TARGET_STATUS, TARGET_STATUS_LABELS } from '../analytics';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+const STATUS_CLASSES = {
+  [TARGET_STATUS.MET]: 'text-gray-700',
+  [TARGET_STATUS.WARNING]: 'text-amber-700',
+  [TARGET_STATUS.BREACH]: 'text-red-700 font-semibold'
+};
+
+const BADGE_CLASSES = {
+  [TARGET_STATUS.WARNING]: 'bg-amber-100 text-amber-800',
+  [TARGET_STATUS.BREACH]: 'bg-red-100 text-red-800'
+};
+
+// One figure against its target, e.g. "26.5 / 20"
+const TargetCell = ({ figure, suffix }) => (
+  <td className={`px-4 py-2 whitespace-nowrap text-right ${STATUS_CLASSES[figure.status]}`}>
+    {figure.value.toFixed(1)}{suffix} / {figure.target}{suffix}
+    {figure.shortfall > 0 && <span className="block text-xs font-normal">{figure.shortfall}% off</span>}
+  </td>
+);
+
+// The morning worklist: every carrier-lane pair missing its lane's targets
+// (see findExceptions), worst first. Clicking a lane opens it below.
+const ExceptionsPanel = ({ exceptions, minLaneShipments, formatPortName, onSelectLane }) => {
+  const breachCount = exceptions.filter(exception => exception.status === TARGET_STATUS.BREACH).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-lg font-semibold text-gray-800">Exceptions</h2>
+          {exceptions.length > 0 && (
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+              {breachCount} breach{breachCount === 1 ? '' : 'es'}, {exceptions.length - breachCount} near target
+            </span>
+          )}
+        </div>
+        <p className="text-sm text-gray-500">
+          Carrier-lane pairs missing their lane's transit target or consistency floor, most severe first. Severity is how far
+          the worse figure is off target; pairs with under {minLaneShipments} shipments are left out.
+        </p>
+      </div>
+      {exceptions.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">Every carrier is on target on every priority lane.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table aria-label="Exceptions" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className={`${headerClassName} text-left`}>Lane</th>
+                <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+                <th scope="col" className={`${headerClassName} text-left`}>Status</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Avg Transit / Target</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Consistency / Floor</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Shipments</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {exceptions.map(exception => (
+                <tr key={`${exception.port}|${exception.carrier}`} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <button
+                      onClick={() => onSelectLane(exception.port)}
+                      className="text-left text-indigo-700 hover:text-indigo-900 hover:underline"
+                    >
+                      {exception.rank}. {formatPortName(exception.port)}
+                    </button>
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900">{exception.carrier}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${BADGE_CLASSES[exception.status]}`}>
+                      {TARGET_STATUS_LABELS[exception.status]}
+                    </span>
+                  </td>
+                  <TargetCell figure={exception.transit} suffix=" d" />
+                  <TargetCell figure={exception.consistency} suffix="" />
+                  <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700">{exception.shipmentCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExceptionsPanel;
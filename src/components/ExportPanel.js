@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { toDayKey } from '../data/dates';
+import { downloadFile } from '../utils/download';
+import { tablesToXlsx, tableToCsv, XLSX_MIME_TYPE } from '../utils/exportFiles';
+
+const toFileName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Download the computed tables as CSV or as one Excel workbook, or open the
+// printable report. tables come from analytics/reportTables.js and already
+// reflect the active filters, which the workbook lists on its first sheet.
+const ExportPanel = ({ tables, filters, onOpenReport }) => {
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const filePrefix = `go-sonar-${toDayKey(new Date())}`;
+
+  const handleWorkbook = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const blob = await tablesToXlsx(tables, filters);
+      downloadFile(`${filePrefix}.xlsx`, blob, XLSX_MIME_TYPE);
+    } catch (err) {
+      setError(`Could not build the workbook: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700 mr-2">Export</span>
+        {tables.map(table => (
+          <button
+            key={table.name}
+            onClick={() => downloadFile(`${filePrefix}-${toFileName(table.name)}.csv`, tableToCsv(table), 'text/csv')}
+            className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded"
+          >
+            {table.name} CSV
+          </button>
+        ))}
+        <button
+          onClick={handleWorkbook}
+          disabled={isExporting}
+          className="py-1 px-3 bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold rounded disabled:opacity-50"
+        >
+          {isExporting ? 'Building Workbook...' : 'Excel Workbook'}
+        </button>
+        <button
+          onClick={onOpenReport}
+          className="py-1 px-3 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded"
+        >
+          Printable Report
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Exports cover the ranked lanes with the current lane set, dates, booking options and sample thresholds applied.
+      </p>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportPanel;
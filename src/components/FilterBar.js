@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { CONFIDENCE_LEVEL } from '../analytics';
+import { toDayKey, formatDate } from '../data/dates';
+
+const inputClassName = 'block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+// Dropdown of checkboxes; nothing ticked means no restriction
+const MultiSelectFilter = ({ label, options, selected, formatOption = option => option, onChange }) => {
+  const toggle = (option) => {
+    onChange(selected.includes(option) ?
+      selected.filter(value => value !== option) :
+      [...selected, option]);
+  };
+  const summary = selected.length === 0 ? 'All' :
+    selected.length === 1 ? formatOption(selected[0]) : `${selected.length} selected`;
+
+  return (
+    <details className="relative">
+      <summary className={`${inputClassName} cursor-pointer list-none bg-white text-sm`}>
+        <span className="font-medium text-gray-700">{label}:</span> <span className="text-gray-900">{summary}</span>
+      </summary>
+      <div role="group" aria-label={label} className="absolute z-10 mt-1 bg-white border border-gray-200 rounded shadow-lg p-2 max-h-64 overflow-y-auto min-w-[16rem]">
+        {options.length === 0 && <p className="text-sm text-gray-500">No values in the data</p>}
+        {options.map(option => (
+          <label key={option} className="flex items-center text-sm text-gray-700 py-0.5 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={selected.includes(option)}
+              onChange={() => toggle(option)}
+              className="mr-2"
+            />
+            {formatOption(option)}
+          </label>
+        ))}
+        {selected.length > 0 && (
+          <button onClick={() => onChange([])} className="mt-1 text-xs text-indigo-600 hover:text-indigo-800">
+            Clear
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+// Filters applied to the whole dashboard. Their state lives in App, which
+// mirrors it into the URL hash so the view can be shared.
+const FilterBar = ({
+  options,
+  filters,
+  dateRange,
+  dataDates,
+  sampleThresholds,
+  hasFilters,
+  formatPortName,
+  onFiltersChange,
+  onDateRangeChange,
+  onThresholdChange,
+  onClearDates,
+  onClearAll
+}) => {
+  const [copyMessage, setCopyMessage] = useState(null);
+
+  const setFilter = (name) => (values) => onFiltersChange({ ...filters, [name]: values });
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopyMessage('Link copied');
+    } catch (err) {
+      setCopyMessage('Copy the address bar to share this view');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MultiSelectFilter
+          label="Lanes"
+          options={options.lanes}
+          selected={filters.lanes}
+          formatOption={formatPortName}
+          onChange={setFilter('lanes')}
+        />
+        <MultiSelectFilter
+          label="Carriers"
+          options={options.carriers}
+          selected={filters.carriers}
+          onChange={setFilter('carriers')}
+        />
+        <MultiSelectFilter
+          label="Booking Status"
+          options={options.bookingStatuses}
+          selected={filters.bookingStatuses}
+          onChange={setFilter('bookingStatuses')}
+        />
+        <MultiSelectFilter
+          label="Origin Country"
+          options={options.originCountries}
+          selected={filters.originCountries}
+          formatOption={formatPortName}
+          onChange={setFilter('originCountries')}
+        />
+        <MultiSelectFilter
+          label="Destination Port"
+          options={options.destinationPorts}
+          selected={filters.destinationPorts}
+          formatOption={formatPortName}
+          onChange={setFilter('destinationPorts')}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 mt-4">
+        <div>
+          <label htmlFor="date-from" className="block text-sm font-medium text-gray-700 mb-1">
+            Departing From
+          </label>
+          <input
+            id="date-from"
+            type="date"
+            name="from"
+            value={dateRange.from}
+            min={dataDates.earliest ? toDayKey(dataDates.earliest) : undefined}
+            max={dateRange.to || (dataDates.latest ? toDayKey(dataDates.latest) : undefined)}
+            onChange={onDateRangeChange}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="date-to" className="block text-sm font-medium text-gray-700 mb-1">
+            Departing To
+          </label>
+          <input
+            id="date-to"
+            type="date"
+            name="to"
+            value={dateRange.to}
+            min={dateRange.from || (dataDates.earliest ? toDayKey(dataDates.earliest) : undefined)}
+            max={dataDates.latest ? toDayKey(dataDates.latest) : undefined}
+            onChange={onDateRangeChange}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="min-lane-shipments" className="block text-sm font-medium text-gray-700 mb-1">
+            Min Shipments per Carrier on a Lane
+          </label>
+          <input
+            id="min-lane-shipments"
+            type="number"
+            min="0"
+            name="minLaneShipments"
+            value={sampleThresholds.minLaneShipments}
+            onChange={onThresholdChange}
+            className={`${inputClassName} w-32`}
+          />
+        </div>
+        <div>
+          <label htmlFor="min-carrier-shipments" className="block text-sm font-medium text-gray-700 mb-1">
+            Min Shipments per Carrier Overall
+          </label>
+          <input
+            id="min-carrier-shipments"
+            type="number"
+            min="0"
+            name="minCarrierShipments"
+            value={sampleThresholds.minCarrierShipments}
+            onChange={onThresholdChange}
+            className={`${inputClassName} w-32`}
+          />
+        </div>
+        {(dateRange.from || dateRange.to) && (
+          <button
+            onClick={onClearDates}
+            className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+          >
+            Clear Dates
+          </button>
+        )}
+        {hasFilters && (
+          <button
+            onClick={onClearAll}
+            className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+          >
+            Clear Filters
+          </button>
+        )}
+        <button
+          onClick={handleCopyLink}
+          className="py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded"
+        >
+          Copy Link to This View
+        </button>
+        {copyMessage && <span className="text-sm text-gray-500">{copyMessage}</span>}
+      </div>
+
+      <p className="text-sm text-gray-500 mt-3">
+        {dataDates.earliest && `Data covers departures from ${formatDate(dataDates.earliest)} to ${formatDate(dataDates.latest)}. `}
+        Carriers below the minimum shipment counts are flagged as low samples and cannot win a ranking or headline card.
+        Error bars and intervals show the {CONFIDENCE_LEVEL}% confidence range of each average.
+      </p>
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { compareCarriers, WEIGHTING_LABELS } from '../analytics';
+import LowSampleBadge from './LowSampleBadge';
+
+const formatDelta = (value, suffix = '') => `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+// Positive transit deltas are slower than the baseline, positive
+// consistency deltas steadier
+const transitDeltaClass = (delta) => (delta < 0 ? 'text-green-700' : delta > 0 ? 'text-red-700' : 'text-gray-700');
+const consistencyDeltaClass = (delta) => transitDeltaClass(-delta);
+
+// Pick two or more carriers and compare them lane by lane on the ranked
+// lanes they all serve, against the first carrier picked
+const HeadToHeadPanel = ({
+  carriers,
+  selectedCarriers,
+  portStats,
+  rankedPorts,
+  minLaneShipments,
+  weighting,
+  formatPortName,
+  onChange
+}) => {
+  const comparison = selectedCarriers.length >= 2 ?
+    compareCarriers(portStats, rankedPorts, selectedCarriers, { weighting }) : null;
+  const [baseline, ...rivals] = selectedCarriers;
+
+  const toggleCarrier = (carrier) => {
+    onChange(selectedCarriers.includes(carrier) ?
+      selectedCarriers.filter(selected => selected !== carrier) :
+      [...selectedCarriers, carrier]);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">Head-to-Head on Shared Lanes</h2>
+        <p className="text-sm text-gray-500">
+          Pick two or more carriers to compare them only on the ranked lanes they all serve. The first carrier picked is the baseline;
+          deltas are each carrier minus the baseline, weighted by the carriers' combined volume per lane ({WEIGHTING_LABELS[weighting]}).
+        </p>
+        <div className="flex flex-wrap gap-2 mt-3" role="group" aria-label="Carriers to compare">
+          {carriers.map(carrier => {
+            const position = selectedCarriers.indexOf(carrier);
+            return (
+              <button
+                key={carrier}
+                onClick={() => toggleCarrier(carrier)}
+                aria-pressed={position !== -1}
+                className={`py-1 px-3 text-sm rounded-full border ${
+                  position === -1 ? 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50' :
+                    'bg-indigo-600 border-indigo-600 text-white'
+                }`}
+              >
+                {carrier}{position === 0 ? ' (baseline)' : ''}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="p-4 overflow-x-auto">
+        {!comparison ? (
+          <p className="text-sm text-gray-500">Select at least two carriers to compare.</p>
+        ) : comparison.lanes.length === 0 ? (
+          <p className="text-sm text-gray-500">{selectedCarriers.join(', ')} share none of the ranked lanes.</p>
+        ) : (
+          <table aria-label="Head-to-head comparison" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lane</th>
+                {selectedCarriers.map(carrier => (
+                  <th key={carrier} scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {carrier}
+                  </th>
+                ))}
+                {rivals.map(carrier => (
+                  <th key={carrier} scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {carrier} vs {baseline}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {comparison.lanes.map(lane => (
+                <tr key={lane.port}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-900">
+                    {lane.rank}. {formatPortName(lane.port)}
+                  </td>
+                  {selectedCarriers.map(carrier => (
+                    <td key={carrier} className="px-4 py-2 whitespace-nowrap text-right text-gray-700">
+                      {lane.carriers[carrier].avgTransitDays} days
+                      <span className="block text-xs text-gray-500">
+                        {lane.carriers[carrier].shipmentCount} shipments
+                        {lane.carriers[carrier].lowSample && (
+                          <LowSampleBadge shipmentCount={lane.carriers[carrier].shipmentCount} minimum={minLaneShipments} />
+                        )}
+                      </span>
+                    </td>
+                  ))}
+                  {rivals.map(carrier => (
+                    <td key={carrier} className={`px-4 py-2 whitespace-nowrap text-right font-medium ${transitDeltaClass(lane.transitDelta[carrier])}`}>
+                      {formatDelta(lane.transitDelta[carrier], ' days')}
+                      <span className={`block text-xs ${consistencyDeltaClass(lane.consistencyDelta[carrier])}`}>
+                        {formatDelta(lane.consistencyDelta[carrier])} consistency
+                      </span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2 text-gray-900">
+                  Volume-weighted ({comparison.lanes.length} shared lane{comparison.lanes.length === 1 ? '' : 's'})
+                </td>
+                {selectedCarriers.map(carrier => (
+                  <td key={carrier} className="px-4 py-2 whitespace-nowrap text-right text-gray-900">
+                    {comparison.totals[carrier].avgTransitDays} days
+                    <span className="block text-xs font-normal text-gray-500">
+                      {comparison.totals[carrier].consistencyScore}/100 consistency
+                    </span>
+                  </td>
+                ))}
+                {rivals.map(carrier => {
+                  const total = comparison.totals[carrier];
+                  return (
+                    <td key={carrier} className={`px-4 py-2 whitespace-nowrap text-right ${transitDeltaClass(total.transitDelta)}`}>
+                      {formatDelta(total.transitDelta, ' days')}
+                      {total.transitDeltaCiMargin !== null && ` ±${total.transitDeltaCiMargin}`}
+                      <span className={`block text-xs ${consistencyDeltaClass(total.consistencyDelta)}`}>
+                        {formatDelta(total.consistencyDelta)} consistency
+                      </span>
+                    </td>
+                  );
+                })}
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HeadToHeadPanel;
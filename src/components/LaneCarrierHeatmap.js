@@ -0,0 +1,130 @@
+import React from 'react';
+import { getCarriersByVolume } from '../analytics';
+
+const METRICS = {
+  avgTransitDays: { label: 'Avg Transit (days)', suffix: ' d', scale: "Colours compare each figure with its lane's target transit time" },
+  consistencyScore: { label: 'Consistency Score', suffix: '', scale: "Colours compare each figure with its lane's consistency floor" },
+  slippedShare: { label: 'Bookings Slipped (%)', suffix: '%', scale: "Colours follow the dashboard's departure slip scale" }
+};
+
+// Hatching for lanes a carrier does not serve, so gaps stand out from
+// coloured cells
+const EMPTY_CELL_STYLE = {
+  background: 'repeating-linear-gradient(45deg, #f9fafb, #f9fafb 4px, #e5e7eb 4px, #e5e7eb 8px)'
+};
+
+// Every ranked lane against every carrier at once, coloured by average
+// transit, consistency or departure slip. The colour functions take the
+// figure and its lane, as transit and consistency are judged against each
+// lane's targets. Clicking a cell selects that lane for the detailed
+// comparison below. The metric is held by App so it can be shared
+// in the URL; unknown values fall back to average transit.
+const LaneCarrierHeatmap = ({
+  portStats,
+  rankedPorts,
+  selectedPort,
+  metric: requestedMetric,
+  formatPortName,
+  getTimeColor,
+  getConsistencyColor,
+  getSlipColor,
+  onMetricChange,
+  onSelectLane
+}) => {
+  const metric = METRICS[requestedMetric] ? requestedMetric : 'avgTransitDays';
+  const carriers = getCarriersByVolume(portStats, rankedPorts);
+  const getColor = {
+    avgTransitDays: getTimeColor,
+    consistencyScore: getConsistencyColor,
+    slippedShare: getSlipColor
+  }[metric];
+  const { suffix, scale } = METRICS[metric];
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Lane × Carrier Overview</h2>
+          <p className="text-sm text-gray-500">
+            Lanes in rank order; each cell shows the carrier's figure and shipment count. Click a cell to open that lane below.
+          </p>
+        </div>
+        <select
+          aria-label="Heatmap metric"
+          value={metric}
+          onChange={(e) => onMetricChange(e.target.value)}
+          className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {Object.entries(METRICS).map(([value, option]) => (
+            <option key={value} value={value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="p-4 overflow-x-auto">
+        <table aria-label="Lane carrier heatmap" className="min-w-full text-sm border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th scope="col" className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lane</th>
+              {carriers.map(carrier => (
+                <th key={carrier} scope="col" className="px-2 py-1 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {carrier}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rankedPorts.map(port => (
+              <tr key={port}>
+                <th scope="row" className={`px-2 py-1 text-left font-medium whitespace-nowrap ${port === selectedPort ? 'text-indigo-700' : 'text-gray-700'}`}>
+                  {portStats[port].rank}. {formatPortName(port)}
+                </th>
+                {carriers.map(carrier => {
+                  const stats = portStats[port].carriers[carrier];
+                  if (!stats) {
+                    return (
+                      <td key={carrier} style={EMPTY_CELL_STYLE} className="px-2 py-1 text-center text-gray-400 rounded">
+                        <span aria-label={`${carrier} has no shipments on ${formatPortName(port)}`}>—</span>
+                      </td>
+                    );
+                  }
+                  // Slip is unknown where no booking has both ETDs
+                  const value = stats[metric] !== null ? `${stats[metric].toFixed(1)}${suffix}` : 'N/A';
+                  const color = stats[metric] !== null ? getColor(stats[metric], port) : '#9ca3af';
+                  return (
+                    <td key={carrier} className="p-0">
+                      <button
+                        onClick={() => onSelectLane(port)}
+                        aria-label={`${carrier} on ${formatPortName(port)}: ${value}, ${stats.shipmentCount} shipments`}
+                        title={stats.lowSample ? 'Low sample - below the minimum shipment count' : undefined}
+                        className={`w-full px-2 py-1 text-center rounded hover:ring-2 hover:ring-indigo-400 ${
+                          stats.lowSample ? 'border border-dashed border-gray-400' : ''
+                        }`}
+                        style={{ backgroundColor: `${color}${stats.lowSample ? '1a' : '40'}` }}
+                      >
+                        <span className="block font-semibold text-gray-900">{value}</span>
+                        <span className="block text-xs text-gray-600">n={stats.shipmentCount}</span>
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-gray-600">
+          <span>{scale}</span>
+          <span className="flex items-center">
+            <span className="inline-block w-4 h-4 rounded mr-1 border border-dashed border-gray-400"></span>
+            Low sample
+          </span>
+          <span className="flex items-center">
+            <span className="inline-block w-4 h-4 rounded mr-1" style={EMPTY_CELL_STYLE}></span>
+            No shipments
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LaneCarrierHeatmap;
@@ -0,0 +1,238 @@
+import React, { useState, useRef } from 'react';
+import _ from 'lodash';
+import { downloadFile } from '../utils/download';
+import {
+  createLaneSet,
+  isValidLaneId,
+  laneSetToCsv,
+  laneSetToJson,
+  moveLane,
+  normalizeLaneId,
+  parseLaneSetFile
+} from '../data/laneSets';
+
+// How many unranked lanes to suggest
+const MAX_SUGGESTIONS = 10;
+
+// Add, remove and reorder the lanes of named priority lane sets, and switch
+// between sets. Changes are handed back through onChange as a new state.
+const LaneManagerPanel = ({ laneSets, laneVolumes, formatPortName, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newLane, setNewLane] = useState('');
+  const [message, setMessage] = useState(null);
+  const importInputRef = useRef(null);
+
+  const activeSet = laneSets.sets.find(set => set.id === laneSets.activeSetId);
+
+  const updateActiveSet = (changes) => {
+    onChange({
+      ...laneSets,
+      sets: laneSets.sets.map(set => set.id === activeSet.id ? { ...set, ...changes } : set)
+    });
+  };
+
+  const addSet = (set) => {
+    onChange({ activeSetId: set.id, sets: [...laneSets.sets, set] });
+  };
+
+  const handleNewSet = () => {
+    const name = window.prompt('Name for the new lane set');
+    if (name) addSet(createLaneSet(name));
+  };
+
+  const handleDuplicateSet = () => {
+    addSet(createLaneSet(`${activeSet.name} (copy)`, activeSet.lanes));
+  };
+
+  const handleRenameSet = () => {
+    const name = window.prompt('Rename lane set', activeSet.name);
+    if (name) updateActiveSet({ name });
+  };
+
+  const handleDeleteSet = () => {
+    if (!window.confirm(`Delete the lane set "${activeSet.name}"?`)) return;
+    const sets = laneSets.sets.filter(set => set.id !== activeSet.id);
+    onChange({ activeSetId: sets[0].id, sets });
+  };
+
+  const handleAddLane = (lane) => {
+    const laneId = normalizeLaneId(lane);
+    if (!isValidLaneId(laneId)) {
+      setMessage(`"${lane}" is not a valid lane ID - use the CCPPP--CCPPP format, e.g. CNYTN--USSEA`);
+      return;
+    }
+    if (activeSet.lanes.includes(laneId)) {
+      setMessage(`${laneId} is already in this lane set`);
+      return;
+    }
+    updateActiveSet({ lanes: [...activeSet.lanes, laneId] });
+    setNewLane('');
+    setMessage(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const set = parseLaneSetFile(await file.text(), file.name);
+      if (set.lanes.length === 0) {
+        setMessage(`No valid lane IDs found in ${file.name}`);
+        return;
+      }
+      addSet(set);
+      setMessage(`Imported ${set.lanes.length} lanes from ${file.name}`);
+    } catch (error) {
+      setMessage(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const exportName = _.kebabCase(activeSet.name) || 'lanes';
+
+  // Lanes with shipments in the data that are not ranked, busiest first
+  const unrankedLanes = _.orderBy(
+    Object.entries(laneVolumes).filter(([lane]) => !activeSet.lanes.includes(lane)),
+    1,
+    'desc'
+  ).slice(0, MAX_SUGGESTIONS);
+  const lanesWithoutData = activeSet.lanes.filter(lane => !laneVolumes[lane]);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="lane-set-selector" className="text-sm font-medium text-gray-700">
+            Priority Lane Set
+          </label>
+          <select
+            id="lane-set-selector"
+            value={activeSet.id}
+            onChange={(e) => onChange({ ...laneSets, activeSetId: e.target.value })}
+            className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {laneSets.sets.map(set => (
+              <option key={set.id} value={set.id}>{`${set.name} (${set.lanes.length} lanes)`}</option>
+            ))}
+          </select>
+          {lanesWithoutData.length > 0 && (
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+              {lanesWithoutData.length} ranked lanes have no data
+            </span>
+          )}
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+        >
+          {isOpen ? 'Close Lane Manager' : 'Manage Lanes'}
+        </button>
+      </div>
+      
+      {isOpen && (
+        <div className="mt-4">
+          <div className="flex flex-wrap gap-2 mb-4">
+            <button onClick={handleNewSet} className="py-1 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded">New Set</button>
+            <button onClick={handleDuplicateSet} className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded">Duplicate</button>
+            <button onClick={handleRenameSet} className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded">Rename</button>
+            <button
+              onClick={handleDeleteSet}
+              disabled={laneSets.sets.length < 2}
+              className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-red-600 text-sm rounded disabled:opacity-50"
+            >
+              Delete
+            </button>
+            <span className="mx-2 border-l border-gray-300"></span>
+            <button onClick={() => importInputRef.current.click()} className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded">Import JSON/CSV</button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.csv"
+              onChange={handleImport}
+              className="hidden"
+              data-testid="lane-set-import"
+            />
+            <button
+              onClick={() => downloadFile(`${exportName}.json`, laneSetToJson(activeSet), 'application/json')}
+              className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={() => downloadFile(`${exportName}.csv`, laneSetToCsv(activeSet), 'text/csv')}
+              className="py-1 px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded"
+            >
+              Export CSV
+            </button>
+          </div>
+          
+          {message && <p className="text-sm text-gray-700 mb-4">{message}</p>}
+          
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">Ranked Lanes</h3>
+              <ol className="divide-y divide-gray-200 border border-gray-200 rounded mb-2">
+                {activeSet.lanes.map((lane, index) => (
+                  <li key={lane} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span>
+                      <span className="text-gray-500 mr-2">{index + 1}.</span>
+                      <span className="font-medium text-gray-900">{formatPortName(lane)}</span>
+                      <span className="text-gray-500 ml-2">{lane}</span>
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {laneVolumes[lane] ? (
+                        <span className="text-xs text-gray-500">{laneVolumes[lane]} shipments</span>
+                      ) : (
+                        <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">No data</span>
+                      )}
+                      <button onClick={() => updateActiveSet({ lanes: moveLane(activeSet.lanes, index, -1) })} disabled={index === 0} aria-label={`Move ${lane} up`} className="px-1 text-gray-600 disabled:opacity-30">↑</button>
+                      <button onClick={() => updateActiveSet({ lanes: moveLane(activeSet.lanes, index, 1) })} disabled={index === activeSet.lanes.length - 1} aria-label={`Move ${lane} down`} className="px-1 text-gray-600 disabled:opacity-30">↓</button>
+                      <button onClick={() => updateActiveSet({ lanes: activeSet.lanes.filter(l => l !== lane) })} aria-label={`Remove ${lane}`} className="px-1 text-red-600">✕</button>
+                    </span>
+                  </li>
+                ))}
+              </ol>
+              <form
+                onSubmit={(e) => { e.preventDefault(); handleAddLane(newLane); }}
+                className="flex gap-2"
+              >
+                <input
+                  type="text"
+                  value={newLane}
+                  onChange={(e) => setNewLane(e.target.value)}
+                  placeholder="e.g. CNYTN--USSEA"
+                  aria-label="New lane ID"
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <button type="submit" className="py-1 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded">Add Lane</button>
+              </form>
+            </div>
+            
+            <div>
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">High-Volume Lanes Not Ranked</h3>
+              {unrankedLanes.length === 0 ? (
+                <p className="text-sm text-gray-500">Every lane in the data is ranked.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+                  {unrankedLanes.map(([lane, count]) => (
+                    <li key={lane} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <span>
+                        <span className="font-medium text-gray-900">{formatPortName(lane)}</span>
+                        <span className="text-gray-500 ml-2">{lane}</span>
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500">{count} shipments</span>
+                        <button onClick={() => handleAddLane(lane)} className="text-sm text-blue-600 hover:text-blue-800">Add</button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LaneManagerPanel;
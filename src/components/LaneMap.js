@@ -0,0 +1,145 @@
+import React from 'react';
+import _ from 'lodash';
+import { geoGraticule10, geoNaturalEarth1, geoPath } from 'd3-geo';
+import { feature } from 'topojson-client';
+import land110m from 'world-atlas/land-110m.json';
+import { buildLaneArcs, getCarriersByVolume, TARGET_STATUS_LABELS } from '../analytics';
+
+const WIDTH = 960;
+const HEIGHT = 500;
+const MIN_STROKE = 1.5;
+const MAX_STROKE = 10;
+
+// The base map ships with the app (Natural Earth land at 1:110m via
+// world-atlas), so no tile server is needed. It is centred on the Pacific,
+// where most priority lanes run; lanes to the US east coast cross the
+// Atlantic and wrap around the map's edges.
+const LAND = feature(land110m, land110m.objects.land);
+const projection = geoNaturalEarth1().rotate([-150, 0]).fitSize([WIDTH, HEIGHT], { type: 'Sphere' });
+const path = geoPath(projection);
+const SPHERE_PATH = path({ type: 'Sphere' });
+const GRATICULE_PATH = path(geoGraticule10());
+const LAND_PATH = path(LAND);
+
+const toCoordinates = point => [point.longitude, point.latitude];
+
+// Ranked lanes drawn as great-circle arcs from origin to destination, sized
+// by shipments and coloured by average transit against the lane's target
+// (getTimeColor takes the days and the lane; statusColors maps each target
+// status to its colour, for the legend). Picking a carrier shows its
+// network alone; clicking an arc selects that lane for the analysis below.
+// The carrier is held by App so it can be shared in the URL.
+const LaneMap = ({
+  portStats,
+  rankedPorts,
+  selectedPort,
+  carrier,
+  aliases,
+  formatPortName,
+  getTimeColor,
+  statusColors,
+  onCarrierChange,
+  onSelectLane
+}) => {
+  const carriers = getCarriersByVolume(portStats, rankedPorts);
+  const mapCarrier = carriers.includes(carrier) ? carrier : '';
+  const { arcs, unplotted } = buildLaneArcs(portStats, rankedPorts, { carrier: mapCarrier || null, aliases });
+  const maxShipments = _.max(arcs.map(arc => arc.shipmentCount)) || 1;
+  const strokeWidth = count => MIN_STROKE + (MAX_STROKE - MIN_STROKE) * Math.sqrt(count / maxShipments);
+  const ports = _.uniqBy(arcs.flatMap(arc => [arc.origin, arc.destination]), 'code');
+
+  // Busiest lanes underneath so thin arcs stay clickable
+  const drawOrder = _.orderBy(arcs, 'shipmentCount', 'desc');
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Lane Map</h2>
+          <p className="text-sm text-gray-500">
+            Line thickness follows shipments and colour the average transit time against the lane's target. Click a lane to open it below.
+          </p>
+        </div>
+        <select
+          aria-label="Map carrier"
+          value={mapCarrier}
+          onChange={(e) => onCarrierChange(e.target.value)}
+          className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">All carriers</option>
+          {carriers.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="p-4">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="group" aria-label="Lane map" className="w-full h-auto">
+          <path d={SPHERE_PATH} fill="#eff6ff" stroke="#bfdbfe" />
+          <path d={GRATICULE_PATH} fill="none" stroke="#dbeafe" strokeWidth={0.5} />
+          <path d={LAND_PATH} fill="#e5e7eb" stroke="#d1d5db" strokeWidth={0.5} />
+          {drawOrder.map(arc => {
+            const label = `${formatPortName(arc.port)}: ${arc.shipmentCount} shipments, ${arc.avgTransitDays} days average`;
+            const isSelected = arc.port === selectedPort;
+            return (
+              <path
+                key={arc.port}
+                d={path({ type: 'LineString', coordinates: [toCoordinates(arc.origin), toCoordinates(arc.destination)] })}
+                fill="none"
+                stroke={getTimeColor(arc.avgTransitDays, arc.port)}
+                strokeWidth={strokeWidth(arc.shipmentCount)}
+                strokeOpacity={isSelected ? 1 : 0.65}
+                strokeLinecap="round"
+                role="button"
+                tabIndex={0}
+                aria-label={label}
+                aria-pressed={isSelected}
+                onClick={() => onSelectLane(arc.port)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onSelectLane(arc.port);
+                  }
+                }}
+                className="cursor-pointer focus:outline-none"
+              >
+                <title>{label}</title>
+              </path>
+            );
+          })}
+          {ports.map(port => {
+            const [x, y] = projection(toCoordinates(port));
+            return (
+              <circle key={port.code} cx={x} cy={y} r={3} fill="#1f2937">
+                <title>{`${port.name} (${port.code})`}</title>
+              </circle>
+            );
+          })}
+        </svg>
+
+        <div className="flex flex-wrap items-center gap-4 mt-2 text-xs text-gray-600">
+          {Object.entries(TARGET_STATUS_LABELS).map(([status, label]) => (
+            <span key={status} className="flex items-center">
+              <span className="inline-block w-6 h-1.5 rounded mr-1" style={{ backgroundColor: statusColors[status] }}></span>
+              {label}
+            </span>
+          ))}
+          {arcs.length > 0 && <span>Thickest line: {maxShipments} shipments</span>}
+        </div>
+
+        {arcs.length === 0 && (
+          <p className="text-sm text-gray-500 mt-2">
+            {mapCarrier ? `${mapCarrier} has no shipments on the ranked lanes.` : 'No ranked lanes to show.'}
+          </p>
+        )}
+        {unplotted.length > 0 && (
+          <p className="text-sm text-gray-500 mt-2">
+            Not on the map (no port coordinates - add them under Port Names): {unplotted.map(formatPortName).join(', ')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LaneMap;
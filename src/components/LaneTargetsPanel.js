@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { CONSISTENCY_WARNING_POINTS, TRANSIT_WARNING_FACTOR } from '../analytics';
+import { isTargetValue, MAX_CONSISTENCY_FLOOR, setLaneTarget } from '../data/laneTargets';
+
+const FIELDS = [
+  { key: 'transitDays', label: 'Target transit (days)', step: 0.5 },
+  { key: 'consistencyFloor', label: 'Consistency floor', step: 1, max: MAX_CONSISTENCY_FLOOR }
+];
+
+const inputClassName = 'w-24 px-2 py-1 border border-gray-300 rounded-md text-sm text-right';
+
+// Read a target box: blank clears it (null), anything that is not a
+// usable target for the field is ignored (undefined)
+const parseTargetValue = (value, field) => {
+  if (String(value).trim() === '') return null;
+  const number = Number(value);
+  return isTargetValue(number, field) ? number : undefined;
+};
+
+// Target transit times and consistency floors per priority lane, which
+// drive the dashboard's colours and the exceptions list. Lanes left blank
+// use the defaults. Targets are handed back through onChange.
+const LaneTargetsPanel = ({ targets, lanes, formatPortName, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const customCount = lanes.filter(lane => targets.lanes[lane]).length;
+
+  const handleDefaultChange = (field, value) => {
+    const parsed = parseTargetValue(value, field);
+    // The defaults cannot be blank; every lane falls back to them
+    if (parsed === null || parsed === undefined) return;
+    onChange({ ...targets, defaults: { ...targets.defaults, [field]: parsed } });
+  };
+
+  const handleLaneChange = (lane, field, value) => {
+    const parsed = parseTargetValue(value, field);
+    if (parsed !== undefined) onChange(setLaneTarget(targets, lane, field, parsed));
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-medium text-gray-700">Lane Targets</h2>
+          <span className="text-xs text-gray-500">
+            Default {targets.defaults.transitDays} days, consistency {targets.defaults.consistencyFloor}
+            {customCount > 0 && ` · ${customCount} lane${customCount === 1 ? '' : 's'} with own targets`}
+          </span>
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+        >
+          {isOpen ? 'Close Lane Targets' : 'Manage Lane Targets'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-500 mb-3">
+            Transit times and consistency scores are coloured against their lane's targets: green on target, amber up
+            to {Math.round((TRANSIT_WARNING_FACTOR - 1) * 100)}% over the transit target or {CONSISTENCY_WARNING_POINTS} points
+            under the consistency floor, red beyond. Leave a lane blank to use the defaults.
+          </p>
+
+          <fieldset className="flex flex-wrap items-end gap-4 mb-4">
+            <legend className="text-sm font-semibold text-gray-800 mb-2">Defaults</legend>
+            {FIELDS.map(({ key, label, step, max }) => (
+              <label key={key} className="text-sm text-gray-700">
+                <span className="block mb-1">{label}</span>
+                <input
+                  type="number"
+                  min={step}
+                  max={max}
+                  step={step}
+                  aria-label={`Default ${label.toLowerCase()}`}
+                  value={targets.defaults[key]}
+                  onChange={(e) => handleDefaultChange(key, e.target.value)}
+                  className={inputClassName}
+                />
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="overflow-x-auto">
+            <table aria-label="Lane targets" className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lane</th>
+                  {FIELDS.map(({ key, label }) => (
+                    <th key={key} scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                  ))}
+                  <th scope="col" className="px-4 py-2"><span className="sr-only">Reset</span></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {lanes.map((lane, index) => (
+                  <tr key={lane}>
+                    <th scope="row" className="px-4 py-2 text-left font-medium text-gray-900">
+                      {index + 1}. {formatPortName(lane)}
+                    </th>
+                    {FIELDS.map(({ key, label, step, max }) => (
+                      <td key={key} className="px-4 py-2 text-right">
+                        <input
+                          type="number"
+                          min={step}
+                          max={max}
+                          step={step}
+                          aria-label={`${formatPortName(lane)} ${label.toLowerCase()}`}
+                          value={targets.lanes[lane]?.[key] ?? ''}
+                          placeholder={String(targets.defaults[key])}
+                          onChange={(e) => handleLaneChange(lane, key, e.target.value)}
+                          className={inputClassName}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-4 py-2 text-right">
+                      {targets.lanes[lane] && (
+                        <button
+                          onClick={() => onChange({ ...targets, lanes: _.omit(targets.lanes, lane) })}
+                          aria-label={`Reset ${formatPortName(lane)} to the defaults`}
+                          className="text-xs text-indigo-600 hover:text-indigo-800"
+                        >
+                          Use defaults
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LaneTargetsPanel;
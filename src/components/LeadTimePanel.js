@@ -0,0 +1,170 @@
+import React from 'react';
+import _ from 'lodash';
+import { CartesianGrid, Legend, ResponsiveContainer, Scatter, ScatterChart, Tooltip, XAxis, YAxis } from 'recharts';
+import { BOOKING_WINDOW_BANDS, SHORT_NOTICE_DAYS } from '../analytics';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+const formatDays = (value) => (value === null ? 'N/A' : `${value} days`);
+const formatRate = (value) => (value === null ? 'N/A' : `${value.toFixed(1)}%`);
+
+const describeShortNotice = ({ declineRate, otherDeclineRate, isMeaningful }) => {
+  if (declineRate === null || otherDeclineRate === null) return 'Not enough bookings';
+  if (!isMeaningful) return 'No clear difference';
+  return declineRate > otherDeclineRate ? 'Declines more at short notice' : 'Declines less at short notice';
+};
+
+// How much notice carriers get and how that affects acceptance: booking
+// windows and lead times per carrier, decline rates by booking window per
+// lane, and lead time against transit on the selected lane (points, from
+// getLeadTimeTransitPoints)
+const LeadTimePanel = ({
+  leadTimes,
+  points,
+  rankedPorts,
+  selectedPort,
+  carrierColors,
+  formatPortName,
+  onSelectLane
+}) => {
+  const carriers = _.orderBy(
+    Object.entries(leadTimes.carriers),
+    [([, stats]) => stats.bookingWindow.count, ([carrier]) => carrier],
+    ['desc', 'asc']
+  );
+  const pointsByCarrier = _.groupBy(points, 'carrier');
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">Booking Lead Times</h2>
+        <p className="text-sm text-gray-500">
+          The booking window runs from when a booking was first placed to the departure it first asked for.
+          Lead time is the export's lead_time: from the analysed booking version to its planned departure, negative when the version came after sailing.
+        </p>
+      </div>
+
+      <div className="p-4 overflow-x-auto">
+        <table aria-label="Booking notice by carrier" className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Bookings</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Median Booking Window</th>
+              <th scope="col" className={`${headerClassName} text-right`}>P10 - P90 Window</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Median Lead Time</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Declined, Under {SHORT_NOTICE_DAYS} Days' Notice</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Declined, More Notice</th>
+              <th scope="col" className={`${headerClassName} text-left`}>Short Notice</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {carriers.map(([carrier, stats]) => (
+              <tr key={carrier}>
+                <td className="px-4 py-2 whitespace-nowrap text-gray-900">{carrier}</td>
+                <td className="px-4 py-2 text-right text-gray-700">{stats.bookingWindow.count}</td>
+                <td className="px-4 py-2 text-right text-gray-700">{formatDays(stats.bookingWindow.medianDays)}</td>
+                <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">
+                  {stats.bookingWindow.count > 0 ? `${stats.bookingWindow.p10Days} - ${stats.bookingWindow.p90Days} days` : 'N/A'}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-700">{formatDays(stats.leadTime.medianDays)}</td>
+                <td className="px-4 py-2 text-right text-gray-700">
+                  {formatRate(stats.shortNotice.declineRate)}
+                  <span className="block text-xs text-gray-500">of {stats.shortNotice.bookingCount}</span>
+                </td>
+                <td className="px-4 py-2 text-right text-gray-700">
+                  {formatRate(stats.shortNotice.otherDeclineRate)}
+                  <span className="block text-xs text-gray-500">of {stats.shortNotice.otherBookingCount}</span>
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap text-gray-700">{describeShortNotice(stats.shortNotice)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">
+          A difference in decline rates counts only when it is larger than chance would explain at 95% confidence.
+        </p>
+      </div>
+
+      <div className="p-4 border-t border-gray-200 overflow-x-auto">
+        <h3 className="font-semibold text-gray-800 mb-1">Decline Rate by Booking Window</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Share of bookings declined on each ranked lane, by how much notice they gave. Use it to set booking cut-offs per lane; click a lane to open it.
+        </p>
+        <table aria-label="Decline rate by booking window" className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className={`${headerClassName} text-left`}>Lane</th>
+              <th scope="col" className={`${headerClassName} text-right`}>Median Window</th>
+              {BOOKING_WINDOW_BANDS.map(band => (
+                <th key={band.key} scope="col" className={`${headerClassName} text-right`}>{band.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rankedPorts.filter(port => leadTimes.lanes[port]).map(port => {
+              const lane = leadTimes.lanes[port];
+              return (
+                <tr key={port} className={port === selectedPort ? 'bg-indigo-50' : undefined}>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <button onClick={() => onSelectLane(port)} className="text-indigo-700 hover:text-indigo-900 font-medium">
+                      {formatPortName(port)}
+                    </button>
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">{formatDays(lane.bookingWindow.medianDays)}</td>
+                  {lane.windowBands.map(band => (
+                    <td key={band.key} className="px-4 py-2 text-right text-gray-700">
+                      {formatRate(band.declineRate)}
+                      <span className="block text-xs text-gray-500">of {band.bookingCount}</span>
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-4 border-t border-gray-200">
+        <h3 className="font-semibold text-gray-800 mb-1">Lead Time vs Transit: {formatPortName(selectedPort)}</h3>
+        {points.length === 0 ? (
+          <p className="text-sm text-gray-500">No shipments on this lane have a lead time.</p>
+        ) : (
+          <div style={{ width: '100%', height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 5, right: 30, left: 20, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  dataKey="leadTimeDays"
+                  name="Lead time"
+                  unit=" d"
+                  label={{ value: 'Lead Time (days before departure)', position: 'insideBottom', offset: -10 }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="transitDays"
+                  name="Transit"
+                  unit=" d"
+                  label={{ value: 'Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }}
+                />
+                <Tooltip cursor={{ strokeDasharray: '3 3' }} />
+                <Legend verticalAlign="top" />
+                {Object.entries(pointsByCarrier).map(([carrier, carrierPoints], index) => (
+                  <Scatter
+                    key={carrier}
+                    name={carrier}
+                    data={carrierPoints}
+                    fill={carrierColors[index % carrierColors.length]}
+                  />
+                ))}
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeadTimePanel;
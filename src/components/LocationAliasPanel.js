@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { formatLocation, getPort, normalizePortCode, PORT_CODE_PATTERN } from '../data/locations';
+
+const EMPTY_FORM = { code: '', name: '', latitude: '', longitude: '' };
+
+// Parse an optional coordinate box: blank is fine, anything else must be a
+// number within range
+const parseCoordinate = (value, limit) => {
+  if (String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : undefined;
+};
+
+// Names for ports the bundled UN/LOCODE table does not know. Aliases are
+// handed back through onChange as a new { [code]: alias } object.
+const LocationAliasPanel = ({ aliases, unknownPorts, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const code = normalizePortCode(form.code);
+    const name = form.name.trim();
+    const latitude = parseCoordinate(form.latitude, 90);
+    const longitude = parseCoordinate(form.longitude, 180);
+
+    if (!PORT_CODE_PATTERN.test(code)) {
+      setMessage(`"${form.code}" is not a port code - use the 5-character UN/LOCODE, e.g. USSEA`);
+      return;
+    }
+    if (!name) {
+      setMessage('Enter a port name');
+      return;
+    }
+    if (latitude === undefined || longitude === undefined || (latitude === null) !== (longitude === null)) {
+      setMessage('Enter both coordinates in decimal degrees, or neither');
+      return;
+    }
+
+    onChange({ ...aliases, [code]: { name, latitude, longitude } });
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const aliasCodes = _.sortBy(Object.keys(aliases));
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-medium text-gray-700">Port Names</h2>
+          {unknownPorts.length > 0 && (
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+              {unknownPorts.length} port{unknownPorts.length === 1 ? '' : 's'} without a name
+            </span>
+          )}
+          {aliasCodes.length > 0 && (
+            <span className="text-xs text-gray-500">{aliasCodes.length} custom</span>
+          )}
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+        >
+          {isOpen ? 'Close Port Names' : 'Manage Port Names'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm text-gray-500 mb-2">
+              Ports are named from a bundled UN/LOCODE table. Name any it is missing here; a custom name also replaces the table's.
+            </p>
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-2">
+              <input name="code" value={form.code} onChange={handleFieldChange} placeholder="e.g. PKGWD" aria-label="Port code" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <input name="name" value={form.name} onChange={handleFieldChange} placeholder="Port name" aria-label="Port name" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <input name="latitude" value={form.latitude} onChange={handleFieldChange} placeholder="Latitude (optional)" aria-label="Latitude" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <input name="longitude" value={form.longitude} onChange={handleFieldChange} placeholder="Longitude (optional)" aria-label="Longitude" className="px-3 py-1 border border-gray-300 rounded-md text-sm" />
+              <button type="submit" className="col-span-2 py-1 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded">Save Port Name</button>
+            </form>
+            {message && <p className="text-sm text-gray-700 mt-2">{message}</p>}
+
+            {unknownPorts.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-gray-800 mb-2">Ports in the Data Without a Name</h3>
+                <div className="flex flex-wrap gap-2">
+                  {unknownPorts.map(code => (
+                    <button
+                      key={code}
+                      onClick={() => setForm({ ...EMPTY_FORM, code })}
+                      className="py-1 px-3 text-sm rounded-full border border-yellow-300 bg-yellow-50 text-yellow-800 hover:bg-yellow-100"
+                    >
+                      {code}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">Custom Port Names</h3>
+            {aliasCodes.length === 0 ? (
+              <p className="text-sm text-gray-500">No custom port names yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+                {aliasCodes.map(code => {
+                  const port = getPort(code, aliases);
+                  return (
+                    <li key={code} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <span>
+                        <span className="font-medium text-gray-900">{formatLocation(code, aliases)}</span>
+                        <span className="text-gray-500 ml-2">{code}</span>
+                        {port.latitude !== null && (
+                          <span className="text-gray-500 ml-2">{port.latitude}, {port.longitude}</span>
+                        )}
+                      </span>
+                      <button
+                        onClick={() => onChange(_.omit(aliases, code))}
+                        aria-label={`Remove ${code}`}
+                        className="px-1 text-red-600"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationAliasPanel;
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Marks a carrier or lane cell whose shipment count is under the minimum
+// sample threshold, so its figures are read with care
+const LowSampleBadge = ({ shipmentCount, minimum }) => (
+  <span
+    title={`Only ${shipmentCount} shipments - below the minimum of ${minimum}, so excluded from rankings`}
+    className="ml-2 px-2 py-0.5 inline-flex text-xs font-medium rounded-full bg-amber-100 text-amber-800"
+  >
+    Low sample
+  </span>
+);
+
+export default LowSampleBadge;
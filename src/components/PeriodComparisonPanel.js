@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import {
+  CARRIER_LANE_METRICS,
+  CARRIER_SUMMARY_METRICS,
+  compareCarrierSummaries,
+  compareLane,
+  describePeriod,
+  findBiggestMovers,
+  getCarrierSummary,
+  MOVER_METRICS,
+  PERIOD_TYPE_LABELS,
+  PERIOD_TYPES,
+  TRENDS
+} from '../analytics';
+import { MS_PER_DAY, toDayKey } from '../data/dates';
+import LowSampleBadge from './LowSampleBadge';
+
+const PERIOD_NAMES = ['Period A', 'Period B'];
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+const inputClassName = 'py-1 px-2 border border-gray-300 rounded-md text-sm';
+
+const TREND_CLASSES = {
+  [TRENDS.IMPROVED]: 'text-green-700',
+  [TRENDS.WORSENED]: 'text-red-700'
+};
+
+const formatValue = (value) => (value === null ? '-' : _.round(value, 2).toLocaleString());
+
+// Two loaded files compare first against last; a single file splits its
+// departure dates in half
+const getDefaultPeriods = (datasets, dataDates) => {
+  if (datasets.length >= 2) {
+    return [datasets[0], datasets[datasets.length - 1]].map(dataset => ({ type: PERIOD_TYPES.FILE, file: dataset.name }));
+  }
+  if (!dataDates.earliest || !dataDates.latest) {
+    return PERIOD_NAMES.map(() => ({ type: PERIOD_TYPES.DATES, from: '', to: '' }));
+  }
+  const middle = new Date((dataDates.earliest.getTime() + dataDates.latest.getTime()) / 2);
+  return [
+    { type: PERIOD_TYPES.DATES, from: toDayKey(dataDates.earliest), to: toDayKey(middle) },
+    { type: PERIOD_TYPES.DATES, from: toDayKey(new Date(middle.getTime() + MS_PER_DAY)), to: toDayKey(dataDates.latest) }
+  ];
+};
+
+// Arrow and colour for a change: the arrow follows the sign, the colour
+// whether the move was for the better
+const Delta = ({ comparison, percent }) => {
+  const value = percent ? comparison.deltaPercent : comparison.delta;
+  if (value === null) return <span className="text-gray-400">-</span>;
+  const arrow = value > 0 ? '▲' : value < 0 ? '▼' : '';
+  return (
+    <span className={TREND_CLASSES[comparison.trend] || 'text-gray-700'}>
+      {arrow} {value > 0 ? '+' : ''}{value.toLocaleString()}{percent ? '%' : ''}
+    </span>
+  );
+};
+
+const ComparisonCells = ({ comparison }) => (
+  <>
+    <td className="px-4 py-2 text-right text-gray-700">{formatValue(comparison.before)}</td>
+    <td className="px-4 py-2 text-right text-gray-700">{formatValue(comparison.after)}</td>
+    <td className="px-4 py-2 text-right whitespace-nowrap"><Delta comparison={comparison} /></td>
+    <td className="px-4 py-2 text-right whitespace-nowrap"><Delta comparison={comparison} percent /></td>
+  </>
+);
+
+// Pick two periods, by departure dates or by loaded file, and set every
+// carrier and lane statistic for one against the other. Periods are handed
+// back through onChange, null to stop comparing; results are the analysis
+// engine's periods.
+const PeriodComparisonPanel = ({
+  periods,
+  results,
+  datasets,
+  dataDates,
+  minLaneShipments,
+  minCarrierShipments,
+  weighting,
+  formatPortName,
+  onChange
+}) => {
+  const [scope, setScope] = useState('');
+  const [summaryMetric, setSummaryMetric] = useState(CARRIER_SUMMARY_METRICS[0].key);
+  const [laneMetric, setLaneMetric] = useState(CARRIER_LANE_METRICS[0].key);
+  const [moverMetric, setMoverMetric] = useState(MOVER_METRICS[0].key);
+
+  const handlePeriodChange = (index, changes) => {
+    onChange(periods.map((period, i) => (i === index ? { ...period, ...changes } : period)));
+  };
+
+  const handleTypeChange = (index, type) => {
+    handlePeriodChange(index, type === PERIOD_TYPES.FILE ?
+      { type, file: datasets[0]?.name || '' } :
+      { type, from: '', to: '' });
+  };
+
+  const [before, after] = results || [];
+  const lanes = results ? _.uniq([...after.rankedPorts, ...before.rankedPorts]) : [];
+  const activeScope = lanes.includes(scope) ? scope : '';
+  const metrics = activeScope ? CARRIER_LANE_METRICS : CARRIER_SUMMARY_METRICS;
+  const metricKey = activeScope ? laneMetric : summaryMetric;
+  const metric = metrics.find(candidate => candidate.key === metricKey);
+
+  let laneComparison = null;
+  let rows = [];
+  if (results) {
+    if (activeScope) {
+      laneComparison = compareLane(before.portStats, after.portStats, activeScope);
+      rows = laneComparison.carriers;
+    } else {
+      const summaryOptions = { minCarrierShipments, weighting };
+      rows = compareCarrierSummaries(
+        getCarrierSummary(before.portStats, summaryOptions),
+        getCarrierSummary(after.portStats, summaryOptions)
+      );
+    }
+  }
+  const movers = results ? findBiggestMovers(before.portStats, after.portStats, { metric: moverMetric }) : [];
+  const moverLabel = MOVER_METRICS.find(candidate => candidate.key === moverMetric).label;
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex flex-wrap justify-between items-center gap-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">Period-over-Period Comparison</h2>
+            <p className="text-sm text-gray-500">
+              Set two periods side by side - by departure dates or by loaded file. Changes are Period B minus Period A;
+              green moved for the better, red for the worse. A carrier's average across lanes moves with its lane mix too - pick
+              a single lane to rule that out.
+            </p>
+          </div>
+          <button
+            onClick={() => onChange(periods ? null : getDefaultPeriods(datasets, dataDates))}
+            className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+          >
+            {periods ? 'Stop Comparing' : 'Compare Periods'}
+          </button>
+        </div>
+
+        {periods && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            {periods.map((period, index) => {
+              const name = PERIOD_NAMES[index];
+              const id = `period-${index}`;
+              return (
+                <fieldset key={name} className="border border-gray-200 rounded p-3">
+                  <legend className="text-sm font-semibold text-gray-700 px-1">{name}</legend>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={period.type}
+                      onChange={(e) => handleTypeChange(index, e.target.value)}
+                      aria-label={`${name} by`}
+                      className={inputClassName}
+                    >
+                      {Object.values(PERIOD_TYPES).map(type => (
+                        <option key={type} value={type}>{PERIOD_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                    {period.type === PERIOD_TYPES.FILE ? (
+                      <select
+                        value={period.file}
+                        onChange={(e) => handlePeriodChange(index, { file: e.target.value })}
+                        aria-label={`${name} file`}
+                        className={inputClassName}
+                      >
+                        {!datasets.some(dataset => dataset.name === period.file) && <option value={period.file}>Choose a file</option>}
+                        {datasets.map(dataset => (
+                          <option key={dataset.id} value={dataset.name}>{dataset.name}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <>
+                        <input
+                          id={`${id}-from`}
+                          type="date"
+                          value={period.from}
+                          onChange={(e) => handlePeriodChange(index, { from: e.target.value })}
+                          aria-label={`${name} from`}
+                          className={inputClassName}
+                        />
+                        <span className="text-sm text-gray-500">to</span>
+                        <input
+                          id={`${id}-to`}
+                          type="date"
+                          value={period.to}
+                          onChange={(e) => handlePeriodChange(index, { to: e.target.value })}
+                          aria-label={`${name} to`}
+                          className={inputClassName}
+                        />
+                      </>
+                    )}
+                  </div>
+                  {results && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      {results[index].shipmentCount.toLocaleString()} shipments from {results[index].bookingCount.toLocaleString()} bookings
+                    </p>
+                  )}
+                </fieldset>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {periods && results && (
+        <div className="p-4 grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <div className="flex flex-wrap items-end gap-3 mb-3">
+              <div>
+                <label htmlFor="period-scope" className="block text-sm font-medium text-gray-700 mb-1">Compare</label>
+                <select id="period-scope" value={activeScope} onChange={(e) => setScope(e.target.value)} className={inputClassName}>
+                  <option value="">Carriers on all ranked lanes</option>
+                  {lanes.map(lane => (
+                    <option key={lane} value={lane}>{formatPortName(lane)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="period-metric" className="block text-sm font-medium text-gray-700 mb-1">Statistic</label>
+                <select
+                  id="period-metric"
+                  value={metricKey}
+                  onChange={(e) => (activeScope ? setLaneMetric : setSummaryMetric)(e.target.value)}
+                  className={inputClassName}
+                >
+                  {metrics.map(candidate => (
+                    <option key={candidate.key} value={candidate.key}>{candidate.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <table aria-label="Period comparison" className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+                  {PERIOD_NAMES.map((name, index) => (
+                    <th key={name} scope="col" className={`${headerClassName} text-right`}>
+                      {name}
+                      <span className="block normal-case font-normal">{describePeriod(periods[index])}</span>
+                    </th>
+                  ))}
+                  <th scope="col" className={`${headerClassName} text-right`}>Change</th>
+                  <th scope="col" className={`${headerClassName} text-right`}>% Change</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {laneComparison && metric.laneKey && (
+                  <tr className="bg-gray-50">
+                    <th scope="row" className="px-4 py-2 text-left font-semibold text-gray-900">Whole lane</th>
+                    <ComparisonCells comparison={laneComparison.lane[metric.key]} />
+                  </tr>
+                )}
+                {rows.map(row => (
+                  <tr key={row.carrier}>
+                    <th scope="row" className="px-4 py-2 text-left font-medium text-gray-900 whitespace-nowrap">
+                      {row.carrier}
+                      {row.lowSample && (
+                        <LowSampleBadge
+                          shipmentCount={_.min([row.metrics.shipmentCount.before, row.metrics.shipmentCount.after].filter(count => count !== null))}
+                          minimum={activeScope ? minLaneShipments : minCarrierShipments}
+                        />
+                      )}
+                      {!row.inBefore && <span className="ml-2 text-xs text-gray-500">new</span>}
+                      {!row.inAfter && <span className="ml-2 text-xs text-gray-500">gone</span>}
+                    </th>
+                    <ComparisonCells comparison={row.metrics[metric.key]} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length === 0 && <p className="text-sm text-gray-500 mt-2">Neither period has shipments to compare.</p>}
+          </div>
+
+          <div className="overflow-x-auto">
+            <h3 className="text-md font-semibold text-gray-800 mb-1">Biggest Movers</h3>
+            <p className="text-xs text-gray-500 mb-2">
+              Carrier-lane pairs whose {moverLabel.toLowerCase()} changed the most, among those with enough shipments in both periods.
+            </p>
+            <div className="flex gap-2 mb-3" role="group" aria-label="Biggest movers by">
+              {MOVER_METRICS.map(candidate => (
+                <button
+                  key={candidate.key}
+                  onClick={() => setMoverMetric(candidate.key)}
+                  aria-pressed={candidate.key === moverMetric}
+                  className={`py-1 px-3 text-sm rounded-full border ${
+                    candidate.key === moverMetric ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {candidate.label}
+                </button>
+              ))}
+            </div>
+            {movers.length === 0 ? (
+              <p className="text-sm text-gray-500">No carrier-lane pair with enough shipments in both periods has changed.</p>
+            ) : (
+              <table aria-label="Biggest movers" className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+                    <th scope="col" className={`${headerClassName} text-left`}>Lane</th>
+                    <th scope="col" className={`${headerClassName} text-right`}>A</th>
+                    <th scope="col" className={`${headerClassName} text-right`}>B</th>
+                    <th scope="col" className={`${headerClassName} text-right`}>Change</th>
+                    <th scope="col" className={`${headerClassName} text-right`}>% Change</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {movers.map(mover => (
+                    <tr key={`${mover.port}-${mover.carrier}`}>
+                      <th scope="row" className="px-4 py-2 text-left font-medium text-gray-900">{mover.carrier}</th>
+                      <td className="px-4 py-2 text-gray-700">{formatPortName(mover.port)}</td>
+                      <ComparisonCells comparison={mover} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeriodComparisonPanel;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { BarChart, Bar, ErrorBar, XAxis, YAxis, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { buildLaneComparison } from '../analytics';
+import { formatDate } from '../data/dates';
+import TransitBoxPlot from './TransitBoxPlot';
+
+const formatValue = (value, suffix = '') => (value === null || value === undefined ? 'N/A' : `${value}${suffix}`);
+
+const CARRIER_COLUMNS = [
+  { label: 'Carrier', render: row => row.carrier },
+  { label: 'Avg Transit', render: row => formatValue(row.avgDays, ' days') },
+  { label: '95% CI', render: row => (row.avgDaysCiMargin !== null ? `±${row.avgDaysCiMargin}` : 'N/A') },
+  { label: 'Lanes', render: row => row.laneCount },
+  { label: 'Shipments', render: row => row.shipmentCount },
+  { label: 'Consistency', render: row => (row.weightedConsistencyScore !== null ? row.weightedConsistencyScore.toFixed(1) : 'N/A') },
+  { label: 'Acceptance', render: row => formatValue(row.acceptanceRate, '%') },
+  { label: 'Low Sample', render: row => (row.lowSample ? 'Yes' : '') }
+];
+
+const LANE_COLUMNS = [
+  { label: 'Carrier', render: row => row.carrier },
+  { label: 'Shipments', render: row => row.shipmentCount },
+  { label: 'Avg Transit', render: row => `${row.avgTransitDays} days` },
+  { label: '95% CI', render: row => (row.ciLowerDays !== null ? `${row.ciLowerDays} - ${row.ciUpperDays}` : 'N/A') },
+  { label: 'Median', render: row => row.medianTransitDays },
+  { label: 'P90', render: row => row.p90TransitDays },
+  { label: 'Min-Max', render: row => `${row.minTransitDays} - ${row.maxTransitDays}` },
+  { label: 'Consistency', render: row => row.consistencyScore.toFixed(1) },
+  { label: 'Acceptance', render: row => formatValue(row.acceptanceRate, '%') },
+  { label: 'Low Sample', render: row => (row.lowSample ? 'Yes' : '') }
+];
+
+const ReportTable = ({ label, columns, rows }) => (
+  <table aria-label={label} className="min-w-full text-sm border border-gray-300 mt-4">
+    <thead className="bg-gray-100">
+      <tr>
+        {columns.map(column => (
+          <th key={column.label} scope="col" className="px-2 py-1 text-left font-semibold text-gray-700 border-b border-gray-300">
+            {column.label}
+          </th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row, index) => (
+        <tr key={index} className="border-b border-gray-200">
+          {columns.map(column => (
+            <td key={column.label} className="px-2 py-1 text-gray-800">{column.render(row)}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Print-friendly version of the dashboard for attaching to business
+// reviews: the active filters and carrier summary first, then one page per
+// ranked lane with its distribution chart and comparison table. Charts skip
+// their animations so they are fully drawn when printed.
+const PrintReport = ({ title, filters, carrierSummary, portStats, rankedPorts, formatPortName, onClose }) => (
+  <div className="bg-white min-h-screen p-8 max-w-5xl mx-auto">
+    <div className="flex justify-end gap-2 mb-6 print:hidden">
+      <button
+        onClick={() => window.print()}
+        className="py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded"
+      >
+        Print
+      </button>
+      <button
+        onClick={onClose}
+        className="py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+
+    <section>
+      <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+      <p className="text-sm text-gray-600 mb-4">Generated {formatDate(new Date())}</p>
+      <dl className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm mb-6">
+        {filters.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="font-medium text-gray-700">{label}</dt>
+            <dd className="text-gray-800">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <h2 className="text-lg font-semibold text-gray-800">Carrier Summary</h2>
+      <div style={{ width: '100%', height: 260 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={carrierSummary} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="carrier" />
+            <YAxis label={{ value: 'Avg Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }} />
+            <Bar dataKey="avgDays" fill="#3b82f6" isAnimationActive={false}>
+              <ErrorBar dataKey="avgDaysCiMargin" width={4} strokeWidth={1.5} stroke="#1e3a8a" />
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ReportTable label="Report carrier summary" columns={CARRIER_COLUMNS} rows={carrierSummary} />
+    </section>
+
+    {rankedPorts.map(port => {
+      const lane = portStats[port];
+      const comparison = buildLaneComparison(portStats, port);
+      return (
+        <section key={port} className="mt-12 print:mt-0 break-before-page">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {lane.rank}. {formatPortName(port)}
+          </h2>
+          <p className="text-sm text-gray-600 mb-2">
+            {port} · {lane.totalShipments} shipments · {lane.averageTransitTime} days average transit
+            {lane.acceptanceRate !== null ? ` · ${lane.acceptanceRate.toFixed(1)}% of bookings accepted` : ''}
+          </p>
+          <div style={{ width: '100%', height: 260 }}>
+            <TransitBoxPlot data={comparison} />
+          </div>
+          <ReportTable
+            label={`Report lane ${port}`}
+            columns={LANE_COLUMNS}
+            rows={comparison}
+          />
+        </section>
+      );
+    })}
+  </div>
+);
+
+export default PrintReport;
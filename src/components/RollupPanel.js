@@ -0,0 +1,161 @@
+import React from 'react';
+import _ from 'lodash';
+import { buildLaneComparison, ROLLUP_LEVEL_LABELS, ROLLUP_LEVELS } from '../analytics';
+import { parseLaneId } from '../data/lanes';
+import LowSampleBadge from './LowSampleBadge';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Transit of each gateway against the fastest gateway from the same origin
+// country, in days
+const getGatewayDeltas = (groupStats, groups) => {
+  const byOrigin = _.groupBy(groups, group => parseLaneId(group).originCountry);
+  return Object.fromEntries(groups.map(group => {
+    const fastest = _.min(byOrigin[parseLaneId(group).originCountry].map(other => groupStats[other].averageTransitTime));
+    return [group, _.round(groupStats[group].averageTransitTime - fastest, 2)];
+  }));
+};
+
+// Lanes rolled up by origin country, origin port, destination port or
+// origin country to gateway, with the carrier ranking inside a chosen group
+const RollupPanel = ({
+  rollups,
+  level: requestedLevel,
+  selectedGroup,
+  minLaneShipments,
+  formatPortName,
+  onLevelChange,
+  onSelectGroup
+}) => {
+  // Levels from an old or hand-edited link fall back to origin country
+  const level = ROLLUP_LEVEL_LABELS[requestedLevel] ? requestedLevel : ROLLUP_LEVELS.ORIGIN_COUNTRY;
+  const { groupStats, groups: busiestGroups } = rollups[level] || { groupStats: {}, groups: [] };
+  const isGatewayLevel = level === ROLLUP_LEVELS.GATEWAY;
+  // Gateways from the same origin sit together so they can be compared
+  const groups = isGatewayLevel ?
+    _.sortBy(busiestGroups, group => parseLaneId(group).originCountry) : busiestGroups;
+  const gatewayDeltas = isGatewayLevel ? getGatewayDeltas(groupStats, groups) : {};
+  const group = groupStats[selectedGroup] ? selectedGroup : groups[0];
+  const carrierRows = buildLaneComparison(groupStats, group);
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Origin and Destination Roll-ups</h2>
+          <p className="text-sm text-gray-500">
+            Every lane in the filtered data grouped together. Pick a group to rank carriers within it.
+          </p>
+        </div>
+        <select
+          aria-label="Roll-up level"
+          value={level}
+          onChange={(e) => onLevelChange(e.target.value)}
+          className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {Object.values(ROLLUP_LEVELS).map(value => (
+            <option key={value} value={value}>{ROLLUP_LEVEL_LABELS[value]}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="p-4 overflow-x-auto">
+        {groups.length === 0 ? (
+          <p className="text-sm text-gray-500">No shipments match the current filters.</p>
+        ) : (
+          <table aria-label="Roll-up groups" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className={`${headerClassName} text-left`}>{ROLLUP_LEVEL_LABELS[level]}</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Lanes</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Shipments</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Avg Transit</th>
+                {isGatewayLevel && <th scope="col" className={`${headerClassName} text-right`}>vs Fastest Gateway</th>}
+                <th scope="col" className={`${headerClassName} text-right`}>Acceptance</th>
+                <th scope="col" className={`${headerClassName} text-left`}>Fastest Carrier</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {groups.map(id => {
+                const stats = groupStats[id];
+                const [fastest] = buildLaneComparison(groupStats, id);
+                return (
+                  <tr key={id} className={id === group ? 'bg-indigo-50' : undefined}>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <button
+                        onClick={() => onSelectGroup(id)}
+                        aria-pressed={id === group}
+                        className="text-indigo-700 hover:text-indigo-900 font-medium"
+                      >
+                        {formatPortName(id)}
+                      </button>
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{stats.lanes.length}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{stats.totalShipments}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{stats.averageTransitTime} days</td>
+                    {isGatewayLevel && (
+                      <td className="px-4 py-2 text-right text-gray-700">
+                        {gatewayDeltas[id] === 0 ? 'Fastest' : `+${gatewayDeltas[id]} days`}
+                      </td>
+                    )}
+                    <td className="px-4 py-2 text-right text-gray-700">
+                      {stats.acceptanceRate !== null ? `${stats.acceptanceRate.toFixed(1)}%` : 'N/A'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-700">
+                      {fastest.lowSample ? 'No carrier with enough shipments' : `${fastest.carrier} (${fastest.avgTransitDays} days)`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {group && (
+        <div className="p-4 border-t border-gray-200 overflow-x-auto">
+          <h3 className="font-semibold text-gray-800 mb-1">Carriers: {formatPortName(group)}</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Averages mix the group's {groupStats[group].lanes.length} lane{groupStats[group].lanes.length === 1 ? '' : 's'};
+            a carrier serving only some of them may look faster or slower for that reason alone.
+          </p>
+          <table aria-label="Roll-up carriers" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Shipments</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Lanes Served</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Avg Transit</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Median</th>
+                <th scope="col" className={`${headerClassName} text-right`}>P90</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Consistency</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Acceptance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {carrierRows.map(row => (
+                <tr key={row.carrier}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-900">
+                    {row.carrier}
+                    {row.lowSample && <LowSampleBadge shipmentCount={row.shipmentCount} minimum={minLaneShipments} />}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.shipmentCount}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.laneCount} of {groupStats[group].lanes.length}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.avgTransitDays} days</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.medianTransitDays} days</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.p90TransitDays} days</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.consistencyScore}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {row.acceptanceRate !== null ? `${row.acceptanceRate.toFixed(1)}%` : 'N/A'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RollupPanel;
@@ -0,0 +1,167 @@
+import React from 'react';
+import _ from 'lodash';
+import {
+  MAX_SCORE_WEIGHT,
+  normalizeScoreWeights,
+  SCORE_COMPONENT_DESCRIPTIONS,
+  SCORE_COMPONENT_LABELS,
+  SCORE_COMPONENTS,
+  SCORE_PRESETS,
+  WEIGHTING_LABELS
+} from '../analytics';
+import { createScorePreset } from '../data/scorecardPresets';
+import LowSampleBadge from './LowSampleBadge';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+const COMPONENTS = Object.values(SCORE_COMPONENTS);
+
+// Blend the single-metric rankings into one weighted score per carrier.
+// Weights are set with sliders or taken from a preset; presets the user
+// saves are handed back through onPresetsChange.
+const ScorecardPanel = ({
+  scorecard,
+  weights,
+  presets,
+  weighting,
+  minCarrierShipments,
+  onWeightsChange,
+  onPresetsChange
+}) => {
+  const allPresets = [...SCORE_PRESETS, ...presets];
+  const activePreset = allPresets.find(preset => _.isEqual(normalizeScoreWeights(preset.weights), weights));
+  const isSavedPreset = activePreset && presets.includes(activePreset);
+  const totalWeight = _.sum(Object.values(weights));
+
+  const handlePresetChange = (e) => {
+    const preset = allPresets.find(candidate => candidate.id === e.target.value);
+    if (preset) onWeightsChange(normalizeScoreWeights(preset.weights));
+  };
+
+  const handleWeightChange = (component, value) => {
+    onWeightsChange({ ...weights, [component]: parseInt(value, 10) || 0 });
+  };
+
+  const handleSavePreset = () => {
+    const name = window.prompt('Name for the new preset');
+    if (name) onPresetsChange([...presets, createScorePreset(name, weights)]);
+  };
+
+  const handleDeletePreset = () => {
+    if (!window.confirm(`Delete the preset "${activePreset.name}"?`)) return;
+    onPresetsChange(presets.filter(preset => preset.id !== activePreset.id));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">Carrier Scorecard</h2>
+        <p className="text-sm text-gray-500">
+          One score out of 100 per carrier, blending the measures below by the weights you set. Each is scored against the other
+          carriers on the same lane and averaged over the carrier's lanes by its volume ({WEIGHTING_LABELS[weighting]}).
+        </p>
+
+        <div className="flex flex-wrap items-end gap-3 mt-3">
+          <div>
+            <label htmlFor="scorePreset" className="block text-sm font-medium text-gray-700 mb-1">Preset</label>
+            <select
+              id="scorePreset"
+              value={activePreset ? activePreset.id : ''}
+              onChange={handlePresetChange}
+              className="py-2 px-3 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {!activePreset && <option value="">Custom weights</option>}
+              {allPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleSavePreset}
+            className="py-2 px-3 text-sm bg-white border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Save as Preset
+          </button>
+          {isSavedPreset && (
+            <button
+              onClick={handleDeletePreset}
+              className="py-2 px-3 text-sm bg-white border border-gray-300 rounded-md text-red-700 hover:bg-red-50"
+            >
+              Delete Preset
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-6 gap-y-3 mt-4">
+          {COMPONENTS.map(component => (
+            <div key={component}>
+              <div className="flex justify-between text-sm font-medium text-gray-700">
+                <label htmlFor={`scoreWeight-${component}`}>{SCORE_COMPONENT_LABELS[component]}</label>
+                <span className="text-gray-500">{weights[component]}</span>
+              </div>
+              <input
+                id={`scoreWeight-${component}`}
+                type="range"
+                min="0"
+                max={MAX_SCORE_WEIGHT}
+                step="1"
+                value={weights[component]}
+                onChange={(e) => handleWeightChange(component, e.target.value)}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-500">{SCORE_COMPONENT_DESCRIPTIONS[component]}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-4 overflow-x-auto">
+        {totalWeight === 0 ? (
+          <p className="text-sm text-gray-500">Give at least one measure a weight to score the carriers.</p>
+        ) : (
+          <table aria-label="Carrier scorecard" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className={`${headerClassName} text-left`}>Rank</th>
+                <th scope="col" className={`${headerClassName} text-left`}>Carrier</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Score</th>
+                {COMPONENTS.map(component => (
+                  <th key={component} scope="col" className={`${headerClassName} text-right`}>
+                    {SCORE_COMPONENT_LABELS[component]}
+                    <span className="block normal-case font-normal">{Math.round((weights[component] / totalWeight) * 100)}% weight</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {scorecard.map(row => (
+                <tr key={row.carrier}>
+                  <td className="px-4 py-2 text-gray-700">{row.rank}</td>
+                  <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900">
+                    {row.carrier}
+                    {row.lowSample && <LowSampleBadge shipmentCount={row.shipmentCount} minimum={minCarrierShipments} />}
+                  </td>
+                  <td className="px-4 py-2 text-right font-semibold text-gray-900">
+                    {row.score !== null ? row.score.toFixed(1) : 'N/A'}
+                  </td>
+                  {COMPONENTS.map(component => {
+                    const { score, points } = row.components[component];
+                    return (
+                      <td key={component} className="px-4 py-2 whitespace-nowrap text-right text-gray-700">
+                        {score !== null ? score.toFixed(1) : 'N/A'}
+                        <span className="block text-xs text-gray-500">
+                          {points !== null ? `+${points.toFixed(1)} pts` : 'Left out'}
+                        </span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScorecardPanel;
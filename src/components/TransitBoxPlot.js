@@ -0,0 +1,72 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+// Draw one box per carrier: whiskers from P10 to P90, the box from P25 to
+// P75 and a line at the median. Recharts has no box plot, so the bar spans
+// P10-P90 and this shape paints the parts inside it, interpolating pixel
+// positions from the bar's own bounds.
+const BoxShape = ({ x, y, width, height, payload }) => {
+  const { p10TransitDays: low, p90TransitDays: high } = payload;
+  const toPixel = (value) => (high === low ? y : y + ((high - value) / (high - low)) * height);
+  const centerX = x + width / 2;
+  const boxWidth = Math.max(8, width * 0.6);
+  const boxLeft = centerX - boxWidth / 2;
+  const boxTop = toPixel(payload.p75TransitDays);
+  const boxBottom = toPixel(payload.p25TransitDays);
+  const median = toPixel(payload.medianTransitDays);
+
+  return (
+    <g>
+      <line x1={centerX} x2={centerX} y1={toPixel(high)} y2={toPixel(low)} stroke="#1d4ed8" />
+      <line x1={centerX - boxWidth / 4} x2={centerX + boxWidth / 4} y1={toPixel(high)} y2={toPixel(high)} stroke="#1d4ed8" />
+      <line x1={centerX - boxWidth / 4} x2={centerX + boxWidth / 4} y1={toPixel(low)} y2={toPixel(low)} stroke="#1d4ed8" />
+      <rect x={boxLeft} y={boxTop} width={boxWidth} height={Math.max(1, boxBottom - boxTop)} fill="#93c5fd" stroke="#1d4ed8" />
+      <line x1={boxLeft} x2={boxLeft + boxWidth} y1={median} y2={median} stroke="#1e3a8a" strokeWidth={2} />
+    </g>
+  );
+};
+
+const BoxPlotTooltip = ({ active, payload }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const row = payload[0].payload;
+  return (
+    <div className="bg-white border border-gray-200 rounded shadow p-2 text-sm">
+      <p className="font-medium text-gray-900">{row.carrier}</p>
+      <p className="text-gray-700">P10-P90: {row.p10TransitDays} - {row.p90TransitDays} days</p>
+      <p className="text-gray-700">P25-P75: {row.p25TransitDays} - {row.p75TransitDays} days</p>
+      <p className="text-gray-700">Median: {row.medianTransitDays} days</p>
+      {row.ciLowerDays !== null && (
+        <p className="text-gray-700">95% CI of average: {row.ciLowerDays} - {row.ciUpperDays} days</p>
+      )}
+      <p className="text-gray-500">{row.shipmentCount} shipments{row.lowSample ? ' (low sample)' : ''}</p>
+    </div>
+  );
+};
+
+// Transit time distribution per carrier on a lane, from the lane comparison
+// rows built by the analytics module
+const TransitBoxPlot = ({ data }) => (
+  <ResponsiveContainer width="100%" height="100%">
+    <BarChart
+      data={data}
+      margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+    >
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="carrier" />
+      <YAxis
+        domain={['dataMin - 1', 'dataMax + 1']}
+        allowDecimals={false}
+        label={{ value: 'Transit Time (days)', angle: -90, position: 'insideLeft', offset: -5 }}
+      />
+      <Tooltip content={<BoxPlotTooltip />} />
+      <Bar
+        dataKey={row => [row.p10TransitDays, row.p90TransitDays]}
+        name="Transit Time Distribution"
+        shape={<BoxShape />}
+        isAnimationActive={false}
+      />
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+export default TransitBoxPlot;
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import {
+  backtestAllTransitEstimates,
+  backtestTransitEstimate,
+  DEFAULT_HALF_LIFE_DAYS,
+  estimateTransit,
+  MIN_BACKTEST_HISTORY,
+  predictArrival,
+  summarizeBacktest
+} from '../analytics';
+import { formatDate, fromDayKey, toDayKey } from '../data/dates';
+import LowSampleBadge from './LowSampleBadge';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+const selectClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+// Half-lives offered for the recency weighting; 0 stands for none, as
+// select values are strings
+const HALF_LIFE_OPTIONS = [
+  { value: 30, label: 'Strongly (30-day half-life)' },
+  { value: DEFAULT_HALF_LIFE_DAYS, label: `Moderately (${DEFAULT_HALF_LIFE_DAYS}-day half-life)` },
+  { value: 180, label: 'Lightly (180-day half-life)' },
+  { value: 0, label: 'Not at all' }
+];
+
+// A stable empty list, so the memoised estimates hold for a carrier with
+// no sailings
+const NO_SAILINGS = [];
+
+const formatDays = (value) => (value === null ? 'N/A' : `${value} days`);
+const formatShare = (value) => (value === null ? 'N/A' : `${value.toFixed(1)}%`);
+const formatBias = (value) => {
+  if (value === null) return 'N/A';
+  if (value === 0) return 'None';
+  return `${Math.abs(value)} days ${value > 0 ? 'late' : 'early'}`;
+};
+
+const BacktestRow = ({ label, backtest }) => (
+  <tr>
+    <th scope="row" className="px-4 py-2 text-left font-medium text-gray-900">{label}</th>
+    <td className="px-4 py-2 text-right text-gray-700">{backtest.predictionCount}</td>
+    <td className="px-4 py-2 text-right text-gray-700">{formatDays(backtest.meanAbsoluteErrorDays)}</td>
+    <td className="px-4 py-2 text-right text-gray-700">{formatBias(backtest.biasDays)}</td>
+    <td className="px-4 py-2 text-right text-gray-700">{formatShare(backtest.withinP50Share)}</td>
+    <td className="px-4 py-2 text-right text-gray-700">{formatShare(backtest.withinP90Share)}</td>
+  </tr>
+);
+
+// "If I book this carrier on this lane for that departure, when will it
+// arrive?" - an arrival range from the carrier's past sailings on the lane,
+// and how accurate the same estimate would have been on those sailings.
+// The lane is the dashboard's selected lane; the carrier, departure and
+// recency weighting are the panel's own. sailings is groupSailings output
+// for the ranked lanes.
+const TransitEstimatorPanel = ({
+  sailings,
+  portStats,
+  rankedPorts,
+  selectedPort,
+  minLaneShipments,
+  formatPortName,
+  onSelectLane
+}) => {
+  const [requestedCarrier, setRequestedCarrier] = useState('');
+  const [departure, setDeparture] = useState(() => toDayKey(new Date()));
+  const [halfLifeDays, setHalfLifeDays] = useState(DEFAULT_HALF_LIFE_DAYS);
+
+  const carriers = _.orderBy(
+    Object.entries(portStats[selectedPort]?.carriers || {}),
+    [([, stats]) => stats.shipmentCount, ([carrier]) => carrier],
+    ['desc', 'asc']
+  ).map(([carrier]) => carrier);
+  const carrier = carriers.includes(requestedCarrier) ? requestedCarrier : carriers[0] || '';
+
+  // The estimates and back-tests only change with the sailings or the
+  // weighting, not with the planned departure; every pair's back-test at
+  // once is the costly part
+  const pairSailings = sailings[selectedPort]?.[carrier] || NO_SAILINGS;
+  const estimate = useMemo(() => estimateTransit(pairSailings, { halfLifeDays: halfLifeDays || null }), [pairSailings, halfLifeDays]);
+  const arrival = estimate && departure ? predictArrival(estimate, fromDayKey(departure)) : null;
+  const pairBacktest = useMemo(
+    () => summarizeBacktest(backtestTransitEstimate(pairSailings, { halfLifeDays: halfLifeDays || null })),
+    [pairSailings, halfLifeDays]
+  );
+  const allBacktest = useMemo(
+    () => backtestAllTransitEstimates(sailings, { halfLifeDays: halfLifeDays || null }),
+    [sailings, halfLifeDays]
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">Arrival Estimator</h2>
+        <p className="text-sm text-gray-500">
+          Expected arrival for a planned departure, from the carrier's past transit times on the lane: half of its sailings
+          arrive by the P50 date and nine in ten by the P90 date. Recent sailings count for more, as the weighting below sets.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mt-3">
+          <div>
+            <label htmlFor="estimate-lane" className="block text-sm font-medium text-gray-700 mb-1">Lane</label>
+            <select id="estimate-lane" value={selectedPort} onChange={(e) => onSelectLane(e.target.value)} className={selectClassName}>
+              {rankedPorts.map(port => (
+                <option key={port} value={port}>{portStats[port].rank}. {formatPortName(port)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="estimate-carrier" className="block text-sm font-medium text-gray-700 mb-1">Carrier</label>
+            <select id="estimate-carrier" value={carrier} onChange={(e) => setRequestedCarrier(e.target.value)} className={selectClassName}>
+              {carriers.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="estimate-departure" className="block text-sm font-medium text-gray-700 mb-1">Planned departure</label>
+            <input
+              id="estimate-departure"
+              type="date"
+              value={departure}
+              onChange={(e) => setDeparture(e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="estimate-half-life" className="block text-sm font-medium text-gray-700 mb-1">Favour recent sailings</label>
+            <select
+              id="estimate-half-life"
+              value={halfLifeDays}
+              onChange={(e) => setHalfLifeDays(Number(e.target.value))}
+              className={selectClassName}
+            >
+              {HALF_LIFE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4">
+        {!estimate ? (
+          <p className="text-sm text-gray-500">
+            {carrier ? `${carrier} has no dated sailings on this lane.` : 'No carrier has shipments on this lane.'}
+          </p>
+        ) : (
+          <div role="group" aria-label="Arrival estimate" className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-blue-50 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-blue-800">Expected arrival (P50)</h3>
+              <p className="text-2xl font-bold text-blue-900">{arrival ? formatDate(arrival.p50Date) : 'Pick a departure'}</p>
+              <p className="text-sm text-blue-700">{estimate.p50Days} days in transit</p>
+            </div>
+            <div className="bg-amber-50 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-amber-800">Plan for (P90)</h3>
+              <p className="text-2xl font-bold text-amber-900">{arrival ? formatDate(arrival.p90Date) : 'Pick a departure'}</p>
+              <p className="text-sm text-amber-700">{estimate.p90Days} days in transit</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+              <h3 className="text-sm font-medium text-gray-800">
+                Based on {estimate.sailingCount} sailing{estimate.sailingCount === 1 ? '' : 's'}
+                {estimate.sailingCount < minLaneShipments && (
+                  <LowSampleBadge shipmentCount={estimate.sailingCount} minimum={minLaneShipments} />
+                )}
+              </h3>
+              <p>Favouring recent sailings leaves them the weight of {estimate.effectiveSailingCount} of equal standing</p>
+              <p>Latest sailing {formatDate(estimate.latestSailing)}; weighted mean {estimate.meanDays} days</p>
+            </div>
+          </div>
+        )}
+
+        <h3 className="text-sm font-semibold text-gray-800 mt-6 mb-1">How Accurate Would It Have Been?</h3>
+        <p className="text-sm text-gray-500 mb-2">
+          Each past sailing predicted from the sailings that had arrived by the time it departed (once there were {MIN_BACKTEST_HISTORY}), then
+          compared with its actual transit. A well-judged range has about 50% of sailings arriving by the P50 and 90% by the P90.
+        </p>
+        <div className="overflow-x-auto">
+          <table aria-label="Estimate back-test" className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className={`${headerClassName} text-left`}>Sailings Predicted</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Predictions</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Avg Error (P50)</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Bias</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Arrived by P50</th>
+                <th scope="col" className={`${headerClassName} text-right`}>Arrived by P90</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              <BacktestRow label={carrier ? `${carrier} on this lane` : 'This lane'} backtest={pairBacktest} />
+              <BacktestRow label="Every carrier on every priority lane" backtest={allBacktest} />
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransitEstimatorPanel;
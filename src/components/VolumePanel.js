@@ -0,0 +1,97 @@
+import React from 'react';
+import { Bar, BarChart, CartesianGrid, Cell, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { buildTeuShares } from '../analytics';
+
+const headerClassName = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// TEU moved by each carrier on the ranked lanes, and each carrier's share
+// of every lane's TEU - volume rather than booking counts, since one
+// booking can be a single box or twenty
+const VolumePanel = ({ portStats, rankedPorts, carrierColors, formatPortName, onSelectLane }) => {
+  const { carriers, lanes } = buildTeuShares(portStats, rankedPorts);
+  const colorOf = (index) => carrierColors[index % carrierColors.length];
+  const laneRows = lanes.map(lane => ({ ...lane, laneName: formatPortName(lane.port) }));
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">TEU Volume</h2>
+        <p className="text-sm text-gray-500">
+          Twenty-foot equivalent units shipped on the ranked lanes, in total by carrier and as each carrier's share of every lane
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 p-4">
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">TEU by Carrier</h3>
+          <div style={{ width: '100%', height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={carriers} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="carrier" />
+                <YAxis label={{ value: 'TEU', angle: -90, position: 'insideLeft', offset: -5 }} />
+                <Tooltip formatter={(value) => [`${value} TEU`, 'Volume']} />
+                <Bar dataKey="teuCount" name="TEU" radius={[4, 4, 0, 0]}>
+                  {carriers.map((row, index) => (
+                    <Cell key={row.carrier} fill={colorOf(index)} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">TEU Share by Lane</h3>
+          <div style={{ width: '100%', height: Math.max(300, laneRows.length * 28 + 80) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={laneRows} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} unit="%" />
+                <YAxis type="category" dataKey="laneName" width={180} tick={{ fontSize: 11 }} />
+                <Tooltip formatter={(value, name) => [`${value}%`, name]} />
+                <Legend />
+                {carriers.map((row, index) => (
+                  <Bar key={row.carrier} dataKey={row.carrier} stackId="share" fill={colorOf(index)} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4 border-t border-gray-200 overflow-x-auto">
+        <table aria-label="TEU share by lane" className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className={`${headerClassName} text-left`}>Lane</th>
+              <th scope="col" className={`${headerClassName} text-right`}>TEU</th>
+              {carriers.map(row => (
+                <th key={row.carrier} scope="col" className={`${headerClassName} text-right`}>{row.carrier}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {laneRows.map(lane => (
+              <tr key={lane.port}>
+                <td className="px-4 py-2 whitespace-nowrap">
+                  <button onClick={() => onSelectLane(lane.port)} className="text-indigo-700 hover:text-indigo-900 font-medium">
+                    {lane.laneName}
+                  </button>
+                </td>
+                <td className="px-4 py-2 text-right text-gray-700">{lane.totalTeu}</td>
+                {carriers.map(row => (
+                  <td key={row.carrier} className="px-4 py-2 text-right text-gray-700">
+                    {lane[row.carrier] !== undefined ? `${lane[row.carrier]}%` : '-'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default VolumePanel;
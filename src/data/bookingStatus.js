@@ -0,0 +1,26 @@
+// Booking statuses as they appear in the booking_status column
+export const BOOKING_STATUS = {
+  CONFIRMED: 'Confirmed',
+  DECLINED: 'Declined'
+};
+
+export const isConfirmed = (row) => row.booking_status === BOOKING_STATUS.CONFIRMED;
+export const isDeclined = (row) => row.booking_status === BOOKING_STATUS.DECLINED;
+
+// Acceptance rate as a percentage of decided bookings (confirmed + declined).
+// Returns null when there is nothing to measure.
+export const calculateAcceptanceRate = (confirmedCount, declinedCount) => {
+  const decided = confirmedCount + declinedCount;
+  return decided > 0 ? parseFloat(((confirmedCount / decided) * 100).toFixed(1)) : null;
+};
+
+// Count confirmed and declined bookings in a set of rows
+export const summarizeStatuses = (rows) => {
+  const confirmedCount = rows.filter(isConfirmed).length;
+  const declinedCount = rows.filter(isDeclined).length;
+  return {
+    confirmedCount,
+    declinedCount,
+    acceptanceRate: calculateAcceptanceRate(confirmedCount, declinedCount)
+  };
+};
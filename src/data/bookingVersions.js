@@ -0,0 +1,84 @@
+import _ from 'lodash';
+import { isConfirmed } from './bookingStatus.js';
+
+// SONAR exports contain one row per booking *transaction*, so an amended
+// booking appears several times. Every version shares bk_original_id and
+// versions are chained together: a superseded row carries the version_date
+// of its successor in date_replaced (and its number in next_version), while
+// the live version has both fields empty.
+
+export const VERSION_MODES = {
+  CURRENT: 'current',
+  FIRST_CONFIRMED: 'firstConfirmed'
+};
+
+// Fields holding long numeric identifiers - these must stay strings, as
+// bk_transaction_id does not fit in a JS number without losing precision.
+export const ID_FIELDS = ['bk_original_id', 'bk_transaction_id'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Rebuild the version history for one booking, oldest first
+export const buildVersionChain = (versions) => {
+  const byVersionDate = _.groupBy(versions, row => row.version_date);
+  const replacedDates = new Set(
+    versions.filter(row => !isBlank(row.date_replaced)).map(row => String(row.date_replaced))
+  );
+
+  // The chain starts at the version no other version points to
+  const heads = versions.filter(row => !replacedDates.has(String(row.version_date)));
+  const ordered = [];
+  const seen = new Set();
+  let current = _.minBy(heads, 'version_date');
+
+  while (current && !seen.has(current)) {
+    ordered.push(current);
+    seen.add(current);
+    if (isBlank(current.date_replaced)) break;
+    current = (byVersionDate[current.date_replaced] || []).find(row => !seen.has(row));
+  }
+
+  // Anything the links could not reach (broken or duplicated chains) is
+  // slotted in by version date so no transaction gets lost
+  const orphans = versions.filter(row => !seen.has(row));
+  if (orphans.length === 0) return ordered;
+  return _.sortBy([...ordered, ...orphans], ['version_date', 'bk_transaction_id']);
+};
+
+// Pick the version of a booking that represents it in the statistics
+const selectVersion = (chain, mode) => {
+  if (mode === VERSION_MODES.FIRST_CONFIRMED) {
+    const firstConfirmed = chain.find(isConfirmed);
+    if (firstConfirmed) return firstConfirmed;
+  }
+  // Current version: the one that was never replaced, falling back to the
+  // latest in the chain when the export cut the history short
+  const live = chain.filter(row => isBlank(row.date_replaced));
+  return live.length > 0 ? live[live.length - 1] : chain[chain.length - 1];
+};
+
+// Collapse all transaction rows into one row per booking. Each returned row
+// is annotated with versionCount and versionNumber (1-based position of the
+// chosen version in the booking's history), and with the planned departure
+// at both ends of that history whichever version was chosen, for schedule
+// slip: originalEtdDate from the first version and latestEtdDate from the
+// current one. Exports often restate a version's own ETD in
+// pol_etd_for_first_transaction, so a single row cannot be trusted to show
+// how far the sailing moved.
+export const dedupeBookings = (rows, mode = VERSION_MODES.CURRENT) => {
+  const bookings = _.groupBy(rows, row =>
+    isBlank(row.bk_original_id) ? `txn:${row.bk_transaction_id}` : String(row.bk_original_id)
+  );
+
+  return Object.values(bookings).map(versions => {
+    const chain = versions.length > 1 ? buildVersionChain(versions) : versions;
+    const selected = selectVersion(chain, mode);
+    return {
+      ...selected,
+      versionCount: chain.length,
+      versionNumber: chain.indexOf(selected) + 1,
+      originalEtdDate: chain[0].firstEtdDate || chain[0].etdDate || null,
+      latestEtdDate: selectVersion(chain, VERSION_MODES.CURRENT).etdDate || null
+    };
+  });
+};
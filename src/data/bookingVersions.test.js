@@ -0,0 +1,85 @@
+import { buildVersionChain, dedupeBookings, VERSION_MODES } from './bookingVersions';
+
+// One transaction row of booking 100; versions are chained by version_date
+// and date_replaced, as in the SONAR export
+const version = (transaction, versionDate, dateReplaced = '', fields = {}) => ({
+  bk_original_id: '100',
+  bk_transaction_id: transaction,
+  booking_status: 'Confirmed',
+  version_date: versionDate,
+  date_replaced: dateReplaced,
+  ...fields
+});
+
+const transactions = (rows) => rows.map(row => row.bk_transaction_id);
+
+describe('buildVersionChain', () => {
+  test('follows the links oldest first, whatever the row order', () => {
+    const rows = [version('3', 45660), version('1', 45640, 45650), version('2', 45650, 45660)];
+    expect(transactions(buildVersionChain(rows))).toEqual(['1', '2', '3']);
+  });
+
+  test('keeps every version of a broken chain, by version date', () => {
+    // The first version points to a version the export does not have
+    const rows = [version('3', 45660), version('1', 45640, 45645), version('2', 45650, 45660)];
+    expect(transactions(buildVersionChain(rows))).toEqual(['1', '2', '3']);
+  });
+
+  test('slots in orphan versions no link reaches', () => {
+    const rows = [version('1', 45640, 45660), version('3', 45660), version('2', 45650)];
+    expect(transactions(buildVersionChain(rows))).toEqual(['1', '2', '3']);
+  });
+
+  test('keeps versions sharing a version date, by transaction', () => {
+    const rows = [version('1', 45640, 45650), version('2b', 45650, 45660), version('2a', 45650, 45660), version('3', 45660)];
+    expect(transactions(buildVersionChain(rows))).toEqual(['1', '2a', '2b', '3']);
+  });
+});
+
+describe('dedupeBookings', () => {
+  const amended = [
+    version('1', 45640, 45650, { booking_status: 'Pending', etdDate: 'first ETD', firstEtdDate: 'booked ETD' }),
+    version('2', 45650, 45660, { etdDate: 'confirmed ETD' }),
+    version('3', 45660, '', { etdDate: 'latest ETD' })
+  ];
+
+  test('keeps the current version of each booking', () => {
+    const single = version('9', 45640, '', { bk_original_id: '' });
+    const [booking, other] = dedupeBookings([...amended, single]);
+
+    expect(booking).toMatchObject({
+      bk_transaction_id: '3',
+      versionCount: 3,
+      versionNumber: 3,
+      originalEtdDate: 'booked ETD',
+      latestEtdDate: 'latest ETD'
+    });
+    // A row without an original booking id stands on its own
+    expect(other).toMatchObject({ bk_transaction_id: '9', versionCount: 1, versionNumber: 1, originalEtdDate: null });
+  });
+
+  test('takes the last version when the export cut the chain short', () => {
+    const cut = [version('1', 45640, 45650), version('2', 45650, 45660)];
+    expect(dedupeBookings(cut)[0]).toMatchObject({ bk_transaction_id: '2', versionNumber: 2 });
+  });
+
+  test('keeps the first confirmed version in that mode', () => {
+    const [booking] = dedupeBookings(amended, VERSION_MODES.FIRST_CONFIRMED);
+    // The departure at both ends of the history comes along whichever version is kept
+    expect(booking).toMatchObject({
+      bk_transaction_id: '2',
+      versionNumber: 2,
+      originalEtdDate: 'booked ETD',
+      latestEtdDate: 'latest ETD'
+    });
+  });
+
+  test('falls back to the current version when none was confirmed', () => {
+    const declined = amended.map(row => ({ ...row, booking_status: 'Declined' }));
+    expect(dedupeBookings(declined, VERSION_MODES.FIRST_CONFIRMED)[0]).toMatchObject({
+      bk_transaction_id: '3',
+      booking_status: 'Declined',
+      versionNumber: 3
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import _ from 'lodash';
+import { loadStored, saveStored } from './storage.js';
+
+// Carrier master list. Exports spell the same carrier in different ways
+// ("Ocean Network Express Pte. Ltd.", "ONE"; "HAPAG-LLOYD", "Hapag Lloyd"),
+// and every statistic groups on carrier_name, so names are matched to one
+// entry here and replaced by its short name before anything is grouped.
+//
+// Entries are keyed by SCAC (the carrier's Standard Carrier Alpha Code).
+// Carriers the table lacks, or extra spellings of ones it has, are added
+// as custom entries stored in the browser; a custom entry replaces the
+// bundled one with the same SCAC.
+
+const STORAGE_KEY = 'go-sonar.carrierAliases';
+
+export const SCAC_PATTERN = /^[A-Z]{2,4}$/;
+
+export const ALLIANCES = {
+  GEMINI: 'Gemini Cooperation',
+  OCEAN: 'Ocean Alliance',
+  PREMIER: 'Premier Alliance'
+};
+
+// Carriers grouped under their own name or their alliance's
+export const CARRIER_LEVELS = {
+  CARRIER: 'carrier',
+  ALLIANCE: 'alliance'
+};
+
+export const CARRIER_LEVEL_LABELS = {
+  [CARRIER_LEVELS.CARRIER]: 'Carrier',
+  [CARRIER_LEVELS.ALLIANCE]: 'Alliance'
+};
+
+// SCAC -> [short name, full name, alliance, aliases]. Alliances as of the
+// February 2025 reshuffle; carriers outside the three alliances have none.
+const CARRIER_TABLE = {
+  MSCU: ['MSC', 'Mediterranean Shipping Company', null, []],
+  MAEU: ['MAERSK', 'A.P. Moller - Maersk', ALLIANCES.GEMINI, ['Maersk Line', 'Hamburg Sud']],
+  HLCU: ['HAPAG-LLOYD', 'Hapag-Lloyd', ALLIANCES.GEMINI, []],
+  CMDU: ['CMA CGM', 'CMA CGM', ALLIANCES.OCEAN, []],
+  APLU: ['APL', 'American President Lines', ALLIANCES.OCEAN, []],
+  COSU: ['COSCO', 'COSCO Shipping Lines', ALLIANCES.OCEAN, ['COSCO Container Lines']],
+  OOLU: ['OOCL', 'Orient Overseas Container Line', ALLIANCES.OCEAN, []],
+  EGLV: ['EVERGREEN', 'Evergreen Marine', ALLIANCES.OCEAN, ['Evergreen Line']],
+  ONEY: ['ONE', 'Ocean Network Express', ALLIANCES.PREMIER, []],
+  HDMU: ['HMM', 'HMM', ALLIANCES.PREMIER, ['Hyundai Merchant Marine']],
+  YMLU: ['YANG MING', 'Yang Ming Marine Transport', ALLIANCES.PREMIER, []],
+  ZIMU: ['ZIM', 'ZIM Integrated Shipping Services', null, []],
+  GOSU: ['GOLD STAR', 'Gold Star Line', null, []],
+  WHLC: ['WAN HAI', 'Wan Hai Lines', null, []],
+  PCIU: ['PIL', 'Pacific International Lines', null, []],
+  MATS: ['MATSON', 'Matson Navigation', null, []],
+  SMLM: ['SM LINE', 'SM Line', null, []]
+};
+
+export const BUNDLED_CARRIERS = _.mapValues(CARRIER_TABLE, ([shortName, name, alliance, aliases]) => ({
+  shortName,
+  name,
+  alliance,
+  aliases
+}));
+
+export const normalizeScac = (scac) => String(scac || '').trim().toUpperCase();
+
+// Legal-form words that differ between exports without naming a different
+// carrier
+const LEGAL_FORMS = new Set(['CO', 'COMPANY', 'CORP', 'CORPORATION', 'INC', 'LTD', 'LIMITED', 'LLC', 'PLC', 'PTE', 'GMBH', 'AG', 'SA', 'SPA', 'BV', 'NV', 'AS', 'KG']);
+
+// Comparison key for a carrier name: case, punctuation and legal forms
+// ignored, so "Hapag Lloyd" matches "HAPAG-LLOYD" and "Gold Star Line Ltd."
+// matches "Gold Star Line"
+export const toCarrierKey = (name) => String(name || '')
+  .toUpperCase()
+  .replace(/&/g, ' AND ')
+  .replace(/\bA\/S\b/g, ' ')
+  // S.A., Co. and Pte. read as SA, CO and PTE
+  .replace(/\./g, '')
+  .split(/[^A-Z0-9]+/)
+  .filter(word => word && !LEGAL_FORMS.has(word))
+  .join(' ');
+
+// The bundled table merged with custom entries, custom entries last
+export const getCarriers = (customCarriers = {}) => ({
+  ..._.omit(BUNDLED_CARRIERS, Object.keys(customCarriers)),
+  ...customCarriers
+});
+
+// Name key -> SCAC for every name an entry answers to: its SCAC, short name,
+// full name and aliases. Later entries win, so a custom alias can claim a
+// spelling from a bundled carrier.
+const buildCarrierIndex = (carriers) => {
+  const index = new Map();
+  Object.entries(carriers).forEach(([scac, carrier]) => {
+    [scac, carrier.shortName, carrier.name, ...(carrier.aliases || [])].forEach(name => {
+      const key = toCarrierKey(name);
+      if (key) index.set(key, scac);
+    });
+  });
+  return index;
+};
+
+// The SCAC a raw carrier name belongs to, or null when no entry matches
+export const findCarrierScac = (name, customCarriers = {}) => (
+  buildCarrierIndex(getCarriers(customCarriers)).get(toCarrierKey(name)) || null
+);
+
+// Replace each row's carrier_name with its master-list short name, or its
+// alliance's name at the alliance level (carriers outside an alliance keep
+// their own). The export's spelling is kept in carrier_name_raw, and
+// carrier_scac and carrier_alliance are added - null for names the list
+// does not know, which pass through trimmed so they can still be told
+// apart.
+export const normalizeCarrierNames = (rows, customCarriers = {}, level = CARRIER_LEVELS.CARRIER) => {
+  const carriers = getCarriers(customCarriers);
+  const index = buildCarrierIndex(carriers);
+  const byRawName = {};
+
+  const resolve = (rawName) => {
+    if (!byRawName[rawName]) {
+      const scac = index.get(toCarrierKey(rawName)) || null;
+      const carrier = scac && carriers[scac];
+      const shortName = carrier ? carrier.shortName : String(rawName ?? '').trim();
+      const alliance = carrier ? carrier.alliance || null : null;
+      byRawName[rawName] = {
+        carrier_name: level === CARRIER_LEVELS.ALLIANCE && alliance ? alliance : shortName,
+        carrier_scac: scac,
+        carrier_alliance: alliance
+      };
+    }
+    return byRawName[rawName];
+  };
+
+  return rows.map(row => ({ ...row, carrier_name_raw: row.carrier_name, ...resolve(row.carrier_name) }));
+};
+
+// Carrier names in the rows that no entry matches, sorted
+export const findUnknownCarriers = (rows, customCarriers = {}) => {
+  const index = buildCarrierIndex(getCarriers(customCarriers));
+  return _.sortBy(_.uniq(
+    rows.map(row => row.carrier_name_raw ?? row.carrier_name)
+      .filter(name => toCarrierKey(name) && !index.has(toCarrierKey(name)))
+      .map(name => String(name).trim())
+  ));
+};
+
+// Read saved custom entries, or none when nothing usable is stored
+export const loadCarrierAliases = () => {
+  const saved = loadStored(STORAGE_KEY);
+  return _.isPlainObject(saved) ? saved : {};
+};
+
+export const saveCarrierAliases = (carriers) => saveStored(STORAGE_KEY, carriers);
@@ -0,0 +1,65 @@
+import {
+  CARRIER_LEVELS,
+  findCarrierScac,
+  findUnknownCarriers,
+  loadCarrierAliases,
+  normalizeCarrierNames,
+  saveCarrierAliases,
+  toCarrierKey
+} from './carriers';
+
+test('matches names regardless of case, punctuation and legal form', () => {
+  expect(toCarrierKey('Ocean Network Express Pte. Ltd.')).toBe('OCEAN NETWORK EXPRESS');
+  expect(findCarrierScac('Ocean Network Express Pte. Ltd.')).toBe('ONEY');
+  expect(findCarrierScac('ONE')).toBe('ONEY');
+  expect(findCarrierScac('Hapag Lloyd')).toBe('HLCU');
+  expect(findCarrierScac('GOLD STAR LINE LTD.')).toBe('GOSU');
+  expect(findCarrierScac('Mediterranean Shipping Co. S.A.')).toBe('MSCU');
+  expect(findCarrierScac('mscu')).toBe('MSCU');
+  expect(findCarrierScac('Blue Anchor Line')).toBeNull();
+});
+
+test('replaces carrier names with their short name and keeps the original', () => {
+  const [one, hapag, unknown] = normalizeCarrierNames([
+    { carrier_name: 'Ocean Network Express Pte. Ltd.' },
+    { carrier_name: 'Hapag Lloyd' },
+    { carrier_name: ' Blue Anchor Line ' }
+  ]);
+  expect(one).toEqual({
+    carrier_name: 'ONE',
+    carrier_name_raw: 'Ocean Network Express Pte. Ltd.',
+    carrier_scac: 'ONEY',
+    carrier_alliance: 'Premier Alliance'
+  });
+  expect(hapag.carrier_name).toBe('HAPAG-LLOYD');
+  expect(unknown).toMatchObject({ carrier_name: 'Blue Anchor Line', carrier_scac: null, carrier_alliance: null });
+});
+
+test('pools alliance members at the alliance level', () => {
+  const rows = normalizeCarrierNames(
+    ['MAERSK', 'HAPAG-LLOYD', 'CMA CGM', 'MSC'].map(carrier_name => ({ carrier_name })),
+    {},
+    CARRIER_LEVELS.ALLIANCE
+  );
+  expect(rows.map(row => row.carrier_name)).toEqual(['Gemini Cooperation', 'Gemini Cooperation', 'Ocean Alliance', 'MSC']);
+});
+
+test('applies custom entries ahead of the bundled list', () => {
+  const custom = {
+    BANQ: { shortName: 'BLUE ANCHOR', name: 'Blue Anchor Line', alliance: null, aliases: ['BAL'] },
+    MSCU: { shortName: 'MSC', name: 'MSC', alliance: null, aliases: ['Medship'] }
+  };
+  expect(normalizeCarrierNames([{ carrier_name: 'bal' }, { carrier_name: 'Medship' }], custom).map(row => row.carrier_name))
+    .toEqual(['BLUE ANCHOR', 'MSC']);
+  expect(findUnknownCarriers([{ carrier_name: 'BAL' }, { carrier_name: 'Acme Shipping' }, { carrier_name: '' }], custom))
+    .toEqual(['Acme Shipping']);
+});
+
+test('keeps custom carriers in local storage', () => {
+  window.localStorage.clear();
+  expect(loadCarrierAliases()).toEqual({});
+  saveCarrierAliases({ BANQ: { shortName: 'BLUE ANCHOR' } });
+  expect(loadCarrierAliases()).toEqual({ BANQ: { shortName: 'BLUE ANCHOR' } });
+  window.localStorage.setItem('go-sonar.carrierAliases', 'not json');
+  expect(loadCarrierAliases()).toEqual({});
+});
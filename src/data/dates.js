@@ -0,0 +1,76 @@
+// SONAR exports store dates as Excel serial numbers (days since 1899-12-30,
+// with the time of day as the fractional part). All conversions here are
+// done in UTC so the same file gives the same dates in every time zone.
+
+const EXCEL_EPOCH_OFFSET = 25569; // Days from 1899-12-30 to 1970-01-01
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Serial date columns and the Date fields derived from them
+export const DATE_FIELDS = {
+  version_date: 'versionDate',
+  original_version_date: 'originalVersionDate',
+  pol_etd_for_most_recent_transaction: 'etdDate',
+  pol_etd_for_first_transaction: 'firstEtdDate'
+};
+
+export const GRANULARITIES = {
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+export const excelSerialToDate = (serial) => {
+  if (serial === null || serial === undefined || serial === '') return null;
+  const value = Number(serial);
+  if (isNaN(value)) return null;
+  return new Date(Math.round((value - EXCEL_EPOCH_OFFSET) * MS_PER_DAY));
+};
+
+// Add a Date field for every serial date column of a row
+export const parseRowDates = (row) => {
+  const parsed = { ...row };
+  Object.entries(DATE_FIELDS).forEach(([column, field]) => {
+    parsed[field] = excelSerialToDate(row[column]);
+  });
+  return parsed;
+};
+
+// The date a shipment is filed under: its planned departure, falling back to
+// when the booking version was issued
+export const getShipmentDate = (row) => row.etdDate || row.versionDate || null;
+
+// ISO calendar day (YYYY-MM-DD), matching the value of <input type="date">
+export const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+// The start of an ISO calendar day, in UTC
+export const fromDayKey = (day) => new Date(`${day}T00:00:00Z`);
+
+// Inclusive day-level range check; empty bounds are open
+export const isWithinDateRange = (date, { from, to }) => {
+  if (!from && !to) return true;
+  if (!date) return false;
+  const day = toDayKey(date);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return true;
+};
+
+// Start of the week (Monday) or month containing a date
+export const getPeriodStart = (date, granularity) => {
+  if (granularity === GRANULARITIES.MONTH) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const dayOfWeek = (date.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - dayOfWeek));
+};
+
+export const formatPeriod = (date, granularity) => {
+  if (granularity === GRANULARITIES.MONTH) {
+    return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  return `Wk of ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit', timeZone: 'UTC' })}`;
+};
+
+export const formatDate = (date) => {
+  if (!date) return '';
+  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+};
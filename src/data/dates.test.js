@@ -0,0 +1,84 @@
+import {
+  excelSerialToDate,
+  formatPeriod,
+  fromDayKey,
+  getPeriodStart,
+  getShipmentDate,
+  GRANULARITIES,
+  isWithinDateRange,
+  parseRowDates,
+  toDayKey
+} from './dates';
+
+describe('excelSerialToDate', () => {
+  test('reads the day and the time of day, in UTC', () => {
+    expect(excelSerialToDate(45690.5).toISOString()).toBe('2025-02-02T12:00:00.000Z');
+    expect(excelSerialToDate('45658.25').toISOString()).toBe('2025-01-01T06:00:00.000Z');
+    expect(excelSerialToDate(25569).toISOString()).toBe('1970-01-01T00:00:00.000Z');
+  });
+
+  test('returns null for blank and non-numeric input', () => {
+    expect(excelSerialToDate('')).toBeNull();
+    expect(excelSerialToDate(null)).toBeNull();
+    expect(excelSerialToDate(undefined)).toBeNull();
+    expect(excelSerialToDate('2025-02-02')).toBeNull();
+    expect(excelSerialToDate('soon')).toBeNull();
+  });
+});
+
+test('adds a Date field for every serial date column', () => {
+  const row = parseRowDates({ carrier_name: 'MSC', version_date: 45690.5, pol_etd_for_most_recent_transaction: '', pol_etd_for_first_transaction: 45692 });
+  expect(row.carrier_name).toBe('MSC');
+  expect(row.versionDate.toISOString()).toBe('2025-02-02T12:00:00.000Z');
+  expect(row.etdDate).toBeNull();
+  expect(row.firstEtdDate.toISOString()).toBe('2025-02-04T00:00:00.000Z');
+  expect(row.originalVersionDate).toBeNull();
+
+  // Filed under the planned departure, or the version date without one
+  expect(getShipmentDate(row)).toBe(row.versionDate);
+  expect(getShipmentDate({ ...row, etdDate: row.firstEtdDate })).toBe(row.firstEtdDate);
+  expect(getShipmentDate({})).toBeNull();
+});
+
+test('round-trips calendar days', () => {
+  expect(toDayKey(excelSerialToDate(45690.99))).toBe('2025-02-02');
+  expect(fromDayKey('2025-02-02').toISOString()).toBe('2025-02-02T00:00:00.000Z');
+});
+
+describe('isWithinDateRange', () => {
+  const date = new Date(Date.UTC(2025, 1, 2, 18));
+
+  test('includes both bounds, whatever the time of day', () => {
+    expect(isWithinDateRange(date, { from: '2025-02-02', to: '2025-02-02' })).toBe(true);
+    expect(isWithinDateRange(date, { from: '2025-02-03', to: '' })).toBe(false);
+    expect(isWithinDateRange(date, { from: '', to: '2025-02-01' })).toBe(false);
+  });
+
+  test('leaves empty bounds open', () => {
+    expect(isWithinDateRange(date, { from: '2025-01-01', to: '' })).toBe(true);
+    expect(isWithinDateRange(date, { from: '', to: '2025-12-31' })).toBe(true);
+    expect(isWithinDateRange(date, { from: '', to: '' })).toBe(true);
+  });
+
+  test('keeps undated rows only without a range', () => {
+    expect(isWithinDateRange(null, { from: '', to: '' })).toBe(true);
+    expect(isWithinDateRange(null, { from: '2025-01-01', to: '' })).toBe(false);
+  });
+});
+
+describe('getPeriodStart', () => {
+  test('starts weeks on Monday', () => {
+    // Sunday 2 February belongs to the week of Monday 27 January
+    expect(toDayKey(getPeriodStart(new Date(Date.UTC(2025, 1, 2, 23, 30)), GRANULARITIES.WEEK))).toBe('2025-01-27');
+    expect(toDayKey(getPeriodStart(new Date(Date.UTC(2025, 1, 3)), GRANULARITIES.WEEK))).toBe('2025-02-03');
+  });
+
+  test('starts months on the first, in UTC', () => {
+    expect(getPeriodStart(new Date(Date.UTC(2025, 1, 28, 23, 30)), GRANULARITIES.MONTH).toISOString()).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('labels each period', () => {
+    expect(formatPeriod(fromDayKey('2025-01-27'), GRANULARITIES.WEEK)).toBe('Wk of Jan 27, 25');
+    expect(formatPeriod(fromDayKey('2025-02-01'), GRANULARITIES.MONTH)).toBe('Feb 2025');
+  });
+});
@@ -0,0 +1,127 @@
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { LANE_ID_PATTERN } from './validation.js';
+import { loadStored, saveStored } from './storage.js';
+
+// Priority lane lists are kept per business unit as named lane sets. The
+// order of a set's lanes is their priority rank.
+
+const STORAGE_KEY = 'go-sonar.laneSets';
+
+export const DEFAULT_LANE_SET = {
+  id: 'meijer-priority',
+  name: 'Meijer Priority Lanes',
+  lanes: [
+    'CNYTN--USSEA',
+    'CNSHA--USSEA',
+    'CNNGB--USSEA',
+    'BDCGP--USNYC',
+    'CNXMN--USSEA',
+    'THLCH--USSEA',
+    'VNSGN--USSEA',
+    'CNTAO--USSEA',
+    'VNHPH--USSEA',
+    'INNSA--USNYC',
+    'VNSGN--USLAX',
+    'CNYTN--USLAX',
+    'THLKR--USSEA',
+    'CNSHA--USLAX',
+    'CNTAO--USLAX',
+    'BDCGP--USLAX',
+    'PKKHI--USNYC',
+    'ZADUR--USNYC',
+    'INMUN--USNYC',
+    'SGSIN--USSEA'
+  ]
+};
+
+const DEFAULT_STATE = {
+  activeSetId: DEFAULT_LANE_SET.id,
+  sets: [DEFAULT_LANE_SET]
+};
+
+export const normalizeLaneId = (lane) => String(lane || '').trim().toUpperCase();
+
+export const isValidLaneId = (lane) => LANE_ID_PATTERN.test(normalizeLaneId(lane));
+
+export const createLaneSet = (name, lanes = []) => ({
+  id: `set-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  lanes: _.uniq(lanes.map(normalizeLaneId).filter(isValidLaneId))
+});
+
+// A stored set the dashboard can use: an id, a name and a list of lanes
+const isLaneSet = (set) => Boolean(set) &&
+  typeof set.id === 'string' && set.id !== '' &&
+  typeof set.name === 'string' &&
+  Array.isArray(set.lanes) && set.lanes.every(lane => typeof lane === 'string');
+
+// Read saved lane sets, falling back to the default set when nothing usable
+// is stored (first visit, private browsing, corrupted entry). Malformed sets
+// are dropped and the rest kept.
+export const loadLaneSets = () => {
+  const saved = loadStored(STORAGE_KEY);
+  const sets = Array.isArray(saved?.sets) ? saved.sets.filter(isLaneSet) : [];
+  if (sets.length === 0) return DEFAULT_STATE;
+  const activeSetId = sets.some(set => set.id === saved.activeSetId) ?
+    saved.activeSetId : sets[0].id;
+  return { activeSetId, sets };
+};
+
+export const saveLaneSets = (state) => saveStored(STORAGE_KEY, state);
+
+// Make the lane set named in a shared link active. The link carries the
+// set's id and, unless it is the untouched default, its lanes - ids are
+// only meaningful in the browser that made them. Activates the stored set
+// with that id (if it has those lanes), else any stored set with those
+// lanes, else adds them as a new set. Returns the new state; unchanged when
+// the link names no set or one that cannot be found.
+export const activateLinkedLaneSet = (state, id, lanes = []) => {
+  const linkedLanes = _.uniq(lanes.map(normalizeLaneId).filter(isValidLaneId));
+  const byId = state.sets.find(set => set.id === id);
+  const match = byId && (linkedLanes.length === 0 || _.isEqual(byId.lanes, linkedLanes)) ?
+    byId : state.sets.find(set => linkedLanes.length > 0 && _.isEqual(set.lanes, linkedLanes));
+
+  if (match) return match.id === state.activeSetId ? state : { ...state, activeSetId: match.id };
+  if (linkedLanes.length === 0) return state;
+  const linked = createLaneSet('Shared lanes', linkedLanes);
+  return { activeSetId: linked.id, sets: [...state.sets, linked] };
+};
+
+export const moveLane = (lanes, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= lanes.length) return lanes;
+  const reordered = [...lanes];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+export const laneSetToJson = (set) => JSON.stringify({ name: set.name, lanes: set.lanes }, null, 2);
+
+export const laneSetToCsv = (set) => Papa.unparse({
+  fields: ['rank', 'lane'],
+  data: set.lanes.map((lane, index) => [index + 1, lane])
+});
+
+// Read a lane list from an exported JSON or CSV file. JSON may be a plain
+// array of lane IDs or an object with name and lanes; CSV rows are read in
+// rank order when a rank column is present, otherwise in file order.
+export const parseLaneSetFile = (text, fileName) => {
+  const fallbackName = fileName.replace(/\.[^.]+$/, '');
+
+  if (/\.json$/i.test(fileName)) {
+    const parsed = JSON.parse(text);
+    const lanes = Array.isArray(parsed) ? parsed : parsed.lanes;
+    if (!Array.isArray(lanes)) {
+      throw new Error('JSON lane files must contain a "lanes" array');
+    }
+    return createLaneSet(parsed.name || fallbackName, lanes);
+  }
+
+  const { data } = Papa.parse(text.trim(), { header: false, skipEmptyLines: true });
+  const rows = data.filter(row => row.some(isValidLaneId));
+  const header = data[0] && !data[0].some(isValidLaneId) ? data[0].map(cell => cell.trim().toLowerCase()) : [];
+  const rankIndex = header.indexOf('rank');
+  const ordered = rankIndex >= 0 ? _.sortBy(rows, row => Number(row[rankIndex])) : rows;
+  return createLaneSet(fallbackName, ordered.map(row => row.find(isValidLaneId)));
+};
@@ -0,0 +1,105 @@
+import {
+  activateLinkedLaneSet,
+  createLaneSet,
+  DEFAULT_LANE_SET,
+  loadLaneSets,
+  parseLaneSetFile,
+  saveLaneSets
+} from './laneSets';
+import { findUnknownPorts } from './locations';
+
+const DEFAULT_STATE = { activeSetId: DEFAULT_LANE_SET.id, sets: [DEFAULT_LANE_SET] };
+
+describe('loadLaneSets', () => {
+  const west = { id: 'set-west', name: 'West coast', lanes: ['CNYTN--USLAX', 'CNSHA--USLAX'] };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('starts from the default set with nothing stored', () => {
+    expect(loadLaneSets()).toEqual(DEFAULT_STATE);
+  });
+
+  test('names every port of the default set', () => {
+    expect(findUnknownPorts(DEFAULT_LANE_SET.lanes)).toEqual([]);
+  });
+
+  test('reads back saved sets', () => {
+    saveLaneSets({ activeSetId: 'set-west', sets: [DEFAULT_LANE_SET, west] });
+    expect(loadLaneSets()).toEqual({ activeSetId: 'set-west', sets: [DEFAULT_LANE_SET, west] });
+  });
+
+  test('drops malformed sets and keeps the rest', () => {
+    window.localStorage.setItem('go-sonar.laneSets', JSON.stringify({
+      activeSetId: 'set-broken',
+      sets: [{ id: 'set-broken', name: 'No lanes' }, null, { id: 'set-odd', name: 'Odd', lanes: [42] }, west]
+    }));
+    // The active set was dropped, so the first one left takes over
+    expect(loadLaneSets()).toEqual({ activeSetId: 'set-west', sets: [west] });
+  });
+
+  test('falls back to the default set on corrupt storage', () => {
+    window.localStorage.setItem('go-sonar.laneSets', 'not json');
+    expect(loadLaneSets()).toEqual(DEFAULT_STATE);
+
+    window.localStorage.setItem('go-sonar.laneSets', JSON.stringify({ sets: [{ id: 'set-broken' }] }));
+    expect(loadLaneSets()).toEqual(DEFAULT_STATE);
+
+    window.localStorage.setItem('go-sonar.laneSets', JSON.stringify({ sets: 'all of them' }));
+    expect(loadLaneSets()).toEqual(DEFAULT_STATE);
+  });
+});
+
+describe('parseLaneSetFile', () => {
+  test('reads a JSON export with its name', () => {
+    const set = parseLaneSetFile(JSON.stringify({ name: 'West coast', lanes: ['cnytn--uslax', 'CNSHA--USLAX', 'CNYTN--USLAX'] }), 'lanes.json');
+    expect(set).toMatchObject({ name: 'West coast', lanes: ['CNYTN--USLAX', 'CNSHA--USLAX'] });
+    expect(set.id).toMatch(/^set-/);
+  });
+
+  test('reads a plain JSON array, named after the file', () => {
+    expect(parseLaneSetFile('["CNYTN--USSEA", "not a lane"]', 'west coast.json')).toMatchObject({
+      name: 'west coast',
+      lanes: ['CNYTN--USSEA']
+    });
+  });
+
+  test('reads CSV rows in rank order', () => {
+    const csv = 'rank,lane\n2,CNSHA--USLAX\n1,CNYTN--USLAX\n3,bad\n';
+    expect(parseLaneSetFile(csv, 'west.csv')).toMatchObject({ name: 'west', lanes: ['CNYTN--USLAX', 'CNSHA--USLAX'] });
+
+    // Without a header the file's order stands
+    expect(parseLaneSetFile('CNSHA--USLAX\nCNYTN--USLAX\n', 'west.csv').lanes).toEqual(['CNSHA--USLAX', 'CNYTN--USLAX']);
+  });
+
+  test('rejects malformed JSON files', () => {
+    expect(() => parseLaneSetFile('{"name": "West coast"}', 'lanes.json')).toThrow('JSON lane files must contain a "lanes" array');
+    expect(() => parseLaneSetFile('{"lanes": [', 'lanes.json')).toThrow(SyntaxError);
+  });
+});
+
+describe('activateLinkedLaneSet', () => {
+  const west = { ...createLaneSet('West coast', ['CNYTN--USLAX', 'CNSHA--USLAX']), id: 'set-west' };
+  const state = { activeSetId: DEFAULT_LANE_SET.id, sets: [DEFAULT_LANE_SET, west] };
+
+  test('activates the stored set a link names', () => {
+    expect(activateLinkedLaneSet(state, 'set-west', ['CNYTN--USLAX', 'CNSHA--USLAX'])).toEqual({ ...state, activeSetId: 'set-west' });
+    expect(activateLinkedLaneSet(state, DEFAULT_LANE_SET.id)).toBe(state);
+  });
+
+  test('finds a set with the linked lanes under another id', () => {
+    expect(activateLinkedLaneSet(state, 'set-elsewhere', ['cnytn--uslax', 'CNSHA--USLAX']).activeSetId).toBe('set-west');
+  });
+
+  test('adds lanes no stored set has as a new set', () => {
+    const linked = activateLinkedLaneSet(state, 'set-west', ['CNSHA--USLAX', 'CNYTN--USLAX']);
+    expect(linked.sets).toHaveLength(3);
+    expect(linked.sets[2]).toMatchObject({ id: linked.activeSetId, name: 'Shared lanes', lanes: ['CNSHA--USLAX', 'CNYTN--USLAX'] });
+  });
+
+  test('leaves the state alone without a set it can find', () => {
+    expect(activateLinkedLaneSet(state, undefined, undefined)).toBe(state);
+    expect(activateLinkedLaneSet(state, 'set-unknown', [])).toBe(state);
+  });
+});
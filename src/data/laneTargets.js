@@ -0,0 +1,51 @@
+import _ from 'lodash';
+import { DEFAULT_TARGETS } from '../analytics/targets.js';
+import { loadStored, saveStored } from './storage.js';
+
+// Lane targets saved by the user (see analytics/targets.js for their shape
+// and how they are judged)
+
+const STORAGE_KEY = 'go-sonar.laneTargets';
+
+const TARGET_FIELDS = ['transitDays', 'consistencyFloor'];
+
+// Consistency scores run from 0 to 100, so no lane could meet a higher floor
+export const MAX_CONSISTENCY_FLOOR = 100;
+
+// Targets must be positive: a zero transit target would leave nothing to
+// measure a shortfall against
+export const isTargetValue = (value, field) => (
+  typeof value === 'number' && Number.isFinite(value) && value > 0 &&
+  (field !== 'consistencyFloor' || value <= MAX_CONSISTENCY_FLOOR)
+);
+
+// Keep only the fields a target may set, with usable values
+const cleanTarget = (target) => (
+  _.isPlainObject(target) ? _.pickBy(_.pick(target, TARGET_FIELDS), isTargetValue) : {}
+);
+
+// Read saved targets, falling back to the defaults when nothing usable is
+// stored. Unreadable fields and empty lane entries are dropped rather than
+// discarding every target.
+export const loadLaneTargets = () => {
+  const saved = loadStored(STORAGE_KEY);
+  if (!_.isPlainObject(saved)) return DEFAULT_TARGETS;
+  return {
+    defaults: { ...DEFAULT_TARGETS.defaults, ...cleanTarget(saved.defaults) },
+    lanes: _.omitBy(_.mapValues(_.isPlainObject(saved.lanes) ? saved.lanes : {}, cleanTarget), _.isEmpty)
+  };
+};
+
+export const saveLaneTargets = (targets) => saveStored(STORAGE_KEY, targets);
+
+// Set or clear one field of a lane's target. A null value falls back to
+// the default; a lane left with no fields of its own is removed.
+export const setLaneTarget = (targets, lane, field, value) => {
+  const laneTarget = value === null ?
+    _.omit(targets.lanes[lane], field) :
+    { ...targets.lanes[lane], [field]: value };
+  return {
+    ...targets,
+    lanes: _.isEmpty(laneTarget) ? _.omit(targets.lanes, lane) : { ...targets.lanes, [lane]: laneTarget }
+  };
+};
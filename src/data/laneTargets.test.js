@@ -0,0 +1,46 @@
+import { DEFAULT_TARGETS } from '../analytics/targets';
+import { loadLaneTargets, saveLaneTargets, setLaneTarget } from './laneTargets';
+
+test('sets and clears one field of a lane target', () => {
+  const withTransit = setLaneTarget(DEFAULT_TARGETS, 'INMUN--USNYC', 'transitDays', 35);
+  expect(withTransit.lanes).toEqual({ 'INMUN--USNYC': { transitDays: 35 } });
+
+  const withFloor = setLaneTarget(withTransit, 'INMUN--USNYC', 'consistencyFloor', 60);
+  expect(withFloor.lanes).toEqual({ 'INMUN--USNYC': { transitDays: 35, consistencyFloor: 60 } });
+
+  // A lane with nothing of its own left goes back to the defaults
+  const cleared = setLaneTarget(setLaneTarget(withFloor, 'INMUN--USNYC', 'transitDays', null), 'INMUN--USNYC', 'consistencyFloor', null);
+  expect(cleared).toEqual(DEFAULT_TARGETS);
+});
+
+test('keeps targets in local storage', () => {
+  window.localStorage.clear();
+  expect(loadLaneTargets()).toEqual(DEFAULT_TARGETS);
+
+  const targets = { defaults: { transitDays: 25, consistencyFloor: 70 }, lanes: { 'INMUN--USNYC': { transitDays: 35 } } };
+  saveLaneTargets(targets);
+  expect(loadLaneTargets()).toEqual(targets);
+
+  // Unusable values are dropped, not the whole entry
+  window.localStorage.setItem('go-sonar.laneTargets', JSON.stringify({
+    defaults: { transitDays: 'soon' },
+    lanes: {
+      'INMUN--USNYC': { transitDays: -1 },
+      'CNYTN--USSEA': { consistencyFloor: 75, colour: 'red' },
+      'CNSHA--USLAX': { transitDays: 0, consistencyFloor: 70 },
+      // No lane could reach a floor over 100
+      'CNTAO--USLAX': { transitDays: 30, consistencyFloor: 120 }
+    }
+  }));
+  expect(loadLaneTargets()).toEqual({
+    defaults: DEFAULT_TARGETS.defaults,
+    lanes: {
+      'CNYTN--USSEA': { consistencyFloor: 75 },
+      'CNSHA--USLAX': { consistencyFloor: 70 },
+      'CNTAO--USLAX': { transitDays: 30 }
+    }
+  });
+
+  window.localStorage.setItem('go-sonar.laneTargets', 'not json');
+  expect(loadLaneTargets()).toEqual(DEFAULT_TARGETS);
+});
@@ -0,0 +1,19 @@
+// Lane IDs join two 5-character UN/LOCODEs - a 2-letter country code and a
+// 3-character location code - with "--", origin first: CNYTN--USSEA
+export const LANE_SEPARATOR = '--';
+
+// Split a lane ID into its ports and countries. Unparseable IDs give empty
+// strings rather than throwing, so callers can group rows unconditionally.
+export const parseLaneId = (laneId) => {
+  const [origin = '', destination = ''] = String(laneId || '').split(LANE_SEPARATOR);
+  return {
+    origin,
+    destination,
+    originCountry: origin.slice(0, 2),
+    destinationCountry: destination.slice(0, 2)
+  };
+};
+
+export const getOriginCountry = (laneId) => parseLaneId(laneId).originCountry;
+
+export const getDestinationPort = (laneId) => parseLaneId(laneId).destination;
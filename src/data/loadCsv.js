@@ -0,0 +1,64 @@
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { ID_FIELDS } from './bookingVersions.js';
+import { parseRowDates } from './dates.js';
+import { findMissingColumns } from './validation.js';
+
+export const DEFAULT_DATA_FILE = 'maritime_shipment_data.csv';
+
+const PARSE_OPTIONS = {
+  header: true,
+  // Keep booking identifiers as strings to avoid precision loss
+  dynamicTyping: field => !ID_FIELDS.includes(field),
+  skipEmptyLines: true,
+  // Read in chunks so progress can be reported on large exports
+  chunkSize: 1024 * 1024
+};
+
+// Parse CSV text or a File into rows, resolving with Papa's results shape
+// ({ data, errors, meta }). Papa reads File objects itself, so uploads never
+// leave the browser. onProgress is called after each chunk with
+// { fraction, rowCount }, fraction being the share of the input read.
+export const parseCsv = (input, { onProgress = _.noop } = {}) => new Promise((resolve, reject) => {
+  const size = typeof input === 'string' ? input.length : input.size;
+  const data = [];
+  const errors = [];
+  let fields = [];
+
+  Papa.parse(input, {
+    ...PARSE_OPTIONS,
+    chunk: (results) => {
+      // Error rows count from the start of their chunk
+      errors.push(...results.errors.map(error => (
+        error.row === undefined ? error : { ...error, row: error.row + data.length }
+      )));
+      data.push(...results.data);
+      if (fields.length === 0) fields = results.meta.fields || [];
+      onProgress({ fraction: size > 0 ? Math.min(1, results.meta.cursor / size) : 1, rowCount: data.length });
+    },
+    complete: () => resolve({ data, errors, meta: { fields } }),
+    error: (error) => reject(error)
+  });
+});
+
+// A dataset is one loaded export, built from Papa's parse results. The id
+// has a random suffix, as the same file can be loaded twice at once. Each row
+// remembers the file it came from and has its Excel serial dates converted
+// up front; file-level problems are kept for the data-quality report.
+export const createDataset = (name, results) => ({
+  id: `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  loadedAt: new Date(),
+  missingColumns: findMissingColumns(results.meta.fields),
+  parseErrors: results.errors,
+  rows: results.data.map(row => ({ ...parseRowDates(row), source_file: name }))
+});
+
+// Combine datasets into one set of rows. Overlapping exports repeat the same
+// booking transactions, so each bk_transaction_id is only kept once (from
+// the first file that has it).
+export const mergeDatasets = (datasets) => {
+  const rows = datasets.flatMap(dataset => dataset.rows);
+  const [withId, withoutId] = _.partition(rows, row => row.bk_transaction_id);
+  return [..._.uniqBy(withId, 'bk_transaction_id'), ...withoutId];
+};
@@ -0,0 +1,262 @@
+import _ from 'lodash';
+import { loadStored, saveStored } from './storage.js';
+
+// Reference data for the UN/LOCODEs in lane IDs. A UN/LOCODE is a 2-letter
+// ISO country code followed by a 3-character location code that is only
+// unique within that country, so ports are keyed on all 5 characters.
+//
+// The table covers the ports in SONAR exports so far and the world's main
+// container gateways; codes outside it can be given a name (and optionally
+// coordinates) as custom aliases, stored in the browser.
+
+const STORAGE_KEY = 'go-sonar.locationAliases';
+
+export const REGIONS = {
+  EAST_ASIA: 'East Asia',
+  SOUTHEAST_ASIA: 'Southeast Asia',
+  SOUTH_ASIA: 'South Asia',
+  MIDDLE_EAST: 'Middle East',
+  AFRICA: 'Africa',
+  EUROPE: 'Europe',
+  NORTH_AMERICA: 'North America',
+  LATIN_AMERICA: 'Latin America',
+  OCEANIA: 'Oceania',
+  OTHER: 'Other'
+};
+
+// ISO 3166-1 alpha-2 code -> [name, region]
+const COUNTRY_TABLE = {
+  CN: ['China', REGIONS.EAST_ASIA],
+  HK: ['Hong Kong', REGIONS.EAST_ASIA],
+  TW: ['Taiwan', REGIONS.EAST_ASIA],
+  KR: ['South Korea', REGIONS.EAST_ASIA],
+  JP: ['Japan', REGIONS.EAST_ASIA],
+  VN: ['Vietnam', REGIONS.SOUTHEAST_ASIA],
+  TH: ['Thailand', REGIONS.SOUTHEAST_ASIA],
+  MY: ['Malaysia', REGIONS.SOUTHEAST_ASIA],
+  SG: ['Singapore', REGIONS.SOUTHEAST_ASIA],
+  ID: ['Indonesia', REGIONS.SOUTHEAST_ASIA],
+  PH: ['Philippines', REGIONS.SOUTHEAST_ASIA],
+  KH: ['Cambodia', REGIONS.SOUTHEAST_ASIA],
+  MM: ['Myanmar', REGIONS.SOUTHEAST_ASIA],
+  BD: ['Bangladesh', REGIONS.SOUTH_ASIA],
+  IN: ['India', REGIONS.SOUTH_ASIA],
+  PK: ['Pakistan', REGIONS.SOUTH_ASIA],
+  LK: ['Sri Lanka', REGIONS.SOUTH_ASIA],
+  AE: ['United Arab Emirates', REGIONS.MIDDLE_EAST],
+  SA: ['Saudi Arabia', REGIONS.MIDDLE_EAST],
+  OM: ['Oman', REGIONS.MIDDLE_EAST],
+  TR: ['Turkey', REGIONS.MIDDLE_EAST],
+  EG: ['Egypt', REGIONS.AFRICA],
+  MA: ['Morocco', REGIONS.AFRICA],
+  KE: ['Kenya', REGIONS.AFRICA],
+  ZA: ['South Africa', REGIONS.AFRICA],
+  NL: ['Netherlands', REGIONS.EUROPE],
+  BE: ['Belgium', REGIONS.EUROPE],
+  DE: ['Germany', REGIONS.EUROPE],
+  GB: ['United Kingdom', REGIONS.EUROPE],
+  FR: ['France', REGIONS.EUROPE],
+  ES: ['Spain', REGIONS.EUROPE],
+  IT: ['Italy', REGIONS.EUROPE],
+  GR: ['Greece', REGIONS.EUROPE],
+  PL: ['Poland', REGIONS.EUROPE],
+  US: ['USA', REGIONS.NORTH_AMERICA],
+  CA: ['Canada', REGIONS.NORTH_AMERICA],
+  MX: ['Mexico', REGIONS.NORTH_AMERICA],
+  PA: ['Panama', REGIONS.LATIN_AMERICA],
+  CO: ['Colombia', REGIONS.LATIN_AMERICA],
+  BR: ['Brazil', REGIONS.LATIN_AMERICA],
+  PE: ['Peru', REGIONS.LATIN_AMERICA],
+  CL: ['Chile', REGIONS.LATIN_AMERICA],
+  AU: ['Australia', REGIONS.OCEANIA],
+  NZ: ['New Zealand', REGIONS.OCEANIA]
+};
+
+// UN/LOCODE -> [name, latitude, longitude]
+const PORT_TABLE = {
+  CNYTN: ['Yantian', 22.58, 114.27],
+  CNSHK: ['Shekou', 22.48, 113.91],
+  CNNSA: ['Nansha', 22.75, 113.6],
+  CNSHA: ['Shanghai', 31.23, 121.47],
+  CNNGB: ['Ningbo', 29.87, 121.55],
+  CNXMN: ['Xiamen', 24.48, 118.08],
+  CNFOC: ['Fuzhou', 26.08, 119.3],
+  CNTAO: ['Qingdao', 36.07, 120.38],
+  CNLYG: ['Lianyungang', 34.6, 119.22],
+  CNTXG: ['Tianjin Xingang', 38.98, 117.78],
+  CNDLC: ['Dalian', 38.92, 121.64],
+  HKHKG: ['Hong Kong', 22.3, 114.17],
+  TWKHH: ['Kaohsiung', 22.61, 120.28],
+  TWKEL: ['Keelung', 25.13, 121.74],
+  KRPUS: ['Busan', 35.1, 129.04],
+  KRINC: ['Incheon', 37.46, 126.6],
+  JPTYO: ['Tokyo', 35.62, 139.78],
+  JPYOK: ['Yokohama', 35.44, 139.64],
+  JPNGO: ['Nagoya', 35.08, 136.88],
+  JPUKB: ['Kobe', 34.68, 135.2],
+  VNSGN: ['Ho Chi Minh City', 10.77, 106.7],
+  VNHPH: ['Haiphong', 20.86, 106.68],
+  VNDAD: ['Da Nang', 16.07, 108.22],
+  THLCH: ['Laem Chabang', 13.08, 100.88],
+  THLKR: ['Lat Krabang', 13.72, 100.78],
+  THBKK: ['Bangkok', 13.7, 100.57],
+  MYPKG: ['Port Klang', 3.0, 101.39],
+  MYTPP: ['Tanjung Pelepas', 1.36, 103.55],
+  MYPEN: ['Penang', 5.41, 100.35],
+  SGSIN: ['Singapore', 1.26, 103.84],
+  IDJKT: ['Jakarta', -6.1, 106.88],
+  IDSUB: ['Surabaya', -7.2, 112.73],
+  IDSRG: ['Semarang', -6.95, 110.42],
+  IDBLW: ['Belawan', 3.78, 98.69],
+  PHMNL: ['Manila', 14.6, 120.96],
+  KHPNH: ['Phnom Penh', 11.56, 104.92],
+  KHKOS: ['Sihanoukville', 10.63, 103.5],
+  MMRGN: ['Yangon', 16.78, 96.16],
+  BDCGP: ['Chittagong', 22.33, 91.8],
+  BDDAC: ['Dhaka', 23.81, 90.41],
+  INNSA: ['Nhava Sheva', 18.95, 72.95],
+  INBOM: ['Mumbai', 18.95, 72.84],
+  INMUN: ['Mundra', 22.74, 69.7],
+  INPAV: ['Pipavav', 20.9, 71.5],
+  INHZA: ['Hazira', 21.1, 72.63],
+  INMAA: ['Chennai', 13.1, 80.3],
+  INTUT: ['Tuticorin', 8.76, 78.19],
+  INCOK: ['Cochin', 9.97, 76.27],
+  INVTZ: ['Visakhapatnam', 17.69, 83.29],
+  INCCU: ['Kolkata', 22.55, 88.32],
+  PKKHI: ['Karachi', 24.84, 66.98],
+  PKBQM: ['Port Qasim', 24.78, 67.35],
+  LKCMB: ['Colombo', 6.95, 79.84],
+  AEJEA: ['Jebel Ali', 25.01, 55.06],
+  AEDXB: ['Dubai', 25.27, 55.3],
+  SAJED: ['Jeddah', 21.48, 39.17],
+  OMSLL: ['Salalah', 16.95, 54.0],
+  TRIST: ['Istanbul', 41.0, 28.97],
+  TRMER: ['Mersin', 36.8, 34.63],
+  EGPSD: ['Port Said', 31.26, 32.3],
+  MAPTM: ['Tanger Med', 35.89, -5.5],
+  KEMBA: ['Mombasa', -4.06, 39.67],
+  ZADUR: ['Durban', -29.87, 31.03],
+  ZACPT: ['Cape Town', -33.91, 18.43],
+  ZAPLZ: ['Port Elizabeth', -33.96, 25.63],
+  NLRTM: ['Rotterdam', 51.95, 4.14],
+  BEANR: ['Antwerp', 51.26, 4.4],
+  DEHAM: ['Hamburg', 53.54, 9.97],
+  DEBRV: ['Bremerhaven', 53.55, 8.58],
+  GBFXT: ['Felixstowe', 51.96, 1.35],
+  GBSOU: ['Southampton', 50.9, -1.4],
+  FRLEH: ['Le Havre', 49.48, 0.11],
+  ESVLC: ['Valencia', 39.45, -0.32],
+  ESALG: ['Algeciras', 36.13, -5.44],
+  ESBCN: ['Barcelona', 41.35, 2.17],
+  ITGOA: ['Genoa', 44.41, 8.93],
+  ITGIT: ['Gioia Tauro', 38.44, 15.9],
+  GRPIR: ['Piraeus', 37.94, 23.64],
+  PLGDN: ['Gdansk', 54.4, 18.67],
+  USSEA: ['Seattle', 47.6, -122.34],
+  USTIW: ['Tacoma', 47.27, -122.41],
+  USOAK: ['Oakland', 37.8, -122.32],
+  USLAX: ['Los Angeles', 33.74, -118.26],
+  USLGB: ['Long Beach', 33.75, -118.22],
+  USHOU: ['Houston', 29.73, -95.27],
+  USMOB: ['Mobile', 30.69, -88.04],
+  USMSY: ['New Orleans', 29.93, -90.06],
+  USMIA: ['Miami', 25.77, -80.17],
+  USJAX: ['Jacksonville', 30.4, -81.55],
+  USSAV: ['Savannah', 32.08, -81.09],
+  USCHS: ['Charleston', 32.78, -79.93],
+  USORF: ['Norfolk', 36.85, -76.29],
+  USBAL: ['Baltimore', 39.27, -76.58],
+  USPHL: ['Philadelphia', 39.95, -75.14],
+  USNYC: ['New York', 40.67, -74.04],
+  USBOS: ['Boston', 42.36, -71.04],
+  USCHI: ['Chicago', 41.88, -87.63],
+  USDET: ['Detroit', 42.33, -83.05],
+  CAVAN: ['Vancouver', 49.29, -123.11],
+  CAPRR: ['Prince Rupert', 54.31, -130.33],
+  CAMTR: ['Montreal', 45.5, -73.55],
+  CAHAL: ['Halifax', 44.65, -63.57],
+  MXZLO: ['Manzanillo', 19.05, -104.32],
+  MXLZC: ['Lazaro Cardenas', 17.96, -102.19],
+  PABLB: ['Balboa', 8.95, -79.57],
+  COCTG: ['Cartagena', 10.4, -75.53],
+  BRSSZ: ['Santos', -23.96, -46.3],
+  PECLL: ['Callao', -12.05, -77.15],
+  CLSAI: ['San Antonio', -33.59, -71.62],
+  AUSYD: ['Sydney', -33.86, 151.2],
+  AUMEL: ['Melbourne', -37.84, 144.93],
+  NZAKL: ['Auckland', -36.84, 174.77]
+};
+
+export const COUNTRIES = _.mapValues(COUNTRY_TABLE, ([name, region], code) => ({ code, name, region }));
+
+export const PORTS = _.mapValues(PORT_TABLE, ([name, latitude, longitude], code) => ({
+  code,
+  name,
+  country: code.slice(0, 2),
+  latitude,
+  longitude
+}));
+
+export const PORT_CODE_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}$/;
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+export const getCountryName = (countryCode) => COUNTRIES[countryCode]?.name || countryCode;
+
+export const getCountryRegion = (countryCode) => COUNTRIES[countryCode]?.region || REGIONS.OTHER;
+
+// Everything known about a 5-character port code. Aliases ({ [code]:
+// { name, latitude, longitude } }) take precedence over the reference table.
+// Returns null for codes in neither.
+export const getPort = (code, aliases = {}) => {
+  const alias = aliases[code];
+  const reference = PORTS[code];
+  if (!alias && !reference) return null;
+
+  const country = code.slice(0, 2);
+  return {
+    code,
+    country,
+    countryName: getCountryName(country),
+    region: getCountryRegion(country),
+    latitude: null,
+    longitude: null,
+    ...reference,
+    ...(alias && _.omitBy(alias, value => value === null || value === undefined || value === '')),
+    isAlias: Boolean(alias)
+  };
+};
+
+// "Country-Port" for a port code, the country name for a country code, and
+// anything else (region names, say) unchanged. Unknown codes show as they
+// are so they can still be told apart.
+export const formatLocation = (code, aliases = {}) => {
+  if (COUNTRY_CODE_PATTERN.test(code)) return getCountryName(code);
+  if (!PORT_CODE_PATTERN.test(code)) return code;
+
+  const port = getPort(code, aliases);
+  return `${getCountryName(code.slice(0, 2))}-${port ? port.name : code.slice(2)}`;
+};
+
+// Lane IDs (CNYTN--USSEA) and the roll-up group IDs that share their
+// notation (CN--USSEA) as "China-Yantian to USA-Seattle"
+export const formatLaneName = (laneId, aliases = {}) => {
+  if (!laneId) return '';
+  return laneId.split('--').map(code => formatLocation(code, aliases)).join(' to ');
+};
+
+// Port codes in the lanes that neither the table nor the aliases know, sorted
+export const findUnknownPorts = (laneIds, aliases = {}) => _.sortBy(_.uniq(
+  laneIds.flatMap(laneId => String(laneId).split('--'))
+    .filter(code => PORT_CODE_PATTERN.test(code) && !getPort(code, aliases))
+));
+
+export const normalizePortCode = (code) => String(code || '').trim().toUpperCase();
+
+// Read saved aliases, or none when nothing usable is stored
+export const loadLocationAliases = () => {
+  const saved = loadStored(STORAGE_KEY);
+  return _.isPlainObject(saved) ? saved : {};
+};
+
+export const saveLocationAliases = (aliases) => saveStored(STORAGE_KEY, aliases);
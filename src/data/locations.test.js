@@ -0,0 +1,63 @@
+import {
+  findUnknownPorts,
+  formatLaneName,
+  formatLocation,
+  getCountryRegion,
+  getPort,
+  loadLocationAliases,
+  saveLocationAliases
+} from './locations';
+
+test('looks ports up on the full 5-character code', () => {
+  expect(getPort('USSEA')).toMatchObject({
+    name: 'Seattle',
+    country: 'US',
+    countryName: 'USA',
+    region: 'North America',
+    latitude: 47.6,
+    isAlias: false
+  });
+  // SIN is Singapore only in Singapore
+  expect(getPort('SGSIN').name).toBe('Singapore');
+  expect(getPort('IDSIN')).toBeNull();
+});
+
+test('formats ports, countries and lanes', () => {
+  expect(formatLocation('CNYTN')).toBe('China-Yantian');
+  expect(formatLocation('CN')).toBe('China');
+  expect(formatLocation('PKGWD')).toBe('Pakistan-GWD');
+  expect(formatLocation('South Asia')).toBe('South Asia');
+  expect(formatLaneName('INMUN--USNYC')).toBe('India-Mundra to USA-New York');
+  expect(formatLaneName('CN--USSEA')).toBe('China to USA-Seattle');
+  expect(formatLaneName('')).toBe('');
+});
+
+test('custom aliases name unknown ports and override the table', () => {
+  const aliases = {
+    PKGWD: { name: 'Gwadar', latitude: 25.12, longitude: 62.33 },
+    USSEA: { name: 'Seattle-Tacoma', latitude: null, longitude: null }
+  };
+  expect(formatLaneName('PKGWD--USSEA', aliases)).toBe('Pakistan-Gwadar to USA-Seattle-Tacoma');
+  expect(getPort('PKGWD', aliases)).toMatchObject({ countryName: 'Pakistan', latitude: 25.12, isAlias: true });
+  // Blank alias coordinates fall back to the table's
+  expect(getPort('USSEA', aliases).latitude).toBe(47.6);
+});
+
+test('finds ports nobody has named', () => {
+  expect(findUnknownPorts(['PKGWD--USNYC', 'IDSIN--USSEA', 'CNYTN--USSEA'])).toEqual(['IDSIN', 'PKGWD']);
+  expect(findUnknownPorts(['PKGWD--USNYC'], { PKGWD: { name: 'Gwadar' } })).toEqual([]);
+});
+
+test('groups countries into regions', () => {
+  expect(getCountryRegion('BD')).toBe('South Asia');
+  expect(getCountryRegion('XX')).toBe('Other');
+});
+
+test('keeps aliases in local storage', () => {
+  window.localStorage.clear();
+  expect(loadLocationAliases()).toEqual({});
+  saveLocationAliases({ PKGWD: { name: 'Gwadar' } });
+  expect(loadLocationAliases()).toEqual({ PKGWD: { name: 'Gwadar' } });
+  window.localStorage.setItem('go-sonar.locationAliases', 'not json');
+  expect(loadLocationAliases()).toEqual({});
+});
@@ -0,0 +1,26 @@
+import _ from 'lodash';
+import { loadStored, saveStored } from './storage.js';
+
+// Scorecard weight presets saved by the user, kept alongside the built-in
+// ones (see SCORE_PRESETS in analytics/scorecard.js). Each preset is
+// { id, name, weights: { [component]: weight } }.
+
+const STORAGE_KEY = 'go-sonar.scorecardPresets';
+
+export const createScorePreset = (name, weights) => ({
+  id: `preset-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  weights: { ...weights }
+});
+
+const isPreset = (preset) => _.isPlainObject(preset) && typeof preset.id === 'string' &&
+  typeof preset.name === 'string' && _.isPlainObject(preset.weights);
+
+// Read saved presets, or none when nothing usable is stored. Unreadable
+// entries are dropped rather than discarding the whole list.
+export const loadScorePresets = () => {
+  const saved = loadStored(STORAGE_KEY);
+  return Array.isArray(saved) ? saved.filter(isPreset) : [];
+};
+
+export const saveScorePresets = (presets) => saveStored(STORAGE_KEY, presets);
@@ -0,0 +1,22 @@
+// Settings the user saves (carriers, locations, lane sets, targets,
+// scorecard presets) are kept as JSON in the browser's local storage, one
+// go-sonar.* key each
+
+// The value stored under key, or null when there is none or it cannot be
+// read. Callers still check its shape before trusting it.
+export const loadStored = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (error) {
+    // Ignore unreadable storage; callers start from their defaults
+    return null;
+  }
+};
+
+export const saveStored = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage may be full or disabled; the setting still applies for this session
+  }
+};
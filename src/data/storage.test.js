@@ -0,0 +1,33 @@
+import { loadStored, saveStored } from './storage';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('keeps values as JSON', () => {
+  expect(loadStored('go-sonar.test')).toBeNull();
+  saveStored('go-sonar.test', { lanes: ['CNYTN--USSEA'] });
+  expect(window.localStorage.getItem('go-sonar.test')).toBe('{"lanes":["CNYTN--USSEA"]}');
+  expect(loadStored('go-sonar.test')).toEqual({ lanes: ['CNYTN--USSEA'] });
+});
+
+test('reads unreadable storage as nothing stored', () => {
+  window.localStorage.setItem('go-sonar.test', 'not json');
+  expect(loadStored('go-sonar.test')).toBeNull();
+
+  jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+    throw new Error('SecurityError');
+  });
+  expect(loadStored('go-sonar.test')).toBeNull();
+});
+
+test('carries on when storage is full or disabled', () => {
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+  expect(() => saveStored('go-sonar.test', { lanes: [] })).not.toThrow();
+});
@@ -0,0 +1,134 @@
+import _ from 'lodash';
+import { BOOKING_STATUS } from './bookingStatus.js';
+
+// Columns every SONAR export must have for the dashboard to work
+export const REQUIRED_COLUMNS = [
+  'carrier_name',
+  'bk_original_id',
+  'bk_transaction_id',
+  'booking_status',
+  'port_2_port_id',
+  'transit_time',
+  'version_date'
+];
+
+// Transit times are recorded in hours. Anything outside this window is
+// treated as a data error rather than a genuinely fast or slow voyage.
+export const MIN_TRANSIT_HOURS = 24;
+export const MAX_TRANSIT_HOURS = 90 * 24;
+
+// Lane IDs are two UN/LOCODEs joined by a double dash, e.g. CNYTN--USSEA
+export const LANE_ID_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}--[A-Z]{2}[A-Z0-9]{3}$/;
+
+export const SEVERITY = {
+  // Row cannot be used in transit statistics
+  ERROR: 'error',
+  // Row is used, but one of its fields looks wrong
+  WARNING: 'warning'
+};
+
+// Every check a row can fail, in the order they are reported
+export const ISSUES = {
+  missingCarrier: { label: 'Missing carrier name', severity: SEVERITY.ERROR },
+  missingLane: { label: 'Missing lane (port_2_port_id)', severity: SEVERITY.ERROR },
+  malformedLane: { label: 'Malformed lane ID (expected CCPPP--CCPPP)', severity: SEVERITY.ERROR },
+  missingTransitTime: { label: 'No transit time', severity: SEVERITY.ERROR },
+  invalidTransitTime: { label: 'Non-numeric transit time', severity: SEVERITY.ERROR },
+  transitOutOfRange: {
+    label: `Transit time outside ${MIN_TRANSIT_HOURS / 24}-${MAX_TRANSIT_HOURS / 24} days`,
+    severity: SEVERITY.ERROR
+  },
+  unknownStatus: { label: 'Unrecognised booking status', severity: SEVERITY.WARNING },
+  invalidVolume: { label: 'Non-positive container or TEU count', severity: SEVERITY.WARNING },
+  invalidDate: { label: 'Unreadable version or ETD date', severity: SEVERITY.WARNING }
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Columns a file lacks, given the header fields Papa found
+export const findMissingColumns = (fields = []) =>
+  REQUIRED_COLUMNS.filter(column => !fields.includes(column));
+
+// Check one row and return the codes of every issue found
+export const validateRow = (row) => {
+  const issues = [];
+
+  if (isBlank(row.carrier_name)) issues.push('missingCarrier');
+
+  if (isBlank(row.port_2_port_id)) {
+    issues.push('missingLane');
+  } else if (!LANE_ID_PATTERN.test(String(row.port_2_port_id).trim())) {
+    issues.push('malformedLane');
+  }
+
+  if (isBlank(row.transit_time)) {
+    issues.push('missingTransitTime');
+  } else if (typeof row.transit_time !== 'number' || isNaN(row.transit_time)) {
+    issues.push('invalidTransitTime');
+  } else if (row.transit_time < MIN_TRANSIT_HOURS || row.transit_time > MAX_TRANSIT_HOURS) {
+    issues.push('transitOutOfRange');
+  }
+
+  if (!Object.values(BOOKING_STATUS).includes(row.booking_status)) issues.push('unknownStatus');
+
+  const volumes = [row.allocated_container_count, row.allocated_teu_count].filter(value => !isBlank(value));
+  if (volumes.some(value => typeof value !== 'number' || !(value > 0))) issues.push('invalidVolume');
+
+  const dateColumns = ['version_date', 'pol_etd_for_most_recent_transaction', 'pol_etd_for_first_transaction'];
+  if (dateColumns.some(column => !isBlank(row[column]) && typeof row[column] !== 'number')) {
+    issues.push('invalidDate');
+  }
+
+  return issues;
+};
+
+export const hasErrors = (issues) => issues.some(code => ISSUES[code].severity === SEVERITY.ERROR);
+
+// Only rows with a carrier, a well-formed lane and a plausible transit
+// time can feed the transit statistics
+export const isValidShipment = (row) => !hasErrors(validateRow(row));
+
+const MAX_EXAMPLES = 5;
+
+// Tally validation issues across rows, with a breakdown per carrier and per
+// lane and a few example rows for each issue
+export const buildQualityReport = (rows) => {
+  const tallies = {};
+  let droppedCount = 0;
+
+  rows.forEach(row => {
+    const issues = validateRow(row);
+    if (hasErrors(issues)) droppedCount += 1;
+
+    issues.forEach(code => {
+      if (!tallies[code]) {
+        tallies[code] = { count: 0, byCarrier: {}, byLane: {}, examples: [] };
+      }
+      const tally = tallies[code];
+      const carrier = isBlank(row.carrier_name) ? '(none)' : row.carrier_name;
+      const lane = isBlank(row.port_2_port_id) ? '(none)' : row.port_2_port_id;
+
+      tally.count += 1;
+      tally.byCarrier[carrier] = (tally.byCarrier[carrier] || 0) + 1;
+      tally.byLane[lane] = (tally.byLane[lane] || 0) + 1;
+      if (tally.examples.length < MAX_EXAMPLES) tally.examples.push(row);
+    });
+  });
+
+  const issues = Object.keys(ISSUES)
+    .filter(code => tallies[code])
+    .map(code => ({
+      code,
+      ...ISSUES[code],
+      ...tallies[code],
+      byCarrier: _.orderBy(_.toPairs(tallies[code].byCarrier), 1, 'desc'),
+      byLane: _.orderBy(_.toPairs(tallies[code].byLane), 1, 'desc')
+    }));
+
+  return {
+    checkedCount: rows.length,
+    droppedCount,
+    validCount: rows.length - droppedCount,
+    issues
+  };
+};
@@ -0,0 +1,117 @@
+import { buildQualityReport, findMissingColumns, isValidShipment, REQUIRED_COLUMNS, validateRow } from './validation';
+
+// A row that passes every check
+const row = (fields = {}) => ({
+  carrier_name: 'MSC',
+  bk_original_id: '100',
+  bk_transaction_id: '1001',
+  booking_status: 'Confirmed',
+  port_2_port_id: 'CNYTN--USSEA',
+  transit_time: 20 * 24,
+  allocated_container_count: 1,
+  allocated_teu_count: 2,
+  version_date: 45650.5,
+  pol_etd_for_most_recent_transaction: 45660,
+  pol_etd_for_first_transaction: '',
+  ...fields
+});
+
+describe('validateRow', () => {
+  test('passes a clean row', () => {
+    expect(validateRow(row())).toEqual([]);
+    expect(isValidShipment(row())).toBe(true);
+  });
+
+  test.each([
+    ['missingCarrier', { carrier_name: '' }],
+    ['missingLane', { port_2_port_id: null }],
+    ['malformedLane', { port_2_port_id: 'CNYTN-USSEA' }],
+    ['missingTransitTime', { transit_time: '' }],
+    ['invalidTransitTime', { transit_time: 'n/a' }],
+    ['transitOutOfRange', { transit_time: 12 }],
+    ['transitOutOfRange', { transit_time: 91 * 24 }]
+  ])('drops a row with %s', (code, fields) => {
+    expect(validateRow(row(fields))).toEqual([code]);
+    expect(isValidShipment(row(fields))).toBe(false);
+  });
+
+  test.each([
+    ['unknownStatus', { booking_status: 'Pending' }],
+    ['invalidVolume', { allocated_teu_count: 0 }],
+    ['invalidVolume', { allocated_container_count: 'two' }],
+    ['invalidDate', { pol_etd_for_first_transaction: '2025-13-45' }]
+  ])('keeps a row with %s', (code, fields) => {
+    expect(validateRow(row(fields))).toEqual([code]);
+    expect(isValidShipment(row(fields))).toBe(true);
+  });
+
+  test('reports every issue a row has', () => {
+    expect(validateRow(row({ carrier_name: '', transit_time: null, booking_status: '' }))).toEqual([
+      'missingCarrier',
+      'missingTransitTime',
+      'unknownStatus'
+    ]);
+  });
+});
+
+test('finds the required columns a file lacks', () => {
+  expect(findMissingColumns(REQUIRED_COLUMNS)).toEqual([]);
+  expect(findMissingColumns(['carrier_name', 'port_2_port_id'])).toEqual([
+    'bk_original_id',
+    'bk_transaction_id',
+    'booking_status',
+    'transit_time',
+    'version_date'
+  ]);
+});
+
+describe('buildQualityReport', () => {
+  test('counts the rows dropped and kept', () => {
+    const rows = [
+      row(),
+      row({ booking_status: 'Pending' }),
+      row({ carrier_name: '', booking_status: 'Pending' }),
+      row({ transit_time: 2 })
+    ];
+    const report = buildQualityReport(rows);
+
+    // A row with only warnings is kept; one error is enough to drop it
+    expect(report).toMatchObject({ checkedCount: 4, droppedCount: 2, validCount: 2 });
+    expect(report.issues.map(issue => [issue.code, issue.severity, issue.count])).toEqual([
+      ['missingCarrier', 'error', 1],
+      ['transitOutOfRange', 'error', 1],
+      ['unknownStatus', 'warning', 2]
+    ]);
+  });
+
+  test('breaks each issue down by carrier and lane', () => {
+    const rows = [
+      row({ transit_time: 'n/a' }),
+      row({ transit_time: 'n/a', carrier_name: 'ONE' }),
+      row({ transit_time: 'n/a', port_2_port_id: 'CNSHA--USLAX' }),
+      row({ transit_time: 'n/a', carrier_name: '', port_2_port_id: '' })
+    ];
+    const [, , invalid] = buildQualityReport(rows).issues;
+
+    expect(invalid).toMatchObject({
+      code: 'invalidTransitTime',
+      label: 'Non-numeric transit time',
+      count: 4,
+      byCarrier: [['MSC', 2], ['ONE', 1], ['(none)', 1]],
+      byLane: [['CNYTN--USSEA', 2], ['CNSHA--USLAX', 1], ['(none)', 1]]
+    });
+  });
+
+  test('keeps the first few rows of each issue as examples', () => {
+    const rows = [1, 2, 3, 4, 5, 6, 7].map(id => row({ bk_transaction_id: String(id), booking_status: 'Pending' }));
+    const [unknownStatus] = buildQualityReport(rows).issues;
+
+    expect(unknownStatus.count).toBe(7);
+    expect(unknownStatus.examples.map(example => example.bk_transaction_id)).toEqual(['1', '2', '3', '4', '5']);
+    expect(unknownStatus.examples[0]).toBe(rows[0]);
+  });
+
+  test('reports nothing for clean rows', () => {
+    expect(buildQualityReport([row(), row()])).toEqual({ checkedCount: 2, droppedCount: 0, validCount: 2, issues: [] });
+  });
+});
@@ -0,0 +1,39 @@
+import Papa from 'papaparse';
+import { tableToRows } from '../analytics/reportTables';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel caps sheet names at 31 characters and bans a few symbols
+const toSheetName = (name) => name.replace(/[\\/?*[\]:]/g, '-').slice(0, 31);
+
+export const tableToCsv = (table) => Papa.unparse(tableToRows(table));
+
+// Build an .xlsx workbook with one sheet per table, after an optional
+// sheet listing the filters the figures were computed with ([label, value]
+// pairs). exceljs is large, so it is only loaded when a workbook is asked for.
+export const tablesToXlsx = async (tables, filters = []) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  if (filters.length > 0) {
+    const sheet = workbook.addWorksheet('Filters');
+    sheet.addRows([['Filter', 'Value'], ...filters]);
+    sheet.getRow(1).font = { bold: true };
+    sheet.columns.forEach(column => { column.width = 36; });
+  }
+
+  tables.forEach(table => {
+    const sheet = workbook.addWorksheet(toSheetName(table.name), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.addRows(tableToRows(table));
+    sheet.getRow(1).font = { bold: true };
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.max(10, table.columns[index].label.length + 2);
+    });
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: XLSX_MIME_TYPE });
+};
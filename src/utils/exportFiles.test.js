@@ -0,0 +1,31 @@
+import ExcelJS from 'exceljs';
+import { tablesToXlsx, tableToCsv } from './exportFiles';
+
+const table = {
+  name: 'Lane x Carrier (Avg Days)',
+  columns: [{ key: 'lane', label: 'Lane' }, { key: 'MSC', label: 'MSC' }],
+  rows: [{ lane: 'CNYTN--USSEA', MSC: 21 }, { lane: 'CNYTN--USLAX', MSC: null }]
+};
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+test('writes a table as CSV with a header row', () => {
+  expect(tableToCsv(table)).toBe('Lane,MSC\r\nCNYTN--USSEA,21\r\nCNYTN--USLAX,');
+});
+
+test('writes a workbook with a filters sheet and one sheet per table', async () => {
+  const blob = await tablesToXlsx([table], [['Lane set', 'Meijer Priority Lanes']]);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await readBlob(blob));
+
+  expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Filters', 'Lane x Carrier (Avg Days)']);
+  expect(workbook.getWorksheet('Filters').getRow(2).values).toEqual([undefined, 'Lane set', 'Meijer Priority Lanes']);
+  const sheet = workbook.getWorksheet('Lane x Carrier (Avg Days)');
+  expect(sheet.getRow(1).values).toEqual([undefined, 'Lane', 'MSC']);
+  expect(sheet.getRow(2).values).toEqual([undefined, 'CNYTN--USSEA', 21]);
+});
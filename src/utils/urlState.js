@@ -0,0 +1,101 @@
+// Dashboard state kept in the URL so a view can be bookmarked or sent on.
+// It lives in the hash (#lane=...&carriers=...) rather than the path or
+// query string: the app is served as static files from GitHub Pages under
+// the package.json homepage, and only the hash is guaranteed to reach the
+// page untouched without a server to rewrite routes.
+
+// State field -> URL parameter. Lists repeat the parameter once per item
+// (carriers=MSC&carriers=ZIM), so items may themselves contain commas.
+const LIST_PARAMS = {
+  laneSetLanes: 'priority',
+  lanes: 'lanes',
+  carriers: 'carriers',
+  bookingStatuses: 'status',
+  originCountries: 'origin',
+  destinationPorts: 'dest',
+  compareCarriers: 'compare'
+};
+
+const TEXT_PARAMS = {
+  laneSet: 'laneSet',
+  selectedPort: 'lane',
+  laneChartView: 'view',
+  heatmapMetric: 'metric',
+  mapCarrier: 'mapCarrier',
+  rollupLevel: 'rollup',
+  rollupGroup: 'group',
+  versionMode: 'version',
+  consistencyMethod: 'consistency',
+  weighting: 'weight',
+  carrierLevel: 'by',
+  from: 'from',
+  to: 'to',
+  periodA: 'periodA',
+  periodB: 'periodB'
+};
+
+const NUMBER_PARAMS = {
+  minLaneShipments: 'minLane',
+  minCarrierShipments: 'minCarrier'
+};
+
+const FLAG_PARAMS = {
+  includeDeclined: 'declined'
+};
+
+// Turn a flat state object into a hash string. Empty lists, empty strings,
+// false flags, undefined values and values equal to their entry in defaults
+// are left out to keep links short.
+export const encodeUrlState = (state, defaults = {}) => {
+  const params = new URLSearchParams();
+  const values = Object.fromEntries(Object.entries(state).filter(([field, value]) => value !== defaults[field]));
+  Object.entries(LIST_PARAMS).forEach(([field, param]) => {
+    (values[field] || []).forEach(item => params.append(param, item));
+  });
+  Object.entries(TEXT_PARAMS).forEach(([field, param]) => {
+    if (values[field]) params.set(param, values[field]);
+  });
+  Object.entries(NUMBER_PARAMS).forEach(([field, param]) => {
+    if (Number.isFinite(values[field])) params.set(param, String(values[field]));
+  });
+  Object.entries(FLAG_PARAMS).forEach(([field, param]) => {
+    if (values[field]) params.set(param, '1');
+  });
+  // Keep commas readable; they are safe inside a hash, and no longer
+  // separate list items
+  return params.toString().replace(/%2C/g, ',');
+};
+
+// Read the state back from a hash string (with or without the leading #).
+// Only parameters present in the hash appear in the result, so callers can
+// fall back to their own defaults.
+export const decodeUrlState = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+  Object.entries(LIST_PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) state[field] = params.getAll(param).filter(Boolean);
+  });
+  Object.entries(TEXT_PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) state[field] = params.get(param);
+  });
+  Object.entries(NUMBER_PARAMS).forEach(([field, param]) => {
+    const value = parseInt(params.get(param), 10);
+    if (Number.isFinite(value) && value >= 0) state[field] = value;
+  });
+  Object.entries(FLAG_PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) state[field] = params.get(param) === '1';
+  });
+  return state;
+};
+
+export const readUrlState = () => decodeUrlState(window.location.hash);
+
+// Replace the current hash without adding a history entry for every filter
+// change
+export const writeUrlState = (state, defaults = {}) => {
+  const hash = encodeUrlState(state, defaults);
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, '', url);
+  }
+};
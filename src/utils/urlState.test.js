@@ -0,0 +1,60 @@
+import { decodeUrlState, encodeUrlState, writeUrlState } from './urlState';
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('encodes only the state that differs from an empty view', () => {
+  expect(encodeUrlState({
+    lanes: ['CNYTN--USSEA', 'CNYTN--USLAX'],
+    carriers: [],
+    selectedPort: 'CNYTN--USSEA',
+    from: '',
+    minCarrierShipments: 5,
+    includeDeclined: false
+  })).toBe('lanes=CNYTN--USSEA&lanes=CNYTN--USLAX&lane=CNYTN--USSEA&minCarrier=5');
+});
+
+test('leaves out values equal to the defaults given', () => {
+  expect(encodeUrlState({ minLaneShipments: 10, versionMode: 'current' }, { minLaneShipments: 10, versionMode: 'current' }))
+    .toBe('');
+});
+
+test('round-trips state through the hash', () => {
+  const state = {
+    carriers: ['CMA CGM', 'MSC'],
+    bookingStatuses: ['Confirmed'],
+    compareCarriers: ['MSC', 'ZIM'],
+    laneSet: 'set-1700000000000-abcde',
+    laneSetLanes: ['VNSGN--USLAX', 'CNYTN--USSEA'],
+    heatmapMetric: 'consistencyScore',
+    from: '2025-01-01',
+    periodA: 'file:january.csv',
+    periodB: '2025-02-01..2025-02-28',
+    minLaneShipments: 0,
+    includeDeclined: true
+  };
+  expect(decodeUrlState(`#${encodeUrlState(state)}`)).toEqual(state);
+});
+
+test('keeps commas inside list items', () => {
+  const state = { carriers: ['CMA CGM, S.A.', 'MSC'], compareCarriers: ['Hapag-Lloyd, AG'] };
+  const hash = encodeUrlState(state);
+  expect(hash).toBe('carriers=CMA+CGM,+S.A.&carriers=MSC&compare=Hapag-Lloyd,+AG');
+  expect(decodeUrlState(hash)).toEqual(state);
+});
+
+test('ignores unknown and malformed parameters', () => {
+  expect(decodeUrlState('#minLane=abc&minCarrier=-2&other=1&lanes=')).toEqual({ lanes: [] });
+  expect(decodeUrlState('')).toEqual({});
+});
+
+test('writes the hash without adding history entries', () => {
+  const { length } = window.history;
+  writeUrlState({ carriers: ['ZIM'] });
+  expect(window.location.hash).toBe('#carriers=ZIM');
+  expect(window.history.length).toBe(length);
+
+  writeUrlState({});
+  expect(window.location.hash).toBe('');
+});
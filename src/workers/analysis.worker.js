@@ -0,0 +1,27 @@
+import { createAnalysisEngine } from './analysisEngine.js';
+
+// Web Worker around the analysis engine. Messages are
+// { id, type, payload }, with type one of the engine's methods; each gets
+// back a 'result' or 'error' message with the same id, and loads also send
+// 'progress' messages while parsing. See analysisClient.js.
+
+// eslint-disable-next-line no-restricted-globals
+const worker = self;
+const engine = createAnalysisEngine();
+
+const HANDLERS = {
+  loadDataset: ({ name, input }, id) => engine.loadDataset(name, input, progress => {
+    worker.postMessage({ id, type: 'progress', payload: progress });
+  }),
+  removeDataset: ({ id }) => engine.removeDataset(id),
+  analyze: (request) => engine.analyze(request)
+};
+
+worker.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const result = await HANDLERS[type](payload, id);
+    worker.postMessage({ id, type: 'result', payload: result });
+  } catch (error) {
+    worker.postMessage({ id, type: 'error', payload: String(error?.message || error) });
+  }
+};
@@ -0,0 +1,89 @@
+import { createAnalysisEngine } from './analysisEngine.js';
+
+// The page's handle on the analysis engine (analysisEngine.js). In the
+// browser the engine runs in a Web Worker, so parsing a year of exports and
+// re-running the statistics on every filter change leave the page
+// responsive. Where workers are unavailable, as under Jest, the same engine
+// runs on the page instead and analyses are delivered synchronously.
+//
+//   loadDataset(name, input, onProgress)  parse CSV text or a File; resolves
+//                                         with the dataset summary
+//   removeDataset(id)                     drop a dataset's rows; resolves
+//                                         once they are gone
+//   analyze(request, onResult, onError)   see the engine's analyze; only the
+//                                         latest request's outcome is
+//                                         delivered, so a slow analysis
+//                                         cannot overwrite a newer one
+export const createAnalysisClient = () => (
+  typeof Worker === 'undefined' ? createPageClient() : createWorkerClient()
+);
+
+const createPageClient = () => {
+  const engine = createAnalysisEngine();
+  return {
+    loadDataset: engine.loadDataset,
+    removeDataset: async (id) => engine.removeDataset(id),
+    analyze: (request, onResult, onError) => {
+      let result;
+      try {
+        result = engine.analyze(request);
+      } catch (error) {
+        onError(error);
+        return;
+      }
+      onResult(result);
+    }
+  };
+};
+
+const createWorkerClient = () => {
+  const pending = new Map();
+  let nextId = 0;
+  let latestAnalysis = 0;
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  const handleMessage = ({ data: { id, type, payload } }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    if (type === 'progress') {
+      request.onProgress(payload);
+      return;
+    }
+    pending.delete(id);
+    if (type === 'error') request.reject(new Error(payload));
+    else request.resolve(payload);
+  };
+
+  const workerReady = import('./startWorker.js').then(({ startWorker }) => {
+    const worker = startWorker();
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => rejectAll(new Error(event.message || 'The analysis worker failed'));
+    return worker;
+  });
+
+  const send = (type, payload, onProgress = () => {}) => {
+    nextId += 1;
+    const id = nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      workerReady.then(worker => worker.postMessage({ id, type, payload }), reject);
+    });
+  };
+
+  return {
+    loadDataset: (name, input, onProgress) => send('loadDataset', { name, input }, onProgress),
+    removeDataset: (id) => send('removeDataset', { id }),
+    analyze: (request, onResult, onError) => {
+      latestAnalysis += 1;
+      const ticket = latestAnalysis;
+      send('analyze', request).then(
+        result => ticket === latestAnalysis && onResult(result),
+        error => ticket === latestAnalysis && onError(error)
+      );
+    }
+  };
+};
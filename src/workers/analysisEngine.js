@@ -0,0 +1,147 @@
+import _ from 'lodash';
+import {
+  analyzeShipments,
+  buildTransitTrend,
+  getFilterOptions,
+  getLeadTimeTransitPoints,
+  groupSailings,
+  PERIOD_TYPES
+} from '../analytics/index.js';
+import { CARRIER_LEVELS, findUnknownCarriers, normalizeCarrierNames } from '../data/carriers.js';
+import { getShipmentDate, GRANULARITIES } from '../data/dates.js';
+import { createDataset, mergeDatasets, parseCsv } from '../data/loadCsv.js';
+
+// Holds the loaded exports and analyses them. It runs inside the analysis
+// worker (analysis.worker.js), or on the page where workers are unavailable
+// (see analysisClient.js). Either way the booking rows stay here: callers
+// get dataset summaries and analysis results, never the rows themselves.
+
+// What the page needs to know about a loaded export
+const describeDataset = ({ id, name, loadedAt, missingColumns, parseErrors, rows }) => ({
+  id,
+  name,
+  loadedAt,
+  missingColumns,
+  parseErrors,
+  rowCount: rows.length
+});
+
+// Facts about the merged rows that no dashboard option changes
+const summarizeRows = (rows, carrierAliases) => {
+  const shipmentDates = rows.map(getShipmentDate).filter(Boolean);
+  const versionDates = rows.map(row => row.versionDate).filter(Boolean);
+  return {
+    transactionCount: rows.length,
+    // The span of the data, for the date filter and footer
+    dataDates: {
+      earliest: _.min(shipmentDates) || null,
+      latest: _.max(shipmentDates) || null,
+      lastUpdated: _.max(versionDates) || null
+    },
+    filterOptions: getFilterOptions(rows, []),
+    unknownCarriers: findUnknownCarriers(rows, carrierAliases)
+  };
+};
+
+// What the charts drawn from individual shipments need, per ranked lane,
+// so the shipments themselves never cross to the page:
+//   transitTrends   { [laneId]: { [GRANULARITIES value]: transit trend } },
+//                   see buildTransitTrend
+//   leadTimePoints  { [laneId]: points }, see getLeadTimeTransitPoints
+//   sailings        { [laneId]: { [carrier]: sailings } } for the arrival
+//                   estimates, see groupSailings
+const summarizeLaneShipments = (shipments, weighting) => {
+  const shipmentsByLane = _.groupBy(shipments, 'port_2_port_id');
+  return {
+    transitTrends: _.mapValues(shipmentsByLane, laneRows => Object.fromEntries(
+      Object.values(GRANULARITIES).map(granularity => [granularity, buildTransitTrend(laneRows, granularity, weighting)])
+    )),
+    leadTimePoints: _.mapValues(shipmentsByLane, (laneRows, port) => getLeadTimeTransitPoints(laneRows, port)),
+    sailings: groupSailings(shipments)
+  };
+};
+
+// The statistics for one comparison period (see periodComparison.js), from
+// the period's rows: a file period's are that export's own and keep the
+// dashboard's date range; a date period's are the merged rows, and its
+// dates replace the range.
+const analyzePeriod = (rows, period, options) => {
+  const { bookings, shipments, portStats, rankedPorts } = period.type === PERIOD_TYPES.FILE
+    ? analyzeShipments(rows, options)
+    : analyzeShipments(rows, { ...options, dateRange: { from: period.from, to: period.to } });
+  return { portStats, rankedPorts, bookingCount: bookings.length, shipmentCount: shipments.length };
+};
+
+export const createAnalysisEngine = () => {
+  const datasets = new Map();
+  // Merged rows for the last datasets and carrier settings analysed, kept
+  // while only the dashboard options change
+  let merged = null;
+
+  // Parse CSV text or a File into a new dataset. onProgress is passed to
+  // parseCsv.
+  const loadDataset = async (name, input, onProgress) => {
+    const dataset = createDataset(name, await parseCsv(input, { onProgress }));
+    datasets.set(dataset.id, dataset);
+    return describeDataset(dataset);
+  };
+
+  const removeDataset = (id) => {
+    datasets.delete(id);
+    if (merged && merged.datasetIds.includes(id)) merged = null;
+  };
+
+  const mergeRows = (datasetIds, carrierAliases, carrierLevel) => {
+    const key = JSON.stringify([datasetIds, carrierAliases, carrierLevel]);
+    if (!merged || merged.key !== key) {
+      // Analyse all the exports as one dataset, with carrier names matched
+      // to the master list before anything groups on them
+      const rows = normalizeCarrierNames(
+        mergeDatasets(datasetIds.map(id => datasets.get(id)).filter(Boolean)),
+        carrierAliases,
+        carrierLevel
+      );
+      merged = { key, datasetIds, rows, summary: summarizeRows(rows, carrierAliases) };
+    }
+    return merged;
+  };
+
+  // Rows of the named export among the given datasets, carrier names
+  // matched as in mergeRows. The merged rows cannot stand in for them:
+  // merging keeps only the first export's copy of a transaction that
+  // several exports repeat.
+  const datasetRows = (datasetIds, name, carrierAliases, carrierLevel) => {
+    const dataset = datasetIds.map(id => datasets.get(id)).find(candidate => candidate && candidate.name === name);
+    return dataset ? normalizeCarrierNames(mergeDatasets([dataset]), carrierAliases, carrierLevel) : [];
+  };
+
+  // Analyse the given datasets, in order, with analyzeShipments options.
+  // Returns the analyzeShipments result with bookings replaced by
+  // bookingCount, and shipments by the per-lane chart inputs of
+  // summarizeLaneShipments; plus transactionCount, dataDates, filterOptions
+  // and unknownCarriers for the merged rows. Given two periods to compare,
+  // periods holds { portStats, rankedPorts, bookingCount, shipmentCount }
+  // for each, in order; otherwise it is null.
+  const analyze = ({ datasetIds, carrierAliases = {}, carrierLevel = CARRIER_LEVELS.CARRIER, options = {}, periods = null }) => {
+    const { rows, summary } = mergeRows(datasetIds, carrierAliases, carrierLevel);
+    const { bookings, shipments, ...analysis } = analyzeShipments(rows, options);
+    const rankedPorts = new Set(analysis.rankedPorts);
+
+    return {
+      ...analysis,
+      ...summary,
+      filterOptions: { ...summary.filterOptions, lanes: options.rankedPortPairs || [] },
+      bookingCount: bookings.length,
+      ...summarizeLaneShipments(shipments.filter(row => rankedPorts.has(row.port_2_port_id)), options.weighting),
+      periods: periods
+        ? periods.map(period => analyzePeriod(
+          period.type === PERIOD_TYPES.FILE ? datasetRows(datasetIds, period.file, carrierAliases, carrierLevel) : rows,
+          period,
+          options
+        ))
+        : null
+    };
+  };
+
+  return { loadDataset, removeDataset, analyze };
+};
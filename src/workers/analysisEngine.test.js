@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { PERIOD_TYPES } from '../analytics';
+import { CARRIER_LEVELS } from '../data/carriers';
+import { formatDate } from '../data/dates';
+import { createAnalysisClient } from './analysisClient';
+import { createAnalysisEngine } from './analysisEngine';
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, '..', '__fixtures__', 'sonar_sample.csv'), 'utf8');
+const OPTIONS = { rankedPortPairs: ['CNYTN--USSEA'] };
+
+test('loads an export and describes it without handing back its rows', async () => {
+  const engine = createAnalysisEngine();
+  const onProgress = jest.fn();
+  const dataset = await engine.loadDataset('sonar_sample.csv', FIXTURE, onProgress);
+
+  expect(dataset).toMatchObject({ name: 'sonar_sample.csv', rowCount: 10, missingColumns: [], parseErrors: [] });
+  expect(dataset).not.toHaveProperty('rows');
+  expect(onProgress).toHaveBeenLastCalledWith({ fraction: 1, rowCount: 10 });
+});
+
+test('keeps the same export loaded twice as two datasets', async () => {
+  const engine = createAnalysisEngine();
+  jest.spyOn(Date, 'now').mockReturnValue(1738454400000);
+  const [first, second] = await Promise.all([
+    engine.loadDataset('sonar_sample.csv', FIXTURE),
+    engine.loadDataset('sonar_sample.csv', FIXTURE)
+  ]);
+  jest.restoreAllMocks();
+
+  expect(first.id).not.toBe(second.id);
+  engine.removeDataset(first.id);
+  expect(engine.analyze({ datasetIds: [second.id], options: OPTIONS })).toMatchObject({ transactionCount: 10 });
+});
+
+test('analyses the loaded exports with the dashboard options', async () => {
+  const engine = createAnalysisEngine();
+  const { id } = await engine.loadDataset('sonar_sample.csv', FIXTURE);
+  const analysis = engine.analyze({ datasetIds: [id], options: OPTIONS });
+
+  expect(analysis).toMatchObject({ transactionCount: 10, bookingCount: 9, rankedPorts: ['CNYTN--USSEA'], unknownCarriers: [] });
+  expect(analysis).not.toHaveProperty('bookings');
+  expect(formatDate(analysis.dataDates.lastUpdated)).toBe('February 2, 2025');
+  expect(analysis.filterOptions.lanes).toEqual(['CNYTN--USSEA']);
+  expect(analysis.filterOptions.carriers).toEqual(['CMA CGM', 'MAERSK', 'MSC', 'ZIM']);
+  // The charts get their inputs for the ranked lanes, not the shipments
+  expect(analysis).not.toHaveProperty('shipments');
+  expect(Object.keys(analysis.transitTrends)).toEqual(['CNYTN--USSEA']);
+  expect(analysis.transitTrends['CNYTN--USSEA'].week.carriers).toEqual(['MAERSK', 'MSC']);
+  expect(analysis.leadTimePoints['CNYTN--USSEA']).toHaveLength(4);
+  expect(analysis.sailings['CNYTN--USSEA'].MSC.map(sailing => sailing.days)).toEqual([20, 22, 21]);
+  expect(analysis.laneVolumes).toHaveProperty('CNYTN--USLAX');
+
+  const byAlliance = engine.analyze({ datasetIds: [id], carrierLevel: CARRIER_LEVELS.ALLIANCE, options: OPTIONS });
+  expect(byAlliance.filterOptions.carriers).toEqual(['Gemini Cooperation', 'MSC', 'Ocean Alliance', 'ZIM']);
+
+  engine.removeDataset(id);
+  expect(engine.analyze({ datasetIds: [id], options: OPTIONS })).toMatchObject({ transactionCount: 0, rankedPorts: [] });
+});
+
+test('analyses each comparison period', async () => {
+  const engine = createAnalysisEngine();
+  const { id } = await engine.loadDataset('sonar_sample.csv', FIXTURE);
+  const { periods } = engine.analyze({
+    datasetIds: [id],
+    options: { ...OPTIONS, dateRange: { from: '2025-02-05', to: '' } },
+    periods: [
+      { type: PERIOD_TYPES.DATES, from: '2025-02-01', to: '2025-02-09' },
+      { type: PERIOD_TYPES.FILE, file: 'sonar_sample.csv' }
+    ]
+  });
+
+  // The date period replaces the dashboard's date range; the file period
+  // keeps it
+  expect(periods.map(period => period.shipmentCount)).toEqual([3, 5]);
+  expect(periods[0].portStats['CNYTN--USSEA'].carriers.MSC.shipmentCount).toBe(2);
+  expect(engine.analyze({ datasetIds: [id], options: OPTIONS }).periods).toBeNull();
+});
+
+test('analyses a file period from every row of that export', async () => {
+  const engine = createAnalysisEngine();
+  const first = await engine.loadDataset('sonar_sample.csv', FIXTURE);
+  // A later export repeating two of the first one's transactions, with the
+  // carrier under its full name
+  const [header, ...lines] = FIXTURE.trim().split('\n');
+  const update = [header, ...lines.slice(0, 2).map(line => line.replace(/^MSC,/, 'Mediterranean Shipping Company,'))].join('\n');
+  const second = await engine.loadDataset('update.csv', update);
+
+  const { periods } = engine.analyze({
+    datasetIds: [first.id, second.id],
+    options: OPTIONS,
+    periods: [
+      { type: PERIOD_TYPES.FILE, file: 'sonar_sample.csv' },
+      { type: PERIOD_TYPES.FILE, file: 'update.csv' }
+    ]
+  });
+
+  expect(periods.map(period => period.bookingCount)).toEqual([9, 2]);
+  expect(periods[1].portStats['CNYTN--USSEA'].carriers.MSC.shipmentCount).toBe(2);
+
+  // An export not among the analysed datasets has no rows
+  const [unselected] = engine.analyze({
+    datasetIds: [first.id],
+    options: OPTIONS,
+    periods: [{ type: PERIOD_TYPES.FILE, file: 'update.csv' }, { type: PERIOD_TYPES.FILE, file: 'sonar_sample.csv' }]
+  }).periods;
+  expect(unselected).toMatchObject({ bookingCount: 0, shipmentCount: 0 });
+});
+
+test('runs the engine on the page where workers are unavailable', async () => {
+  const client = createAnalysisClient();
+  const { id } = await client.loadDataset('sonar_sample.csv', FIXTURE);
+  const onResult = jest.fn();
+  client.analyze({ datasetIds: [id], options: OPTIONS }, onResult, jest.fn());
+
+  // Delivered straight away rather than on a later tick
+  expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ bookingCount: 9 }));
+
+  // Settles like the worker's, so callers can catch its failures
+  await expect(client.removeDataset(id)).resolves.toBeUndefined();
+});
@@ -0,0 +1,3 @@
+// Kept apart from analysisClient.js so only browsers load it: the bundler
+// needs import.meta.url to find the worker script, and Jest cannot parse it.
+export const startWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url));